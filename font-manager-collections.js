@@ -0,0 +1,176 @@
+/**
+ * 字体管理器 - 字体合集清单
+ *
+ * @description
+ * 字体合集（如"手写体合集"、"复古终端"）可以导出为带版本号的清单（manifest），
+ * 通过粘贴 JSON 或链接分享给其他人：
+ * - buildManifest: 把合集和字体打包成清单
+ * - parseManifest: 读取并校验清单
+ * - fetchManifest: 从链接下载清单
+ * - diffManifest: 和本地字体对比，分出新增、有变化、冲突、相同四类
+ *
+ * 合集本身的增删改由 FontManager 负责
+ */
+
+import { validateFontRecords } from './font-manager-import.js';
+
+/**
+ * 清单类型标识
+ */
+export const MANIFEST_TYPE = 'paws-font-collection';
+
+/**
+ * 清单格式版本（格式不兼容时递增）
+ */
+export const MANIFEST_SCHEMA_VERSION = 1;
+
+/**
+ * 判断"有变化"时比较的字体字段（字体来源相同，只是这些设置不同）
+ */
+const COMPARED_FIELDS = ['displayName', 'tags', 'fallbacks', 'scripts', 'custom', 'variants'];
+
+/**
+ * 生成清单
+ * @param {Object} collection - 合集
+ * @param {Object[]} fonts - 合集中的字体（已序列化）
+ * @returns {Object} 清单对象
+ */
+export function buildManifest(collection, fonts) {
+  return {
+    type: MANIFEST_TYPE,
+    schemaVersion: MANIFEST_SCHEMA_VERSION,
+    name: collection.name,
+    version: collection.version || 1,
+    author: collection.author || '',
+    description: collection.description || '',
+    previewText: collection.previewText || '',
+    exportDate: new Date().toISOString(),
+    fonts
+  };
+}
+
+/**
+ * 读取清单
+ *
+ * @description
+ * 清单中的字体逐条校验，无效的字体放进 manifest.invalid（不会导入）
+ *
+ * @param {string} text - 清单 JSON 文本
+ * @returns {Object} 清单对象
+ * @throws {Error} 不是有效的合集清单时
+ */
+export function parseManifest(text) {
+  let manifest;
+  try {
+    manifest = JSON.parse(text);
+  } catch {
+    throw new Error('清单不是有效的 JSON');
+  }
+
+  if (!manifest || manifest.type !== MANIFEST_TYPE) {
+    throw new Error('不是字体合集清单');
+  }
+  if (manifest.schemaVersion > MANIFEST_SCHEMA_VERSION) {
+    throw new Error(`清单格式版本 ${manifest.schemaVersion} 过新，请更新插件`);
+  }
+  if (!manifest.name || !Array.isArray(manifest.fonts)) {
+    throw new Error('清单缺少名称或字体列表');
+  }
+
+  const { valid, invalid } = validateFontRecords(manifest.fonts);
+  manifest.fonts = valid.map(({ font }) => font);
+  manifest.invalid = invalid;
+  return manifest;
+}
+
+/**
+ * 从链接下载清单
+ * @async
+ * @param {string} url - 清单链接
+ * @returns {Promise<string>} 清单 JSON 文本
+ * @throws {Error} 下载失败时（包括跨域被拒绝）
+ */
+export async function fetchManifest(url) {
+  let response;
+  try {
+    response = await fetch(url, { cache: 'no-cache' });
+  } catch {
+    throw new Error('无法访问该链接（可能不允许跨域访问），请下载后粘贴清单内容');
+  }
+
+  if (!response.ok) {
+    throw new Error(`下载清单失败 HTTP ${response.status}`);
+  }
+  return response.text();
+}
+
+/**
+ * 字体来源标识（来源相同视为同一个字体）
+ * @param {Object} font - 字体数据对象
+ * @returns {string}
+ */
+export function getFontSourceKey(font) {
+  const source = font.source || 'url';
+  const origin = source === 'local'
+    ? font.file?.originalName || ''
+    : source === 'fontface' ? font.faceCss || '' : font.url || '';
+  return `${source}|${font.fontFamily}|${origin}`;
+}
+
+/**
+ * 比较单个字段（标签忽略顺序）
+ * @param {string} field - 字段名
+ * @param {*} a - 值 A
+ * @param {*} b - 值 B
+ * @returns {boolean} 是否相同
+ */
+function sameField(field, a, b) {
+  const normalize = (value) => {
+    if (value === undefined || value === null) return null;
+    if (field === 'tags') return [...value].sort();
+    if (Array.isArray(value) && value.length === 0) return null;
+    if (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0) return null;
+    return value;
+  };
+  return JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+}
+
+/**
+ * @typedef {Object} ManifestDiff
+ * @property {Object[]} added - 本地没有的字体
+ * @property {Array<{font: Object, existing: Object, fields: string[]}>} changed - 同名同来源，但设置不同
+ * @property {Array<{font: Object, existing: Object}>} conflicts - 同名但来源不同（实际是另一个字体）
+ * @property {Object[]} unchanged - 和本地完全相同
+ */
+
+/**
+ * 对比清单和本地字体
+ * @param {Object} manifest - 清单对象
+ * @param {Map<string, Object>} fonts - 本地字体
+ * @returns {ManifestDiff} 对比结果
+ */
+export function diffManifest(manifest, fonts) {
+  const diff = { added: [], changed: [], conflicts: [], unchanged: [] };
+
+  manifest.fonts.forEach(font => {
+    const existing = fonts.get(font.name);
+    if (!existing) {
+      diff.added.push(font);
+      return;
+    }
+
+    if (getFontSourceKey(existing) !== getFontSourceKey(font)) {
+      diff.conflicts.push({ font, existing });
+      return;
+    }
+
+    const fields = COMPARED_FIELDS.filter(field => !sameField(field, font[field], existing[field]));
+    if (fields.length > 0) {
+      diff.changed.push({ font, existing, fields });
+    } else {
+      diff.unchanged.push(font);
+    }
+  });
+
+  return diff;
+}
@@ -0,0 +1,212 @@
+/**
+ * 字体管理器 - 斜杠命令
+ *
+ * @description
+ * 在聊天输入框、快速回复和 STscript 中切换字体：
+ * - /font [名称]：切换字体；不带参数时返回当前字体
+ * - /font-list [标签]：返回字体名称列表（JSON 数组）
+ * - /font-next [tag=标签]：按字体库顺序切换到下一个字体
+ * - /font-random [标签]：随机切换到某个标签下的字体
+ * - /font-clear：清除页面上应用的字体
+ *
+ * 所有命令都返回字体名称（失败时返回空字符串），可以接在管道中使用，如：
+ * /font-random 手写体 | /echo 已切换到 {{pipe}}
+ */
+
+import { SlashCommandParser } from '../../../slash-commands/SlashCommandParser.js';
+import { SlashCommand } from '../../../slash-commands/SlashCommand.js';
+import { ARGUMENT_TYPE, SlashCommandArgument, SlashCommandNamedArgument } from '../../../slash-commands/SlashCommandArgument.js';
+import { SlashCommandEnumValue } from '../../../slash-commands/SlashCommandEnumValue.js';
+import logger from './logger.js';
+
+/**
+ * 按名称查找字体
+ *
+ * @description
+ * 依次尝试：字体名称、显示名称（不区分大小写）、搜索（支持拼音和模糊匹配，取最相关的）
+ *
+ * @param {Object} fontManager - 字体管理器实例
+ * @param {string} query - 字体名称或搜索语句
+ * @returns {Object|null} 字体数据对象
+ */
+function findFont(fontManager, query) {
+  const text = String(query ?? '').trim();
+  if (!text) return null;
+
+  const exact = fontManager.getFont(text);
+  if (exact) return exact;
+
+  const lower = text.toLowerCase();
+  const fonts = fontManager.getAllFonts();
+  const byName = fonts.find(font => font.name.toLowerCase() === lower || (font.displayName || '').toLowerCase() === lower);
+  if (byName) return byName;
+
+  const scores = fontManager.searchFonts(text);
+  if (!scores || scores.size === 0) return null;
+
+  const [bestName] = Array.from(scores.entries()).sort((a, b) => b[1] - a[1])[0];
+  return fontManager.getFont(bestName);
+}
+
+/**
+ * 按标签筛选字体（按字体库的自定义顺序排列）
+ * @param {Object} fontManager - 字体管理器实例
+ * @param {string} [tag] - 标签（包括子标签），也可以是 all / untagged / favorites
+ * @returns {Object[]} 字体列表
+ */
+function getFontsByTag(fontManager, tag) {
+  return fontManager.getAllFonts(String(tag ?? '').trim() || 'all')
+    .sort((a, b) => (a.order || 0) - (b.order || 0));
+}
+
+/**
+ * 切换字体并返回字体名称
+ * @async
+ * @param {Object} fontManager - 字体管理器实例
+ * @param {Object|null} font - 要切换的字体
+ * @param {string} notFoundMessage - 找不到字体时的提示
+ * @returns {Promise<string>} 字体名称，失败时返回空字符串
+ */
+async function switchTo(fontManager, font, notFoundMessage) {
+  if (!font) {
+    toastr.warning(notFoundMessage);
+    return '';
+  }
+  if (!await fontManager.setCurrentFont(font.name)) {
+    return '';
+  }
+  return font.name;
+}
+
+/**
+ * 注册字体相关的斜杠命令
+ * @param {Object} fontManager - 字体管理器实例
+ */
+export function registerFontCommands(fontManager) {
+  const fontEnum = () => fontManager.getAllFonts().map(font =>
+    new SlashCommandEnumValue(font.name, font.displayName !== font.name ? font.displayName : null)
+  );
+  const tagEnum = () => [
+    new SlashCommandEnumValue('all', '所有字体'),
+    new SlashCommandEnumValue('favorites', '收藏的字体'),
+    new SlashCommandEnumValue('untagged', '未分类的字体'),
+    ...Array.from(fontManager.tags).map(tag => new SlashCommandEnumValue(tag))
+  ];
+
+  SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+    name: 'font',
+    callback: async (_args, value) => {
+      const query = String(value ?? '').trim();
+      if (!query) {
+        return fontManager.currentFont || '';
+      }
+      return switchTo(fontManager, findFont(fontManager, query), `找不到字体: ${query}`);
+    },
+    returns: '切换后的字体名称（不带参数时为当前字体）',
+    unnamedArgumentList: [
+      SlashCommandArgument.fromProps({
+        description: '字体名称、显示名称或搜索语句（支持拼音）',
+        typeList: [ARGUMENT_TYPE.STRING],
+        isRequired: false,
+        enumProvider: fontEnum
+      })
+    ],
+    helpString: `
+      <div>切换字体。不带参数时返回当前字体名称。</div>
+      <div>可以填字体名称、显示名称，或者搜索语句（如拼音首字母），会选择最相关的字体。</div>
+      <div><strong>示例：</strong><pre><code>/font 霞鹜文楷</code></pre><pre><code>/font xwwk</code></pre></div>
+    `
+  }));
+
+  SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+    name: 'font-list',
+    callback: (_args, value) => JSON.stringify(getFontsByTag(fontManager, value).map(font => font.name)),
+    returns: '字体名称列表（JSON 数组）',
+    unnamedArgumentList: [
+      SlashCommandArgument.fromProps({
+        description: '标签（包括子标签），也可以是 all / favorites / untagged',
+        typeList: [ARGUMENT_TYPE.STRING],
+        isRequired: false,
+        enumProvider: tagEnum
+      })
+    ],
+    helpString: `
+      <div>返回字体名称列表（JSON 数组），按字体库顺序排列。可以按标签筛选。</div>
+      <div><strong>示例：</strong><pre><code>/font-list 手写体 | /echo {{pipe}}</code></pre></div>
+    `
+  }));
+
+  SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+    name: 'font-next',
+    callback: async (args) => {
+      const fonts = getFontsByTag(fontManager, args.tag);
+      const index = fonts.findIndex(font => font.name === fontManager.currentFont);
+      const back = String(args.back) === 'true';
+      // 当前字体不在列表中时，向后从第一个开始，向前从最后一个开始
+      const nextIndex = index === -1
+        ? (back ? fonts.length - 1 : 0)
+        : (index + (back ? -1 : 1) + fonts.length) % fonts.length;
+      const next = fonts.length > 0 ? fonts[nextIndex] : null;
+      return switchTo(fontManager, next, args.tag ? `标签 ${args.tag} 下没有字体` : '还没有添加任何字体');
+    },
+    returns: '切换后的字体名称',
+    namedArgumentList: [
+      SlashCommandNamedArgument.fromProps({
+        name: 'tag',
+        description: '只在这个标签的字体中切换',
+        typeList: [ARGUMENT_TYPE.STRING],
+        enumProvider: tagEnum
+      }),
+      SlashCommandNamedArgument.fromProps({
+        name: 'back',
+        description: '切换到上一个字体',
+        typeList: [ARGUMENT_TYPE.BOOLEAN],
+        defaultValue: 'false'
+      })
+    ],
+    helpString: `
+      <div>按字体库顺序切换到下一个字体（到末尾后回到第一个）。</div>
+      <div><strong>示例：</strong><pre><code>/font-next tag=手写体</code></pre><pre><code>/font-next back=true</code></pre></div>
+    `
+  }));
+
+  SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+    name: 'font-random',
+    callback: async (_args, value) => {
+      const tag = String(value ?? '').trim();
+      const fonts = getFontsByTag(fontManager, tag);
+      // 有其他字体可选时不重复当前字体
+      const candidates = fonts.length > 1 ? fonts.filter(font => font.name !== fontManager.currentFont) : fonts;
+      const font = candidates[Math.floor(Math.random() * candidates.length)] || null;
+      return switchTo(fontManager, font, tag ? `标签 ${tag} 下没有字体` : '还没有添加任何字体');
+    },
+    returns: '切换后的字体名称',
+    unnamedArgumentList: [
+      SlashCommandArgument.fromProps({
+        description: '标签（包括子标签），不填时从所有字体中选',
+        typeList: [ARGUMENT_TYPE.STRING],
+        isRequired: false,
+        enumProvider: tagEnum
+      })
+    ],
+    helpString: `
+      <div>随机切换到某个标签下的字体（不会选到当前字体）。</div>
+      <div><strong>示例：</strong><pre><code>/font-random 手写体 | /echo 已切换到 {{pipe}}</code></pre></div>
+    `
+  }));
+
+  SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+    name: 'font-clear',
+    callback: () => {
+      fontManager.clearAppliedFont();
+      return '';
+    },
+    returns: '空字符串',
+    helpString: `
+      <div>清除页面上应用的字体，恢复酒馆默认字体。</div>
+      <div>只是暂时清除：切换字体或切换聊天后会按设置重新应用。</div>
+    `
+  }));
+
+  logger.debug('[FontCommands.registerFontCommands] 已注册斜杠命令');
+}
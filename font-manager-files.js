@@ -0,0 +1,143 @@
+/**
+ * 字体管理器 - 本地字体文件存储
+ *
+ * @description
+ * 负责本地字体文件（.ttf/.otf/.woff/.woff2）的存取：
+ * - 通过 SillyTavern 的文件上传接口保存到用户数据目录（user/files）
+ * - 删除已上传的字体文件
+ * - 读取字体文件为 base64（用于导出时嵌入字体）
+ *
+ * 字体文件保存在服务器上，离线和自建实例都能正常使用
+ */
+
+import { getRequestHeaders } from "../../../../script.js";
+import { getBase64Async } from "../../../utils.js";
+import logger from './logger.js';
+
+/**
+ * 支持的字体文件扩展名 → @font-face 的 format() 值
+ */
+export const FONT_FILE_FORMATS = {
+  ttf: 'truetype',
+  otf: 'opentype',
+  woff: 'woff',
+  woff2: 'woff2'
+};
+
+/**
+ * 获取字体文件扩展名
+ * @param {string} fileName - 文件名
+ * @returns {string|null} 小写扩展名，不支持的格式返回 null
+ */
+export function getFontFileExtension(fileName) {
+  const ext = String(fileName).split('.').pop().toLowerCase();
+  return FONT_FILE_FORMATS[ext] ? ext : null;
+}
+
+/**
+ * 生成上传用的安全文件名
+ *
+ * @description
+ * SillyTavern 的上传接口只接受字母、数字、下划线、横线和点，
+ * 中文等字符会被替换掉，并加上时间戳避免重名
+ *
+ * @param {string} fileName - 原始文件名
+ * @returns {string} 如 paws-font-1700000000000-MyFont.woff2
+ */
+function buildUploadName(fileName) {
+  const ext = getFontFileExtension(fileName);
+  const base = String(fileName).replace(/\.[^.]+$/, '').replace(/[^a-zA-Z0-9_-]/g, '').slice(0, 40);
+  return `paws-font-${Date.now()}${base ? `-${base}` : ''}.${ext}`;
+}
+
+/**
+ * 上传字体文件到用户数据目录
+ *
+ * @async
+ * @param {string} fileName - 原始文件名（用于确定扩展名）
+ * @param {string} base64Data - 文件内容（纯 base64，不含 data: 前缀）
+ * @returns {Promise<string>} 服务器返回的文件路径（如 user/files/xxx.woff2）
+ * @throws {Error} 格式不支持或上传失败时
+ */
+export async function uploadFontData(fileName, base64Data) {
+  if (!getFontFileExtension(fileName)) {
+    throw new Error(`不支持的字体文件格式: ${fileName}`);
+  }
+
+  const uploadName = buildUploadName(fileName);
+  const response = await fetch('/api/files/upload', {
+    method: 'POST',
+    headers: getRequestHeaders(),
+    body: JSON.stringify({ name: uploadName, data: base64Data })
+  });
+
+  if (!response.ok) {
+    throw new Error(`上传失败 HTTP ${response.status}: ${await response.text()}`);
+  }
+
+  const result = await response.json();
+  logger.info('[FontFiles.uploadFontData] 已上传字体文件:', fileName, '→', result.path);
+  return result.path;
+}
+
+/**
+ * 上传用户选择的字体文件
+ *
+ * @async
+ * @param {File} file - 文件选择器得到的 File 对象
+ * @returns {Promise<string>} 服务器返回的文件路径
+ * @throws {Error} 格式不支持或上传失败时
+ */
+export async function uploadFontFile(file) {
+  const dataUrl = await getBase64Async(file);
+  return uploadFontData(file.name, dataUrl.split(',')[1]);
+}
+
+/**
+ * 删除已上传的字体文件
+ *
+ * @description
+ * 删除失败只记录警告，不抛出异常（文件可能已被手动删除）
+ *
+ * @async
+ * @param {string} path - 文件路径
+ * @returns {Promise<boolean>} 是否删除成功
+ */
+export async function deleteFontFile(path) {
+  try {
+    const response = await fetch('/api/files/delete', {
+      method: 'POST',
+      headers: getRequestHeaders(),
+      body: JSON.stringify({ path })
+    });
+
+    if (!response.ok) {
+      logger.warn('[FontFiles.deleteFontFile] 删除失败:', path, response.status);
+      return false;
+    }
+
+    logger.info('[FontFiles.deleteFontFile] 已删除字体文件:', path);
+    return true;
+  } catch (error) {
+    logger.warn('[FontFiles.deleteFontFile] 删除失败:', path, error.message || error);
+    return false;
+  }
+}
+
+/**
+ * 读取已上传的字体文件为 base64
+ *
+ * @async
+ * @param {string} path - 文件路径
+ * @returns {Promise<string>} 纯 base64 字符串
+ * @throws {Error} 文件不存在或读取失败时
+ */
+export async function readFontFileBase64(path) {
+  const response = await fetch(path);
+  if (!response.ok) {
+    throw new Error(`读取字体文件失败 HTTP ${response.status}: ${path}`);
+  }
+
+  const dataUrl = await getBase64Async(await response.blob());
+  return dataUrl.split(',')[1];
+}
@@ -0,0 +1,124 @@
+/**
+ * 字体管理器 - 字体加载检查
+ *
+ * @description
+ * 检查字体能否真正加载出来（链接失效时页面会静默回退到默认字体，用户看不出原因）：
+ * 1. 把字体的 @import / @font-face 放进一个临时样式标签，等待样式表加载
+ * 2. 用 document.fonts.load() 请求字体，再看各 FontFace 的 status
+ * 3. 返回检查结果和耗时，由 FontManager 记录到字体对象上
+ */
+
+import logger from './logger.js';
+
+/**
+ * 单个字体的检查超时时间（毫秒）
+ */
+const CHECK_TIMEOUT = 15000;
+
+/**
+ * 检查用的示例文字（西文 + 常用汉字，分片字体至少会加载到一片）
+ */
+const CHECK_SAMPLE = 'Aa永字';
+
+/**
+ * 给 Promise 加上超时
+ * @param {Promise} promise - 原 Promise
+ * @param {number} ms - 超时时间
+ * @param {string} message - 超时时的错误信息
+ * @returns {Promise} 超时后 reject
+ */
+function withTimeout(promise, ms, message) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(message)), ms);
+    })
+  ]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * 插入临时样式标签并等待加载完成
+ *
+ * @description
+ * style 标签里的 @import 全部加载完后触发 load，任一失败触发 error。
+ * 样式标签由调用方创建，超时时也能由调用方移除
+ *
+ * @param {HTMLStyleElement} style - 临时样式标签
+ * @param {string} css - 加载字体用的 CSS
+ * @returns {Promise<boolean>} 是否加载失败
+ */
+function insertCheckStyle(style, css) {
+  return new Promise(resolve => {
+    const hasImport = /@import/i.test(css);
+    if (hasImport) {
+      style.addEventListener('load', () => resolve(false), { once: true });
+      style.addEventListener('error', () => resolve(true), { once: true });
+    }
+
+    style.textContent = css;
+    document.head.appendChild(style);
+
+    if (!hasImport) {
+      resolve(false);
+    }
+  });
+}
+
+/**
+ * @typedef {Object} FontHealth
+ * @property {'ok'|'broken'} status - 检查结果
+ * @property {string|null} error - 失败原因
+ * @property {number} duration - 检查耗时（毫秒）
+ * @property {string} checkedAt - 检查时间（ISO 字符串）
+ */
+
+/**
+ * 检查字体能否加载
+ *
+ * @async
+ * @param {Object} font - 字体数据对象
+ * @param {string} loadCss - 加载该字体的 CSS（FontManager.buildLoadCss 的结果）
+ * @returns {Promise<FontHealth>} 检查结果（不会抛出异常）
+ */
+export async function checkFontLoad(font, loadCss) {
+  const start = performance.now();
+  const style = document.createElement('style');
+  style.className = 'paws-puffs-font-check-style';
+  let error = null;
+
+  try {
+    const failed = await withTimeout(insertCheckStyle(style, loadCss), CHECK_TIMEOUT, '样式表加载超时');
+
+    if (failed) {
+      error = '样式表加载失败（链接可能已失效）';
+    } else {
+      const faces = await withTimeout(
+        document.fonts.load(`16px '${font.fontFamily}'`, CHECK_SAMPLE),
+        CHECK_TIMEOUT,
+        '字体文件加载超时'
+      );
+
+      if (faces.length === 0) {
+        error = `没有找到字体族 ${font.fontFamily} 的 @font-face`;
+      } else if (!faces.some(face => face.status === 'loaded')) {
+        error = '字体文件加载失败';
+      }
+    }
+  } catch (err) {
+    // document.fonts.load 在字体文件 404 或格式错误时会 reject
+    error = err.message || String(err);
+  } finally {
+    style.remove();
+  }
+
+  const health = {
+    status: error ? 'broken' : 'ok',
+    error,
+    duration: Math.round(performance.now() - start),
+    checkedAt: new Date().toISOString()
+  };
+
+  logger.debug('[FontHealth.checkFontLoad]', font.name, health.status, `${health.duration}ms`, error || '');
+  return health;
+}
@@ -0,0 +1,174 @@
+/**
+ * 字体管理器 - 操作历史
+ *
+ * @description
+ * 撤销/重做用的操作记录。每次操作前后各拍一次"快照"，只保存有变化的条目：
+ * - fonts: 按字体名称
+ * - bindings / schedules / collections: 按 id（记录在列表中的位置，恢复时放回原处）
+ * - slots / tagMeta / quickSlots: 按插槽 id / 标签 / 快捷切换编号
+ * - currentFont: 当前字体
+ *
+ * 列表中只是位置变化（其他条目被删除导致前移）不算修改。
+ * 按条目记录而不是整体替换，撤销一个操作不会覆盖之后做的其他修改（如新加的绑定规则）。
+ * 记录的应用由 FontManager 负责。
+ * 记录里是完整的字体数据，保存到设置时只保留最近的、总大小不超过 HISTORY_SAVE_SIZE 的记录（见 getSavedHistory）
+ */
+
+/**
+ * 最多保留的历史记录条数（撤销和重做各自计算）
+ */
+export const HISTORY_LIMIT = 30;
+
+/**
+ * 保存到设置中的历史记录的最大大小（JSON 字符数，撤销和重做合计）
+ */
+export const HISTORY_SAVE_SIZE = 512 * 1024;
+
+/**
+ * 按 id 记录的列表字段
+ */
+const LIST_FIELDS = ['bindings', 'schedules', 'collections'];
+
+/**
+ * 按键记录的对象字段
+ */
+const KEYED_FIELDS = ['slots', 'tagMeta', 'quickSlots'];
+
+/**
+ * 拍摄快照
+ *
+ * @description
+ * 每个条目序列化为 JSON 字符串，方便比较；字体的加载检查结果和使用统计不算修改
+ *
+ * @param {Object} state - 当前数据
+ * @param {Map<string, Object>} state.fonts - 字体
+ * @param {string|null} state.currentFont - 当前字体
+ * @param {Object[]} state.bindings - 绑定规则
+ * @param {Object} state.slots - 插槽设置
+ * @param {Object[]} state.schedules - 自动切换规则
+ * @param {Object[]} state.collections - 字体合集
+ * @param {Object} state.tagMeta - 标签颜色和图标
+ * @param {Object} state.quickSlots - 快捷切换
+ * @returns {Object} 快照
+ */
+export function captureState(state) {
+  const snapshot = {
+    fonts: new Map(),
+    currentFont: state.currentFont || null
+  };
+
+  state.fonts.forEach((font, name) => {
+    const { health, usage, ...data } = font;
+    snapshot.fonts.set(name, { json: JSON.stringify(data) });
+  });
+  KEYED_FIELDS.forEach(field => {
+    snapshot[field] = new Map(Object.entries(state[field] || {}).map(([key, value]) => [key, { json: JSON.stringify(value) }]));
+  });
+  LIST_FIELDS.forEach(field => {
+    snapshot[field] = new Map((state[field] || []).map((item, index) => [item.id, { json: JSON.stringify(item), index }]));
+  });
+
+  return snapshot;
+}
+
+/**
+ * 比较两个快照
+ *
+ * @param {Object} before - 操作前的快照
+ * @param {Object} after - 操作后的快照
+ * @returns {Array<{field: string, key: string, before: *, after: *, beforeIndex?: number, afterIndex?: number}>} 有变化的条目
+ */
+export function diffStates(before, after) {
+  const changes = [];
+
+  ['fonts', ...KEYED_FIELDS, ...LIST_FIELDS].forEach(field => {
+    const keys = new Set([...before[field].keys(), ...after[field].keys()]);
+    keys.forEach(key => {
+      const a = before[field].get(key);
+      const b = after[field].get(key);
+      if (a?.json === b?.json) return;
+
+      changes.push({
+        field,
+        key,
+        before: a ? JSON.parse(a.json) : null,
+        after: b ? JSON.parse(b.json) : null,
+        beforeIndex: a?.index,
+        afterIndex: b?.index
+      });
+    });
+  });
+
+  if (before.currentFont !== after.currentFont) {
+    changes.push({ field: 'currentFont', key: '', before: before.currentFont, after: after.currentFont });
+  }
+
+  return changes;
+}
+
+/**
+ * 把列表中按 id 记录的条目恢复到某一侧的状态
+ * @param {Object[]} list - 列表（会被直接修改）
+ * @param {Object} change - diffStates() 返回的条目
+ * @param {'before'|'after'} side - 恢复到操作前还是操作后
+ */
+export function applyListChange(list, change, side) {
+  const current = list.findIndex(item => item.id === change.key);
+  if (current !== -1) {
+    list.splice(current, 1);
+  }
+
+  const value = change[side];
+  if (value) {
+    const index = change[`${side}Index`] ?? list.length;
+    list.splice(Math.min(index, list.length), 0, value);
+  }
+}
+
+/**
+ * 收集历史记录中引用的本地字体文件
+ * @param {Object[]} entries - 历史记录
+ * @returns {Set<string>} 文件路径
+ */
+export function getHistoryFilePaths(entries) {
+  const paths = new Set();
+  entries.forEach(entry => {
+    entry.changes
+      .filter(change => change.field === 'fonts')
+      .forEach(change => {
+        [change.before, change.after].forEach(font => {
+          if (font?.source === 'local' && font.file?.path) {
+            paths.add(font.file.path);
+          }
+        });
+      });
+  });
+  return paths;
+}
+
+/**
+ * 获取要保存到设置中的历史记录
+ *
+ * @description
+ * 从最近的记录往前保留，撤销优先，总大小超过 maxSize 后更早的记录只留在内存中（刷新页面后丢失）
+ *
+ * @param {{undo: Object[], redo: Object[]}} history - 操作历史
+ * @param {number} [maxSize=HISTORY_SAVE_SIZE] - 最大大小（JSON 字符数）
+ * @returns {{undo: Object[], redo: Object[]}} 要保存的历史记录
+ */
+export function getSavedHistory(history, maxSize = HISTORY_SAVE_SIZE) {
+  let size = 0;
+  const keepRecent = (entries) => {
+    const kept = [];
+    for (let i = entries.length - 1; i >= 0; i--) {
+      size += JSON.stringify(entries[i]).length;
+      if (size > maxSize) break;
+      kept.unshift(entries[i]);
+    }
+    return kept;
+  };
+
+  const undo = keepRecent(history.undo);
+  const redo = keepRecent(history.redo);
+  return { undo, redo };
+}
@@ -0,0 +1,230 @@
+/**
+ * 字体管理器 - 导入校验
+ *
+ * @description
+ * 导入的字体数据会直接写进 fonts Map 和样式表，导入前需要逐条校验：
+ * - validateFontRecord: 校验单条字体记录，返回整理后的字体或失败原因
+ * - validateFontRecords: 校验整个字体列表（包括文件内重名）
+ * - getUniqueFontName: 重命名导入时生成不重复的名称
+ *
+ * 冲突处理（保留/覆盖/重命名/合并标签）由 FontManager.importFonts 负责
+ */
+
+import { normalizeTagPath } from './font-manager-tags.js';
+import { FONT_FILE_FORMATS } from './font-manager-files.js';
+import { rewriteFontFaces } from './font-manager-parser.js';
+
+/**
+ * 同名字体的处理方式
+ */
+export const CONFLICT_ACTIONS = {
+  keep: '保留现有',
+  overwrite: '覆盖',
+  rename: '重命名导入',
+  mergeTags: '合并标签'
+};
+
+/**
+ * 支持的字体来源
+ */
+const FONT_SOURCES = ['url', 'fontface', 'local'];
+
+/**
+ * 字体族名中不允许的字符（会被拼进 CSS 的引号里）
+ */
+const UNSAFE_FAMILY_CHARS = /["'\\<>{};\r\n]/;
+
+/**
+ * 覆盖全部字符的 unicode-range（重新生成 @font-face 时不限制字符范围）
+ */
+const FULL_UNICODE_RANGE = 'U+0-10FFFF';
+
+/**
+ * 字体链接中不允许的字符（会被拼进 @import url("...")）
+ */
+const UNSAFE_URL_CHARS = /["\\<>\s]/;
+
+/**
+ * 本地字体文件路径（会被拼进 @font-face 的 src: url("...")）：
+ * 只能是用户数据目录下的文件，不能带引号、反斜杠、括号和空白
+ */
+const LOCAL_FILE_PATH = /^\/?user\/files\/(?!.*\.\.)[^"'\\()<>\s]+$/;
+
+/**
+ * 是否为普通对象
+ * @param {*} value - 要检查的值
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * 是否为字符串数组（允许不存在）
+ * @param {*} value - 要检查的值
+ * @returns {boolean}
+ */
+function isOptionalStringArray(value) {
+  return value === undefined || value === null || (Array.isArray(value) && value.every(item => typeof item === 'string'));
+}
+
+/**
+ * 校验单条字体记录
+ *
+ * @param {*} record - 导入数据中的一条字体记录
+ * @returns {{font: Object|null, reasons: string[]}} 通过时返回整理后的字体（去掉加载检查结果和使用统计），否则返回失败原因
+ */
+export function validateFontRecord(record) {
+  if (!isPlainObject(record)) {
+    return { font: null, reasons: ['不是有效的字体对象'] };
+  }
+
+  const reasons = [];
+
+  const name = typeof record.name === 'string' ? record.name.trim() : '';
+  if (!name) {
+    reasons.push('缺少字体名称');
+  }
+
+  const fontFamily = typeof record.fontFamily === 'string' ? record.fontFamily.trim() : '';
+  if (!fontFamily) {
+    reasons.push('缺少字体族名');
+  } else if (UNSAFE_FAMILY_CHARS.test(fontFamily)) {
+    reasons.push('字体族名包含引号、括号等非法字符');
+  }
+
+  // 旧版数据没有 source 字段，按内容推断
+  const source = record.source ?? (record.faceCss ? 'fontface' : 'url');
+  if (!FONT_SOURCES.includes(source)) {
+    reasons.push(`未知的字体来源: ${source}`);
+  } else if (source === 'url') {
+    if (typeof record.url !== 'string' || !record.url.trim()) {
+      reasons.push('缺少字体链接');
+    } else if (UNSAFE_URL_CHARS.test(record.url.trim())) {
+      reasons.push('字体链接包含空格、引号等非法字符');
+    }
+  } else if (source === 'fontface') {
+    if (typeof record.faceCss !== 'string' || !/@font-face/i.test(record.faceCss)) {
+      reasons.push('缺少 @font-face 代码');
+    }
+  } else if (!isPlainObject(record.file)) {
+    reasons.push('缺少本地字体文件信息');
+  } else if (typeof record.file.path !== 'string' && typeof record.file.data !== 'string') {
+    reasons.push('本地字体既没有文件路径也没有嵌入的字体文件');
+  } else {
+    if (typeof record.file.path === 'string' && !LOCAL_FILE_PATH.test(record.file.path)) {
+      reasons.push('本地字体文件路径无效（只能是 user/files/ 下的文件）');
+    }
+    if (!Object.values(FONT_FILE_FORMATS).includes(record.file.format)) {
+      reasons.push(`不支持的字体文件格式: ${record.file.format}`);
+    }
+  }
+
+  if (record.displayName !== undefined && record.displayName !== null && typeof record.displayName !== 'string') {
+    reasons.push('显示名称不是文字');
+  }
+  if (record.notes !== undefined && record.notes !== null && typeof record.notes !== 'string') {
+    reasons.push('备注不是文字');
+  }
+  if (!isOptionalStringArray(record.tags)) {
+    reasons.push('标签格式错误（应为文字列表）');
+  }
+  if (!isOptionalStringArray(record.fallbacks)) {
+    reasons.push('后备字体格式错误（应为字体名称列表）');
+  } else if ((record.fallbacks || []).some(entry => UNSAFE_FAMILY_CHARS.test(entry))) {
+    reasons.push('后备字体名称包含引号、括号等非法字符');
+  }
+  if (record.scripts !== undefined && record.scripts !== null
+    && (!isPlainObject(record.scripts) || Object.values(record.scripts).some(value => typeof value !== 'string'))) {
+    reasons.push('分语种字体格式错误');
+  }
+  if (record.custom !== undefined && record.custom !== null && !isPlainObject(record.custom)) {
+    reasons.push('排版设置格式错误');
+  }
+  if (record.variants !== undefined && record.variants !== null && !Array.isArray(record.variants)) {
+    reasons.push('字重/样式列表格式错误');
+  }
+
+  // @font-face 代码会写进样式表：按解析结果重新生成，只保留 @font-face 规则，字体族名统一为 fontFamily
+  const faceCss = source === 'fontface' && fontFamily && reasons.length === 0
+    ? rewriteFontFaces(record.faceCss, fontFamily, FULL_UNICODE_RANGE)
+    : '';
+  if (source === 'fontface' && reasons.length === 0 && !faceCss) {
+    reasons.push('@font-face 代码无法解析');
+  }
+
+  if (reasons.length > 0) {
+    return { font: null, reasons };
+  }
+
+  const { health, usage, ...data } = record;
+  return {
+    font: {
+      ...data,
+      name,
+      displayName: data.displayName || name,
+      fontFamily,
+      source,
+      url: source === 'url' ? data.url.trim() : data.url || null,
+      faceCss,
+      tags: [...new Set((data.tags || []).map(normalizeTagPath).filter(Boolean))],
+      order: Number.isFinite(data.order) ? data.order : undefined
+    },
+    reasons: []
+  };
+}
+
+/**
+ * @typedef {Object} InvalidFontRecord
+ * @property {number} index - 在导入列表中的位置（从 0 开始）
+ * @property {string} name - 字体名称（没有名称时为 "第 N 条"）
+ * @property {string[]} reasons - 失败原因
+ */
+
+/**
+ * 校验整个字体列表
+ *
+ * @description
+ * 除了逐条校验，文件中重复出现的字体名称只保留第一条
+ *
+ * @param {Array} records - 导入数据中的字体列表
+ * @returns {{valid: Array<{index: number, font: Object}>, invalid: InvalidFontRecord[]}}
+ */
+export function validateFontRecords(records) {
+  const valid = [];
+  const invalid = [];
+  const seen = new Set();
+
+  records.forEach((record, index) => {
+    const { font, reasons } = validateFontRecord(record);
+    const name = font?.name || (typeof record?.name === 'string' && record.name.trim()) || `第 ${index + 1} 条`;
+
+    if (!font) {
+      invalid.push({ index, name, reasons });
+      return;
+    }
+    if (seen.has(font.name)) {
+      invalid.push({ index, name, reasons: ['导入文件中重复的字体名称'] });
+      return;
+    }
+
+    seen.add(font.name);
+    valid.push({ index, font });
+  });
+
+  return { valid, invalid };
+}
+
+/**
+ * 生成不重复的字体名称
+ * @param {string} name - 原名称
+ * @param {Function} isTaken - 判断名称是否已被占用
+ * @returns {string} 如 "霞鹜文楷 (2)"
+ */
+export function getUniqueFontName(name, isTaken) {
+  let index = 2;
+  while (isTaken(`${name} (${index})`)) {
+    index++;
+  }
+  return `${name} (${index})`;
+}
@@ -0,0 +1,627 @@
+/**
+ * 字体管理器 - 字体代码解析器
+ *
+ * @description
+ * 基于一个小型 CSS 分词器解析用户粘贴的字体代码，支持：
+ * - @import url("...")、@import url(...)（不带引号）、@import "..."
+ * - HTML 的 <link rel="stylesheet" href="..."> 和 <style> 标签
+ * - 直接粘贴的 @font-face 规则（可以有多个字重、样式、unicode-range）
+ * - 声明了多个字体族的样式表（font-family: "A", "B", serif）
+ * - Google Fonts 链接（从 family= 参数中读取字体族和字重）
+ *
+ * 另外提供 @font-face 改写（换字体族名、限制 unicode-range），用于按文字类型拆分字体
+ *
+ * 只负责"读懂"代码，不生成字体数据对象（由 FontManager.parseFonts 负责）
+ */
+
+/**
+ * CSS 通用字体族和全局关键字（不是真正的字体名，解析时忽略）
+ */
+export const GENERIC_FAMILIES = new Set([
+  'serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui',
+  'ui-serif', 'ui-sans-serif', 'ui-monospace', 'ui-rounded', 'emoji', 'math', 'fangsong',
+  'inherit', 'initial', 'unset', 'revert', 'revert-layer'
+]);
+
+/**
+ * 可以包含嵌套规则的 at-rule（递归解析其内容）
+ */
+const NESTED_AT_RULES = new Set(['media', 'supports', 'layer', 'document']);
+
+// ========================================
+// 分词器
+// ========================================
+
+/**
+ * 读取引号字符串
+ * @param {string} css - CSS 源码
+ * @param {number} start - 起始引号的位置
+ * @returns {{value: string, next: number}} 字符串内容和结束后的位置
+ */
+function readString(css, start) {
+  const quote = css[start];
+  let value = '';
+  let i = start + 1;
+
+  while (i < css.length && css[i] !== quote) {
+    if (css[i] === '\\' && i + 1 < css.length) {
+      value += css[i + 1];
+      i += 2;
+      continue;
+    }
+    value += css[i];
+    i++;
+  }
+
+  return { value, next: i + 1 };
+}
+
+/**
+ * 读取 url(...) 的内容（支持带引号和不带引号两种写法）
+ * @param {string} css - CSS 源码
+ * @param {number} start - "(" 之后的位置
+ * @returns {{value: string, next: number}} 链接和 ")" 之后的位置
+ */
+function readUrl(css, start) {
+  let i = start;
+  while (i < css.length && /\s/.test(css[i])) i++;
+
+  let value = '';
+  if (css[i] === '"' || css[i] === "'") {
+    const str = readString(css, i);
+    value = str.value;
+    i = str.next;
+    while (i < css.length && css[i] !== ')') i++;
+  } else {
+    while (i < css.length && css[i] !== ')') {
+      value += css[i];
+      i++;
+    }
+    value = value.trim();
+  }
+
+  return { value, next: i + 1 };
+}
+
+/**
+ * 把 CSS 源码切分成 token
+ *
+ * @description
+ * 只实现解析字体代码需要的部分：
+ * - at: @import / @font-face 等
+ * - string: 引号字符串
+ * - url: url(...) 的内容
+ * - function: 函数名（后面紧跟 "(" token）
+ * - word: 标识符、数字、U+XXXX 等连续字符
+ * - ws: 空白（连续空白合并为一个）
+ * - { } ; : , ( ): 结构符号
+ * - delim: 其他单个字符
+ *
+ * 注释会被直接跳过；每个 token 记录源码中的 start/end 位置，方便截取原文
+ *
+ * @param {string} css - CSS 源码
+ * @returns {Array<{type: string, value?: string, start: number, end: number}>} token 列表
+ */
+export function tokenizeCss(css) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < css.length) {
+    const ch = css[i];
+    const start = i;
+
+    // 注释
+    if (ch === '/' && css[i + 1] === '*') {
+      const end = css.indexOf('*/', i + 2);
+      i = end === -1 ? css.length : end + 2;
+      continue;
+    }
+
+    // 空白
+    if (/\s/.test(ch)) {
+      while (i < css.length && /\s/.test(css[i])) i++;
+      tokens.push({ type: 'ws', start, end: i });
+      continue;
+    }
+
+    // 字符串
+    if (ch === '"' || ch === "'") {
+      const str = readString(css, i);
+      i = str.next;
+      tokens.push({ type: 'string', value: str.value, start, end: i });
+      continue;
+    }
+
+    // 结构符号
+    if ('{};:,()'.includes(ch)) {
+      i++;
+      tokens.push({ type: ch, start, end: i });
+      continue;
+    }
+
+    // at-keyword
+    if (ch === '@') {
+      i++;
+      let name = '';
+      while (i < css.length && /[\w-]/.test(css[i])) {
+        name += css[i];
+        i++;
+      }
+      tokens.push({ type: 'at', value: name.toLowerCase(), start, end: i });
+      continue;
+    }
+
+    // 连续字符（标识符、数字、U+0000-00FF、!important 等）
+    if (/[^\s{};:,()"'/]/.test(ch) || (ch === '/' && css[i + 1] !== '*')) {
+      let word = '';
+      while (i < css.length && (/[^\s{};:,()"'/]/.test(css[i]) || (css[i] === '/' && css[i + 1] !== '*'))) {
+        word += css[i];
+        i++;
+      }
+
+      if (css[i] === '(') {
+        if (word.toLowerCase() === 'url') {
+          const url = readUrl(css, i + 1);
+          i = url.next;
+          tokens.push({ type: 'url', value: url.value, start, end: i });
+        } else {
+          tokens.push({ type: 'function', value: word.toLowerCase(), start, end: i });
+        }
+        continue;
+      }
+
+      tokens.push({ type: 'word', value: word, start, end: i });
+      continue;
+    }
+
+    i++;
+    tokens.push({ type: 'delim', value: ch, start, end: i });
+  }
+
+  return tokens;
+}
+
+// ========================================
+// 规则解析
+// ========================================
+
+/**
+ * 把 token 列表解析成规则列表
+ *
+ * @description
+ * - at 规则：{ kind: 'at', name, prelude, block, start, end }（block 为 null 表示以分号结束）
+ * - 普通规则：{ kind: 'qualified', prelude, block, start, end }
+ *
+ * @param {Array} tokens - tokenizeCss() 的结果
+ * @returns {Array<Object>} 规则列表
+ */
+function parseRules(tokens) {
+  const rules = [];
+  let i = 0;
+
+  while (i < tokens.length) {
+    if (tokens[i].type === 'ws' || tokens[i].type === ';') {
+      i++;
+      continue;
+    }
+
+    const first = tokens[i];
+    const isAt = first.type === 'at';
+    const prelude = [];
+    if (isAt) i++;
+
+    // 读取前导部分，直到 { 或 ;
+    while (i < tokens.length && tokens[i].type !== '{' && !(isAt && tokens[i].type === ';')) {
+      prelude.push(tokens[i]);
+      i++;
+    }
+
+    let block = null;
+    let end = tokens[Math.min(i, tokens.length - 1)].end;
+
+    if (i < tokens.length && tokens[i].type === '{') {
+      // 读取块内容（处理嵌套的大括号）
+      let depth = 1;
+      block = [];
+      i++;
+      while (i < tokens.length && depth > 0) {
+        if (tokens[i].type === '{') depth++;
+        if (tokens[i].type === '}') depth--;
+        if (depth > 0) block.push(tokens[i]);
+        end = tokens[i].end;
+        i++;
+      }
+    } else {
+      // 以分号结束（或到达末尾）
+      i++;
+    }
+
+    rules.push({
+      kind: isAt ? 'at' : 'qualified',
+      name: isAt ? first.value : null,
+      prelude,
+      block,
+      start: first.start,
+      end
+    });
+  }
+
+  return rules;
+}
+
+/**
+ * 把块内容解析成声明列表
+ * @param {Array} tokens - 规则块中的 token
+ * @returns {Array<{name: string, value: Array}>} 声明列表（属性名小写）
+ */
+function parseDeclarations(tokens) {
+  const declarations = [];
+  let current = [];
+  let depth = 0;
+
+  const flush = () => {
+    const colon = current.findIndex(token => token.type === ':');
+    const nameToken = current.find(token => token.type === 'word');
+    if (colon > 0 && nameToken && current.indexOf(nameToken) < colon) {
+      declarations.push({
+        name: nameToken.value.toLowerCase(),
+        value: current.slice(colon + 1)
+      });
+    }
+    current = [];
+  };
+
+  for (const token of tokens) {
+    if (token.type === '(') depth++;
+    if (token.type === ')') depth--;
+
+    if (token.type === ';' && depth <= 0) {
+      flush();
+      continue;
+    }
+    current.push(token);
+  }
+  flush();
+
+  return declarations;
+}
+
+/**
+ * 把声明值的 token 还原为文本（用于 src、unicode-range 等）
+ * @param {Array} tokens - 声明值 token
+ * @param {string} css - CSS 源码
+ * @returns {string} 去掉首尾空白和 !important 的值
+ */
+function valueText(tokens, css) {
+  if (tokens.length === 0) return '';
+  return css.slice(tokens[0].start, tokens[tokens.length - 1].end)
+    .replace(/!important\s*$/i, '')
+    .trim();
+}
+
+/**
+ * 从 font-family 声明值中读取字体族列表
+ *
+ * @description
+ * 按逗号分隔，每一项可以是引号字符串或多个单词（如 Noto Sans SC）
+ * 通用字体族、var() 等会被忽略
+ *
+ * @param {Array} tokens - 声明值 token
+ * @returns {string[]} 字体族名列表
+ */
+function readFamilyList(tokens) {
+  const families = [];
+  let parts = [];
+  let skip = false;
+
+  const flush = () => {
+    const name = parts.join(' ').trim();
+    if (name && !skip && !GENERIC_FAMILIES.has(name.toLowerCase()) && !name.startsWith('!')) {
+      families.push(name);
+    }
+    parts = [];
+    skip = false;
+  };
+
+  for (const token of tokens) {
+    if (token.type === ',') {
+      flush();
+    } else if (token.type === 'string') {
+      parts.push(token.value);
+    } else if (token.type === 'word') {
+      if (token.value.toLowerCase() !== '!important') parts.push(token.value);
+    } else if (token.type === 'function') {
+      // var(--xxx) 等无法确定具体字体
+      skip = true;
+    }
+  }
+  flush();
+
+  return families;
+}
+
+/**
+ * 从 Google Fonts 链接读取字体族、字重和样式
+ *
+ * @description
+ * 支持 css2 接口（family=Noto+Sans+SC:wght@400;700、family=Inter:ital,wght@0,400;1,700）
+ * 和旧版 css 接口（family=Roboto:400,700italic|Open+Sans，也认 regular、bold、700i 这些写法）
+ *
+ * @param {string} url - 样式表链接
+ * @returns {Array<{family: string, variants: Array<{weight: string, style: string}>}>} 字体族列表，不是 Google Fonts 链接时返回空数组
+ */
+function readGoogleFamilies(url) {
+  let parsed;
+  try {
+    parsed = new URL(url, 'https://fonts.googleapis.com');
+  } catch {
+    return [];
+  }
+
+  if (!/fonts\.googleapis\.com$/i.test(parsed.hostname)) {
+    return [];
+  }
+
+  const result = [];
+  parsed.searchParams.getAll('family').forEach(param => {
+    param.split('|').forEach(entry => {
+      const [name, spec = ''] = entry.split(':');
+      if (!name.trim()) return;
+
+      // css2：ital,wght@0,400;1,700 或 wght@400;700（没有的轴按 400 / normal）
+      // css：400,700italic
+      let variants = [];
+      if (spec.includes('@')) {
+        const [axes, values = ''] = spec.split('@');
+        const axisList = axes.split(',');
+        const wghtIndex = axisList.indexOf('wght');
+        const italIndex = axisList.indexOf('ital');
+        variants = values.split(';').filter(Boolean).map(value => {
+          const parts = value.split(',');
+          return {
+            weight: (wghtIndex !== -1 && parts[wghtIndex]) || '400',
+            style: italIndex !== -1 && parts[italIndex] === '1' ? 'italic' : 'normal'
+          };
+        });
+      } else if (spec) {
+        variants = spec.split(',').filter(Boolean).map(value => ({
+          weight: value.match(/\d+/)?.[0] || (/^bold/i.test(value) ? '700' : '400'),
+          style: /^(\d*|bold|regular)?i(talic)?$/i.test(value) ? 'italic' : 'normal'
+        }));
+      }
+
+      const unique = new Map(variants.map(variant => [`${variant.weight} ${variant.style}`, variant]));
+      result.push({ family: name.trim(), variants: Array.from(unique.values()) });
+    });
+  });
+
+  return result;
+}
+
+/**
+ * 从 HTML 片段中提取样式表链接和 <style> 内容
+ * @param {string} input - 用户输入
+ * @returns {{links: string[], css: string}} 链接列表和合并后的 CSS 文本
+ */
+function extractFromHtml(input) {
+  const doc = new DOMParser().parseFromString(input, 'text/html');
+  const links = Array.from(doc.querySelectorAll('link[href]'))
+    .filter(link => !link.rel || /stylesheet|preload/i.test(link.rel))
+    .filter(link => !/preconnect/i.test(link.rel))
+    .map(link => link.getAttribute('href'));
+  const css = Array.from(doc.querySelectorAll('style')).map(style => style.textContent).join('\n');
+
+  return { links, css };
+}
+
+// ========================================
+// 公开 API
+// ========================================
+
+/**
+ * @typedef {Object} FontVariant
+ * @property {string} weight - 字重（如 400、700、100 900）
+ * @property {string} style - 样式（normal / italic）
+ * @property {string|null} unicodeRange - unicode-range 值
+ */
+
+/**
+ * @typedef {Object} ParsedFamily
+ * @property {string} family - 字体族名
+ * @property {FontVariant[]} variants - 字重/样式/字符范围（来自 @font-face 或 Google Fonts 链接）
+ * @property {string} faceCss - 该字体族的 @font-face 原文（没有时为空字符串）
+ * @property {string|null} url - 提供该字体族的样式表链接
+ */
+
+/**
+ * @typedef {Object} ParsedFontSource
+ * @property {string[]} imports - 所有样式表链接（@import / <link> / 单独粘贴的链接）
+ * @property {ParsedFamily[]} families - 找到的所有字体族
+ */
+
+/**
+ * 解析字体代码
+ *
+ * @description
+ * 解析流程：
+ * 1. 如果输入包含 HTML 标签，提取 <link> 和 <style> 的内容
+ * 2. 单独一行的 http(s) 链接视为样式表链接
+ * 3. 分词并解析规则：@import 收集链接，@font-face 收集字体定义，
+ *    普通规则收集 font-family 引用
+ * 4. Google Fonts 链接额外读取 family= 参数
+ * 5. 合并同名字体族，并为每个字体族找到对应的样式表链接
+ *
+ * @param {string} input - 用户粘贴的代码
+ * @returns {ParsedFontSource} 解析结果
+ *
+ * @example
+ * parseFontSource('@import url(https://fonts.googleapis.com/css2?family=Inter:wght@400;700);');
+ * // { imports: ['https://...'], families: [{ family: 'Inter', variants: [...], faceCss: '', url: 'https://...' }] }
+ */
+export function parseFontSource(input) {
+  let css = String(input || '');
+  const imports = [];
+
+  // 1. HTML 片段
+  if (/<(link|style)\b/i.test(css)) {
+    const html = extractFromHtml(css);
+    imports.push(...html.links);
+    css = html.css;
+  }
+
+  // 2. 单独粘贴的链接
+  css = css.replace(/^\s*(https?:\/\/\S+)\s*$/gm, (match, url) => {
+    imports.push(url);
+    return '';
+  });
+
+  // 3. 解析规则
+  const familyMap = new Map();
+  const getFamily = (name) => {
+    const key = name.toLowerCase();
+    if (!familyMap.has(key)) {
+      familyMap.set(key, { family: name, variants: [], faceCss: '', url: null });
+    }
+    return familyMap.get(key);
+  };
+  const referenced = [];
+
+  const walk = (rules) => {
+    for (const rule of rules) {
+      if (rule.kind === 'at' && rule.name === 'import') {
+        const source = rule.prelude.find(token => token.type === 'url' || token.type === 'string');
+        if (source && source.value) imports.push(source.value);
+      } else if (rule.kind === 'at' && rule.name === 'font-face' && rule.block) {
+        const declarations = parseDeclarations(rule.block);
+        const get = (name) => declarations.find(declaration => declaration.name === name);
+
+        const familyDeclaration = get('font-family');
+        const familyName = familyDeclaration ? readFamilyList(familyDeclaration.value)[0] : null;
+        if (!familyName) continue;
+
+        const entry = getFamily(familyName);
+        entry.faceCss += `${css.slice(rule.start, rule.end)}\n`;
+        entry.variants.push({
+          weight: get('font-weight') ? valueText(get('font-weight').value, css) : '400',
+          style: get('font-style') ? valueText(get('font-style').value, css) : 'normal',
+          unicodeRange: get('unicode-range') ? valueText(get('unicode-range').value, css) : null
+        });
+      } else if (rule.kind === 'at' && NESTED_AT_RULES.has(rule.name) && rule.block) {
+        walk(parseRules(rule.block));
+      } else if (rule.kind === 'qualified' && rule.block) {
+        parseDeclarations(rule.block)
+          .filter(declaration => declaration.name === 'font-family')
+          .forEach(declaration => referenced.push(...readFamilyList(declaration.value)));
+      }
+    }
+  };
+  walk(parseRules(tokenizeCss(css)));
+
+  // 4. Google Fonts 链接中的字体族
+  imports.forEach(url => {
+    readGoogleFamilies(url).forEach(({ family, variants }) => {
+      const entry = getFamily(family);
+      entry.url = entry.url || url;
+      if (entry.variants.length === 0) {
+        (variants.length > 0 ? variants : [{ weight: '400', style: 'normal' }]).forEach(({ weight, style }) => {
+          entry.variants.push({ weight, style, unicodeRange: null });
+        });
+      }
+    });
+  });
+
+  // 5. 只在普通规则中引用的字体族（由样式表链接提供）
+  referenced.forEach(name => getFamily(name));
+
+  const uniqueImports = [...new Set(imports)];
+  const families = Array.from(familyMap.values());
+
+  // 没有 @font-face 也没有从链接中识别出来的字体族，使用第一个样式表链接
+  families.forEach(entry => {
+    if (!entry.url && !entry.faceCss && uniqueImports.length > 0) {
+      entry.url = uniqueImports[0];
+    }
+  });
+
+  return { imports: uniqueImports, families };
+}
+
+/**
+ * 把 unicode-range 值解析为码位区间
+ * @param {string} value - 如 "U+0000-00FF, U+4??"
+ * @returns {Array<[number, number]>} 区间列表
+ */
+function parseUnicodeRange(value) {
+  return String(value).split(',').map(part => part.trim().replace(/^u\+/i, '')).filter(Boolean).map(part => {
+    if (part.includes('?')) {
+      return [parseInt(part.replace(/\?/g, '0'), 16), parseInt(part.replace(/\?/g, 'F'), 16)];
+    }
+    const [start, end = start] = part.split('-');
+    return [parseInt(start, 16), parseInt(end, 16)];
+  }).filter(([start, end]) => !isNaN(start) && !isNaN(end));
+}
+
+/**
+ * 码位区间转回 unicode-range 值
+ * @param {Array<[number, number]>} ranges - 区间列表
+ * @returns {string} 如 "U+0-FF, U+4E00-9FFF"
+ */
+function formatUnicodeRange(ranges) {
+  return ranges.map(([start, end]) => {
+    const hex = (code) => code.toString(16).toUpperCase();
+    return start === end ? `U+${hex(start)}` : `U+${hex(start)}-${hex(end)}`;
+  }).join(', ');
+}
+
+/**
+ * 计算两个 unicode-range 的交集
+ * @param {string} a - unicode-range 值
+ * @param {string} b - unicode-range 值
+ * @returns {string} 交集，没有交集时返回空字符串
+ */
+export function intersectUnicodeRanges(a, b) {
+  const result = [];
+  parseUnicodeRange(a).forEach(([startA, endA]) => {
+    parseUnicodeRange(b).forEach(([startB, endB]) => {
+      const start = Math.max(startA, startB);
+      const end = Math.min(endA, endB);
+      if (start <= end) result.push([start, end]);
+    });
+  });
+  return formatUnicodeRange(result.sort((x, y) => x[0] - y[0]));
+}
+
+/**
+ * 改写 @font-face 规则的字体族名和字符范围
+ *
+ * @description
+ * 用于按文字类型拆分字体：把字体复制为一个别名字体族，并只覆盖指定的字符范围。
+ * 原规则已有 unicode-range 时取交集，交集为空的规则会被丢弃
+ *
+ * @param {string} faceCss - 一个或多个 @font-face 规则
+ * @param {string} family - 新的字体族名
+ * @param {string} unicodeRange - 要限制的字符范围
+ * @returns {string} 改写后的 @font-face 规则
+ */
+export function rewriteFontFaces(faceCss, family, unicodeRange) {
+  let result = '';
+
+  parseRules(tokenizeCss(faceCss))
+    .filter(rule => rule.kind === 'at' && rule.name === 'font-face' && rule.block)
+    .forEach(rule => {
+      const declarations = parseDeclarations(rule.block);
+      const original = declarations.find(declaration => declaration.name === 'unicode-range');
+      const range = original
+        ? intersectUnicodeRanges(valueText(original.value, faceCss), unicodeRange)
+        : unicodeRange;
+      if (!range) return;
+
+      const lines = declarations
+        .filter(declaration => declaration.name !== 'font-family' && declaration.name !== 'unicode-range')
+        .map(declaration => `${declaration.name}: ${valueText(declaration.value, faceCss)};`);
+
+      result += `@font-face { font-family: '${family}'; ${lines.join(' ')} unicode-range: ${range}; }\n`;
+    });
+
+  return result;
+}
@@ -0,0 +1,173 @@
+/**
+ * 字体管理器 - 自动切换规则
+ *
+ * @description
+ * 根据时间段、SillyTavern 主题名称、系统明暗模式（prefers-color-scheme）选择字体。
+ * 这里只负责规则匹配和计算"下一个规则边界"，规则的增删和应用由 FontManager 负责：
+ * - time: 时间段（start/end 为 HH:MM，支持跨午夜，如 22:00-06:00）
+ * - theme: 主题名称（power_user.theme）
+ * - scheme: 明暗模式（light / dark）
+ *
+ * 规则按列表顺序匹配，第一个命中的生效
+ */
+
+import { power_user } from "../../../power-user.js";
+
+/**
+ * 规则类型
+ */
+export const SCHEDULE_TYPES = {
+  time: '时间段',
+  theme: '主题',
+  scheme: '明暗模式'
+};
+
+/**
+ * 明暗模式
+ */
+export const COLOR_SCHEMES = {
+  light: '浅色',
+  dark: '深色'
+};
+
+const darkQuery = window.matchMedia('(prefers-color-scheme: dark)');
+
+/**
+ * 解析 HH:MM
+ * @param {string} value - 时间字符串
+ * @returns {number|null} 一天中的分钟数，格式错误返回 null
+ */
+export function parseTime(value) {
+  const match = String(value || '').match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 23 || minutes > 59) return null;
+
+  return hours * 60 + minutes;
+}
+
+/**
+ * 获取当前主题环境
+ * @returns {{theme: string, scheme: string}} 主题名称和明暗模式
+ */
+export function getThemeContext() {
+  return {
+    theme: power_user.theme || '',
+    scheme: darkQuery.matches ? 'dark' : 'light'
+  };
+}
+
+/**
+ * 主题环境的比较键（主题或明暗模式变化也算规则边界）
+ * @param {{theme: string, scheme: string}} context - 主题环境
+ * @returns {string}
+ */
+export function getContextKey(context) {
+  return `${context.theme}|${context.scheme}`;
+}
+
+/**
+ * 判断规则是否命中
+ * @param {Object} rule - 规则
+ * @param {{theme: string, scheme: string}} context - 主题环境
+ * @param {Date} now - 当前时间
+ * @returns {boolean}
+ */
+export function matchesRule(rule, context, now) {
+  switch (rule.type) {
+    case 'time': {
+      const start = parseTime(rule.start);
+      const end = parseTime(rule.end);
+      if (start === null || end === null || start === end) return false;
+
+      const minutes = now.getHours() * 60 + now.getMinutes();
+      // 跨午夜的时间段（如 22:00-06:00）
+      return start < end
+        ? minutes >= start && minutes < end
+        : minutes >= start || minutes < end;
+    }
+    case 'theme':
+      return !!rule.theme && rule.theme === context.theme;
+    case 'scheme':
+      return rule.scheme === context.scheme;
+    default:
+      return false;
+  }
+}
+
+/**
+ * 查找第一个命中的规则
+ * @param {Object[]} rules - 规则列表
+ * @param {Function} isUsable - 额外检查（如字体是否存在）
+ * @param {Date} [now=new Date()] - 当前时间
+ * @returns {Object|null} 命中的规则
+ */
+export function findScheduledRule(rules, isUsable, now = new Date()) {
+  const context = getThemeContext();
+  return rules.find(rule => rule.enabled !== false && isUsable(rule) && matchesRule(rule, context, now)) || null;
+}
+
+/**
+ * 计算下一个时间边界
+ *
+ * @description
+ * 所有启用的时间段规则的开始和结束时间中，晚于当前时间的最近一个
+ *
+ * @param {Object[]} rules - 规则列表
+ * @param {Date} [now=new Date()] - 当前时间
+ * @returns {number|null} 时间戳（毫秒），没有时间段规则时返回 null
+ */
+export function getNextTimeBoundary(rules, now = new Date()) {
+  let next = null;
+
+  rules
+    .filter(rule => rule.type === 'time' && rule.enabled !== false)
+    .flatMap(rule => [parseTime(rule.start), parseTime(rule.end)])
+    .filter(minutes => minutes !== null)
+    .forEach(minutes => {
+      const boundary = new Date(now);
+      boundary.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+      if (boundary <= now) {
+        boundary.setDate(boundary.getDate() + 1);
+      }
+      if (next === null || boundary.getTime() < next) {
+        next = boundary.getTime();
+      }
+    });
+
+  return next;
+}
+
+/**
+ * 监听主题和明暗模式变化
+ *
+ * @description
+ * - SillyTavern 切换主题时会修改 #themes 下拉框（change 事件处理完后 power_user.theme 已更新）
+ * - 系统明暗模式变化通过 matchMedia 监听
+ *
+ * @param {Function} callback - 变化时的回调
+ * @returns {Function} 取消监听的函数
+ */
+export function watchThemeChanges(callback) {
+  const onThemeChange = () => setTimeout(callback, 0);
+
+  $(document).on('change.pawsFontSchedule', '#themes', onThemeChange);
+  darkQuery.addEventListener('change', callback);
+
+  return () => {
+    $(document).off('change.pawsFontSchedule');
+    darkQuery.removeEventListener('change', callback);
+  };
+}
+
+/**
+ * 获取可选的主题名称
+ * @returns {string[]} SillyTavern 主题下拉框中的主题名称
+ */
+export function getAvailableThemes() {
+  return Array.from(document.querySelectorAll('#themes option'))
+    .map(option => option.value)
+    .filter(Boolean);
+}
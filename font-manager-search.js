@@ -0,0 +1,242 @@
+/**
+ * 字体管理器 - 搜索
+ *
+ * @description
+ * 字体库的搜索索引和查询：
+ * - 搜索范围：名称、显示名称、字体族名、标签、链接、ZeoSeven 字体 ID、备注
+ * - 模糊匹配：名称、字体族名、标签、备注允许打错一两个字母（如 "robto" 能搜到 Roboto）
+ * - 拼音：中文名称和标签可以用全拼、首字母或混合搜索（霞鹜文楷 → xiawuwenkai / xwwk / xiawwk）
+ * - 字段限定：tag:手写 url:zeoseven family:LXGW id:256 notes:标题 name:霞鹜，
+ *   值中有空格时加引号（tag:"手写 体"）
+ *
+ * 多个关键词之间是"并且"的关系，结果按匹配程度排序。
+ * 索引由 FontManager 在字体变化后重建
+ */
+
+import { getPinyinSyllables } from './pinyin.js';
+
+/**
+ * 可以限定的搜索字段
+ *
+ * @description
+ * - keys: 查询中可用的字段名（如 tag:手写、标签:手写）
+ * - weight: 排序权重（名称匹配排在链接匹配前面）
+ * - fuzzy: 是否允许打错字
+ * - pinyin: 是否支持拼音
+ * - exact: 只在完全相同时匹配（字体 ID）
+ *
+ * @type {Object<string, {label: string, keys: string[], weight: number, fuzzy?: boolean, pinyin?: boolean, exact?: boolean}>}
+ */
+export const SEARCH_FIELDS = {
+  name: { label: '名称', keys: ['name', '名称'], weight: 1, fuzzy: true, pinyin: true },
+  tag: { label: '标签', keys: ['tag', '标签'], weight: 0.8, fuzzy: true, pinyin: true },
+  family: { label: '字体族', keys: ['family', '字体族'], weight: 0.8, fuzzy: true },
+  id: { label: 'ZeoSeven ID', keys: ['id'], weight: 1, exact: true },
+  notes: { label: '备注', keys: ['notes', 'note', '备注'], weight: 0.6, fuzzy: true },
+  url: { label: '链接', keys: ['url', '链接'], weight: 0.5 }
+};
+
+/**
+ * 判断关键词是否能由连续音节的前缀拼成
+ *
+ * @description
+ * 每个音节取开头的一个或多个字母，全拼、首字母和混合写法都能匹配：
+ * ['xia', 'wu', 'wen', 'kai'] 能匹配 "xiawu"、"xwwk"、"xiawwk"、"wenk"
+ *
+ * @param {string[]} syllables - 音节列表
+ * @param {string} term - 关键词（小写字母）
+ * @returns {boolean}
+ */
+function matchSyllables(syllables, term) {
+  const failed = new Set();
+
+  const matchFrom = (index, offset) => {
+    if (offset === term.length) return true;
+    if (index === syllables.length || failed.has(`${index},${offset}`)) return false;
+
+    const syllable = syllables[index];
+    for (let length = Math.min(syllable.length, term.length - offset); length > 0; length--) {
+      if (syllable.startsWith(term.slice(offset, offset + length)) && matchFrom(index + 1, offset + length)) {
+        return true;
+      }
+    }
+    failed.add(`${index},${offset}`);
+    return false;
+  };
+
+  return syllables.some((_, index) => matchFrom(index, 0));
+}
+
+/**
+ * 关键词和文字中任意一段的最小编辑距离
+ *
+ * @description
+ * 允许关键词出现在文字的任意位置，只计算打错、多打、漏打的字数
+ *
+ * @param {string} text - 文字
+ * @param {string} term - 关键词
+ * @returns {number}
+ */
+function getSubstringDistance(text, term) {
+  let previous = new Array(text.length + 1).fill(0);
+
+  for (let i = 1; i <= term.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= text.length; j++) {
+      const cost = term[i - 1] === text[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return Math.min(...previous);
+}
+
+/**
+ * 关键词允许打错的字数（太短的关键词不做模糊匹配）
+ * @param {string} term - 关键词
+ * @returns {number}
+ */
+function getAllowedTypos(term) {
+  if (term.length >= 8) return 2;
+  if (term.length >= 4) return 1;
+  return 0;
+}
+
+/**
+ * 计算关键词和单个字段值的匹配分数
+ * @param {{text: string, syllables: string[]}} value - 索引中的字段值
+ * @param {string} term - 关键词（小写）
+ * @param {Object} field - SEARCH_FIELDS 中的字段定义
+ * @returns {number} 0 表示不匹配
+ */
+function scoreValue(value, term, field) {
+  if (field.exact) {
+    return value.text === term ? 100 : 0;
+  }
+  if (value.text.startsWith(term)) return 100;
+  if (value.text.includes(term)) return 80;
+
+  if (field.pinyin && value.syllables.length > 0 && /^[a-z]+$/.test(term) && matchSyllables(value.syllables, term)) {
+    return 70;
+  }
+
+  const typos = field.fuzzy ? getAllowedTypos(term) : 0;
+  if (typos > 0) {
+    const distance = getSubstringDistance(value.text, term);
+    if (distance <= typos) {
+      return 50 - distance * 10;
+    }
+  }
+
+  return 0;
+}
+
+/**
+ * @typedef {Object} SearchTerm
+ * @property {string|null} field - 限定的字段（SEARCH_FIELDS 的键），null 表示搜索所有字段
+ * @property {string} text - 关键词（小写）
+ */
+
+/**
+ * 解析搜索语句
+ *
+ * @description
+ * 按空格拆分关键词，"字段:值" 形式的关键词只在该字段中搜索；
+ * 不认识的字段名（如 https://...）按普通关键词处理
+ *
+ * @param {string} query - 搜索语句，如 'tag:手写 url:zeoseven 楷'
+ * @returns {SearchTerm[]}
+ */
+export function parseSearchQuery(query) {
+  const terms = [];
+  const pattern = /(?:([^\s:"]+):)?(?:"([^"]*)"|(\S+))/g;
+  let match;
+
+  while ((match = pattern.exec(String(query ?? ''))) !== null) {
+    const [raw, key, quoted, plain] = match;
+    const value = (quoted ?? plain ?? '').trim().toLowerCase();
+    const field = key
+      ? Object.keys(SEARCH_FIELDS).find(id => SEARCH_FIELDS[id].keys.includes(key.toLowerCase())) || null
+      : null;
+
+    if (key && !field) {
+      terms.push({ field: null, text: raw.replace(/"/g, '').toLowerCase() });
+    } else if (value) {
+      terms.push({ field, text: value });
+    }
+  }
+
+  return terms;
+}
+
+/**
+ * 生成搜索索引
+ *
+ * @description
+ * 每个字体的字段值预先转为小写，中文名称和标签预先转为拼音
+ *
+ * @param {Map<string, Object>} fonts - 字体（字体名 → 字体数据）
+ * @returns {Map<string, Object<string, Array<{text: string, syllables: string[]}>>>} 字体名 → 各字段的值
+ */
+export function buildSearchIndex(fonts) {
+  const index = new Map();
+
+  fonts.forEach((font, name) => {
+    const raw = {
+      name: [font.name, font.displayName],
+      tag: font.tags || [],
+      family: [font.fontFamily],
+      id: [font.fontId],
+      notes: [font.notes],
+      url: [font.url, font.file?.originalName]
+    };
+
+    const entry = {};
+    Object.entries(raw).forEach(([field, values]) => {
+      entry[field] = [...new Set(values.filter(value => typeof value === 'string' && value.trim()))]
+        .map(value => ({
+          text: value.toLowerCase(),
+          syllables: SEARCH_FIELDS[field].pinyin ? getPinyinSyllables(value) : []
+        }));
+    });
+    index.set(name, entry);
+  });
+
+  return index;
+}
+
+/**
+ * 在索引中搜索
+ *
+ * @description
+ * 每个关键词取所有字段中最高的分数（乘以字段权重），所有关键词都要匹配；
+ * 总分是各关键词分数之和
+ *
+ * @param {Map} index - buildSearchIndex() 生成的索引
+ * @param {string} query - 搜索语句
+ * @returns {Map<string, number>|null} 匹配的字体名 → 分数；搜索语句为空时返回 null
+ */
+export function searchIndex(index, query) {
+  const terms = parseSearchQuery(query);
+  if (terms.length === 0) return null;
+
+  const results = new Map();
+  index.forEach((entry, name) => {
+    let total = 0;
+    const matched = terms.every(term => {
+      const fields = term.field ? [term.field] : Object.keys(SEARCH_FIELDS);
+      const best = Math.max(0, ...fields.flatMap(field =>
+        entry[field].map(value => scoreValue(value, term.text, SEARCH_FIELDS[field]) * SEARCH_FIELDS[field].weight)
+      ));
+      total += best;
+      return best > 0;
+    });
+
+    if (matched) {
+      results.set(name, total);
+    }
+  });
+
+  return results;
+}
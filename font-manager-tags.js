@@ -0,0 +1,167 @@
+/**
+ * 字体管理器 - 标签层级和筛选
+ *
+ * @description
+ * 标签用 "/" 表示层级，如 "手写体/可爱" 是 "手写体" 的子标签：
+ * - 按父标签筛选时包含所有子标签的字体
+ * - 标签树中会补上没有直接使用的父标签
+ * - 多标签筛选支持 AND（全部满足）/ OR（任一满足）/ NOT（排除）
+ *
+ * 标签的颜色、图标（tagMeta）和重命名由 FontManager 负责
+ */
+
+/**
+ * 标签层级分隔符
+ */
+export const TAG_SEPARATOR = '/';
+
+/**
+ * 可选的标签图标（Font Awesome）
+ */
+export const TAG_ICONS = [
+  'fa-tag',
+  'fa-pen-nib',
+  'fa-feather',
+  'fa-heart',
+  'fa-star',
+  'fa-book',
+  'fa-terminal',
+  'fa-code',
+  'fa-leaf',
+  'fa-face-smile',
+  'fa-crown',
+  'fa-bolt'
+];
+
+/**
+ * 整理标签路径（去掉多余空格和空层级）
+ * @param {string} tag - 标签，如 " 手写体 / 可爱 "
+ * @returns {string} 如 "手写体/可爱"，无效时返回空字符串
+ */
+export function normalizeTagPath(tag) {
+  return String(tag ?? '')
+    .split(TAG_SEPARATOR)
+    .map(part => part.trim())
+    .filter(Boolean)
+    .join(TAG_SEPARATOR);
+}
+
+/**
+ * 判断标签是否属于某个标签（相同或是它的子标签）
+ * @param {string} tag - 要判断的标签
+ * @param {string} parent - 父标签
+ * @returns {boolean}
+ */
+export function isTagWithin(tag, parent) {
+  return tag === parent || tag.startsWith(parent + TAG_SEPARATOR);
+}
+
+/**
+ * 判断字体是否带有某个标签（包括它的子标签）
+ * @param {Object} font - 字体数据对象
+ * @param {string} tag - 标签
+ * @returns {boolean}
+ */
+export function fontHasTag(font, tag) {
+  return (font.tags || []).some(fontTag => isTagWithin(fontTag, tag));
+}
+
+/**
+ * 把标签或其子标签的前缀替换为新标签
+ * @param {string} tag - 原标签
+ * @param {string} oldTag - 要替换的标签
+ * @param {string} newTag - 新标签
+ * @returns {string} 替换后的标签（不属于 oldTag 时原样返回）
+ */
+export function replaceTagPrefix(tag, oldTag, newTag) {
+  return isTagWithin(tag, oldTag) ? newTag + tag.slice(oldTag.length) : tag;
+}
+
+/**
+ * @typedef {Object} TagNode
+ * @property {string} name - 当前层级的名称，如 "可爱"
+ * @property {string} path - 完整路径，如 "手写体/可爱"
+ * @property {number} depth - 层级深度（从 0 开始）
+ * @property {boolean} explicit - 是否有字体直接使用这个标签（否则只是父级）
+ * @property {TagNode[]} children - 子标签
+ */
+
+/**
+ * 生成标签树
+ * @param {Iterable<string>} tags - 所有标签
+ * @returns {TagNode[]} 顶层标签（按名称排序）
+ */
+export function buildTagTree(tags) {
+  const root = { children: [] };
+  const nodes = new Map();
+
+  Array.from(tags).forEach(tag => {
+    let parent = root;
+    tag.split(TAG_SEPARATOR).forEach((name, depth, parts) => {
+      const path = parts.slice(0, depth + 1).join(TAG_SEPARATOR);
+      let node = nodes.get(path);
+      if (!node) {
+        node = { name, path, depth, explicit: false, children: [] };
+        nodes.set(path, node);
+        parent.children.push(node);
+      }
+      parent = node;
+    });
+    parent.explicit = true;
+  });
+
+  const sort = (list) => {
+    list.sort((a, b) => a.name.localeCompare(b.name));
+    list.forEach(node => sort(node.children));
+    return list;
+  };
+  return sort(root.children);
+}
+
+/**
+ * 把标签树展开为列表（父标签在前，子标签紧随其后）
+ * @param {TagNode[]} tree - 标签树
+ * @returns {TagNode[]}
+ */
+export function flattenTagTree(tree) {
+  return tree.flatMap(node => [node, ...flattenTagTree(node.children)]);
+}
+
+/**
+ * @typedef {Object} TagFilter
+ * @property {string[]} include - 要包含的标签
+ * @property {string[]} exclude - 要排除的标签（NOT）
+ * @property {'and'|'or'} mode - include 中的标签全部满足（AND）还是任一满足（OR）
+ */
+
+/**
+ * 判断筛选条件是否为空
+ * @param {TagFilter} filter - 筛选条件
+ * @returns {boolean}
+ */
+export function isTagFilterEmpty(filter) {
+  return !filter || ((filter.include || []).length === 0 && (filter.exclude || []).length === 0);
+}
+
+/**
+ * 判断字体是否满足多标签筛选
+ * @param {Object} font - 字体数据对象
+ * @param {TagFilter} filter - 筛选条件
+ * @returns {boolean}
+ */
+export function matchesTagFilter(font, filter) {
+  if (isTagFilterEmpty(filter)) return true;
+
+  const include = filter.include || [];
+  const exclude = filter.exclude || [];
+
+  if (exclude.some(tag => fontHasTag(font, tag))) {
+    return false;
+  }
+  if (include.length === 0) {
+    return true;
+  }
+  return filter.mode === 'or'
+    ? include.some(tag => fontHasTag(font, tag))
+    : include.every(tag => fontHasTag(font, tag));
+}
@@ -5,14 +5,23 @@
  * 负责字体管理的所有 UI 交互和渲染：
  * - 渲染字体列表（支持搜索、筛选、分页）
  * - 渲染标签管理界面
+ * - 渲染字体绑定界面（角色/群组/聊天 → 字体）
+ * - 渲染应用范围界面（聊天正文、菜单、代码块等插槽）
  * - 处理用户操作（添加、删除、编辑、导入导出）
  * - 监听 FontManager 的事件并刷新 UI
  * 
  * 采用事件驱动架构，与 FontManager 通过 eventSource 通信
  */
 
-import { eventSource } from "../../../../script.js";
+import { eventSource, event_types } from "../../../../script.js";
 import { callGenericPopup, POPUP_TYPE } from "../../../popup.js";
+import { escapeHtml } from "../../../utils.js";
+import { FONT_SLOTS, FONT_SCRIPTS, TYPOGRAPHY_FIELDS, normalizeTypography } from './font-manager.js';
+import { SCHEDULE_TYPES, COLOR_SCHEMES, getAvailableThemes, getThemeContext } from './font-manager-schedule.js';
+import { CONFLICT_ACTIONS } from './font-manager-import.js';
+import { TAG_ICONS, flattenTagTree, matchesTagFilter, isTagFilterEmpty } from './font-manager-tags.js';
+import { SEARCH_FIELDS } from './font-manager-search.js';
+import { compareByUsage, formatDuration } from './font-manager-usage.js';
 import logger from './logger.js';
 
 export class FontManagerUI {
@@ -34,13 +43,24 @@ export class FontManagerUI {
 
     // UI状态
     this.uiState = {
-      fontSearchQuery: '',         // 搜索关键词
+      fontSearchQuery: fontManager.searchQuery || '', // 搜索语句（上次的搜索会保留）
       fontFilterTag: 'all',        // 筛选标签
-      fontSortBy: 'name',          // 排序方式
+      tagFilter: { include: [], exclude: [], mode: 'and' }, // 多标签筛选
+      tagFilterPanelOpen: false,   // 多标签筛选面板展开状态
+      fontSortBy: 'usage',         // 排序方式（默认最常用）
       fontAddExpanded: false,      // 添加区域展开状态
       expandedFonts: new Set(),    // 展开的字体项
       importMergeMode: true,       // 导入模式（合并/替换）
       tagManagerExpanded: false,   // 标签管理展开状态
+      bindingManagerExpanded: false, // 字体绑定展开状态
+      scheduleManagerExpanded: false, // 自动切换展开状态
+      collectionManagerExpanded: false, // 字体合集展开状态
+      slotManagerExpanded: false,  // 应用范围展开状态
+      previewExpanded: false,      // 字体预览展开状态
+      previewFonts: [],            // 正在预览对比的字体（最多 4 个）
+      previewSample: '',           // 自定义示例文字（为空时显示聊天消息）
+      previewMessageCount: 5,      // 预览的聊天消息数量
+      hoverPreview: true,          // 悬停字体项时在聊天中预览
       fontListExpanded: true,      // 字体库展开状态
       fontCurrentPage: 1,          // 字体列表当前页
       fontPageSize: 20,            // 字体列表每页显示数量
@@ -86,6 +106,8 @@ export class FontManagerUI {
    * - 工具栏（搜索、筛选、导入导出）
    * - 字体库列表（可折叠、支持分页）
    * - 标签管理（可折叠、支持分页）
+   * - 应用范围（可折叠）
+   * - 字体绑定（可折叠）
    * 
    * 渲染完成后自动调用 refresh 方法更新数据显示
    */
@@ -128,24 +150,44 @@ body {
 }
 
 2. 仅@import链接（需填写自定义名称）：
-@import url("https://fontsapi.zeoseven.com/119/main/result.css");' rows="5"></textarea>
+@import url("https://fontsapi.zeoseven.com/119/main/result.css");
+
+3. @font-face 规则或 <link> 标签（可包含多个字体）' rows="5"></textarea>
             <div class="font-add-controls">
               <input type="text" id="font-name-input" placeholder="自定义字体名称（某些格式必填）" class="text_pole">
               <button id="add-font-btn" class="menu_button compact-btn">
                 + 添加
               </button>
             </div>
+            
+            <!-- 本地字体文件 -->
+            <div class="font-add-controls">
+              <button id="font-upload-btn" class="menu_button compact-btn" title="上传 .ttf / .otf / .woff / .woff2 文件，保存到酒馆数据目录，离线也能用">
+                <i class="fa fa-file-arrow-up"></i> 上传本地字体文件
+              </button>
+              <span class="hint-inline hint">支持 ttf / otf / woff / woff2，可多选</span>
+            </div>
           </div>
         </div>
         
         <!-- 工具栏 -->
         <div class="font-toolbar">
           <div class="toolbar-left">
-            <input type="text" id="font-search" placeholder="搜索..." class="text_pole compact" value="${this.uiState.fontSearchQuery}">
+            <input type="text" id="font-search" placeholder="搜索（支持拼音、tag:手写）" class="text_pole compact"
+                   title="${this.getSearchHint()}" value="${this.uiState.fontSearchQuery.replace(/"/g, '&quot;')}">
             <select id="font-tag-filter" class="text_pole compact">
               <option value="all">所有标签</option>
               <option value="untagged">未分类</option>
             </select>
+            <button id="font-tag-filter-btn" class="menu_button compact icon-only" title="多标签筛选">
+              <i class="fa fa-filter"></i>
+            </button>
+            <select id="font-sort" class="text_pole compact" title="排序方式">
+              <option value="usage" ${this.uiState.fontSortBy === 'usage' ? 'selected' : ''}>最常用</option>
+              <option value="name" ${this.uiState.fontSortBy === 'name' ? 'selected' : ''}>名称</option>
+              <option value="date" ${this.uiState.fontSortBy === 'date' ? 'selected' : ''}>最近添加</option>
+              <option value="custom" ${this.uiState.fontSortBy === 'custom' ? 'selected' : ''}>自定义顺序</option>
+            </select>
           </div>
           <div class="toolbar-right">
             ${this.uiState.batchDeleteMode ? `
@@ -164,6 +206,15 @@ body {
               <button id="font-guide-btn" class="menu_button compact icon-only" title="使用指南">
                 <i class="fa fa-question-circle"></i>
               </button>
+              <button id="font-undo-btn" class="menu_button compact icon-only" title="撤销">
+                <i class="fa fa-rotate-left"></i>
+              </button>
+              <button id="font-redo-btn" class="menu_button compact icon-only" title="重做">
+                <i class="fa fa-rotate-right"></i>
+              </button>
+              <button id="font-history-clear-btn" class="menu_button compact icon-only" title="清空操作历史">
+                <i class="fa fa-broom"></i>
+              </button>
               <label class="checkbox_label compact-checkbox">
                 <input type="checkbox" id="import-merge" ${this.uiState.importMergeMode ? 'checked' : ''}>
                 <span>合并</span>
@@ -174,6 +225,12 @@ body {
               <button id="font-export-btn" class="menu_button compact icon-only" title="导出">
                 <i class="fa fa-upload"></i>
               </button>
+              <button id="font-health-check-btn" class="menu_button compact icon-only" title="检查所有字体能否加载">
+                <i class="fa fa-stethoscope"></i>
+              </button>
+              <button id="font-remove-broken-btn" class="menu_button compact icon-only danger" title="移除加载失败的字体">
+                <i class="fa fa-unlink"></i>
+              </button>
               <button id="font-batch-delete-btn" class="menu_button compact icon-only" title="批量删除">
                 <i class="fa fa-tasks"></i>
               </button>
@@ -184,6 +241,49 @@ body {
           </div>
         </div>
         
+        <!-- 多标签筛选 -->
+        <div id="font-tag-filter-panel" class="font-tag-filter-panel" style="${this.uiState.tagFilterPanelOpen ? '' : 'display: none;'}">
+          <div class="font-tag-filter-controls">
+            <select id="font-tag-filter-mode" class="text_pole compact">
+              <option value="and" ${this.uiState.tagFilter.mode === 'and' ? 'selected' : ''}>包含的标签全部满足（AND）</option>
+              <option value="or" ${this.uiState.tagFilter.mode === 'or' ? 'selected' : ''}>包含的标签任一满足（OR）</option>
+            </select>
+            <button id="font-tag-filter-clear" class="menu_button compact">清除筛选</button>
+          </div>
+          <div id="font-tag-filter-chips" class="font-tag-filter-chips">
+            <!-- 标签按钮会动态生成 -->
+          </div>
+          <p class="hint">点击标签切换：包含（+）→ 排除（−，NOT）→ 不筛选。父标签包含所有子标签。</p>
+        </div>
+
+        <!-- 字体预览 -->
+        <div class="font-preview-section">
+          <div class="font-preview-header" id="font-preview-toggle">
+            <h4><i class="fa fa-eye"></i> 字体预览</h4>
+            <i class="fa fa-chevron-${this.uiState.previewExpanded ? 'up' : 'down'}" id="font-preview-icon"></i>
+          </div>
+          <div class="font-preview-content" id="font-preview-content" style="${this.uiState.previewExpanded ? '' : 'display: none;'}">
+            <div class="font-preview-controls">
+              <select id="font-preview-add-select" class="text_pole compact">
+                <!-- 字体选项会动态生成 -->
+              </select>
+              <button id="font-preview-add-btn" class="menu_button compact">+ 对比</button>
+              <label class="font-preview-count">
+                <span>消息数</span>
+                <input type="number" id="font-preview-count" class="text_pole compact" min="1" max="20" value="${this.uiState.previewMessageCount}">
+              </label>
+            </div>
+            <input type="text" id="font-preview-sample" class="text_pole" placeholder="自定义示例文字（留空则显示当前聊天最近的消息）">
+            <label class="checkbox_label">
+              <input type="checkbox" id="font-preview-hover" ${this.uiState.hoverPreview ? 'checked' : ''}>
+              <span>鼠标悬停字体时，在聊天中预览几秒</span>
+            </label>
+            <div id="font-preview-panes" class="font-preview-panes">
+              <!-- 预览栏会动态生成 -->
+            </div>
+          </div>
+        </div>
+
         <!-- 字体库 -->
         <div class="font-warehouse-section">
           <div class="font-warehouse-header" id="font-warehouse-toggle">
@@ -202,6 +302,9 @@ body {
                 </div>
               ` : ''}
               
+              <!-- 快捷切换和最近使用 -->
+              <div id="font-recent-strip" class="font-recent-strip"></div>
+
               <div id="font-list" class="font-list">
                 <!-- 字体项会动态生成 -->
               </div>
@@ -238,14 +341,118 @@ body {
           </div>
         </div>
         
+        <!-- 应用范围 -->
+        <div class="slot-manager-section">
+          <div class="slot-manager-header" id="slot-manager-toggle">
+            <h4><i class="fa fa-object-group"></i> 应用范围</h4>
+            <i class="fa fa-chevron-${this.uiState.slotManagerExpanded ? 'up' : 'down'}" id="slot-manager-icon"></i>
+          </div>
+          <div class="slot-manager-content" id="slot-manager-content" style="${this.uiState.slotManagerExpanded ? '' : 'display: none;'}">
+            <div id="slot-list" class="slot-list">
+              <!-- 插槽设置会动态生成 -->
+            </div>
+            <p class="hint">字号为相对默认字号的倍率，留空表示不修改。未选择字体的区域跟随全局字体。</p>
+          </div>
+        </div>
+        
+        <!-- 字体绑定 -->
+        <div class="binding-manager-section">
+          <div class="binding-manager-header" id="binding-manager-toggle">
+            <h4><i class="fa fa-link"></i> 字体绑定</h4>
+            <i class="fa fa-chevron-${this.uiState.bindingManagerExpanded ? 'up' : 'down'}" id="binding-manager-icon"></i>
+          </div>
+          <div class="binding-manager-content" id="binding-manager-content" style="${this.uiState.bindingManagerExpanded ? '' : 'display: none;'}">
+            <div id="binding-context" class="binding-context">
+              <!-- 当前聊天上下文会动态生成 -->
+            </div>
+            <div class="binding-add-controls">
+              <select id="binding-font-select" class="text_pole compact">
+                <!-- 字体选项会动态生成 -->
+              </select>
+              <button class="menu_button compact binding-add-btn" data-type="character" title="绑定到当前角色">
+                <i class="fa fa-user"></i> 角色
+              </button>
+              <button class="menu_button compact binding-add-btn" data-type="group" title="绑定到当前群组">
+                <i class="fa fa-users"></i> 群组
+              </button>
+              <button class="menu_button compact binding-add-btn" data-type="chat" title="绑定到当前聊天">
+                <i class="fa fa-comments"></i> 聊天
+              </button>
+            </div>
+            <div id="binding-list" class="binding-list">
+              <!-- 绑定规则会动态生成 -->
+            </div>
+            <p class="hint">优先级：聊天 &gt; 群组 &gt; 角色 &gt; 自动切换 &gt; 全局字体。没有命中的规则时使用全局字体。</p>
+          </div>
+        </div>
+
+        <!-- 自动切换 -->
+        <div class="schedule-manager-section">
+          <div class="schedule-manager-header" id="schedule-manager-toggle">
+            <h4><i class="fa fa-clock"></i> 自动切换</h4>
+            <i class="fa fa-chevron-${this.uiState.scheduleManagerExpanded ? 'up' : 'down'}" id="schedule-manager-icon"></i>
+          </div>
+          <div class="schedule-manager-content" id="schedule-manager-content" style="${this.uiState.scheduleManagerExpanded ? '' : 'display: none;'}">
+            <div id="schedule-status" class="binding-context">
+              <!-- 自动切换状态会动态生成 -->
+            </div>
+            <div class="binding-add-controls">
+              <select id="schedule-type-select" class="text_pole compact">
+                ${Object.entries(SCHEDULE_TYPES).map(([type, label]) => `<option value="${type}">${label}</option>`).join('')}
+              </select>
+              <div id="schedule-params" class="schedule-params">
+                <!-- 规则参数会根据类型动态生成 -->
+              </div>
+            </div>
+            <div class="binding-add-controls">
+              <select id="schedule-font-select" class="text_pole compact">
+                <!-- 字体选项会动态生成 -->
+              </select>
+              <button id="schedule-add-btn" class="menu_button compact">+ 添加规则</button>
+            </div>
+            <div id="schedule-list" class="binding-list">
+              <!-- 规则列表会动态生成 -->
+            </div>
+            <p class="hint">规则按顺序匹配，第一个命中的生效。手动切换字体后，自动切换会暂停到下一个规则边界（时间段开始/结束、主题或明暗模式变化）。</p>
+          </div>
+        </div>
+
+        <!-- 字体合集 -->
+        <div class="collection-manager-section">
+          <div class="collection-manager-header" id="collection-manager-toggle">
+            <h4><i class="fa fa-box-archive"></i> 字体合集</h4>
+            <i class="fa fa-chevron-${this.uiState.collectionManagerExpanded ? 'up' : 'down'}" id="collection-manager-icon"></i>
+          </div>
+          <div class="collection-manager-content" id="collection-manager-content" style="${this.uiState.collectionManagerExpanded ? '' : 'display: none;'}">
+            <div class="binding-add-controls">
+              <button id="collection-create-btn" class="menu_button compact">+ 新建合集</button>
+              <button id="collection-import-btn" class="menu_button compact">
+                <i class="fa fa-file-import"></i> 导入清单
+              </button>
+            </div>
+            <div id="collection-list" class="collection-list">
+              <!-- 合集列表会动态生成 -->
+            </div>
+            <p class="hint">合集可以按标签自动收录，也可以手动挑选字体。导出的清单可以粘贴或通过链接分享，导入前会先显示新增、有变化和冲突的字体。</p>
+          </div>
+        </div>
+        
         <!-- 隐藏的文件选择器 -->
         <input type="file" id="font-import-file" accept=".json" style="display: none;">
+        <input type="file" id="font-upload-file" accept=".ttf,.otf,.woff,.woff2" multiple style="display: none;">
       </div>
     `;
 
     this.refreshFontList();
     this.refreshTagManager();
     this.updateTagFilter();
+    this.refreshBindingManager();
+    this.refreshSlotManager();
+    this.renderScheduleParams();
+    this.refreshScheduleManager();
+    this.refreshCollectionManager();
+    this.refreshPreviewPanes();
+    this.updateHistoryButtons();
   }
 
   /**
@@ -283,6 +490,60 @@ body {
       });
     }
 
+    // 字体预览折叠
+    const previewToggle = this.container.querySelector('#font-preview-toggle');
+    if (previewToggle) {
+      previewToggle.addEventListener('click', () => {
+        const content = this.container.querySelector('#font-preview-content');
+        const icon = this.container.querySelector('#font-preview-icon');
+
+        this.uiState.previewExpanded = !this.uiState.previewExpanded;
+        content.style.display = this.uiState.previewExpanded ? 'block' : 'none';
+        icon.className = `fa fa-chevron-${this.uiState.previewExpanded ? 'up' : 'down'}`;
+
+        if (this.uiState.previewExpanded) {
+          this.refreshPreviewPanes();
+        }
+      });
+    }
+
+    // 字体预览：添加对比字体
+    const previewAddBtn = this.container.querySelector('#font-preview-add-btn');
+    if (previewAddBtn) {
+      previewAddBtn.addEventListener('click', () => {
+        const fontName = this.container.querySelector('#font-preview-add-select').value;
+        if (fontName) {
+          this.addPreviewFont(fontName);
+        }
+      });
+    }
+
+    // 字体预览：示例文字和消息数量
+    const previewSample = this.container.querySelector('#font-preview-sample');
+    if (previewSample) {
+      previewSample.value = this.uiState.previewSample;
+      previewSample.addEventListener('input', (e) => {
+        this.uiState.previewSample = e.target.value;
+        this.refreshPreviewPanes();
+      });
+    }
+
+    const previewCount = this.container.querySelector('#font-preview-count');
+    if (previewCount) {
+      previewCount.addEventListener('change', (e) => {
+        this.uiState.previewMessageCount = Math.min(20, Math.max(1, parseInt(e.target.value) || 5));
+        e.target.value = this.uiState.previewMessageCount;
+        this.refreshPreviewPanes();
+      });
+    }
+
+    const previewHover = this.container.querySelector('#font-preview-hover');
+    if (previewHover) {
+      previewHover.addEventListener('change', (e) => {
+        this.uiState.hoverPreview = e.target.checked;
+      });
+    }
+
     // 字体库折叠
     const warehouseToggle = this.container.querySelector('#font-warehouse-toggle');
     if (warehouseToggle) {
@@ -317,18 +578,148 @@ body {
       });
     }
 
+    // 应用范围折叠
+    const slotToggle = this.container.querySelector('#slot-manager-toggle');
+    if (slotToggle) {
+      slotToggle.addEventListener('click', () => {
+        const content = this.container.querySelector('#slot-manager-content');
+        const icon = this.container.querySelector('#slot-manager-icon');
+
+        this.uiState.slotManagerExpanded = !this.uiState.slotManagerExpanded;
+        content.style.display = this.uiState.slotManagerExpanded ? 'block' : 'none';
+        icon.className = `fa fa-chevron-${this.uiState.slotManagerExpanded ? 'up' : 'down'}`;
+
+        if (this.uiState.slotManagerExpanded) {
+          this.refreshSlotManager();
+        }
+      });
+    }
+
+    // 字体绑定折叠
+    const bindingToggle = this.container.querySelector('#binding-manager-toggle');
+    if (bindingToggle) {
+      bindingToggle.addEventListener('click', () => {
+        const content = this.container.querySelector('#binding-manager-content');
+        const icon = this.container.querySelector('#binding-manager-icon');
+
+        this.uiState.bindingManagerExpanded = !this.uiState.bindingManagerExpanded;
+        content.style.display = this.uiState.bindingManagerExpanded ? 'block' : 'none';
+        icon.className = `fa fa-chevron-${this.uiState.bindingManagerExpanded ? 'up' : 'down'}`;
+
+        if (this.uiState.bindingManagerExpanded) {
+          this.refreshBindingManager();
+        }
+      });
+    }
+
+    // 添加绑定按钮（角色/群组/聊天）
+    // 自动切换折叠
+    const scheduleToggle = this.container.querySelector('#schedule-manager-toggle');
+    if (scheduleToggle) {
+      scheduleToggle.addEventListener('click', () => {
+        const content = this.container.querySelector('#schedule-manager-content');
+        const icon = this.container.querySelector('#schedule-manager-icon');
+
+        this.uiState.scheduleManagerExpanded = !this.uiState.scheduleManagerExpanded;
+        content.style.display = this.uiState.scheduleManagerExpanded ? 'block' : 'none';
+        icon.className = `fa fa-chevron-${this.uiState.scheduleManagerExpanded ? 'up' : 'down'}`;
+
+        if (this.uiState.scheduleManagerExpanded) {
+          this.refreshScheduleManager();
+        }
+      });
+    }
+
+    // 字体合集折叠
+    const collectionToggle = this.container.querySelector('#collection-manager-toggle');
+    if (collectionToggle) {
+      collectionToggle.addEventListener('click', () => {
+        const content = this.container.querySelector('#collection-manager-content');
+        const icon = this.container.querySelector('#collection-manager-icon');
+
+        this.uiState.collectionManagerExpanded = !this.uiState.collectionManagerExpanded;
+        content.style.display = this.uiState.collectionManagerExpanded ? 'block' : 'none';
+        icon.className = `fa fa-chevron-${this.uiState.collectionManagerExpanded ? 'up' : 'down'}`;
+
+        if (this.uiState.collectionManagerExpanded) {
+          this.refreshCollectionManager();
+        }
+      });
+    }
+
+    const collectionCreateBtn = this.container.querySelector('#collection-create-btn');
+    if (collectionCreateBtn) {
+      collectionCreateBtn.addEventListener('click', () => this.showCollectionDialog());
+    }
+
+    const collectionImportBtn = this.container.querySelector('#collection-import-btn');
+    if (collectionImportBtn) {
+      collectionImportBtn.addEventListener('click', () => this.handleImportCollection());
+    }
+
+    // 自动切换：切换规则类型时更新参数输入
+    const scheduleType = this.container.querySelector('#schedule-type-select');
+    if (scheduleType) {
+      scheduleType.addEventListener('change', () => this.renderScheduleParams());
+    }
+
+    // 自动切换：添加规则
+    const scheduleAddBtn = this.container.querySelector('#schedule-add-btn');
+    if (scheduleAddBtn) {
+      scheduleAddBtn.addEventListener('click', () => this.handleAddScheduleRule());
+    }
+
+    this.container.querySelectorAll('.binding-add-btn').forEach(btn => {
+      btn.addEventListener('click', async (e) => {
+        const type = e.currentTarget.dataset.type;
+        const fontName = this.container.querySelector('#binding-font-select')?.value;
+
+        if (!fontName) {
+          toastr.warning('请先选择要绑定的字体');
+          return;
+        }
+
+        const binding = await this.fontManager.addBinding(type, fontName);
+        if (binding) {
+          toastr.success(`已将字体绑定到 ${binding.label}`);
+        } else {
+          const typeText = { character: '角色', group: '群组', chat: '聊天' }[type];
+          toastr.warning(`当前没有可绑定的${typeText}`);
+        }
+      });
+    });
+
     // 添加字体按钮
     const addFontBtn = this.container.querySelector('#add-font-btn');
     if (addFontBtn) {
       addFontBtn.addEventListener('click', () => this.handleAddFont());
     }
 
+    // 上传本地字体文件按钮
+    const uploadBtn = this.container.querySelector('#font-upload-btn');
+    const uploadFile = this.container.querySelector('#font-upload-file');
+    if (uploadBtn && uploadFile) {
+      uploadBtn.addEventListener('click', () => uploadFile.click());
+      uploadFile.addEventListener('change', (e) => this.handleUploadFontFiles(e));
+    }
+
     // 搜索框（搜索时重置到第1页）
     const searchInput = this.container.querySelector('#font-search');
     if (searchInput) {
       searchInput.addEventListener('input', (e) => {
         this.uiState.fontSearchQuery = e.target.value;
         this.uiState.fontCurrentPage = 1; // 重置到第1页
+        this.fontManager.setSearchQuery(e.target.value);
+        this.refreshFontList();
+      });
+    }
+
+    // 排序方式
+    const sortSelect = this.container.querySelector('#font-sort');
+    if (sortSelect) {
+      sortSelect.addEventListener('change', (e) => {
+        this.uiState.fontSortBy = e.target.value;
+        this.uiState.fontCurrentPage = 1;
         this.refreshFontList();
       });
     }
@@ -343,6 +734,35 @@ body {
       });
     }
 
+    // 多标签筛选
+    const tagFilterBtn = this.container.querySelector('#font-tag-filter-btn');
+    if (tagFilterBtn) {
+      tagFilterBtn.addEventListener('click', () => {
+        this.uiState.tagFilterPanelOpen = !this.uiState.tagFilterPanelOpen;
+        this.container.querySelector('#font-tag-filter-panel').style.display = this.uiState.tagFilterPanelOpen ? 'block' : 'none';
+      });
+    }
+
+    const tagFilterMode = this.container.querySelector('#font-tag-filter-mode');
+    if (tagFilterMode) {
+      tagFilterMode.addEventListener('change', (e) => {
+        this.uiState.tagFilter.mode = e.target.value;
+        this.uiState.fontCurrentPage = 1;
+        this.refreshFontList();
+      });
+    }
+
+    const tagFilterClear = this.container.querySelector('#font-tag-filter-clear');
+    if (tagFilterClear) {
+      tagFilterClear.addEventListener('click', () => {
+        this.uiState.tagFilter.include = [];
+        this.uiState.tagFilter.exclude = [];
+        this.uiState.fontCurrentPage = 1;
+        this.updateTagFilter();
+        this.refreshFontList();
+      });
+    }
+
     // 导入按钮
     const importBtn = this.container.querySelector('#font-import-btn');
     const importFile = this.container.querySelector('#font-import-file');
@@ -357,12 +777,40 @@ body {
       exportBtn.addEventListener('click', () => this.handleExportFonts());
     }
 
+    // 撤销/重做
+    const undoBtn = this.container.querySelector('#font-undo-btn');
+    if (undoBtn) {
+      undoBtn.addEventListener('click', () => this.handleHistoryStep('undo'));
+    }
+
+    const redoBtn = this.container.querySelector('#font-redo-btn');
+    if (redoBtn) {
+      redoBtn.addEventListener('click', () => this.handleHistoryStep('redo'));
+    }
+
+    const historyClearBtn = this.container.querySelector('#font-history-clear-btn');
+    if (historyClearBtn) {
+      historyClearBtn.addEventListener('click', async () => {
+        const confirmed = await callGenericPopup(
+          '确定要清空操作历史吗？\n清空后之前的操作无法再撤销，已删除字体的本地文件也会一并删除。',
+          POPUP_TYPE.CONFIRM,
+          '',
+          { okButton: '确认清空', cancelButton: '取消' }
+        );
+
+        if (confirmed) {
+          await this.fontManager.clearHistory();
+          toastr.success('已清空操作历史');
+        }
+      });
+    }
+
     // 清空所有字体
     const clearAllBtn = this.container.querySelector('#font-clear-all-btn');
     if (clearAllBtn) {
       clearAllBtn.addEventListener('click', async () => {
         const confirmed = await callGenericPopup(
-          '确定要清空所有字体吗？此操作不可恢复！',
+          '确定要清空所有字体吗？\n清空后可以用"撤销"按钮恢复。',
           POPUP_TYPE.CONFIRM,
           '',
           { okButton: '确认清空', cancelButton: '取消' }
@@ -376,6 +824,18 @@ body {
       });
     }
 
+    // 检查所有字体
+    const healthCheckBtn = this.container.querySelector('#font-health-check-btn');
+    if (healthCheckBtn) {
+      healthCheckBtn.addEventListener('click', () => this.handleCheckAllFonts());
+    }
+
+    // 移除失效字体
+    const removeBrokenBtn = this.container.querySelector('#font-remove-broken-btn');
+    if (removeBrokenBtn) {
+      removeBrokenBtn.addEventListener('click', () => this.handleRemoveBrokenFonts());
+    }
+
     // 批量删除按钮
     const batchDeleteBtn = this.container.querySelector('#font-batch-delete-btn');
     if (batchDeleteBtn) {
@@ -431,12 +891,56 @@ body {
     }
 
     // 监听字体管理器的事件
-    eventSource.on('pawsFontAdded', () => this.refreshFontList());
-    eventSource.on('pawsFontRemoved', () => this.refreshFontList());
-    eventSource.on('pawsFontUpdated', () => this.refreshFontList());
+    eventSource.on('pawsFontAdded', () => {
+      this.refreshFontList();
+      this.refreshBindingManager();
+      this.refreshSlotManager();
+      this.refreshPreviewPanes();
+    });
+    eventSource.on('pawsFontRemoved', (font) => {
+      this.uiState.previewFonts = this.uiState.previewFonts.filter(name => name !== font?.name);
+      this.refreshFontList();
+      this.refreshBindingManager();
+      this.refreshSlotManager();
+      this.refreshPreviewPanes();
+    });
+    eventSource.on('pawsFontUpdated', ({ oldName, font } = {}) => {
+      if (font) {
+        this.uiState.previewFonts = this.uiState.previewFonts.map(name => name === oldName ? font.name : name);
+      }
+      this.refreshFontList();
+      this.refreshBindingManager();
+      this.refreshSlotManager();
+      this.refreshPreviewPanes();
+    });
+    eventSource.on('pawsFontSlotsChanged', () => this.refreshSlotManager());
+    eventSource.on('pawsFontQuickSlotsChanged', () => this.refreshFontList());
+    eventSource.on('pawsFontQuickSwitched', ({ key, fontName }) => {
+      const font = this.fontManager.getFont(fontName);
+      toastr.info(`已切换到 ${font?.displayName || fontName}（Alt+${key}）`);
+    });
     eventSource.on('pawsFontTagsChanged', () => {
       this.refreshTagManager();
       this.updateTagFilter();
+      this.refreshCollectionManager();
+    });
+    eventSource.on('pawsFontBindingsChanged', () => this.refreshBindingManager());
+    eventSource.on('pawsFontScheduleChanged', () => {
+      this.refreshScheduleManager();
+      this.refreshBindingManager();
+    });
+    eventSource.on('pawsFontCollectionsChanged', () => this.refreshCollectionManager());
+    eventSource.on('pawsFontHistoryChanged', () => this.updateHistoryButtons());
+    eventSource.on('pawsFontHistoryApplied', () => {
+      this.refresh();
+      this.refreshScheduleManager();
+      this.refreshPreviewPanes();
+    });
+    eventSource.on('pawsFontActiveChanged', () => this.refreshFontList());
+    eventSource.on('pawsFontHealthChecked', () => this.refreshFontList());
+    eventSource.on(event_types.CHAT_CHANGED, () => {
+      this.refreshBindingManager();
+      this.refreshPreviewPanes();
     });
   }
 
@@ -445,11 +949,11 @@ body {
    * 
    * @description
    * 用户点击"添加"按钮后的处理流程：
-   * 1. 读取输入框的 CSS 代码和自定义名称
-   * 2. 如果只有 import 没有 font-family，强制要求输入自定义名称
-   * 3. 调用 fontManager.parseFont() 解析字体数据
-   * 4. 调用 fontManager.addFont() 添加到管理器
-   * 5. 添加成功后自动应用该字体
+   * 1. 读取输入框的代码（CSS / @font-face / <link>）和自定义名称
+   * 2. 调用 fontManager.parseFonts() 解析出所有字体族
+   * 3. 只有链接没有字体族名时，要求输入自定义名称
+   * 4. 找到多个字体族时弹窗让用户勾选要添加的字体
+   * 5. 逐个调用 fontManager.addFont() 添加，并自动应用第一个
    * 6. 清空输入框并刷新列表
    * 
    * @async
@@ -467,164 +971,492 @@ body {
     logger.debug('[FontManagerUI.handleAddFont] 开始添加字体，自定义名称:', customName || '无');
 
     // 解析字体
-    let fontData = null;
+    let fonts = this.fontManager.parseFonts(input, customName || null);
 
-    // 检查是否只有@import（没有font-family）
-    if (input.includes('@import') && !input.includes('font-family')) {
-      if (!customName) {
-        logger.warn('[FontManagerUI.handleAddFont] 仅包含@import但未提供自定义名称');
-        toastr.warning('检测到仅包含@import链接，请输入自定义字体名称');
-        return;
-      }
-
-      fontData = this.fontManager.parseFont(input, customName);
-      if (fontData) {
-        fontData.css = `${input}\nbody { font-family: "${customName}"; }`;
-        fontData.fontFamily = customName;
+    if (fonts.length === 0) {
+      logger.warn('[FontManagerUI.handleAddFont] 解析字体失败，输入:', input.substring(0, 100) + '...');
+      if (!customName && /@import|<link|https?:\/\//i.test(input)) {
+        toastr.warning('没有找到字体名称，请输入自定义字体名称');
+      } else {
+        toastr.error('无法解析字体代码，请检查格式');
       }
-    } else {
-      fontData = this.fontManager.parseFont(input, customName);
+      return;
     }
 
-    if (!fontData) {
-      logger.warn('[FontManagerUI.handleAddFont] 解析字体失败，输入:', input.substring(0, 100) + '...');
-      toastr.error('无法解析字体代码，请检查格式');
-      return;
+    // 多个字体族：让用户选择
+    if (fonts.length > 1) {
+      fonts = await this.pickFontFamilies(fonts);
+      if (fonts.length === 0) {
+        logger.debug('[FontManagerUI.handleAddFont] 用户未选择任何字体');
+        return;
+      }
     }
 
     // 添加字体
-    const success = await this.fontManager.addFont(fontData);
+    const added = [];
+    for (const fontData of fonts) {
+      if (await this.fontManager.addFont(fontData)) {
+        added.push(fontData);
+      }
+    }
 
-    if (success) {
+    if (added.length > 0) {
       // 清空输入
       this.container.querySelector('#font-input').value = '';
       this.container.querySelector('#font-name-input').value = '';
 
       // 自动应用
-      await this.fontManager.setCurrentFont(fontData.name);
+      await this.fontManager.setCurrentFont(added[0].name);
 
       this.refreshFontList();
-      logger.info('[FontManagerUI.handleAddFont] 字体添加成功:', fontData.name);
-      toastr.success('字体添加成功');
+      logger.info('[FontManagerUI.handleAddFont] 字体添加成功:', added.map(font => font.name));
+
+      const skipped = fonts.length - added.length;
+      if (fonts.length === 1) {
+        toastr.success('字体添加成功');
+      } else {
+        toastr.success(`已添加 ${added.length} 个字体${skipped > 0 ? `，${skipped} 个已存在` : ''}`);
+      }
     } else {
-      logger.warn('[FontManagerUI.handleAddFont] 字体添加失败:', fontData.name);
+      logger.warn('[FontManagerUI.handleAddFont] 字体添加失败:', fonts.map(font => font.name));
       toastr.error('字体添加失败，可能已存在同名字体');
     }
   }
 
   /**
-   * 处理导入文件操作
+   * 弹窗选择要添加的字体族
    * 
    * @description
-   * 用户选择 JSON 文件后的处理流程：
-   * 1. 读取文件内容
-   * 2. 检查导入模式（合并/替换）
-   * 3. 调用 fontManager.importFonts() 导入
-   * 4. 显示导入结果（成功数量和模式）
-   * 5. 刷新字体列表
+   * 代码里包含多个字体族时（如一个 Google Fonts 链接引入了多个字体），
+   * 列出每个字体族的字重、样式和字符范围，默认全部勾选
    * 
    * @async
-   * @param {Event} event - 文件选择事件
+   * @param {Object[]} fonts - parseFonts() 的结果
+   * @returns {Promise<Object[]>} 用户勾选的字体，取消时返回空数组
    */
-  async handleImportFile(event) {
-    const file = event.target.files[0];
-    if (!file) {
-      logger.debug('[FontManagerUI.handleImportFile] 用户取消选择文件');
-      return;
-    }
-
-    const mergeCheckbox = this.container.querySelector('#import-merge');
-    const merge = mergeCheckbox ? mergeCheckbox.checked : true;
-
-    logger.debug('[FontManagerUI.handleImportFile] 开始导入文件:', file.name, '大小:', file.size, '字节, 模式:', merge ? '合并' : '替换');
-
-    try {
-      const text = await file.text();
-      const count = await this.fontManager.importFonts(text, merge);
+  async pickFontFamilies(fonts) {
+    const describe = (font) => {
+      const variants = font.variants || [];
+      const weights = [...new Set(variants.map(variant => variant.weight))].join(' / ');
+      const italic = variants.some(variant => variant.style && variant.style !== 'normal');
+      const ranges = variants.filter(variant => variant.unicodeRange).length;
+      return [
+        weights && `字重 ${weights}`,
+        italic && '含斜体',
+        ranges > 0 && `${ranges} 个字符范围`,
+        font.source === 'fontface' ? '@font-face' : '链接'
+      ].filter(Boolean).join(' · ');
+    };
 
-      const modeText = merge ? '增加' : '覆盖';
-      logger.info('[FontManagerUI.handleImportFile] 导入成功:', count, '个字体，文件:', file.name);
-      toastr.success(`成功导入 ${count} 个字体（${modeText}模式）`);
+    const $html = $(`
+      <div class="font-family-picker">
+        <h3>找到 ${fonts.length} 个字体</h3>
+        <p>勾选要添加的字体：</p>
+        ${fonts.map((font, index) => `
+          <label class="checkbox_label font-family-option">
+            <input type="checkbox" data-index="${index}" checked>
+            <span class="font-family-name" style="font-family: '${font.fontFamily}'">${font.name}</span>
+            <small class="font-family-meta">${describe(font)}</small>
+          </label>
+        `).join('')}
+      </div>
+    `);
+
+    // 预览需要先加载字体
+    const previewStyle = document.createElement('style');
+    previewStyle.textContent = fonts
+      .map(font => font.url ? `@import url("${font.url}");` : '')
+      .join('\n') + fonts.map(font => font.faceCss || '').join('\n');
+    document.head.appendChild(previewStyle);
+
+    const result = await callGenericPopup($html, POPUP_TYPE.CONFIRM, '', {
+      okButton: '添加',
+      cancelButton: '取消'
+    });
+    previewStyle.remove();
 
-      event.target.value = '';
-      this.refreshFontList();
-    } catch (error) {
-      logger.error('[FontManagerUI.handleImportFile] 导入失败:', error.message || error);
-      toastr.error('导入失败: ' + error.message);
-      event.target.value = '';
+    if (!result) {
+      return [];
     }
+
+    return $html.find('input[type="checkbox"]:checked')
+      .toArray()
+      .map(checkbox => fonts[Number(checkbox.dataset.index)]);
   }
 
   /**
-   * 处理导出字体操作
+   * 处理检查所有字体操作
    * 
    * @description
-   * 将所有字体配置导出为 JSON 文件：
-   * 1. 调用 fontManager.exportFonts() 生成 JSON 数据
-   * 2. 创建 Blob 对象
-   * 3. 触发浏览器下载（文件名包含日期）
-   * 4. 显示成功提示
+   * 逐个检查字体能否加载，检查期间按钮显示进度并禁用，
+   * 结束后提示失败数量
+   * 
+   * @async
    */
-  handleExportFonts() {
-    const fontCount = this.fontManager.fonts.size;
-    logger.debug('[FontManagerUI.handleExportFonts] 开始导出', fontCount, '个字体');
+  async handleCheckAllFonts() {
+    const btn = this.container.querySelector('#font-health-check-btn');
+    if (this.fontManager.getAllFonts().length === 0) {
+      toastr.info('还没有添加任何字体');
+      return;
+    }
+    if (btn?.disabled) return;
 
-    const data = this.fontManager.exportFonts();
+    if (btn) btn.disabled = true;
+    const toast = toastr.info('正在检查字体...', '', { timeOut: 0, extendedTimeOut: 0 });
 
-    const blob = new Blob([data], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    const filename = `paws-puffs-fonts-${new Date().toISOString().split('T')[0]}.json`;
-    a.href = url;
-    a.download = filename;
-    a.click();
-    URL.revokeObjectURL(url);
+    try {
+      const result = await this.fontManager.checkAllFonts((done, total) => {
+        toast.find('.toast-message').text(`正在检查字体 ${done}/${total}...`);
+      });
 
-    logger.info('[FontManagerUI.handleExportFonts] 导出成功:', fontCount, '个字体，文件名:', filename);
-    toastr.success('字体配置已导出');
+      if (result.broken > 0) {
+        toastr.warning(`${result.broken} 个字体加载失败，可以点击 <i class="fa fa-unlink"></i> 移除`, '', { escapeHtml: false });
+      } else {
+        toastr.success(`全部 ${result.ok} 个字体加载正常`);
+      }
+    } finally {
+      toastr.clear(toast);
+      if (btn) btn.disabled = false;
+    }
   }
 
   /**
-   * 刷新字体列表
+   * 处理移除失效字体操作
    * 
    * @description
-   * 根据当前状态（搜索、筛选、排序、分页）渲染字体列表：
-   * 1. 从 fontManager 获取字体数据
-   * 2. 应用搜索过滤（匹配字体名、显示名、标签）
-   * 3. 应用标签筛选（all/untagged/具体标签）
-   * 4. 排序（name/date/custom）
-   * 5. 当前字体置顶
-   * 6. 分页处理
-   * 7. 渲染字体项 HTML
-   * 8. 绑定字体项事件
-   * 9. 渲染分页导航
+   * 列出上次检查失败的字体，确认后全部删除
    * 
-   * 搜索或筛选时会重置到第1页
+   * @async
    */
-  refreshFontList() {
-    const fontList = this.container.querySelector('#font-list');
-    const emptyState = this.container.querySelector('.font-empty-state');
-
-    if (!fontList) return;
-
-    // 获取字体列表
-    let fonts = this.fontManager.getAllFonts(this.uiState.fontFilterTag);
-
-    // 搜索过滤
-    if (this.uiState.fontSearchQuery) {
-      const query = this.uiState.fontSearchQuery.toLowerCase();
-      fonts = fonts.filter(font =>
-        font.name.toLowerCase().includes(query) ||
-        font.displayName.toLowerCase().includes(query) ||
-        (font.tags && font.tags.some(tag => tag.toLowerCase().includes(query)))
-      );
+  async handleRemoveBrokenFonts() {
+    const broken = this.fontManager.getBrokenFonts();
+    if (broken.length === 0) {
+      toastr.info('没有加载失败的字体（可以先点击 <i class="fa fa-stethoscope"></i> 检查）', '', { escapeHtml: false });
+      return;
     }
 
-    // 排序
-    fonts.sort((a, b) => {
-      switch (this.uiState.fontSortBy) {
-        case 'name':
-          return a.displayName.localeCompare(b.displayName);
+    const confirmed = await callGenericPopup(
+      `以下 ${broken.length} 个字体上次检查时加载失败，确定要删除吗？<br><br>${broken.map(font => font.displayName || font.name).join('、')}`,
+      POPUP_TYPE.CONFIRM,
+      '',
+      { okButton: '确认删除', cancelButton: '取消' }
+    );
+
+    if (confirmed) {
+      const count = await this.fontManager.removeBrokenFonts();
+      this.refreshFontList();
+      toastr.success(`已删除 ${count} 个失效字体`);
+    }
+  }
+
+  /**
+   * 处理上传本地字体文件操作
+   * 
+   * @description
+   * 用户选择字体文件后的处理流程：
+   * 1. 逐个调用 fontManager.addLocalFont() 上传并注册
+   * 2. 只选了一个文件时使用输入框里的自定义名称，并自动应用
+   * 3. 显示上传结果（成功和失败数量）
+   * 
+   * @async
+   * @param {Event} event - 文件选择事件
+   */
+  async handleUploadFontFiles(event) {
+    const files = Array.from(event.target.files || []);
+    if (files.length === 0) {
+      logger.debug('[FontManagerUI.handleUploadFontFiles] 用户取消选择文件');
+      return;
+    }
+
+    const customName = files.length === 1
+      ? this.container.querySelector('#font-name-input').value.trim()
+      : '';
+
+    logger.debug('[FontManagerUI.handleUploadFontFiles] 开始上传', files.length, '个字体文件');
+
+    const added = [];
+    let failed = 0;
+    for (const file of files) {
+      try {
+        const fontData = await this.fontManager.addLocalFont(file, customName || null);
+        if (fontData) {
+          added.push(fontData);
+        } else {
+          failed++;
+          toastr.warning(`字体已存在：${customName || file.name}`);
+        }
+      } catch (error) {
+        failed++;
+        logger.error('[FontManagerUI.handleUploadFontFiles] 上传失败:', file.name, error.message || error);
+        toastr.error(`上传失败：${file.name}（${error.message}）`);
+      }
+    }
+
+    event.target.value = '';
+
+    if (added.length === 1) {
+      this.container.querySelector('#font-name-input').value = '';
+      await this.fontManager.setCurrentFont(added[0].name);
+    }
+
+    if (added.length > 0) {
+      this.refreshFontList();
+      toastr.success(`已添加 ${added.length} 个本地字体${failed > 0 ? `，${failed} 个失败` : ''}`);
+    }
+
+    logger.info(`[FontManagerUI.handleUploadFontFiles] 上传完成: ${added.length} 成功, ${failed} 失败`);
+  }
+
+  /**
+   * 处理导入文件操作
+   * 
+   * @description
+   * 用户选择 JSON 文件后的处理流程：
+   * 1. 读取文件内容
+   * 2. 检查导入模式（合并/替换）
+   * 3. 调用 fontManager.previewImport() 校验数据、找出同名字体
+   * 4. 有冲突或无效记录时弹窗，让用户为每个冲突选择处理方式
+   * 5. 调用 fontManager.importFonts() 导入
+   * 6. 显示导入结果（有无效或失败的记录时列出原因）
+   * 
+   * @async
+   * @param {Event} event - 文件选择事件
+   */
+  async handleImportFile(event) {
+    const file = event.target.files[0];
+    if (!file) {
+      logger.debug('[FontManagerUI.handleImportFile] 用户取消选择文件');
+      return;
+    }
+
+    const mergeCheckbox = this.container.querySelector('#import-merge');
+    const merge = mergeCheckbox ? mergeCheckbox.checked : true;
+
+    logger.debug('[FontManagerUI.handleImportFile] 开始导入文件:', file.name, '大小:', file.size, '字节, 模式:', merge ? '合并' : '替换');
+
+    try {
+      const text = await file.text();
+      event.target.value = '';
+
+      const preview = this.fontManager.previewImport(text);
+      let resolutions = {};
+      if ((merge && preview.conflicts.length > 0) || preview.invalid.length > 0) {
+        resolutions = await this.resolveImportConflicts(merge ? preview.conflicts : [], preview.invalid);
+        if (!resolutions) {
+          logger.debug('[FontManagerUI.handleImportFile] 用户取消导入');
+          return;
+        }
+      }
+
+      const result = await this.fontManager.importFonts(text, { merge, resolutions });
+
+      const modeText = merge ? '增加' : '覆盖';
+      const parts = [
+        `新增 ${result.imported.length} 个`,
+        result.overwritten.length > 0 && `覆盖 ${result.overwritten.length} 个`,
+        result.renamed.length > 0 && `重命名 ${result.renamed.length} 个`,
+        result.tagsMerged.length > 0 && `合并标签 ${result.tagsMerged.length} 个`,
+        result.kept.length > 0 && `保留本地 ${result.kept.length} 个`
+      ].filter(Boolean);
+      logger.info('[FontManagerUI.handleImportFile] 导入完成:', file.name, result);
+      toastr.success(`${parts.join('，')}（${modeText}模式）`, '字体导入完成');
+
+      const problems = [...result.invalid, ...result.failed];
+      if (problems.length > 0) {
+        toastr.warning(`${problems.length} 条记录未能导入`);
+        this.showImportProblems(problems);
+      }
+
+      this.refreshFontList();
+    } catch (error) {
+      logger.error('[FontManagerUI.handleImportFile] 导入失败:', error.message || error);
+      toastr.error('导入失败: ' + error.message);
+      event.target.value = '';
+    }
+  }
+
+  /**
+   * 让用户为同名字体选择处理方式
+   * 
+   * @description
+   * 弹窗列出：
+   * - 每个同名字体一行，可选保留现有/覆盖/重命名导入/合并标签（默认保留现有）
+   * - 顶部"全部设为"下拉框，一次修改所有冲突
+   * - 校验失败、不会导入的记录及原因
+   * 
+   * @async
+   * @param {Array<{font: Object, existing: Object}>} conflicts - 同名字体
+   * @param {Array<{name: string, reasons: string[]}>} invalid - 无效记录
+   * @returns {Promise<Object<string, string>|null>} 字体名称 → 处理方式，取消时返回 null
+   */
+  async resolveImportConflicts(conflicts, invalid) {
+    const actionOptions = Object.entries(CONFLICT_ACTIONS)
+      .map(([action, label]) => `<option value="${action}">${label}</option>`)
+      .join('');
+
+    const $html = $(`
+      <div class="font-family-picker font-import-review">
+        <h3>导入确认</h3>
+        ${conflicts.length > 0 ? `
+          <p>有 ${conflicts.length} 个字体和本地字体同名，请选择处理方式：</p>
+          <div class="font-import-conflict">
+            <span class="font-family-name">全部设为</span>
+            <select class="text_pole compact font-import-all-select">
+              <option value="">—</option>
+              ${actionOptions}
+            </select>
+          </div>
+          ${conflicts.map(({ font, existing }) => `
+            <div class="font-import-conflict">
+              <span class="font-family-name">${escapeHtml(font.name)}</span>
+              <small class="font-family-meta">${existing.fontFamily === font.fontFamily ? '同一字体族' : `${existing.fontFamily} → ${font.fontFamily}`}</small>
+              <select class="text_pole compact font-import-action-select" data-font="${escapeHtml(font.name)}">
+                ${actionOptions}
+              </select>
+            </div>
+          `).join('')}
+        ` : ''}
+        ${invalid.length > 0 ? `
+          <h4>以下 ${invalid.length} 条记录无效，不会导入：</h4>
+          ${this.renderImportProblems(invalid)}
+        ` : ''}
+      </div>
+    `);
+
+    $html.find('.font-import-all-select').on('change', (e) => {
+      if (e.target.value) {
+        $html.find('.font-import-action-select').val(e.target.value);
+      }
+    });
+
+    const result = await callGenericPopup($html, POPUP_TYPE.CONFIRM, '', {
+      okButton: '导入',
+      cancelButton: '取消'
+    });
+    if (!result) return null;
+
+    const resolutions = {};
+    $html.find('.font-import-action-select').each((_, select) => {
+      resolutions[select.dataset.font] = select.value;
+    });
+    return resolutions;
+  }
+
+  /**
+   * 渲染未能导入的记录列表
+   * @param {Array<{name: string, reasons: string[]}>} problems - 无效或导入失败的记录
+   * @returns {string} HTML
+   */
+  renderImportProblems(problems) {
+    return `
+      <ul class="font-import-problems">
+        ${problems.map(problem => `<li><b>${escapeHtml(problem.name)}</b>：${escapeHtml(problem.reasons.join('；'))}</li>`).join('')}
+      </ul>
+    `;
+  }
+
+  /**
+   * 显示未能导入的记录及原因
+   * @param {Array<{name: string, reasons: string[]}>} problems - 无效或导入失败的记录
+   */
+  showImportProblems(problems) {
+    callGenericPopup(`
+      <div class="font-family-picker">
+        <h3>${problems.length} 条记录未能导入</h3>
+        ${this.renderImportProblems(problems)}
+      </div>
+    `, POPUP_TYPE.TEXT);
+  }
+
+  /**
+   * 处理导出字体操作
+   * 
+   * @description
+   * 将所有字体配置导出为 JSON 文件：
+   * 1. 有本地字体时，询问是否嵌入字体文件（方便分享给其他用户）
+   * 2. 调用 fontManager.exportFonts() 生成 JSON 数据
+   * 3. 创建 Blob 对象
+   * 4. 触发浏览器下载（文件名包含日期）
+   * 5. 显示成功提示
+   * 
+   * @async
+   */
+  async handleExportFonts() {
+    const fontCount = this.fontManager.fonts.size;
+    logger.debug('[FontManagerUI.handleExportFonts] 开始导出', fontCount, '个字体');
+
+    // 有本地字体时询问是否嵌入文件
+    const localCount = this.fontManager.getAllFonts().filter(font => font.source === 'local').length;
+    let embedFiles = false;
+    if (localCount > 0) {
+      embedFiles = !!await callGenericPopup(
+        `检测到 ${localCount} 个本地字体文件。\n\n是否把字体文件嵌入导出文件？\n嵌入后可以直接分享给其他人使用，但文件会变大。`,
+        POPUP_TYPE.CONFIRM,
+        '',
+        { okButton: '嵌入字体文件', cancelButton: '只导出配置' }
+      );
+    }
+
+    const data = await this.fontManager.exportFonts({ embedFiles });
+
+    const blob = new Blob([data], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    const filename = `paws-puffs-fonts-${new Date().toISOString().split('T')[0]}.json`;
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+
+    logger.info('[FontManagerUI.handleExportFonts] 导出成功:', fontCount, '个字体，文件名:', filename);
+    toastr.success('字体配置已导出');
+  }
+
+  /**
+   * 刷新字体列表
+   * 
+   * @description
+   * 根据当前状态（搜索、筛选、排序、分页）渲染字体列表：
+   * 1. 从 fontManager 获取字体数据
+   * 2. 应用搜索过滤（名称、字体族、标签、链接、ID、备注，支持模糊匹配和拼音）
+   * 3. 应用标签筛选（all/untagged/具体标签）
+   * 4. 排序（搜索时按相关度，相关度相同再按 usage/name/date/custom）
+   * 5. 当前字体置顶
+   * 6. 分页处理
+   * 7. 渲染字体项 HTML
+   * 8. 绑定字体项事件
+   * 9. 渲染分页导航
+   * 
+   * 搜索或筛选时会重置到第1页
+   */
+  refreshFontList() {
+    const fontList = this.container.querySelector('#font-list');
+    const emptyState = this.container.querySelector('.font-empty-state');
+
+    if (!fontList) return;
+
+    this.refreshRecentStrip();
+
+    // 获取字体列表
+    let fonts = this.fontManager.getAllFonts(this.uiState.fontFilterTag)
+      .filter(font => matchesTagFilter(font, this.uiState.tagFilter));
+
+    // 搜索过滤（模糊匹配、拼音、tag:手写 这样的字段限定）
+    const searchScores = this.fontManager.searchFonts(this.uiState.fontSearchQuery);
+    if (searchScores) {
+      fonts = fonts.filter(font => searchScores.has(font.name));
+    }
+
+    // 排序（搜索时相关度高的在前）
+    fonts.sort((a, b) => {
+      if (searchScores && searchScores.get(a.name) !== searchScores.get(b.name)) {
+        return searchScores.get(b.name) - searchScores.get(a.name);
+      }
+      switch (this.uiState.fontSortBy) {
+        case 'usage':
+          return compareByUsage(a, b) || a.displayName.localeCompare(b.displayName);
+        case 'name':
+          return a.displayName.localeCompare(b.displayName);
         case 'date':
           return new Date(b.addedAt) - new Date(a.addedAt);
         case 'custom':
@@ -688,6 +1520,7 @@ body {
 
       // 绑定字体项事件
       this.bindFontItemEvents();
+      this.refreshPreviewStyle();
 
       // 渲染分页导航
       this.renderFontPagination(totalFonts, totalPages);
@@ -710,11 +1543,15 @@ body {
    */
   createFontItem(font) {
     const isCurrent = this.fontManager.currentFont === font.name;
+    const isBoundActive = !isCurrent && this.fontManager.activeFont === font.name;
     const isExpanded = this.uiState.expandedFonts.has(font.name);
     const isSelected = this.uiState.selectedFontsForDelete.has(font.name);
+    const isBroken = font.health?.status === 'broken';
+    const usage = this.fontManager.getUsage(font.name);
+    const quickSlotKey = this.fontManager.getQuickSlots().find(slot => slot.fontName === font.name)?.key || '';
 
     const tagsHtml = font.tags && font.tags.length > 0
-      ? font.tags.map(tag => `<span class="font-tag">${tag}</span>`).join('')
+      ? font.tags.map(tag => this.renderTagBadge(tag, 'font-tag')).join('')
       : '<span class="font-tag-empty">无标签</span>';
 
     // 所有标签的复选框
@@ -728,16 +1565,12 @@ body {
 
     // 当前字体的标签列表
     const currentTagsList = font.tags && font.tags.length > 0
-      ? font.tags.map(tag => `
-        <div class="tag-item">
-          <span>${tag}</span>
-          <button class="remove-tag-btn" data-font="${font.name}" data-tag="${tag}">×</button>
-        </div>
-      `).join('')
+      ? font.tags.map(tag => this.renderTagBadge(tag, 'tag-item',
+        `<button class="remove-tag-btn" data-font="${font.name}" data-tag="${tag}">×</button>`)).join('')
       : '<div class="no-tags">暂无标签</div>';
 
     return `
-      <div class="font-item ${isCurrent ? 'current' : ''} ${isExpanded ? 'expanded' : ''} ${this.uiState.batchDeleteMode ? 'batch-mode' : ''}" 
+      <div class="font-item ${isCurrent ? 'current' : ''} ${isBroken ? 'broken' : ''} ${isExpanded ? 'expanded' : ''} ${this.uiState.batchDeleteMode ? 'batch-mode' : ''}" 
            data-font-name="${font.name}">
         
         <!-- 主信息行 -->
@@ -754,6 +1587,9 @@ body {
             <span class="font-item-name">
               ${font.displayName || font.name}
               ${isCurrent ? ' <span class="current-badge">✔</span>' : ''}
+              ${isBoundActive ? ' <span class="current-badge" title="当前聊天绑定的字体"><i class="fa fa-link"></i></span>' : ''}
+              ${font.source === 'local' ? ' <i class="fa fa-hard-drive font-source-icon" title="本地字体文件"></i>' : ''}
+              ${isBroken ? ` <i class="fa fa-triangle-exclamation font-broken-icon" title="加载失败：${font.health.error}"></i>` : ''}
             </span>
             <div class="font-item-tags">
               ${tagsHtml}
@@ -762,6 +1598,12 @@ body {
           
           ${this.uiState.batchDeleteMode ? '' : `
             <div class="font-item-actions">
+              <button class="font-action-btn font-favorite-btn ${font.favorite ? 'active' : ''}" data-font="${font.name}" title="${font.favorite ? '取消收藏' : '收藏'}">
+                <i class="${font.favorite ? 'fa' : 'fa-regular'} fa-star"></i>
+              </button>
+              <button class="font-action-btn font-preview-btn" data-font="${font.name}" title="加入预览对比">
+                <i class="fa fa-eye"></i>
+              </button>
               <button class="font-action-btn font-use-btn" data-font="${font.name}" title="使用">
                 <i class="fa fa-check"></i>
               </button>
@@ -777,6 +1619,44 @@ body {
         
         <!-- 展开的详情区域（批量删除模式下隐藏） -->
         <div class="font-item-details" style="display: ${!this.uiState.batchDeleteMode && isExpanded ? 'block' : 'none'};">
+          <div class="font-health-info ${isBroken ? 'broken' : ''}">
+            ${font.health ? `
+              上次检查：${isBroken ? `加载失败（${font.health.error}）` : '正常'}
+              · ${font.health.duration}ms · ${new Date(font.health.checkedAt).toLocaleString()}
+            ` : '尚未检查'}
+            <button class="font-check-btn" data-font="${font.name}" title="重新检查"><i class="fa fa-rotate"></i></button>
+          </div>
+
+          <div class="font-usage-info">
+            <span>
+              ${usage.count || usage.activeMs ? `
+                使用 ${usage.count} 次 · 累计 ${formatDuration(usage.activeMs)}
+                ${usage.lastUsed ? ` · 上次 ${new Date(usage.lastUsed).toLocaleString()}` : ''}
+              ` : '还没有使用过'}
+            </span>
+            <label class="font-quick-slot-label" title="按 Alt+数字键 切换到这个字体">
+              快捷切换
+              <select class="text_pole font-quick-slot-select" data-font="${font.name}">
+                <option value="">不设置</option>
+                ${this.fontManager.getQuickSlots().map(slot => `
+                  <option value="${slot.key}" ${slot.key === quickSlotKey ? 'selected' : ''}>
+                    Alt+${slot.key}${slot.fontName && slot.fontName !== font.name ? `（${this.fontManager.getFont(slot.fontName)?.displayName || slot.fontName}）` : ''}
+                  </option>
+                `).join('')}
+              </select>
+            </label>
+          </div>
+
+          <div class="font-notes-editor">
+            <h6>备注</h6>
+            <textarea class="text_pole font-notes-input" data-font="${font.name}" rows="2"
+                      placeholder="用途、来源、授权等，可以用 notes:关键词 搜索">${font.notes || ''}</textarea>
+          </div>
+
+          ${this.createFontStackEditor(font)}
+
+          ${this.createTypographyEditor(font)}
+
           <div class="tag-editor">
             <div class="tag-section">
               <h6>当前标签</h6>
@@ -788,7 +1668,7 @@ body {
             <div class="tag-section">
               <h6>添加标签</h6>
               <div class="tag-input-group">
-                <input type="text" class="tag-new-input" placeholder="输入新标签" data-font="${font.name}">
+                <input type="text" class="tag-new-input" placeholder="输入新标签（如 手写体/可爱）" data-font="${font.name}">
                 <button class="add-new-tag-btn" data-font="${font.name}">添加</button>
               </div>
               
@@ -806,67 +1686,455 @@ body {
   }
 
   /**
-   * 绑定字体项事件
+   * 生成字体栈编辑区的 HTML
    * 
    * @description
-   * 为渲染后的字体项绑定交互事件：
-   * 1. 展开/折叠详情（点击标题行）
-   * 2. 使用字体（点击使用按钮）
-   * 3. 编辑字体名称（点击编辑按钮，弹出输入框）
-   * 4. 删除字体（点击删除按钮，弹出确认）
-   * 5. 删除单个标签（点击标签的 × 按钮）
-   * 6. 添加新标签（点击添加按钮或按 Enter）
-   * 7. 应用选中标签（勾选复选框后点击应用按钮）
+   * 包含：
+   * - 字体栈预览（用最终的 font-family 渲染示例文字）
+   * - 最终的 font-family 值
+   * - 西文/中日韩/表情符号分别指定字体（下拉框）
+   * - 后备字体列表（逗号分隔，可填已管理字体名或系统字体族名）
    * 
-   * 所有操作完成后保持展开状态并刷新列表
+   * @param {Object} font - 字体数据对象
+   * @returns {string} HTML 字符串
    */
-  bindFontItemEvents() {
-    // 展开/折叠字体详情（批量删除模式下禁用）
-    this.container.querySelectorAll('.font-item-header').forEach(header => {
-      header.addEventListener('click', (e) => {
-        // 批量删除模式下禁用展开功能
-        if (this.uiState.batchDeleteMode) {
-          return;
-        }
+  createFontStackEditor(font) {
+    const stackValue = this.fontManager.getFontFamilyValue(font);
+    const otherFonts = this.fontManager.getAllFonts().filter(other => other.name !== font.name);
+
+    const scriptSelects = FONT_SCRIPTS.map(script => {
+      const selected = font.scripts?.[script.id] || '';
+      return `
+        <label class="font-script-item">
+          <span>${script.label}</span>
+          <select class="text_pole font-script-select" data-script="${script.id}">
+            <option value="">不指定</option>
+            ${otherFonts.map(other => `
+              <option value="${other.name}" ${selected === other.name ? 'selected' : ''}>${other.displayName || other.name}</option>
+            `).join('')}
+          </select>
+        </label>
+      `;
+    }).join('');
 
-        const fontName = e.currentTarget.dataset.font;
-        const fontItem = this.container.querySelector(`.font-item[data-font-name="${fontName}"]`);
-        const details = fontItem.querySelector('.font-item-details');
-        const icon = fontItem.querySelector('.expand-icon');
+    return `
+      <div class="font-stack-editor" data-font="${font.name}">
+        <h6>字体栈</h6>
+        <div class="font-stack-preview" data-preview-font="${font.name}">
+          Aa Bb 0123 永和九年 かな 😀
+        </div>
+        <code class="font-stack-value">${stackValue}</code>
+        <div class="font-script-list">
+          ${scriptSelects}
+        </div>
+        <div class="tag-input-group">
+          <input type="text" class="text_pole font-fallback-input" list="font-fallback-options-${font.order}"
+                 placeholder="后备字体，按顺序用逗号分隔（如 Noto Serif SC, serif）"
+                 value="${(font.fallbacks || []).join(', ')}">
+          <button class="save-stack-btn" data-font="${font.name}">保存</button>
+        </div>
+        <datalist id="font-fallback-options-${font.order}">
+          ${otherFonts.map(other => `<option value="${other.name}">`).join('')}
+          <option value="serif"><option value="sans-serif"><option value="monospace">
+        </datalist>
+      </div>
+    `;
+  }
 
-        if (this.uiState.expandedFonts.has(fontName)) {
-          this.uiState.expandedFonts.delete(fontName);
-          details.style.display = 'none';
-          fontItem.classList.remove('expanded');
-          icon.className = 'fa fa-chevron-down expand-icon';
-        } else {
-          this.uiState.expandedFonts.add(fontName);
-          details.style.display = 'block';
-          fontItem.classList.add('expanded');
-          icon.className = 'fa fa-chevron-up expand-icon';
-        }
-      });
-    });
+  /**
+   * 生成排版设置区的 HTML
+   * 
+   * @description
+   * 数值项用滑块（拖动时实时预览，松开后保存并应用），
+   * 文本项用输入框（失去焦点或回车后保存）
+   * 
+   * @param {Object} font - 字体数据对象
+   * @returns {string} HTML 字符串
+   */
+  createTypographyEditor(font) {
+    const custom = font.custom || {};
+
+    const rows = TYPOGRAPHY_FIELDS.map(field => {
+      const value = custom[field.key];
+
+      if (field.type === 'range') {
+        return `
+          <label class="font-typography-row">
+            <span class="font-typography-label">${field.label}</span>
+            <input type="range" class="font-typography-input" data-key="${field.key}"
+                   min="${field.min}" max="${field.max}" step="${field.step}" value="${value ?? field.default}">
+            <span class="font-typography-value">${value !== undefined ? `${value}${field.unit}` : '默认'}</span>
+          </label>
+        `;
+      }
 
-    // 批量删除：勾选框事件
-    this.container.querySelectorAll('.batch-delete-font-checkbox').forEach(checkbox => {
-      checkbox.addEventListener('change', (e) => {
-        const fontName = e.currentTarget.dataset.font;
+      return `
+        <label class="font-typography-row">
+          <span class="font-typography-label">${field.label}</span>
+          <input type="text" class="text_pole font-typography-input" data-key="${field.key}"
+                 placeholder="${field.placeholder}" value="${(value || '').replace(/"/g, '&quot;')}">
+        </label>
+      `;
+    }).join('');
 
-        if (e.currentTarget.checked) {
-          this.uiState.selectedFontsForDelete.add(fontName);
-        } else {
-          this.uiState.selectedFontsForDelete.delete(fontName);
-        }
+    return `
+      <div class="font-typography-editor" data-font="${font.name}">
+        <h6>排版</h6>
+        ${rows}
+        <button class="reset-typography-btn" data-font="${font.name}">恢复默认</button>
+      </div>
+    `;
+  }
 
-        // 更新选中数量显示并刷新列表（已选中的字体会置顶）
-        this.updateBatchDeleteCount();
-        this.refreshFontList();
-      });
+  /**
+   * 读取排版设置区的当前值
+   * @param {HTMLElement} editor - .font-typography-editor 元素
+   * @returns {Object} 排版设置（未改动的滑块不包含在内）
+   */
+  readTypographyEditor(editor) {
+    const values = {};
+    editor.querySelectorAll('.font-typography-input').forEach(input => {
+      if (input.type === 'range' && !input.dataset.touched) return;
+      values[input.dataset.key] = input.value;
     });
+    return values;
+  }
 
-    // 使用字体
-    this.container.querySelectorAll('.font-use-btn').forEach(btn => {
+  /**
+   * 加入预览对比
+   * 
+   * @description
+   * 最多同时对比 4 个字体，已满时替换最后一个；
+   * 会自动展开预览区域
+   * 
+   * @param {string} fontName - 字体名称
+   */
+  addPreviewFont(fontName) {
+    if (!this.fontManager.getFont(fontName) || this.uiState.previewFonts.includes(fontName)) {
+      return;
+    }
+
+    if (this.uiState.previewFonts.length >= 4) {
+      this.uiState.previewFonts.pop();
+      toastr.info('最多同时对比 4 个字体，已替换最后一个');
+    }
+    this.uiState.previewFonts.push(fontName);
+
+    if (!this.uiState.previewExpanded) {
+      this.container.querySelector('#font-preview-toggle')?.click();
+    } else {
+      this.refreshPreviewPanes();
+    }
+  }
+
+  /**
+   * 读取当前聊天最近的消息
+   * 
+   * @description
+   * 直接复制聊天区域已渲染的消息（包含 Markdown、引号高亮等格式），
+   * 跳过隐藏的系统消息
+   * 
+   * @param {number} count - 消息数量
+   * @returns {Array<{name: string, html: string, isUser: boolean}>} 消息列表（按时间顺序）
+   */
+  getPreviewMessages(count) {
+    return Array.from(document.querySelectorAll('#chat .mes'))
+      .filter(mes => mes.getAttribute('is_system') !== 'true')
+      .slice(-count)
+      .map(mes => ({
+        name: mes.querySelector('.name_text')?.textContent.trim() || '',
+        html: mes.querySelector('.mes_text')?.innerHTML || '',
+        isUser: mes.getAttribute('is_user') === 'true'
+      }));
+  }
+
+  /**
+   * 刷新字体预览区域
+   * 
+   * @description
+   * 为每个对比字体生成一栏（2-4 栏并排）：
+   * - 有自定义示例文字时显示示例文字
+   * - 否则显示当前聊天最近 N 条消息
+   * 
+   * 预览只修改预览栏的 font-family，不影响全局字体
+   */
+  refreshPreviewPanes() {
+    const panes = this.container?.querySelector('#font-preview-panes');
+    const select = this.container?.querySelector('#font-preview-add-select');
+    if (!panes || !this.uiState.previewExpanded) return;
+
+    // 可加入对比的字体
+    const fonts = this.fontManager.getAllFonts();
+    select.innerHTML = '<option value="">选择字体...</option>' + fonts
+      .filter(font => !this.uiState.previewFonts.includes(font.name))
+      .map(font => `<option value="${font.name}">${font.displayName || font.name}</option>`)
+      .join('');
+
+    this.refreshPreviewStyle();
+
+    const previewFonts = this.uiState.previewFonts
+      .map(name => this.fontManager.getFont(name))
+      .filter(Boolean);
+
+    if (previewFonts.length === 0) {
+      panes.innerHTML = '<p class="hint">点击字体项的 <i class="fa fa-eye"></i> 按钮或在上方选择字体，最多同时对比 4 个。</p>';
+      return;
+    }
+
+    const messages = this.uiState.previewSample ? [] : this.getPreviewMessages(this.uiState.previewMessageCount);
+    panes.innerHTML = '';
+
+    previewFonts.forEach(font => {
+      const pane = document.createElement('div');
+      pane.className = 'font-preview-pane';
+      pane.innerHTML = `
+        <div class="font-preview-pane-header">
+          <span>${font.displayName || font.name}</span>
+          <button class="font-action-btn font-preview-use-btn" data-font="${font.name}" title="使用"><i class="fa fa-check"></i></button>
+          <button class="font-action-btn font-preview-remove-btn" data-font="${font.name}" title="移出对比"><i class="fa fa-times"></i></button>
+        </div>
+        <div class="font-preview-pane-body"></div>
+      `;
+
+      const body = pane.querySelector('.font-preview-pane-body');
+      body.dataset.previewFont = font.name;
+
+      if (this.uiState.previewSample) {
+        body.textContent = this.uiState.previewSample;
+      } else if (messages.length === 0) {
+        body.innerHTML = '<p class="hint">当前聊天没有消息，可以输入自定义示例文字</p>';
+      } else {
+        body.innerHTML = messages.map(message => `
+          <div class="font-preview-message ${message.isUser ? 'user' : ''}">
+            <div class="font-preview-message-name"></div>
+            <div class="font-preview-message-text">${message.html}</div>
+          </div>
+        `).join('');
+        body.querySelectorAll('.font-preview-message-name').forEach((el, index) => {
+          el.textContent = messages[index].name;
+        });
+      }
+
+      panes.appendChild(pane);
+    });
+
+    panes.querySelectorAll('.font-preview-remove-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        const fontName = e.currentTarget.dataset.font;
+        this.uiState.previewFonts = this.uiState.previewFonts.filter(name => name !== fontName);
+        this.refreshPreviewPanes();
+      });
+    });
+
+    panes.querySelectorAll('.font-preview-use-btn').forEach(btn => {
+      btn.addEventListener('click', async (e) => {
+        await this.fontManager.setCurrentFont(e.currentTarget.dataset.font);
+        this.refreshFontList();
+        toastr.success('已应用字体');
+      });
+    });
+  }
+
+  /**
+   * 加载展开字体的预览样式
+   * 
+   * @description
+   * 字体栈预览和预览对比栏需要把字体都加载进来，
+   * 为所有展开和正在对比的字体生成 @import / @font-face，放在单独的样式标签中
+   * 
+   * 全局字体规则带 !important，行内样式盖不过它，
+   * 所以预览元素用 data-preview-font 属性选择器（特异性更高）指定字体
+   */
+  refreshPreviewStyle() {
+    const fonts = [...new Set([...this.uiState.expandedFonts, ...this.uiState.previewFonts])]
+      .map(name => this.fontManager.getFont(name))
+      .filter(Boolean);
+
+    let style = document.getElementById('paws-puffs-font-preview-style');
+    if (fonts.length === 0) {
+      style?.remove();
+      return;
+    }
+
+    if (!style) {
+      style = document.createElement('style');
+      style.id = 'paws-puffs-font-preview-style';
+      document.head.appendChild(style);
+    }
+    style.textContent = this.fontManager.buildLoadCss(fonts) + fonts
+      .map(font => this.fontManager.buildScopedFontRule(`[data-preview-font="${CSS.escape(font.name)}"]`, font))
+      .join('');
+  }
+
+  /**
+   * 绑定字体项事件
+   * 
+   * @description
+   * 为渲染后的字体项绑定交互事件：
+   * 1. 展开/折叠详情（点击标题行）
+   * 2. 使用字体（点击使用按钮）
+   * 3. 编辑字体名称（点击编辑按钮，弹出输入框）
+   * 4. 删除字体（点击删除按钮，弹出确认）
+   * 5. 删除单个标签（点击标签的 × 按钮）
+   * 6. 添加新标签（点击添加按钮或按 Enter）
+   * 7. 应用选中标签（勾选复选框后点击应用按钮）
+   * 
+   * 所有操作完成后保持展开状态并刷新列表
+   */
+  bindFontItemEvents() {
+    // 展开/折叠字体详情（批量删除模式下禁用）
+    this.container.querySelectorAll('.font-item-header').forEach(header => {
+      header.addEventListener('click', (e) => {
+        // 批量删除模式下禁用展开功能
+        if (this.uiState.batchDeleteMode) {
+          return;
+        }
+
+        const fontName = e.currentTarget.dataset.font;
+        const fontItem = this.container.querySelector(`.font-item[data-font-name="${fontName}"]`);
+        const details = fontItem.querySelector('.font-item-details');
+        const icon = fontItem.querySelector('.expand-icon');
+
+        if (this.uiState.expandedFonts.has(fontName)) {
+          this.uiState.expandedFonts.delete(fontName);
+          details.style.display = 'none';
+          fontItem.classList.remove('expanded');
+          icon.className = 'fa fa-chevron-down expand-icon';
+        } else {
+          this.uiState.expandedFonts.add(fontName);
+          details.style.display = 'block';
+          fontItem.classList.add('expanded');
+          icon.className = 'fa fa-chevron-up expand-icon';
+        }
+
+        this.refreshPreviewStyle();
+      });
+    });
+
+    // 排版设置：拖动滑块时实时预览（只改字体栈预览的行内样式）
+    this.container.querySelectorAll('.font-typography-editor').forEach(editor => {
+      const fontName = editor.dataset.font;
+      const fontItem = editor.closest('.font-item');
+      const preview = fontItem.querySelector('.font-stack-preview');
+
+      editor.querySelectorAll('.font-typography-input').forEach(input => {
+        const field = TYPOGRAPHY_FIELDS.find(item => item.key === input.dataset.key);
+
+        input.addEventListener('input', () => {
+          input.dataset.touched = 'true';
+          if (field.type === 'range') {
+            input.nextElementSibling.textContent = `${input.value}${field.unit}`;
+          }
+
+          const font = this.fontManager.getFont(fontName);
+          const custom = normalizeTypography({ ...font.custom, ...this.readTypographyEditor(editor) });
+          preview.style.cssText = this.fontManager.getTypographyDeclarations({ custom }, true).join(' ');
+        });
+
+        // 松开滑块或输入框失去焦点时保存并应用
+        input.addEventListener('change', async () => {
+          this.uiState.expandedFonts.add(fontName);
+          await this.fontManager.setFontTypography(fontName, this.readTypographyEditor(editor));
+        });
+      });
+    });
+
+    // 排版设置：恢复默认
+    this.container.querySelectorAll('.reset-typography-btn').forEach(btn => {
+      btn.addEventListener('click', async (e) => {
+        const fontName = e.currentTarget.dataset.font;
+        const reset = {};
+        TYPOGRAPHY_FIELDS.forEach(field => {
+          reset[field.key] = null;
+        });
+
+        this.uiState.expandedFonts.add(fontName);
+        await this.fontManager.setFontTypography(fontName, reset);
+        toastr.success('已恢复默认排版');
+      });
+    });
+
+    // 检查单个字体
+    this.container.querySelectorAll('.font-check-btn').forEach(btn => {
+      btn.addEventListener('click', async (e) => {
+        const fontName = e.currentTarget.dataset.font;
+        e.currentTarget.disabled = true;
+        const health = await this.fontManager.checkFont(fontName);
+        if (health?.status === 'ok') {
+          toastr.success('字体加载正常');
+        } else if (health) {
+          toastr.error(`字体加载失败：${health.error}`);
+        }
+      });
+    });
+
+    // 加入预览对比
+    this.container.querySelectorAll('.font-preview-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.addPreviewFont(e.currentTarget.dataset.font);
+      });
+    });
+
+    // 悬停在聊天中预览（停留半秒才触发，避免划过列表时频繁切换）
+    this.container.querySelectorAll('.font-item-main').forEach(main => {
+      const fontName = main.closest('.font-item').dataset.fontName;
+      main.addEventListener('mouseenter', () => {
+        if (!this.uiState.hoverPreview || this.uiState.batchDeleteMode) return;
+        clearTimeout(this.hoverPreviewTimer);
+        this.hoverPreviewTimer = setTimeout(() => this.fontManager.previewFontOnChat(fontName, 3000), 500);
+      });
+      main.addEventListener('mouseleave', () => clearTimeout(this.hoverPreviewTimer));
+    });
+
+    // 批量删除：勾选框事件
+    this.container.querySelectorAll('.batch-delete-font-checkbox').forEach(checkbox => {
+      checkbox.addEventListener('change', (e) => {
+        const fontName = e.currentTarget.dataset.font;
+
+        if (e.currentTarget.checked) {
+          this.uiState.selectedFontsForDelete.add(fontName);
+        } else {
+          this.uiState.selectedFontsForDelete.delete(fontName);
+        }
+
+        // 更新选中数量显示并刷新列表（已选中的字体会置顶）
+        this.updateBatchDeleteCount();
+        this.refreshFontList();
+      });
+    });
+
+    // 收藏/取消收藏
+    this.container.querySelectorAll('.font-favorite-btn').forEach(btn => {
+      btn.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        const fontName = e.currentTarget.dataset.font;
+        const font = this.fontManager.getFont(fontName);
+        if (font) {
+          await this.fontManager.setFavorite(fontName, !font.favorite);
+        }
+      });
+    });
+
+    // 快捷切换编号
+    this.container.querySelectorAll('.font-quick-slot-select').forEach(select => {
+      select.addEventListener('change', async (e) => {
+        const fontName = e.currentTarget.dataset.font;
+        const key = e.currentTarget.value;
+        const previousKey = this.fontManager.getQuickSlots().find(slot => slot.fontName === fontName)?.key;
+
+        this.uiState.expandedFonts.add(fontName);
+        if (key) {
+          await this.fontManager.setQuickSlot(key, fontName);
+          toastr.success(`已设置快捷切换 Alt+${key}`);
+        } else if (previousKey) {
+          await this.fontManager.setQuickSlot(previousKey, null);
+        }
+      });
+    });
+
+    // 使用字体
+    this.container.querySelectorAll('.font-use-btn').forEach(btn => {
       btn.addEventListener('click', async (e) => {
         e.stopPropagation();
         const fontName = e.currentTarget.dataset.font;
@@ -932,199 +2200,986 @@ body {
             tags: updatedTags
           });
 
-          this.uiState.expandedFonts.add(fontName);
-          this.refreshFontList();
-        }
+          this.uiState.expandedFonts.add(fontName);
+          this.refreshFontList();
+        }
+      });
+    });
+
+    // 添加新标签
+    this.container.querySelectorAll('.add-new-tag-btn').forEach(btn => {
+      btn.addEventListener('click', async (e) => {
+        const fontName = e.currentTarget.dataset.font;
+        const input = this.container.querySelector(`.tag-new-input[data-font="${fontName}"]`);
+        const newTag = input.value.trim();
+
+        if (newTag) {
+          const font = this.fontManager.getFont(fontName);
+          const updatedTags = [...new Set([...(font.tags || []), newTag])];
+
+          await this.fontManager.updateFont(fontName, {
+            tags: updatedTags
+          });
+
+          input.value = '';
+          this.uiState.expandedFonts.add(fontName);
+          this.refreshFontList();
+        }
+      });
+    });
+
+    // 应用选中的标签
+    this.container.querySelectorAll('.apply-tags-btn').forEach(btn => {
+      btn.addEventListener('click', async (e) => {
+        const fontName = e.currentTarget.dataset.font;
+        const fontItem = this.container.querySelector(`.font-item[data-font-name="${fontName}"]`);
+        const checkboxes = fontItem.querySelectorAll('.tag-checkbox input:checked');
+
+        const selectedTags = Array.from(checkboxes).map(cb => cb.value);
+
+        if (selectedTags.length > 0) {
+          const font = this.fontManager.getFont(fontName);
+          const updatedTags = [...new Set([...(font.tags || []), ...selectedTags])];
+
+          await this.fontManager.updateFont(fontName, {
+            tags: updatedTags
+          });
+
+          this.uiState.expandedFonts.add(fontName);
+          this.refreshFontList();
+        }
+      });
+    });
+
+    // 保存字体栈
+    this.container.querySelectorAll('.save-stack-btn').forEach(btn => {
+      btn.addEventListener('click', async (e) => {
+        const fontName = e.currentTarget.dataset.font;
+        const editor = e.currentTarget.closest('.font-stack-editor');
+
+        const scripts = {};
+        editor.querySelectorAll('.font-script-select').forEach(select => {
+          scripts[select.dataset.script] = select.value || null;
+        });
+        const fallbacks = editor.querySelector('.font-fallback-input').value.split(/[,，]/);
+
+        if (await this.fontManager.setFontStack(fontName, { fallbacks, scripts })) {
+          this.uiState.expandedFonts.add(fontName);
+          this.refreshFontList();
+          toastr.success('字体栈已保存');
+        }
+      });
+    });
+
+    // 保存备注（失去焦点时）
+    this.container.querySelectorAll('.font-notes-input').forEach(input => {
+      input.addEventListener('change', async (e) => {
+        const fontName = e.currentTarget.dataset.font;
+        const notes = e.currentTarget.value.trim();
+        if (notes === (this.fontManager.getFont(fontName)?.notes || '')) return;
+
+        this.uiState.expandedFonts.add(fontName);
+        if (await this.fontManager.updateFont(fontName, { notes })) {
+          toastr.success('备注已保存');
+        }
+      });
+    });
+
+    // Enter键添加标签
+    this.container.querySelectorAll('.tag-new-input').forEach(input => {
+      input.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+          const fontName = e.currentTarget.dataset.font;
+          const addBtn = this.container.querySelector(`.add-new-tag-btn[data-font="${fontName}"]`);
+          if (addBtn) addBtn.click();
+        }
+      });
+    });
+  }
+
+  /**
+   * 刷新标签管理器
+   * 
+   * @description
+   * 渲染标签管理区域：
+   * 1. 从 fontManager 获取标签树（"手写体/可爱" 显示在 "手写体" 下面）
+   * 2. 展开为列表后分页处理
+   * 3. 统计每个标签的使用次数（包括子标签）
+   * 4. 渲染标签项（颜色/图标 + 标签名 + 使用次数 + 编辑/删除按钮）
+   * 5. 绑定编辑和删除标签事件（含确认提示）
+   * 6. 渲染分页导航
+   */
+  refreshTagManager() {
+    const tagManagerList = this.container.querySelector('#tag-manager-list');
+    const tagManagerEmpty = this.container.querySelector('.tag-manager-empty');
+
+    if (!tagManagerList) return;
+
+    const tags = flattenTagTree(this.fontManager.getTagTree());
+
+    if (tags.length === 0) {
+      tagManagerList.innerHTML = '';
+      if (tagManagerEmpty) tagManagerEmpty.style.display = 'block';
+      this.renderTagPagination(0, 0);
+    } else {
+      if (tagManagerEmpty) tagManagerEmpty.style.display = 'none';
+
+      // 分页逻辑
+      const totalTags = tags.length;
+      const totalPages = Math.ceil(totalTags / this.uiState.tagPageSize);
+
+      // 确保当前页不超出范围
+      if (this.uiState.tagCurrentPage > totalPages) {
+        this.uiState.tagCurrentPage = totalPages || 1;
+      }
+
+      // 计算当前页显示的标签
+      const startIndex = (this.uiState.tagCurrentPage - 1) * this.uiState.tagPageSize;
+      const endIndex = startIndex + this.uiState.tagPageSize;
+      const displayTags = tags.slice(startIndex, endIndex);
+
+      // 统计每个标签的使用次数（包括子标签）
+      const tagUsage = {};
+      displayTags.forEach(node => {
+        tagUsage[node.path] = this.fontManager.getAllFonts(node.path).length;
+      });
+
+      // 生成标签管理项
+      tagManagerList.innerHTML = displayTags.map(node => {
+        const meta = this.fontManager.getTagMeta(node.path);
+        return `
+          <div class="tag-manager-item-compact" style="padding-left: ${8 + node.depth * 16}px;">
+            <div class="tag-info" title="${node.path}">
+              <span class="tag-color-dot" style="${meta.color ? `background: ${meta.color};` : ''}"></span>
+              <span class="tag-name">${meta.icon ? `<i class="fa ${meta.icon}"></i> ` : ''}${node.name}</span>
+              <span class="tag-usage">${tagUsage[node.path]} 个</span>
+            </div>
+            <button class="tag-delete-btn-compact tag-edit-btn" data-tag="${node.path}" title="编辑标签">
+              <i class="fa fa-pen"></i>
+            </button>
+            <button class="tag-delete-btn-compact tag-remove-btn" data-tag="${node.path}" title="删除标签">
+              <i class="fa fa-trash"></i>
+            </button>
+          </div>
+        `;
+      }).join('');
+
+      // 绑定编辑标签事件
+      tagManagerList.querySelectorAll('.tag-edit-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => this.showTagEditor(e.currentTarget.dataset.tag));
+      });
+
+      // 绑定删除标签事件
+      tagManagerList.querySelectorAll('.tag-remove-btn').forEach(btn => {
+        btn.addEventListener('click', async (e) => {
+          const tagToDelete = e.currentTarget.dataset.tag;
+
+          const confirmed = await callGenericPopup(
+            `确定要删除标签 "${tagToDelete}" 吗？\n\n这将从所有字体中移除该标签和它的子标签。`,
+            POPUP_TYPE.CONFIRM,
+            '',
+            { okButton: '确认删除', cancelButton: '取消' }
+          );
+
+          if (confirmed) {
+            await this.fontManager.deleteTag(tagToDelete);
+            this.refreshTagManager();
+            this.refreshFontList();
+          }
+        });
+      });
+
+      // 渲染分页导航
+      this.renderTagPagination(totalTags, totalPages);
+    }
+  }
+
+  /**
+   * 显示编辑标签的弹窗
+   * 
+   * @description
+   * 可以修改：
+   * - 名称（完整路径，用 "/" 移动到其他父标签下；子标签一起改名）
+   * - 颜色（不勾选"使用颜色"时跟随父标签）
+   * - 图标（TAG_ICONS 之一，"无"时跟随父标签）
+   * 
+   * @async
+   * @param {string} tag - 标签
+   */
+  async showTagEditor(tag) {
+    const own = this.fontManager.tagMeta[tag] || {};
+
+    const $html = $(`
+      <div class="collection-dialog tag-editor">
+        <h3>编辑标签</h3>
+        <input type="text" class="text_pole tag-editor-name" value="${tag}" placeholder="标签名称，用 / 分隔层级">
+        <label class="checkbox_label">
+          <input type="checkbox" class="tag-editor-use-color" ${own.color ? 'checked' : ''}>
+          <span>使用颜色</span>
+          <input type="color" class="tag-editor-color" value="${own.color || '#8a6fdf'}">
+        </label>
+        <div class="tag-icon-picker">
+          <label class="tag-icon-option" title="无图标">
+            <input type="radio" name="tag-editor-icon" value="" ${own.icon ? '' : 'checked'}>
+            <span>无</span>
+          </label>
+          ${TAG_ICONS.map(icon => `
+            <label class="tag-icon-option">
+              <input type="radio" name="tag-editor-icon" value="${icon}" ${own.icon === icon ? 'checked' : ''}>
+              <i class="fa ${icon}"></i>
+            </label>
+          `).join('')}
+        </div>
+        <p class="hint">没有设置颜色或图标时使用父标签的设置。</p>
+      </div>
+    `);
+
+    const result = await callGenericPopup($html, POPUP_TYPE.CONFIRM, '', {
+      okButton: '保存',
+      cancelButton: '取消'
+    });
+    if (!result) return;
+
+    const updated = await this.fontManager.updateTag(tag, {
+      name: $html.find('.tag-editor-name').val(),
+      color: $html.find('.tag-editor-use-color').prop('checked') ? $html.find('.tag-editor-color').val() : null,
+      icon: $html.find('input[name="tag-editor-icon"]:checked').val() || null
+    });
+
+    if (updated) {
+      toastr.success('标签已保存');
+      this.refreshFontList();
+    } else {
+      toastr.warning('标签名称无效（不能为空，也不能移到自己的子标签下）');
+    }
+  }
+
+  /**
+   * 渲染标签徽标
+   * @param {string} tag - 标签
+   * @param {string} className - 徽标的 class（font-tag / tag-item）
+   * @param {string} [extraHtml=''] - 附加内容（如移除按钮）
+   * @returns {string} HTML
+   */
+  renderTagBadge(tag, className, extraHtml = '') {
+    const meta = this.fontManager.getTagMeta(tag);
+    const style = meta.color ? `--tag-color: ${meta.color};` : '';
+    const icon = meta.icon ? `<i class="fa ${meta.icon}"></i>` : '';
+    return `<span class="${className} ${meta.color ? 'has-color' : ''}" style="${style}" title="${tag}">${icon}<span>${tag}</span>${extraHtml}</span>`;
+  }
+
+  /**
+   * 更新标签筛选器选项
+   * 
+   * @description
+   * 重建标签筛选下拉框的选项：
+   * 1. 保留"所有标签"和"未分类"选项
+   * 2. 按层级添加所有标签（选择父标签时包含子标签的字体）
+   * 3. 恢复之前的选择状态
+   * 
+   * 同时重建多标签筛选面板：每个标签一个按钮，点击在"包含 → 排除 → 不筛选"之间切换，
+   * 包含的标签按"全部满足"（AND）或"任一满足"（OR）组合；已不存在的标签从筛选条件中移除
+   * 
+   * 当标签增删时调用，确保筛选器与实际标签同步
+   */
+  updateTagFilter() {
+    const filter = this.container.querySelector('#font-tag-filter');
+    if (!filter) return;
+
+    const currentValue = filter.value;
+    const tags = flattenTagTree(this.fontManager.getTagTree());
+
+    // 重建选项
+    filter.innerHTML = `
+      <option value="all">所有标签</option>
+      <option value="favorites">★ 收藏</option>
+      <option value="untagged">未分类</option>
+      ${tags.map(node => `<option value="${node.path}">${'　'.repeat(node.depth)}${node.name}</option>`).join('')}
+    `;
+
+    // 恢复选择
+    filter.value = currentValue;
+    if (!filter.value) {
+      filter.value = 'all';
+      this.uiState.fontFilterTag = 'all';
+    }
+
+    // 多标签筛选
+    const paths = tags.map(node => node.path);
+    const tagFilter = this.uiState.tagFilter;
+    tagFilter.include = tagFilter.include.filter(tag => paths.includes(tag));
+    tagFilter.exclude = tagFilter.exclude.filter(tag => paths.includes(tag));
+
+    const chips = this.container.querySelector('#font-tag-filter-chips');
+    const filterBtn = this.container.querySelector('#font-tag-filter-btn');
+    if (filterBtn) {
+      filterBtn.classList.toggle('active', !isTagFilterEmpty(tagFilter));
+    }
+    if (!chips) return;
+
+    chips.innerHTML = tags.length > 0 ? tags.map(node => {
+      const state = tagFilter.include.includes(node.path) ? 'include' : tagFilter.exclude.includes(node.path) ? 'exclude' : '';
+      const sign = state === 'include' ? '+' : state === 'exclude' ? '−' : '';
+      return `
+        <button class="font-tag-filter-chip ${state}" data-tag="${node.path}" title="${node.path}">
+          ${sign}${'·'.repeat(node.depth)}${node.name}
+        </button>
+      `;
+    }).join('') : '<div class="no-tags">暂无标签</div>';
+
+    chips.querySelectorAll('.font-tag-filter-chip').forEach(chip => {
+      chip.addEventListener('click', (e) => {
+        const tag = e.currentTarget.dataset.tag;
+        if (tagFilter.include.includes(tag)) {
+          tagFilter.include = tagFilter.include.filter(item => item !== tag);
+          tagFilter.exclude.push(tag);
+        } else if (tagFilter.exclude.includes(tag)) {
+          tagFilter.exclude = tagFilter.exclude.filter(item => item !== tag);
+        } else {
+          tagFilter.include.push(tag);
+        }
+
+        this.uiState.fontCurrentPage = 1;
+        this.updateTagFilter();
+        this.refreshFontList();
+      });
+    });
+  }
+
+  /**
+   * 刷新整个 UI
+   * 
+   * @description
+   * 同时刷新字体列表、标签管理器、标签筛选器、字体绑定和应用范围
+   * 通常在初始化或数据批量变化时调用
+   */
+  refresh() {
+    this.refreshFontList();
+    this.refreshTagManager();
+    this.updateTagFilter();
+    this.refreshBindingManager();
+    this.refreshSlotManager();
+  }
+
+  /**
+   * 刷新应用范围区域
+   * 
+   * @description
+   * 为 FONT_SLOTS 中的每个插槽渲染一行设置：
+   * - 字体下拉框（第一项为"跟随全局"）
+   * - 字号倍率输入框（留空表示不修改）
+   * - 字重下拉框
+   * 
+   * 任一项变化时调用 fontManager.setSlot() 保存并立即应用
+   */
+  refreshSlotManager() {
+    const slotList = this.container?.querySelector('#slot-list');
+    if (!slotList) return;
+
+    const fonts = this.fontManager.getAllFonts();
+    const weights = [100, 200, 300, 400, 500, 600, 700, 800, 900];
+
+    slotList.innerHTML = FONT_SLOTS.map(slot => {
+      const setting = this.fontManager.getSlot(slot.id);
+
+      return `
+        <div class="slot-item" data-slot="${slot.id}">
+          <span class="slot-label">${slot.label}</span>
+          <select class="text_pole compact slot-font-select" title="字体">
+            <option value="">跟随全局</option>
+            ${fonts.map(font => `
+              <option value="${font.name}" ${setting.fontName === font.name ? 'selected' : ''}>${font.displayName || font.name}</option>
+            `).join('')}
+          </select>
+          <input type="number" class="text_pole compact slot-size-input" min="0.5" max="3" step="0.05"
+                 placeholder="字号" title="字号倍率" value="${setting.size || ''}">
+          <select class="text_pole compact slot-weight-select" title="字重">
+            <option value="">字重</option>
+            ${weights.map(weight => `
+              <option value="${weight}" ${setting.weight === weight ? 'selected' : ''}>${weight}</option>
+            `).join('')}
+          </select>
+        </div>
+      `;
+    }).join('');
+
+    slotList.querySelectorAll('.slot-item').forEach(item => {
+      const slotId = item.dataset.slot;
+
+      item.querySelector('.slot-font-select').addEventListener('change', async (e) => {
+        await this.fontManager.setSlot(slotId, { fontName: e.target.value || null });
+      });
+
+      item.querySelector('.slot-size-input').addEventListener('change', async (e) => {
+        const size = parseFloat(e.target.value);
+        await this.fontManager.setSlot(slotId, { size: size > 0 ? size : null });
+      });
+
+      item.querySelector('.slot-weight-select').addEventListener('change', async (e) => {
+        await this.fontManager.setSlot(slotId, { weight: parseInt(e.target.value) || null });
+      });
+    });
+  }
+
+  /**
+   * 渲染自动切换规则的参数输入
+   * 
+   * @description
+   * 根据选择的规则类型显示：
+   * - 时间段：开始和结束时间
+   * - 主题：SillyTavern 的主题列表（默认选中当前主题）
+   * - 明暗模式：浅色/深色
+   */
+  renderScheduleParams() {
+    const paramsEl = this.container?.querySelector('#schedule-params');
+    const type = this.container?.querySelector('#schedule-type-select')?.value;
+    if (!paramsEl) return;
+
+    const context = getThemeContext();
+
+    if (type === 'time') {
+      paramsEl.innerHTML = `
+        <input type="time" id="schedule-start" class="text_pole compact" value="07:00">
+        <span>-</span>
+        <input type="time" id="schedule-end" class="text_pole compact" value="19:00">
+      `;
+    } else if (type === 'theme') {
+      const themes = getAvailableThemes();
+      paramsEl.innerHTML = themes.length > 0
+        ? `<select id="schedule-theme" class="text_pole compact">
+            ${themes.map(theme => `<option value="${theme}" ${theme === context.theme ? 'selected' : ''}>${theme}</option>`).join('')}
+          </select>`
+        : `<input type="text" id="schedule-theme" class="text_pole compact" placeholder="主题名称" value="${context.theme}">`;
+    } else {
+      paramsEl.innerHTML = `
+        <select id="schedule-scheme" class="text_pole compact">
+          ${Object.entries(COLOR_SCHEMES).map(([scheme, label]) => `
+            <option value="${scheme}" ${scheme === context.scheme ? 'selected' : ''}>${label}</option>
+          `).join('')}
+        </select>
+      `;
+    }
+  }
+
+  /**
+   * 处理添加自动切换规则
+   * @async
+   */
+  async handleAddScheduleRule() {
+    const type = this.container.querySelector('#schedule-type-select').value;
+    const fontName = this.container.querySelector('#schedule-font-select').value;
+
+    if (!fontName) {
+      toastr.warning('请先选择字体');
+      return;
+    }
+
+    const rule = { type, fontName };
+    if (type === 'time') {
+      rule.start = this.container.querySelector('#schedule-start').value;
+      rule.end = this.container.querySelector('#schedule-end').value;
+    } else if (type === 'theme') {
+      rule.theme = this.container.querySelector('#schedule-theme').value.trim();
+    } else {
+      rule.scheme = this.container.querySelector('#schedule-scheme').value;
+    }
+
+    const added = await this.fontManager.addScheduleRule(rule);
+    if (added) {
+      toastr.success('已添加自动切换规则');
+    } else {
+      toastr.warning('规则无效，请检查时间或主题名称（开始和结束时间不能相同）');
+    }
+  }
+
+  /**
+   * 描述自动切换规则的条件
+   * @param {Object} rule - 规则
+   * @returns {string} 如 "22:00 - 06:00"、"主题：Dark V 1.0"、"深色模式"
+   */
+  describeScheduleRule(rule) {
+    if (rule.type === 'time') return `${rule.start} - ${rule.end}`;
+    if (rule.type === 'theme') return `主题：${rule.theme}`;
+    return `${COLOR_SCHEMES[rule.scheme]}模式`;
+  }
+
+  /**
+   * 刷新自动切换管理区域
+   * 
+   * @description
+   * 渲染：
+   * - 当前状态（命中的规则、是否暂停以及暂停到什么时候）
+   * - 字体下拉框
+   * - 规则列表（启用开关、上移/下移、删除）
+   */
+  refreshScheduleManager() {
+    const statusEl = this.container?.querySelector('#schedule-status');
+    const listEl = this.container?.querySelector('#schedule-list');
+    const fontSelect = this.container?.querySelector('#schedule-font-select');
+    if (!statusEl || !listEl || !fontSelect) return;
+
+    const status = this.fontManager.getScheduleStatus();
+    const typeIcon = { time: 'fa-clock', theme: 'fa-palette', scheme: 'fa-circle-half-stroke' };
+
+    // 当前状态
+    let statusText = '没有命中的规则，使用全局字体';
+    if (status.paused) {
+      const until = status.pausedUntil
+        ? new Date(status.pausedUntil).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+        : '主题变化时';
+      statusText = `已手动切换字体，自动切换暂停到 ${until}`;
+    } else if (status.rule) {
+      statusText = `当前命中：${this.describeScheduleRule(status.rule)} → ${status.rule.fontName}`;
+    }
+    statusEl.innerHTML = `
+      <div class="binding-context-active">${statusText}</div>
+      ${status.paused ? '<button id="schedule-resume-btn" class="menu_button compact">立即恢复</button>' : ''}
+    `;
+    statusEl.querySelector('#schedule-resume-btn')?.addEventListener('click', () => this.fontManager.resumeSchedule());
+
+    // 字体下拉框（保留之前的选择）
+    const previousValue = fontSelect.value || this.fontManager.currentFont || '';
+    fontSelect.innerHTML = this.fontManager.getAllFonts()
+      .map(font => `<option value="${font.name}">${font.displayName || font.name}</option>`)
+      .join('');
+    if (previousValue && this.fontManager.getFont(previousValue)) {
+      fontSelect.value = previousValue;
+    }
+
+    // 规则列表
+    const schedules = this.fontManager.getSchedules();
+    if (schedules.length === 0) {
+      listEl.innerHTML = '<div class="no-tags">暂无自动切换规则</div>';
+      return;
+    }
+
+    listEl.innerHTML = schedules.map((rule, index) => {
+      const font = this.fontManager.getFont(rule.fontName);
+      const isActive = !status.paused && status.rule && status.rule.id === rule.id;
+      return `
+        <div class="binding-item schedule-item ${isActive ? 'active' : ''} ${rule.enabled === false ? 'disabled' : ''}">
+          <div class="binding-info">
+            <i class="fa ${typeIcon[rule.type]}" title="${SCHEDULE_TYPES[rule.type]}"></i>
+            <span class="binding-target">${this.describeScheduleRule(rule)}</span>
+            <span class="binding-arrow">→</span>
+            <span class="binding-font">${font ? (font.displayName || font.name) : rule.fontName}</span>
+          </div>
+          <div class="schedule-item-actions">
+            <input type="checkbox" class="schedule-enabled-checkbox" data-id="${rule.id}" title="启用" ${rule.enabled === false ? '' : 'checked'}>
+            <button class="tag-delete-btn-compact schedule-move-btn" data-id="${rule.id}" data-offset="-1" title="上移" ${index === 0 ? 'disabled' : ''}>
+              <i class="fa fa-arrow-up"></i>
+            </button>
+            <button class="tag-delete-btn-compact schedule-move-btn" data-id="${rule.id}" data-offset="1" title="下移" ${index === schedules.length - 1 ? 'disabled' : ''}>
+              <i class="fa fa-arrow-down"></i>
+            </button>
+            <button class="tag-delete-btn-compact schedule-delete-btn" data-id="${rule.id}" title="删除规则">
+              <i class="fa fa-trash"></i>
+            </button>
+          </div>
+        </div>
+      `;
+    }).join('');
+
+    listEl.querySelectorAll('.schedule-enabled-checkbox').forEach(checkbox => {
+      checkbox.addEventListener('change', async (e) => {
+        await this.fontManager.updateScheduleRule(e.currentTarget.dataset.id, { enabled: e.currentTarget.checked });
       });
     });
 
-    // 添加新标签
-    this.container.querySelectorAll('.add-new-tag-btn').forEach(btn => {
+    listEl.querySelectorAll('.schedule-move-btn').forEach(btn => {
       btn.addEventListener('click', async (e) => {
-        const fontName = e.currentTarget.dataset.font;
-        const input = this.container.querySelector(`.tag-new-input[data-font="${fontName}"]`);
-        const newTag = input.value.trim();
-
-        if (newTag) {
-          const font = this.fontManager.getFont(fontName);
-          const updatedTags = [...new Set([...(font.tags || []), newTag])];
-
-          await this.fontManager.updateFont(fontName, {
-            tags: updatedTags
-          });
-
-          input.value = '';
-          this.uiState.expandedFonts.add(fontName);
-          this.refreshFontList();
-        }
+        await this.fontManager.moveScheduleRule(e.currentTarget.dataset.id, Number(e.currentTarget.dataset.offset));
       });
     });
 
-    // 应用选中的标签
-    this.container.querySelectorAll('.apply-tags-btn').forEach(btn => {
+    listEl.querySelectorAll('.schedule-delete-btn').forEach(btn => {
       btn.addEventListener('click', async (e) => {
-        const fontName = e.currentTarget.dataset.font;
-        const fontItem = this.container.querySelector(`.font-item[data-font-name="${fontName}"]`);
-        const checkboxes = fontItem.querySelectorAll('.tag-checkbox input:checked');
-
-        const selectedTags = Array.from(checkboxes).map(cb => cb.value);
+        await this.fontManager.removeScheduleRule(e.currentTarget.dataset.id);
+      });
+    });
+  }
 
-        if (selectedTags.length > 0) {
-          const font = this.fontManager.getFont(fontName);
-          const updatedTags = [...new Set([...(font.tags || []), ...selectedTags])];
+  /**
+   * 刷新字体合集区域
+   * 
+   * @description
+   * 渲染合集列表，每个合集显示名称、版本、作者、字体数量和预览文字，
+   * 操作按钮：复制清单、下载清单、编辑、删除
+   */
+  refreshCollectionManager() {
+    const listEl = this.container?.querySelector('#collection-list');
+    if (!listEl) return;
 
-          await this.fontManager.updateFont(fontName, {
-            tags: updatedTags
-          });
+    const collections = this.fontManager.getCollections();
+    if (collections.length === 0) {
+      listEl.innerHTML = '<div class="no-tags">暂无字体合集</div>';
+      return;
+    }
 
-          this.uiState.expandedFonts.add(fontName);
-          this.refreshFontList();
-        }
+    listEl.innerHTML = collections.map(collection => {
+      const fonts = this.fontManager.getCollectionFonts(collection);
+      const sourceText = collection.source?.type === 'tags'
+        ? `标签：${escapeHtml(collection.source.tags.join('、') || '—')}`
+        : '手动挑选';
+      return `
+        <div class="collection-item" data-id="${collection.id}">
+          <div class="collection-item-header">
+            <span class="collection-name">${escapeHtml(collection.name)}</span>
+            <span class="collection-version">v${escapeHtml(String(collection.version || 1))}</span>
+            ${collection.author ? `<span class="collection-author">by ${escapeHtml(collection.author)}</span>` : ''}
+            <div class="schedule-item-actions">
+              <button class="tag-delete-btn-compact collection-copy-btn" title="复制清单">
+                <i class="fa fa-copy"></i>
+              </button>
+              <button class="tag-delete-btn-compact collection-export-btn" title="下载清单">
+                <i class="fa fa-download"></i>
+              </button>
+              <button class="tag-delete-btn-compact collection-edit-btn" title="编辑">
+                <i class="fa fa-pen"></i>
+              </button>
+              <button class="tag-delete-btn-compact collection-delete-btn" title="删除合集（不删除字体）">
+                <i class="fa fa-trash"></i>
+              </button>
+            </div>
+          </div>
+          <div class="collection-meta">${fonts.length} 个字体 · ${sourceText}</div>
+          ${collection.description ? `<div class="collection-description">${escapeHtml(collection.description)}</div>` : ''}
+          ${collection.previewText ? `<div class="collection-preview-text">${escapeHtml(collection.previewText)}</div>` : ''}
+        </div>
+      `;
+    }).join('');
+
+    listEl.querySelectorAll('.collection-item').forEach(item => {
+      const id = item.dataset.id;
+      item.querySelector('.collection-copy-btn').addEventListener('click', () => this.handleExportCollection(id, true));
+      item.querySelector('.collection-export-btn').addEventListener('click', () => this.handleExportCollection(id, false));
+      item.querySelector('.collection-edit-btn').addEventListener('click', () => {
+        this.showCollectionDialog(collections.find(collection => collection.id === id));
       });
-    });
-
-    // Enter键添加标签
-    this.container.querySelectorAll('.tag-new-input').forEach(input => {
-      input.addEventListener('keypress', (e) => {
-        if (e.key === 'Enter') {
-          const fontName = e.currentTarget.dataset.font;
-          const addBtn = this.container.querySelector(`.add-new-tag-btn[data-font="${fontName}"]`);
-          if (addBtn) addBtn.click();
+      item.querySelector('.collection-delete-btn').addEventListener('click', async () => {
+        const collection = collections.find(c => c.id === id);
+        const confirmed = await callGenericPopup(`确定要删除合集"${escapeHtml(collection.name)}"吗？\n合集中的字体不会被删除。`, POPUP_TYPE.CONFIRM);
+        if (confirmed) {
+          await this.fontManager.deleteCollection(id);
         }
       });
     });
   }
 
   /**
-   * 刷新标签管理器
+   * 显示创建/编辑合集的弹窗
    * 
    * @description
-   * 渲染标签管理区域：
-   * 1. 从 fontManager 获取所有标签
-   * 2. 分页处理
-   * 3. 统计每个标签的使用次数
-   * 4. 渲染标签项（标签名 + 使用次数 + 删除按钮）
-   * 5. 绑定删除标签事件（含确认提示）
-   * 6. 渲染分页导航
+   * 填写名称、作者、简介、预览文字，选择字体来源：
+   * - 按标签：勾选标签，合集随标签自动更新
+   * - 手动挑选：勾选字体
+   * 
+   * @async
+   * @param {Object} [collection] - 要编辑的合集，不传则新建
    */
-  refreshTagManager() {
-    const tagManagerList = this.container.querySelector('#tag-manager-list');
-    const tagManagerEmpty = this.container.querySelector('.tag-manager-empty');
+  async showCollectionDialog(collection = null) {
+    const source = collection?.source || { type: 'manual', fonts: [] };
+    const tags = flattenTagTree(this.fontManager.getTagTree()).map(node => node.path);
+    const fonts = this.fontManager.getAllFonts();
+
+    const $html = $(`
+      <div class="collection-dialog">
+        <h3>${collection ? '编辑合集' : '新建合集'}</h3>
+        <input type="text" class="text_pole collection-name-input" placeholder="合集名称（如：手写体合集）" value="${escapeHtml(collection?.name || '')}">
+        <input type="text" class="text_pole collection-author-input" placeholder="作者（可选）" value="${escapeHtml(collection?.author || '')}">
+        <textarea class="text_pole collection-description-input" rows="2" placeholder="简介（可选）">${escapeHtml(collection?.description || '')}</textarea>
+        <input type="text" class="text_pole collection-preview-input" placeholder="预览文字（可选）" value="${escapeHtml(collection?.previewText || '')}">
+        <div class="collection-source-type">
+          <label class="checkbox_label"><input type="radio" name="collection-source" value="tags" ${source.type === 'tags' ? 'checked' : ''}> 按标签</label>
+          <label class="checkbox_label"><input type="radio" name="collection-source" value="manual" ${source.type === 'manual' ? 'checked' : ''}> 手动挑选</label>
+        </div>
+        <div class="collection-source-list" data-type="tags" style="${source.type === 'tags' ? '' : 'display: none;'}">
+          ${tags.length > 0 ? tags.map(tag => `
+            <label class="checkbox_label font-family-option">
+              <input type="checkbox" value="${escapeHtml(tag)}" ${source.tags?.includes(tag) ? 'checked' : ''}>
+              <span>${escapeHtml(tag)}</span>
+            </label>
+          `).join('') : '<div class="no-tags">暂无标签</div>'}
+        </div>
+        <div class="collection-source-list" data-type="manual" style="${source.type === 'manual' ? '' : 'display: none;'}">
+          ${fonts.map(font => `
+            <label class="checkbox_label font-family-option">
+              <input type="checkbox" value="${escapeHtml(font.name)}" ${source.fonts?.includes(font.name) ? 'checked' : ''}>
+              <span>${escapeHtml(font.displayName || font.name)}</span>
+            </label>
+          `).join('')}
+        </div>
+      </div>
+    `);
 
-    if (!tagManagerList) return;
+    $html.find('input[name="collection-source"]').on('change', (e) => {
+      $html.find('.collection-source-list').hide();
+      $html.find(`.collection-source-list[data-type="${e.target.value}"]`).show();
+    });
 
-    const tags = Array.from(this.fontManager.tags);
+    const result = await callGenericPopup($html, POPUP_TYPE.CONFIRM, '', {
+      okButton: '保存',
+      cancelButton: '取消'
+    });
+    if (!result) return;
+
+    const type = $html.find('input[name="collection-source"]:checked').val();
+    const checked = $html.find(`.collection-source-list[data-type="${type}"] input:checked`)
+      .toArray()
+      .map(checkbox => checkbox.value);
+    const data = {
+      name: $html.find('.collection-name-input').val().trim(),
+      author: $html.find('.collection-author-input').val().trim(),
+      description: $html.find('.collection-description-input').val().trim(),
+      previewText: $html.find('.collection-preview-input').val().trim(),
+      source: type === 'tags' ? { type, tags: checked } : { type, fonts: checked }
+    };
 
-    if (tags.length === 0) {
-      tagManagerList.innerHTML = '';
-      if (tagManagerEmpty) tagManagerEmpty.style.display = 'block';
-      this.renderTagPagination(0, 0);
+    if (!data.name) {
+      toastr.warning('请输入合集名称');
+      return;
+    }
+
+    if (collection) {
+      await this.fontManager.updateCollection(collection.id, data);
+      toastr.success('合集已更新');
     } else {
-      if (tagManagerEmpty) tagManagerEmpty.style.display = 'none';
+      await this.fontManager.createCollection(data);
+      toastr.success('合集已创建');
+    }
+  }
 
-      // 分页逻辑
-      const totalTags = tags.length;
-      const totalPages = Math.ceil(totalTags / this.uiState.tagPageSize);
+  /**
+   * 导出合集清单
+   * 
+   * @description
+   * 合集中有本地字体时询问是否嵌入字体文件，然后复制到剪贴板或下载为文件
+   * 
+   * @async
+   * @param {string} collectionId - 合集ID
+   * @param {boolean} toClipboard - true 复制到剪贴板，false 下载文件
+   */
+  async handleExportCollection(collectionId, toClipboard) {
+    const collection = this.fontManager.getCollections().find(item => item.id === collectionId);
+    if (!collection) return;
+
+    const localCount = this.fontManager.getCollectionFonts(collection).filter(font => font.source === 'local').length;
+    let embedFiles = false;
+    if (localCount > 0) {
+      embedFiles = !!await callGenericPopup(
+        `合集中有 ${localCount} 个本地字体文件。\n\n是否把字体文件嵌入清单？\n不嵌入时，其他人导入后这些字体无法使用。`,
+        POPUP_TYPE.CONFIRM,
+        '',
+        { okButton: '嵌入字体文件', cancelButton: '只导出配置' }
+      );
+    }
 
-      // 确保当前页不超出范围
-      if (this.uiState.tagCurrentPage > totalPages) {
-        this.uiState.tagCurrentPage = totalPages || 1;
-      }
+    const data = await this.fontManager.exportCollection(collectionId, { embedFiles });
+    if (!data) return;
 
-      // 计算当前页显示的标签
-      const startIndex = (this.uiState.tagCurrentPage - 1) * this.uiState.tagPageSize;
-      const endIndex = startIndex + this.uiState.tagPageSize;
-      const displayTags = tags.slice(startIndex, endIndex);
+    if (toClipboard) {
+      try {
+        await navigator.clipboard.writeText(data);
+        toastr.success('清单已复制到剪贴板');
+      } catch (error) {
+        logger.error('[FontManagerUI.handleExportCollection] 复制失败:', error);
+        toastr.error('复制失败，请改用下载');
+      }
+      return;
+    }
 
-      // 统计每个标签的使用次数
-      const tagUsage = {};
-      displayTags.forEach(tag => {
-        tagUsage[tag] = 0;
-        this.fontManager.fonts.forEach(font => {
-          if (font.tags && font.tags.includes(tag)) {
-            tagUsage[tag]++;
-          }
-        });
-      });
+    const blob = new Blob([data], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${collection.name}-v${collection.version || 1}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
 
-      // 生成标签管理项
-      tagManagerList.innerHTML = displayTags.map(tag => `
-        <div class="tag-manager-item-compact">
-          <div class="tag-info">
-            <span class="tag-name">${tag}</span>
-            <span class="tag-usage">${tagUsage[tag]} 个</span>
-          </div>
-          <button class="tag-delete-btn-compact" data-tag="${tag}" title="删除标签">
-            <i class="fa fa-trash"></i>
-          </button>
-        </div>
-      `).join('');
+    logger.info('[FontManagerUI.handleExportCollection] 已导出合集:', collection.name);
+    toastr.success('合集清单已导出');
+  }
 
-      // 绑定删除标签事件
-      this.container.querySelectorAll('.tag-delete-btn-compact').forEach(btn => {
-        btn.addEventListener('click', async (e) => {
-          const tagToDelete = e.currentTarget.dataset.tag;
+  /**
+   * 处理导入合集
+   * 
+   * @description
+   * 1. 弹窗让用户粘贴清单 JSON 或清单链接
+   * 2. 调用 fontManager.previewCollectionImport() 读取清单并对比本地字体
+   * 3. 弹出对比结果，用户勾选要导入的字体
+   * 4. 调用 fontManager.importCollection() 导入
+   * 
+   * @async
+   */
+  async handleImportCollection() {
+    const input = await callGenericPopup('粘贴合集清单内容，或输入清单链接：', POPUP_TYPE.INPUT, '', {
+      okButton: '读取',
+      cancelButton: '取消',
+      rows: 6
+    });
+    if (!input || !String(input).trim()) return;
 
-          const confirmed = await callGenericPopup(
-            `确定要删除标签 "${tagToDelete}" 吗？\n\n这将从所有字体中移除该标签。`,
-            POPUP_TYPE.CONFIRM,
-            '',
-            { okButton: '确认删除', cancelButton: '取消' }
-          );
+    let preview;
+    try {
+      preview = await this.fontManager.previewCollectionImport(String(input));
+    } catch (error) {
+      logger.warn('[FontManagerUI.handleImportCollection] 读取清单失败:', error.message);
+      toastr.error(error.message);
+      return;
+    }
 
-          if (confirmed) {
-            await this.fontManager.deleteTag(tagToDelete);
-            this.refreshTagManager();
-            this.refreshFontList();
-          }
-        });
-      });
+    const selection = await this.reviewCollectionImport(preview.manifest, preview.diff);
+    if (!selection) return;
 
-      // 渲染分页导航
-      this.renderTagPagination(totalTags, totalPages);
-    }
+    const result = await this.fontManager.importCollection(preview.manifest, selection, preview.url);
+    toastr.success(`合集"${preview.manifest.name}"：新增 ${result.added} 个，更新 ${result.updated} 个，跳过 ${result.skipped} 个`);
   }
 
   /**
-   * 更新标签筛选器选项
+   * 显示合集导入的对比结果
    * 
    * @description
-   * 重建标签筛选下拉框的选项：
-   * 1. 保留"所有标签"和"未分类"选项
-   * 2. 添加所有现有标签
-   * 3. 恢复之前的选择状态
+   * 分组列出新增、有变化、冲突、相同的字体：
+   * - 新增和有变化默认勾选
+   * - 冲突（同名但来源不同）默认不勾选，勾选表示用清单中的字体替换本地字体
+   * - 相同的字体只显示数量
+   * - 校验失败的字体列出原因
    * 
-   * 当标签增删时调用，确保筛选器与实际标签同步
+   * @async
+   * @param {Object} manifest - 清单
+   * @param {Object} diff - 对比结果（见 diffManifest）
+   * @returns {Promise<{added: string[], changed: string[], conflicts: string[]}|null>} 勾选的字体，取消时返回 null
    */
-  updateTagFilter() {
-    const filter = this.container.querySelector('#font-tag-filter');
-    if (!filter) return;
+  async reviewCollectionImport(manifest, diff) {
+    const fieldText = {
+      displayName: '显示名称',
+      tags: '标签',
+      fallbacks: '后备字体',
+      scripts: '分语种字体',
+      custom: '排版',
+      variants: '字重/样式'
+    };
+    const describeSource = (font) => font.source === 'local'
+      ? `本地文件 ${escapeHtml(font.file?.originalName || '')}`
+      : font.source === 'fontface' ? '@font-face' : escapeHtml(font.url || '');
+
+    const group = (title, kind, items, checked, describe) => items.length === 0 ? '' : `
+      <h4>${title}（${items.length}）</h4>
+      ${items.map(item => `
+        <label class="checkbox_label font-family-option">
+          <input type="checkbox" data-kind="${kind}" value="${escapeHtml(item.name)}" ${checked ? 'checked' : ''}>
+          <span class="font-family-name">${escapeHtml(item.name)}</span>
+          <small class="font-family-meta">${describe(item)}</small>
+        </label>
+      `).join('')}
+    `;
 
-    const currentValue = filter.value;
-    const tags = Array.from(this.fontManager.tags);
+    const $html = $(`
+      <div class="font-family-picker collection-review">
+        <h3>${escapeHtml(manifest.name)} v${escapeHtml(String(manifest.version || 1))}</h3>
+        ${manifest.author ? `<p>作者：${escapeHtml(manifest.author)}</p>` : ''}
+        ${manifest.description ? `<p>${escapeHtml(manifest.description)}</p>` : ''}
+        ${manifest.previewText ? `<p class="collection-preview-text">${escapeHtml(manifest.previewText)}</p>` : ''}
+        ${group('新增', 'added', diff.added.map(font => ({ name: font.name, font })), true,
+          item => describeSource(item.font))}
+        ${group('有变化', 'changed', diff.changed.map(({ font, fields }) => ({ name: font.name, fields })), true,
+          item => `修改：${item.fields.map(field => fieldText[field] || field).join('、')}`)}
+        ${group('冲突（勾选则替换本地同名字体）', 'conflicts', diff.conflicts.map(({ font, existing }) => ({ name: font.name, font, existing })), false,
+          item => `本地：${describeSource(item.existing)} → 清单：${describeSource(item.font)}`)}
+        ${diff.unchanged.length > 0 ? `<p class="hint">另有 ${diff.unchanged.length} 个字体和本地相同</p>` : ''}
+        ${manifest.invalid?.length > 0 ? `
+          <h4>无效（${manifest.invalid.length}，不会导入）</h4>
+          ${this.renderImportProblems(manifest.invalid)}
+        ` : ''}
+      </div>
+    `);
 
-    // 重建选项
-    filter.innerHTML = `
-      <option value="all">所有标签</option>
-      <option value="untagged">未分类</option>
-      ${tags.map(tag => `<option value="${tag}">${tag}</option>`).join('')}
-    `;
+    const result = await callGenericPopup($html, POPUP_TYPE.CONFIRM, '', {
+      okButton: '导入',
+      cancelButton: '取消'
+    });
+    if (!result) return null;
 
-    // 恢复选择
-    filter.value = currentValue;
+    const selection = { added: [], changed: [], conflicts: [] };
+    $html.find('input[type="checkbox"]:checked').each((_, checkbox) => {
+      selection[checkbox.dataset.kind].push(checkbox.value);
+    });
+    return selection;
   }
 
   /**
-   * 刷新整个 UI
+   * 刷新字体绑定区域
    * 
    * @description
-   * 同时刷新字体列表、标签管理器和标签筛选器
-   * 通常在初始化或数据批量变化时调用
+   * 渲染字体绑定管理区域：
+   * 1. 显示当前聊天上下文（角色/群组/聊天）和实际生效的字体
+   * 2. 重建字体下拉框（默认选中全局字体）
+   * 3. 渲染所有绑定规则，命中当前上下文的规则高亮
+   * 4. 绑定删除规则事件
    */
-  refresh() {
-    this.refreshFontList();
-    this.refreshTagManager();
-    this.updateTagFilter();
+  refreshBindingManager() {
+    const contextEl = this.container?.querySelector('#binding-context');
+    const listEl = this.container?.querySelector('#binding-list');
+    const fontSelect = this.container?.querySelector('#binding-font-select');
+    if (!contextEl || !listEl || !fontSelect) return;
+
+    const chatContext = this.fontManager.getChatContext();
+    const activeBinding = this.fontManager.findBinding(chatContext);
+    const typeText = { character: '角色', group: '群组', chat: '聊天' };
+    const typeIcon = { character: 'fa-user', group: 'fa-users', chat: 'fa-comments' };
+
+    // 当前上下文
+    const activeFont = this.fontManager.getFont(this.fontManager.activeFont);
+    contextEl.innerHTML = `
+      <div><i class="fa fa-user"></i> ${escapeHtml(chatContext.characterName || '—')}</div>
+      <div><i class="fa fa-users"></i> ${escapeHtml(chatContext.groupName || '—')}</div>
+      <div><i class="fa fa-comments"></i> ${escapeHtml(String(chatContext.chatId || '—'))}</div>
+      <div class="binding-context-active">
+        当前生效：<strong>${activeFont ? (activeFont.displayName || activeFont.name) : '无'}</strong>
+        ${activeBinding
+          ? `（来自${typeText[activeBinding.type]}绑定）`
+          : (this.fontManager.getScheduledRule() ? '（来自自动切换）' : '（全局字体）')}
+      </div>
+    `;
+
+    // 字体下拉框（保留之前的选择）
+    const previousValue = fontSelect.value || this.fontManager.currentFont || '';
+    fontSelect.innerHTML = this.fontManager.getAllFonts()
+      .map(font => `<option value="${font.name}">${font.displayName || font.name}</option>`)
+      .join('');
+    if (previousValue && this.fontManager.getFont(previousValue)) {
+      fontSelect.value = previousValue;
+    }
+
+    // 绑定规则列表
+    const bindings = this.fontManager.getBindings();
+    if (bindings.length === 0) {
+      listEl.innerHTML = '<div class="no-tags">暂无绑定规则</div>';
+      return;
+    }
+
+    listEl.innerHTML = bindings.map(rule => {
+      const font = this.fontManager.getFont(rule.fontName);
+      return `
+        <div class="binding-item ${activeBinding && activeBinding.id === rule.id ? 'active' : ''}">
+          <div class="binding-info">
+            <i class="fa ${typeIcon[rule.type]}" title="${typeText[rule.type]}"></i>
+            <span class="binding-target" title="${escapeHtml(String(rule.target))}">${escapeHtml(rule.label)}</span>
+            <span class="binding-arrow">→</span>
+            <span class="binding-font">${font ? (font.displayName || font.name) : rule.fontName}</span>
+          </div>
+          <button class="tag-delete-btn-compact binding-delete-btn" data-id="${rule.id}" title="删除绑定">
+            <i class="fa fa-trash"></i>
+          </button>
+        </div>
+      `;
+    }).join('');
+
+    listEl.querySelectorAll('.binding-delete-btn').forEach(btn => {
+      btn.addEventListener('click', async (e) => {
+        await this.fontManager.removeBinding(e.currentTarget.dataset.id);
+      });
+    });
   }
 
   /**
@@ -1269,7 +3324,21 @@ body {
           </p>
         </div>
 
-        <!-- 卡片3：导入模式说明 -->
+        <!-- 卡片3：搜索 -->
+        <div style="background: color-mix(in srgb, var(--SmartThemeQuoteColor) 8%, var(--SmartThemeBlurTintColor) 92%); padding: 16px; border-radius: 8px; margin-bottom: 16px; border-left: 4px solid var(--SmartThemeQuoteColor);">
+          <h3 style="margin: 0 0 12px 0; color: var(--SmartThemeQuoteColor); font-size: 1.15em;">搜索字体</h3>
+          <p style="margin: 8px 0; font-size: 1em;">
+            • 搜索框会同时搜名称、字体族、标签、链接、ZeoSeven ID 和备注<br>
+            • 打错一两个字母也能搜到（如 robto → Roboto）<br>
+            • 中文名称可以用拼音或首字母搜（霞鹜文楷 → xiawu、xwwk）
+          </p>
+          <p style="margin: 12px 0 8px 0; font-size: 0.95em; opacity: 0.9;">
+            <strong>只搜某一项：</strong>${this.getSearchHint()}<br>
+            多个关键词用空格隔开，需要全部满足（如 tag:手写 url:zeoseven）
+          </p>
+        </div>
+
+        <!-- 卡片4：导入模式说明 -->
         <div style="background: color-mix(in srgb, var(--SmartThemeQuoteColor) 8%, var(--SmartThemeBlurTintColor) 92%); padding: 16px; border-radius: 8px; margin-bottom: 16px; border-left: 4px solid var(--SmartThemeQuoteColor);">
           <h3 style="margin: 0 0 12px 0; color: var(--SmartThemeQuoteColor); font-size: 1.15em;">导入模式：合并 vs 替换</h3>
           <p style="margin: 8px 0; font-size: 1em;">
@@ -1287,7 +3356,7 @@ body {
           </p>
         </div>
 
-        <!-- 卡片4：备份和云端用户 -->
+        <!-- 卡片5：备份和云端用户 -->
         <div style="background: color-mix(in srgb, var(--SmartThemeQuoteColor) 8%, var(--SmartThemeBlurTintColor) 92%); padding: 16px; border-radius: 8px; margin-bottom: 16px; border-left: 4px solid var(--SmartThemeQuoteColor);">
           <h3 style="margin: 0 0 12px 0; color: var(--SmartThemeQuoteColor); font-size: 1.15em;">备份你的字体</h3>
           <p style="margin: 8px 0; font-size: 1em;">
@@ -1301,7 +3370,7 @@ body {
           </p>
         </div>
 
-        <!-- 卡片5：遇到问题时 -->
+        <!-- 卡片6：遇到问题时 -->
         <div style="background: color-mix(in srgb, var(--SmartThemeQuoteColor) 8%, var(--SmartThemeBlurTintColor) 92%); padding: 16px; border-radius: 8px; border-left: 4px solid var(--SmartThemeQuoteColor);">
           <h3 style="margin: 0 0 12px 0; color: var(--SmartThemeQuoteColor); font-size: 1.15em;">字体不能用怎么办</h3>
           <p style="margin: 8px 0; font-size: 1em;">
@@ -1337,6 +3406,75 @@ body {
     logger.debug('[FontManagerUI.showGuide] 已显示使用指南');
   }
 
+  /**
+   * 刷新快捷切换和最近使用栏
+   * 
+   * @description
+   * 字体列表上方的两行快速入口：
+   * - 快捷切换：已设置 Alt+数字键 的字体
+   * - 最近使用：按上次使用时间排列
+   * 
+   * 点击直接切换字体；都为空或批量删除模式下隐藏
+   */
+  refreshRecentStrip() {
+    const strip = this.container.querySelector('#font-recent-strip');
+    if (!strip) return;
+
+    const quickSlots = this.fontManager.getQuickSlots().filter(slot => slot.fontName);
+    const recentFonts = this.fontManager.getRecentFonts();
+
+    if (this.uiState.batchDeleteMode || (quickSlots.length === 0 && recentFonts.length === 0)) {
+      strip.style.display = 'none';
+      strip.innerHTML = '';
+      return;
+    }
+
+    const renderChip = (fontName, prefix = '') => {
+      const font = this.fontManager.getFont(fontName);
+      const usage = this.fontManager.getUsage(fontName);
+      const isActive = this.fontManager.activeFont === fontName;
+      return `
+        <button class="font-recent-chip ${isActive ? 'active' : ''}" data-font="${fontName}"
+                title="使用 ${usage.count} 次 · 累计 ${formatDuration(usage.activeMs)}">
+          ${prefix}${font.favorite ? '<i class="fa fa-star"></i>' : ''}${font.displayName || font.name}
+        </button>
+      `;
+    };
+
+    strip.style.display = '';
+    strip.innerHTML = `
+      ${quickSlots.length > 0 ? `
+        <div class="font-recent-row">
+          <span class="font-recent-label"><i class="fa fa-keyboard"></i> 快捷切换</span>
+          ${quickSlots.map(slot => renderChip(slot.fontName, `<span class="font-recent-key">Alt+${slot.key}</span>`)).join('')}
+        </div>
+      ` : ''}
+      ${recentFonts.length > 0 ? `
+        <div class="font-recent-row">
+          <span class="font-recent-label"><i class="fa fa-clock-rotate-left"></i> 最近使用</span>
+          ${recentFonts.map(font => renderChip(font.name)).join('')}
+        </div>
+      ` : ''}
+    `;
+
+    strip.querySelectorAll('.font-recent-chip').forEach(chip => {
+      chip.addEventListener('click', async (e) => {
+        await this.fontManager.setCurrentFont(e.currentTarget.dataset.font);
+        this.refreshFontList();
+      });
+    });
+  }
+
+  /**
+   * 搜索字段说明（用于搜索框提示和使用指南）
+   * @returns {string} 如 "名称 name: · 标签 tag: · ..."
+   */
+  getSearchHint() {
+    return Object.values(SEARCH_FIELDS)
+      .map(field => `${field.label} ${field.keys[0]}:`)
+      .join(' · ');
+  }
+
   /**
    * 切换批量删除模式
    * 
@@ -1365,7 +3503,7 @@ body {
    * 删除选中的字体：
    * 1. 检查是否有选中的字体
    * 2. 使用官方弹窗确认（超过10个显示摘要）
-   * 3. 逐个删除字体
+   * 3. 调用 fontManager.removeFonts() 删除（一次撤销即可全部恢复）
    * 4. 显示删除结果
    * 5. 退出批量删除模式
    * 
@@ -1384,11 +3522,11 @@ body {
     if (selectedFonts.length <= 10) {
       // 10个以内，显示完整列表
       const fontList = selectedFonts.map(name => `• ${name}`).join('\n');
-      confirmMessage = `即将删除 ${selectedFonts.length} 个字体：\n\n${fontList}\n\n确定删除吗？（不可恢复）`;
+      confirmMessage = `即将删除 ${selectedFonts.length} 个字体：\n\n${fontList}\n\n确定删除吗？（可以撤销）`;
     } else {
       // 超过10个，显示摘要
       const preview = selectedFonts.slice(0, 5).map(name => `• ${name}`).join('\n');
-      confirmMessage = `即将删除 ${selectedFonts.length} 个字体\n\n前5个字体：\n${preview}\n... 及其他 ${selectedFonts.length - 5} 个字体\n\n确定删除吗？（不可恢复）`;
+      confirmMessage = `即将删除 ${selectedFonts.length} 个字体\n\n前5个字体：\n${preview}\n... 及其他 ${selectedFonts.length - 5} 个字体\n\n确定删除吗？（可以撤销）`;
     }
 
     const confirmed = await callGenericPopup(
@@ -1399,16 +3537,9 @@ body {
     );
 
     if (confirmed) {
-      let deleted = 0;
-      let failed = 0;
-
-      for (const fontName of selectedFonts) {
-        if (await this.fontManager.removeFont(fontName)) {
-          deleted++;
-        } else {
-          failed++;
-        }
-      }
+      // 作为一次操作删除，撤销时一起恢复
+      const deleted = await this.fontManager.removeFonts(selectedFonts);
+      const failed = selectedFonts.length - deleted;
 
       logger.info(`[FontManagerUI.executeBatchDelete] 批量删除完成: ${deleted} 成功, ${failed} 失败`);
       toastr.success(`已删除 ${deleted} 个字体${failed > 0 ? `，${failed} 个失败` : ''}`);
@@ -1418,6 +3549,36 @@ body {
     }
   }
 
+  /**
+   * 撤销或重做
+   * @async
+   * @param {'undo'|'redo'} action - 撤销还是重做
+   */
+  async handleHistoryStep(action) {
+    const entry = action === 'undo' ? await this.fontManager.undo() : await this.fontManager.redo();
+    if (entry) {
+      toastr.info(`${action === 'undo' ? '已撤销' : '已重做'}：${entry.label}`);
+    }
+  }
+
+  /**
+   * 更新撤销/重做按钮状态
+   * 
+   * @description
+   * 没有可撤销/重做的操作时禁用按钮，提示文字显示下一步会撤销/重做的操作
+   */
+  updateHistoryButtons() {
+    const undoBtn = this.container?.querySelector('#font-undo-btn');
+    const redoBtn = this.container?.querySelector('#font-redo-btn');
+    if (!undoBtn || !redoBtn) return;
+
+    const status = this.fontManager.getHistoryStatus();
+    undoBtn.disabled = !status.canUndo;
+    undoBtn.title = status.canUndo ? `撤销：${status.undoLabel}` : '没有可撤销的操作';
+    redoBtn.disabled = !status.canRedo;
+    redoBtn.title = status.canRedo ? `重做：${status.redoLabel}` : '没有可重做的操作';
+  }
+
   /**
    * 更新批量删除选中数量显示
    * 
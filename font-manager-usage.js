@@ -0,0 +1,115 @@
+/**
+ * 字体管理器 - 使用统计和快捷切换
+ *
+ * @description
+ * 每个字体的使用情况记录在 font.usage 上：
+ * - count: 被应用的次数（页面实际使用的字体切换成它时 +1，刷新页面恢复字体不算）
+ * - activeMs: 作为页面字体的累计时长（页面在后台时不计）
+ * - lastUsed: 上次应用的时间戳
+ *
+ * 和加载检查结果（font.health）一样，使用统计不算字体设置的修改：不进撤销历史，也不导出。
+ *
+ * 快捷切换：Alt+1 ~ Alt+9 切换到对应编号上的字体（编号 → 字体名 由 FontManager.quickSlots 保存）
+ */
+
+/**
+ * 累计使用时长的结算间隔（毫秒）
+ */
+export const USAGE_FLUSH_INTERVAL = 60 * 1000;
+
+/**
+ * "最近使用"最多显示的字体数
+ */
+export const RECENT_FONT_LIMIT = 8;
+
+/**
+ * 快捷切换的编号（对应 Alt+数字键）
+ */
+export const QUICK_SLOT_KEYS = ['1', '2', '3', '4', '5', '6', '7', '8', '9'];
+
+/**
+ * 读取字体的使用统计（没有记录时全为 0）
+ * @param {Object} font - 字体数据对象
+ * @returns {{count: number, activeMs: number, lastUsed: number|null}}
+ */
+export function getFontUsage(font) {
+  return {
+    count: font?.usage?.count || 0,
+    activeMs: font?.usage?.activeMs || 0,
+    lastUsed: font?.usage?.lastUsed || null
+  };
+}
+
+/**
+ * 按使用程度比较（累计时长 → 应用次数 → 上次使用时间，越常用越靠前）
+ * @param {Object} a - 字体 A
+ * @param {Object} b - 字体 B
+ * @returns {number} 可直接用于 Array.sort
+ */
+export function compareByUsage(a, b) {
+  const usageA = getFontUsage(a);
+  const usageB = getFontUsage(b);
+  return (usageB.activeMs - usageA.activeMs)
+    || (usageB.count - usageA.count)
+    || ((usageB.lastUsed || 0) - (usageA.lastUsed || 0));
+}
+
+/**
+ * 最近使用的字体
+ * @param {Object[]} fonts - 字体列表
+ * @param {number} [limit=RECENT_FONT_LIMIT] - 最多返回的数量
+ * @returns {Object[]} 按上次使用时间从新到旧排列（没用过的不包括）
+ */
+export function getRecentFonts(fonts, limit = RECENT_FONT_LIMIT) {
+  return fonts
+    .filter(font => getFontUsage(font).lastUsed)
+    .sort((a, b) => getFontUsage(b).lastUsed - getFontUsage(a).lastUsed)
+    .slice(0, limit);
+}
+
+/**
+ * 格式化使用时长
+ * @param {number} ms - 毫秒
+ * @returns {string} 如 "3 小时 20 分钟"、"不到 1 分钟"
+ */
+export function formatDuration(ms) {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 1) return '不到 1 分钟';
+
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  const rest = minutes % 60;
+  return [
+    days ? `${days} 天` : '',
+    hours ? `${hours} 小时` : '',
+    rest && !days ? `${rest} 分钟` : ''
+  ].filter(Boolean).join(' ');
+}
+
+/**
+ * 判断按键事件的目标是否是可输入的元素
+ * @param {EventTarget|null} target - 事件目标
+ * @returns {boolean}
+ */
+function isEditableTarget(target) {
+  if (!target || !target.tagName) return false;
+  return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+}
+
+/**
+ * 从键盘事件中读取快捷切换的编号
+ *
+ * @description
+ * 只认 Alt+数字键（按 event.code 判断，不受键盘布局影响）。
+ * 焦点在输入框里时不算：macOS 上 Option+数字键是在输入特殊字符（如 ¡ ™ £）
+ *
+ * @param {KeyboardEvent} event - 键盘事件
+ * @returns {string|null} 编号（'1' ~ '9'），不是快捷切换时返回 null
+ */
+export function getQuickSlotKey(event) {
+  if (!event.altKey || event.ctrlKey || event.metaKey || event.shiftKey) return null;
+  if (isEditableTarget(event.target)) return null;
+
+  const match = /^(?:Digit|Numpad)([1-9])$/.exec(event.code || '');
+  return match ? match[1] : null;
+}
@@ -6,17 +6,220 @@
  * - 添加、删除、切换字体
  * - 标签分类管理
  * - 导入导出配置
+ * - 角色/群组/聊天级别的字体绑定（切换聊天时自动切换字体）
+ * - 分区域应用字体（聊天正文、界面菜单、代码块、用户/角色消息）
+ * - 本地字体文件（上传到用户数据目录，离线可用，导出时可嵌入）
+ * - 解析 @import / <link> / @font-face 代码（支持一次添加多个字体族）
+ * - 字体栈（有序后备字体 + 西文/中日韩/表情符号分别指定字体）
+ * - 字体加载检查（发现失效链接）
+ * - 单个字体的排版设置（字号、字重、字间距、行高、阴影、OpenType 特性）
+ * - 按时间段/主题/明暗模式自动切换字体
+ * - 字体合集（按标签或手动挑选，导出为可分享的清单）
+ * - 操作历史（撤销/重做）
+ * - 层级标签（如 手写体/可爱）、标签颜色和图标、多标签筛选
+ * - 字体搜索（模糊匹配、拼音、按字段搜索）
+ * - 使用统计（应用次数、使用时长、最近使用）、收藏和快捷切换（Alt+数字键）
+ * - 斜杠命令（/font、/font-list、/font-next、/font-random、/font-clear）
  * - 应用字体到页面（通过动态插入 style 标签）
  * - 持久化存储到 extension_settings
  * 
  * 采用事件驱动架构，与 FontManagerUI 通过 eventSource 通信
  */
 
-import { extension_settings } from "../../../extensions.js";
-import { saveSettingsDebounced, eventSource } from "../../../../script.js";
+import { extension_settings, getContext } from "../../../extensions.js";
+import { saveSettingsDebounced, eventSource, event_types } from "../../../../script.js";
 import { FontManagerUI } from './font-manager-ui.js';
+import {
+  FONT_FILE_FORMATS,
+  getFontFileExtension,
+  uploadFontFile,
+  uploadFontData,
+  deleteFontFile,
+  readFontFileBase64
+} from './font-manager-files.js';
+import { parseFontSource, rewriteFontFaces, GENERIC_FAMILIES } from './font-manager-parser.js';
+import { checkFontLoad } from './font-manager-health.js';
+import {
+  SCHEDULE_TYPES,
+  parseTime,
+  getThemeContext,
+  getContextKey,
+  findScheduledRule,
+  getNextTimeBoundary,
+  watchThemeChanges
+} from './font-manager-schedule.js';
+import { buildManifest, parseManifest, fetchManifest, diffManifest } from './font-manager-collections.js';
+import { CONFLICT_ACTIONS, validateFontRecords, getUniqueFontName } from './font-manager-import.js';
+import {
+  TAG_SEPARATOR,
+  TAG_ICONS,
+  normalizeTagPath,
+  isTagWithin,
+  fontHasTag,
+  replaceTagPrefix,
+  buildTagTree,
+  matchesTagFilter
+} from './font-manager-tags.js';
+import { HISTORY_LIMIT, captureState, diffStates, applyListChange, getHistoryFilePaths, getSavedHistory } from './font-manager-history.js';
+import { buildSearchIndex, searchIndex } from './font-manager-search.js';
+import {
+  USAGE_FLUSH_INTERVAL,
+  QUICK_SLOT_KEYS,
+  getFontUsage,
+  compareByUsage,
+  getRecentFonts,
+  getQuickSlotKey
+} from './font-manager-usage.js';
+import { registerFontCommands } from './font-manager-commands.js';
 import logger from './logger.js';
 
+/**
+ * Font Awesome 图标排除选择器
+ * 字体规则都要带上它，否则图标会变成方块
+ */
+const ICON_EXCLUSION = ':not([class*="fa-"]):not(.fa):not(.fas):not(.far):not(.fab):not(.fal):not(.fad)';
+
+/**
+ * 字体应用范围（插槽）定义
+ * 
+ * @description
+ * 每个插槽对应页面上的一组容器元素，可以单独设置字体、字号和字重：
+ * - selectors: 容器选择器（字号和字重只设置在容器上，子元素继承）
+ * - 字体族会同时应用到容器和所有子元素
+ * 
+ * 数组顺序就是 CSS 规则的输出顺序，越靠后优先级越高
+ * （所有规则用 :where() 拉平特异性，由顺序决定覆盖关系）
+ * 
+ * @type {Array<{id: string, label: string, selectors: string[]}>}
+ */
+export const FONT_SLOTS = [
+  {
+    id: 'ui',
+    label: '菜单与设置',
+    selectors: ['#top-bar', '#top-settings-holder', '#leftNavPanel', '#rightNavPanel', '.drawer-content', '.popup', '#send_form']
+  },
+  {
+    id: 'chat',
+    label: '聊天正文',
+    selectors: ['#chat .mes_text', '#chat .name_text']
+  },
+  {
+    id: 'char',
+    label: '角色消息',
+    selectors: ['#chat .mes:not([is_user="true"]) .mes_text']
+  },
+  {
+    id: 'user',
+    label: '用户消息',
+    selectors: ['#chat .mes[is_user="true"] .mes_text']
+  },
+  {
+    id: 'code',
+    label: '代码块',
+    selectors: ['code', 'pre']
+  }
+];
+
+/**
+ * 插槽字号倍率和字重的取值范围（和插槽设置界面的输入框一致）
+ */
+const SLOT_SIZE_RANGE = { min: 0.5, max: 3 };
+const SLOT_WEIGHT_RANGE = { min: 100, max: 900 };
+
+/**
+ * 校验插槽的字号倍率或字重
+ * 
+ * @description
+ * 值会直接写进样式表，只接受有限数值并截断到范围内，其他值视为未设置
+ * 
+ * @param {*} value - 字号倍率或字重
+ * @param {{min: number, max: number}} range - 取值范围
+ * @returns {number|null} 校验后的值，无效或未设置时返回 null
+ */
+function normalizeSlotNumber(value, range) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.min(range.max, Math.max(range.min, number)) : null;
+}
+
+/**
+ * 按文字类型拆分字体的定义
+ * 
+ * @description
+ * 每个字体可以为西文、中日韩文字、表情符号单独指定字体（font.scripts），
+ * 应用时通过 unicode-range 让每个字体只负责自己的字符范围
+ * 
+ * @type {Array<{id: string, label: string, unicodeRange: string}>}
+ */
+export const FONT_SCRIPTS = [
+  {
+    id: 'latin',
+    label: '西文',
+    unicodeRange: 'U+0000-024F, U+1E00-1EFF, U+20A0-20CF, U+2100-214F'
+  },
+  {
+    id: 'cjk',
+    label: '中日韩',
+    unicodeRange: 'U+2014, U+2018-2019, U+201C-201D, U+2026, U+2E80-2FDF, U+3000-33FF, U+3400-4DBF, U+4E00-9FFF, U+F900-FAFF, U+FE30-FE4F, U+FF00-FFEF, U+20000-2FA1F'
+  },
+  {
+    id: 'emoji',
+    label: '表情符号',
+    unicodeRange: 'U+200D, U+2600-27BF, U+2B00-2BFF, U+FE0F, U+1F000-1FAFF'
+  }
+];
+
+/**
+ * 单个字体的排版设置（保存在 font.custom 中）
+ * 
+ * @description
+ * - 数值项（滑块）：min/max 用于界面滑块和导入时的范围校验，default 是未设置时滑块的位置
+ * - 文本项：text-shadow、font-feature-settings 原样输出（导入时过滤掉 ; { } 等字符）
+ * 
+ * @type {Array<{key: string, label: string, type: 'range'|'text', min?: number, max?: number, step?: number, default?: number, unit?: string, placeholder?: string}>}
+ */
+export const TYPOGRAPHY_FIELDS = [
+  { key: 'sizeScale', label: '字号', type: 'range', min: 0.5, max: 2, step: 0.05, default: 1, unit: '×' },
+  { key: 'weight', label: '字重', type: 'range', min: 100, max: 900, step: 100, default: 400, unit: '' },
+  { key: 'letterSpacing', label: '字间距', type: 'range', min: -0.1, max: 0.5, step: 0.01, default: 0, unit: 'em' },
+  { key: 'lineHeight', label: '行高', type: 'range', min: 0.8, max: 3, step: 0.05, default: 1.5, unit: '' },
+  { key: 'textShadow', label: '文字阴影', type: 'text', placeholder: '如 0 0 2px rgba(0,0,0,0.5)' },
+  { key: 'fontFeatureSettings', label: 'OpenType 特性', type: 'text', placeholder: '如 "palt", "liga" 0' }
+];
+
+/**
+ * 校验排版设置
+ * 
+ * @description
+ * 数值超出范围时截断，无效值和空值丢弃；
+ * 文本项去掉可能破坏样式表的字符
+ * 
+ * @param {Object} custom - 排版设置
+ * @returns {Object} 校验后的排版设置（保留 custom 中的其他字段）
+ */
+export function normalizeTypography(custom) {
+  const result = { ...(custom && typeof custom === 'object' ? custom : {}) };
+
+  TYPOGRAPHY_FIELDS.forEach(field => {
+    const value = result[field.key];
+    delete result[field.key];
+
+    if (value === null || value === undefined || value === '') return;
+
+    if (field.type === 'range') {
+      const number = Number(value);
+      if (!isNaN(number)) {
+        result[field.key] = Math.min(field.max, Math.max(field.min, number));
+      }
+    } else {
+      const text = String(value).replace(/[;{}<>\\]/g, '').trim().slice(0, 200);
+      if (text) result[field.key] = text;
+    }
+  });
+
+  return result;
+}
+
 export class FontManager {
   /**
    * 构造函数
@@ -25,23 +228,80 @@ export class FontManager {
    * 初始化字体管理器的内部状态
    * - fonts: Map 结构存储字体数据（键为字体名，值为字体对象）
    * - tags: Set 结构存储所有标签（自动去重）
-   * - currentFont: 当前应用的字体名称
+   * - currentFont: 全局字体名称（没有绑定规则命中时使用）
+   * - activeFont: 实际应用到页面的字体名称（可能来自绑定规则）
+   * - bindings: 字体绑定规则列表（角色/群组/聊天 → 字体）
+   * - slots: 分区域字体设置（插槽ID → { fontName, size, weight }）
+   * - schedules: 自动切换规则（时间段/主题/明暗模式 → 字体）
+   * - scheduleOverride: 手动切换字体后暂停自动切换（到下一个规则边界为止）
+   * - collections: 字体合集
+   * - history: 操作历史（撤销/重做）
+   * - tagMeta: 标签的颜色和图标（标签 → { color, icon }）
+   * - searchQuery: 上次的搜索语句（刷新页面后恢复）
+   * - quickSlots: 快捷切换（编号 '1' ~ '9' → 字体名，对应 Alt+数字键）
+   * - usageSession: 正在统计使用时长的字体
    * - fontEnabled: 字体功能总开关
    */
   constructor() {
     // 字体列表（Map结构：字体名 → 字体数据）
     this.fonts = new Map();
 
-    // 当前选中的字体
+    // 当前选中的字体（全局字体）
     this.currentFont = null;
 
+    // 实际应用到页面的字体（绑定规则优先于全局字体）
+    this.activeFont = null;
+
+    // 字体绑定规则（{ id, type: 'character'|'group'|'chat', target, label, fontName }）
+    this.bindings = [];
+
+    // 分区域字体设置（插槽ID → { fontName, size, weight }，未设置的插槽跟随全局字体）
+    this.slots = {};
+
     // 标签系统
     this.tags = new Set();
     this.currentTag = 'all';
 
+    // 自动切换规则（{ id, type, fontName, start, end, theme, scheme, enabled }，按顺序匹配）
+    this.schedules = [];
+
+    // 手动覆盖（{ until, contextKey }，为 null 表示没有暂停）
+    this.scheduleOverride = null;
+    this.scheduleTimer = null;
+    this.stopThemeWatch = null;
+
+    // 字体合集（{ id, name, author, description, previewText, source, version, ... }）
+    this.collections = [];
+
+    // 标签的颜色和图标
+    this.tagMeta = {};
+
+    // 操作历史（撤销/重做）、正在执行的操作层数和排队中的操作
+    this.history = { undo: [], redo: [] };
+    this.historyDepth = 0;
+    this.historyQueue = Promise.resolve();
+
+    // 等待删除的本地字体文件（撤销历史不再引用后才删除）
+    this.pendingFileDeletes = [];
+
+    // 搜索索引（字体变化后置空，下次搜索时重建）和上次的搜索语句
+    this.searchIndex = null;
+    this.searchQuery = '';
+
+    // 快捷切换（编号 → 字体名）
+    this.quickSlots = {};
+
+    // 使用统计：正在计时的字体（{ fontName, since, paused }），初始化完成前恢复字体不算一次应用
+    this.usageSession = null;
+    this.usageReady = false;
+    this.stopUsageWatch = null;
+
     // 字体功能开关
     this.fontEnabled = true;
 
+    // 聊天预览的恢复计时器
+    this.chatPreviewTimer = null;
+
     // UI实例
     this.ui = null;
   }
@@ -54,7 +314,9 @@ export class FontManager {
    * 1. 加载所有字体列表和标签
    * 2. 加载字体功能开关状态
    * 3. 加载当前选中的字体
-   * 4. 如果功能已开启且有选中字体，自动应用到页面
+   * 4. 如果功能已开启，按绑定规则或全局字体应用到页面
+   * 5. 监听聊天切换事件，自动切换绑定的字体
+   * 6. 注册斜杠命令（/font 等）
    * 
    * @async
    */
@@ -84,13 +346,27 @@ export class FontManager {
       logger.warn('[FontManager.init] 保存的字体不存在:', savedCurrent);
     }
 
-    // 如果字体功能开启且有选中的字体，应用它
-    if (this.currentFont && this.fontEnabled) {
-      const fontData = this.fonts.get(this.currentFont);
-      if (fontData) {
-        this.applyFont(fontData);
-      }
-    }
+    // 匹配自动切换规则并应用字体（绑定的字体 > 自动切换 > 全局字体）
+    this.evaluateSchedule();
+
+    // 切换主题或系统明暗模式时重新匹配自动切换规则
+    this.stopThemeWatch = watchThemeChanges(() => {
+      logger.debug('[FontManager] 检测到主题变化，重新匹配自动切换规则');
+      this.evaluateSchedule();
+    });
+
+    // 开始统计使用时长，监听快捷切换按键
+    this.usageReady = true;
+    this.stopUsageWatch = this.watchUsage();
+
+    // 注册斜杠命令（聊天输入框、快速回复、STscript 中切换字体）
+    registerFontCommands(this);
+
+    // 切换角色/群组/聊天时重新匹配绑定规则
+    eventSource.on(event_types.CHAT_CHANGED, () => {
+      logger.debug('[FontManager] 检测到聊天切换，重新匹配字体绑定');
+      this.refreshAppliedFont();
+    });
 
     logger.info('[FontManager.init] 初始化完成: 字体', this.fonts.size, '个，标签', this.tags.size, '个');
   }
@@ -116,12 +392,11 @@ export class FontManager {
     // 如果关闭，清除应用的字体
     if (!enabled) {
       this.clearAppliedFont();
-    } else if (this.currentFont) {
-      // 如果开启，重新应用当前字体
-      const font = this.fonts.get(this.currentFont);
-      if (font) {
-        this.applyFont(font);
-      }
+      this.activeFont = null;
+      this.recordFontUsage();
+    } else {
+      // 如果开启，重新应用绑定的字体或全局字体
+      this.refreshAppliedFont();
     }
 
     // 通知其他模组
@@ -134,17 +409,14 @@ export class FontManager {
    * 应用字体到页面
    * 
    * @description
-   * 通过动态创建 <style> 标签将字体应用到页面所有元素：
+   * 通过动态创建 <style> 标签将字体应用到页面：
    * 1. 先清除旧的字体样式（删除已存在的 style 标签）
    * 2. 创建新的 style 标签，ID 为 'paws-puffs-font-style'
-   * 3. 生成 CSS 代码：@import 字体链接 + 通配符选择器 + !important
-   * 4. 排除 Font Awesome 图标（避免图标变成方块）
-   * 
-   * 使用 `*:not(...)` 通配符选择器 + `!important` 确保能覆盖任何主题的字体设置
+   * 3. 调用 buildFontCss() 生成 CSS（全局字体 + 各插槽字体）
    * 
    * 只有在 fontEnabled 为 true 时才会应用
    * 
-   * @param {Object} font - 字体数据对象
+   * @param {Object|null} font - 全局字体数据对象（为 null 时只应用插槽设置）
    * @param {string} font.name - 字体名称
    * @param {string} font.url - 字体链接（Google Fonts、zeoseven 等）
    * @param {string} font.fontFamily - CSS font-family 值
@@ -163,146 +435,1638 @@ export class FontManager {
     const styleId = 'paws-puffs-font-style';
     const style = document.createElement('style');
     style.id = styleId;
+    style.textContent = this.buildFontCss(font);
+    document.head.appendChild(style);
+    logger.info('已应用字体:', font ? font.name : '（仅插槽）');
+  }
 
-    // 生成CSS代码
-    let css = '';
+  /**
+   * 生成字体样式表
+   * 
+   * @description
+   * 生成 paws-puffs-font-style 的完整 CSS：
+   * 1. 收集全局字体和所有插槽用到的字体（含字体栈），输出 @import 和 @font-face
+   * 2. 全局字体：通配符选择器覆盖所有元素，排版设置加在正文容器上
+   * 3. 按 FONT_SLOTS 顺序输出每个插槽的字体、排版设置、字号、字重
+   * 
+   * 所有规则都排除 Font Awesome 图标，并使用 !important 覆盖主题设置
+   * 插槽规则用 :where() 包裹，特异性与全局规则相同，靠输出顺序覆盖
+   * 
+   * @param {Object|null} font - 全局字体数据对象
+   * @returns {string} CSS 代码
+   */
+  buildFontCss(font) {
+    const slotEntries = FONT_SLOTS
+      .map(slot => ({ slot, setting: this.slots[slot.id] }))
+      .filter(({ setting }) => setting && (setting.fontName || setting.size || setting.weight));
+
+    // 1. 收集所有用到的字体，输出 @import 和 @font-face
+    const rootFonts = [];
+    if (font) rootFonts.push(font);
+    slotEntries.forEach(({ setting }) => {
+      const slotFont = setting.fontName ? this.fonts.get(setting.fontName) : null;
+      if (slotFont) rootFonts.push(slotFont);
+    });
 
-    // 1. 添加字体导入链接
-    if (font.url) {
-      css += `@import url("${font.url}");\n\n`;
-    }
+    let css = this.buildLoadCss(rootFonts);
 
-    // 2. 应用到所有元素（终极简洁版：覆盖所有元素，不遗漏任何弹窗和UI）
-    if (font.fontFamily) {
+    // 2. 全局字体：应用到所有元素（终极简洁版：覆盖所有元素，不遗漏任何弹窗和UI）
+    if (font && font.fontFamily) {
       css += `
       /* 应用到所有元素，但排除Font Awesome图标 */
-      *:not([class*="fa-"]):not(.fa):not(.fas):not(.far):not(.fab):not(.fal):not(.fad) {
-        font-family: '${font.fontFamily}', sans-serif !important;
+      *${ICON_EXCLUSION} {
+        font-family: ${this.getFontFamilyValue(font)} !important;
+      }`;
+
+      // 全局字体的排版设置：字号缩放 SillyTavern 的基础字号，其余设置在正文容器上由子元素继承
+      if (font.custom?.sizeScale) {
+        css += `
+      :root {
+        --mainFontSize: calc(var(--fontScale, 1) * 15px * ${font.custom.sizeScale}) !important;
+      }`;
+      }
+
+      const typography = this.getTypographyDeclarations(font, false);
+      if (typography.length > 0) {
+        css += `
+      :where(body, #chat .mes_text) {
+        ${typography.join('\n        ')}
       }`;
+      }
     }
 
-    style.textContent = css;
-    document.head.appendChild(style);
-    logger.info('已应用字体:', font.name);
+    // 3. 各插槽的字体、排版设置、字号、字重
+    slotEntries.forEach(({ slot, setting }) => {
+      const slotFont = setting.fontName ? this.fonts.get(setting.fontName) : null;
+      const containers = slot.selectors.join(', ');
+
+      if (slotFont && slotFont.fontFamily) {
+        const descendants = slot.selectors.map(selector => `${selector} *`).join(', ');
+        css += `
+      /* 插槽：${slot.label} */
+      :where(${containers}, ${descendants})${ICON_EXCLUSION} {
+        font-family: ${this.getFontFamilyValue(slotFont)} !important;
+      }`;
+      }
+
+      // 字体自身的排版设置在前，插槽的字号、字重在后（同一规则中后者覆盖前者）
+      const declarations = slotFont ? this.getTypographyDeclarations(slotFont, true) : [];
+      if (setting.size) {
+        declarations.push(`font-size: calc(var(--mainFontSize) * ${setting.size}) !important;`);
+      }
+      if (setting.weight) {
+        declarations.push(`font-weight: ${setting.weight} !important;`);
+      }
+      if (declarations.length > 0) {
+        css += `
+      :where(${containers})${ICON_EXCLUSION} {
+        ${declarations.join('\n        ')}
+      }`;
+      }
+    });
+
+    return css;
   }
 
   /**
-   * 清除应用的字体
+   * 生成字体的 @font-face 规则
    * 
    * @description
-   * 移除页面上由本扩展创建的字体样式标签
-   * 恢复为系统默认字体
+   * - 本地字体文件：根据文件路径生成
+   * - 直接粘贴的 @font-face：原样输出
+   * 
+   * @param {Object} font - 字体数据对象
+   * @returns {string} @font-face CSS，链接字体返回空字符串
    */
-  clearAppliedFont() {
-    const existingStyle = document.getElementById('paws-puffs-font-style');
-    if (existingStyle) {
-      existingStyle.remove();
-      logger.info('已清除应用的字体');
+  getFontFaceCss(font) {
+    if (font.source === 'fontface') {
+      return font.faceCss ? `\n${font.faceCss}` : '';
+    }
+
+    if (font.source !== 'local' || !font.file?.path) {
+      return '';
     }
+
+    return `
+      @font-face {
+        font-family: '${font.fontFamily}';
+        src: url("${font.file.path}") format("${font.file.format}");
+        font-display: swap;
+      }
+`;
   }
 
   /**
-   * 删除标签
+   * 生成加载字体所需的 CSS
    * 
    * @description
-   * 从标签系统中删除指定标签，并从所有字体中移除该标签：
-   * 1. 遍历所有字体，移除包含此标签的引用
-   * 2. 从标签集合中删除
-   * 3. 如果当前筛选的是这个标签，重置为"全部"
+   * 收集传入字体及其字体栈（后备字体、分文字类型字体）用到的所有字体：
+   * 1. 输出 @import（必须在最前面）
+   * 2. 本地字体文件和 @font-face 字体输出 @font-face 规则
+   * 3. 分文字类型字体输出带 unicode-range 的别名 @font-face
    * 
-   * 会触发 pawsFontTagsChanged 事件通知 UI 刷新
+   * 应用字体和预览字体共用
+   * 
+   * @param {Object[]} fonts - 字体数据对象列表
+   * @returns {string} CSS 代码
+   */
+  buildLoadCss(fonts) {
+    const usedFonts = new Map();
+    const aliases = new Map();
+
+    fonts.forEach(font => {
+      usedFonts.set(font.name, font);
+      this.getStackFonts(font).forEach(stackFont => usedFonts.set(stackFont.name, stackFont));
+
+      FONT_SCRIPTS.forEach(script => {
+        const scriptFont = font.scripts?.[script.id] ? this.fonts.get(font.scripts[script.id]) : null;
+        if (scriptFont && this.canSplitScript(scriptFont)) {
+          aliases.set(this.getScriptAlias(scriptFont, script.id), { font: scriptFont, script });
+        }
+      });
+    });
+
+    let css = '';
+    usedFonts.forEach(usedFont => {
+      if (usedFont.url) {
+        css += `@import url("${usedFont.url}");\n`;
+      }
+    });
+
+    usedFonts.forEach(usedFont => {
+      css += this.getFontFaceCss(usedFont);
+    });
+
+    aliases.forEach(({ font, script }, alias) => {
+      css += this.getScriptFaceCss(font, script, alias);
+    });
+
+    return css;
+  }
+
+  /**
+   * 获取字体栈中引用的已管理字体
+   * @param {Object} font - 字体数据对象
+   * @returns {Object[]} 后备字体和分文字类型字体（不含自身，已去重）
+   */
+  getStackFonts(font) {
+    const names = [
+      ...Object.values(font.scripts || {}),
+      ...(font.fallbacks || [])
+    ];
+
+    return [...new Set(names)]
+      .filter(name => name && name !== font.name && this.fonts.has(name))
+      .map(name => this.fonts.get(name));
+  }
+
+  /**
+   * 字体能否用 unicode-range 限制字符范围
+   * 
+   * @description
+   * 只有知道字体文件地址时才能生成带 unicode-range 的别名：
+   * 本地字体文件和直接粘贴的 @font-face 可以；
+   * 链接字体（@import）的 @font-face 在外部样式表里，只能靠字体栈顺序
+   * 
+   * @param {Object} font - 字体数据对象
+   * @returns {boolean}
+   */
+  canSplitScript(font) {
+    return (font.source === 'local' && !!font.file?.path) || (font.source === 'fontface' && !!font.faceCss);
+  }
+
+  /**
+   * 获取分文字类型字体的别名字体族名
+   * @param {Object} font - 字体数据对象
+   * @param {string} scriptId - 文字类型ID（见 FONT_SCRIPTS）
+   * @returns {string} 如 `paws-cjk-Huiwen-mincho`
+   */
+  getScriptAlias(font, scriptId) {
+    return `paws-${scriptId}-${font.fontFamily}`;
+  }
+
+  /**
+   * 生成分文字类型字体的别名 @font-face
+   * @param {Object} font - 字体数据对象
+   * @param {Object} script - FONT_SCRIPTS 中的一项
+   * @param {string} alias - 别名字体族名
+   * @returns {string} @font-face CSS
+   */
+  getScriptFaceCss(font, script, alias) {
+    if (font.source === 'local') {
+      return `
+      @font-face {
+        font-family: '${alias}';
+        src: url("${font.file.path}") format("${font.file.format}");
+        unicode-range: ${script.unicodeRange};
+        font-display: swap;
+      }
+`;
+    }
+
+    return `\n${rewriteFontFaces(font.faceCss, alias, script.unicodeRange)}`;
+  }
+
+  /**
+   * 获取字体栈（按顺序排列的字体族名）
+   * 
+   * @description
+   * 排列顺序：
+   * 1. 能用 unicode-range 限制范围的分文字类型字体（别名，只覆盖对应字符）
+   * 2. 不能限制范围的西文字体（西文字体一般没有中文字形，放在前面不会抢中文）
+   * 3. 字体本身
+   * 4. 不能限制范围的中日韩字体（中文字体通常自带西文字形，放在主字体后面）
+   * 5. 后备字体（按用户设置的顺序）
+   * 6. 不能限制范围的表情符号字体
+   * 7. 通用字体族（后备字体里没有时补上 sans-serif）
+   * 
+   * @param {Object} font - 字体数据对象
+   * @returns {string[]} 字体族名列表（已去重）
+   */
+  getFontStack(font) {
+    const scripts = font.scripts || {};
+    const scriptFont = (scriptId) => scripts[scriptId] ? this.fonts.get(scripts[scriptId]) : null;
+
+    const families = [];
+    const push = (family) => {
+      if (family && !families.includes(family)) families.push(family);
+    };
+
+    FONT_SCRIPTS.forEach(script => {
+      const target = scriptFont(script.id);
+      if (target && this.canSplitScript(target)) {
+        push(this.getScriptAlias(target, script.id));
+      }
+    });
+
+    const latin = scriptFont('latin');
+    if (latin && !this.canSplitScript(latin)) push(latin.fontFamily);
+
+    push(font.fontFamily);
+
+    const cjk = scriptFont('cjk');
+    if (cjk && !this.canSplitScript(cjk)) push(cjk.fontFamily);
+
+    (font.fallbacks || []).forEach(entry => {
+      push(this.fonts.has(entry) ? this.fonts.get(entry).fontFamily : entry);
+    });
+
+    const emoji = scriptFont('emoji');
+    if (emoji && !this.canSplitScript(emoji)) push(emoji.fontFamily);
+
+    if (!families.some(family => GENERIC_FAMILIES.has(family.toLowerCase()))) {
+      push('sans-serif');
+    }
+
+    return families;
+  }
+
+  /**
+   * 生成字体排版设置的 CSS 声明
+   * @param {Object} font - 字体数据对象
+   * @param {boolean} includeSize - 是否输出字号（全局字体通过 --mainFontSize 缩放，不在这里输出）
+   * @returns {string[]} CSS 声明列表（带 !important）
+   */
+  getTypographyDeclarations(font, includeSize) {
+    const custom = font.custom || {};
+    const declarations = [];
+
+    if (includeSize && custom.sizeScale) {
+      declarations.push(`font-size: calc(var(--mainFontSize) * ${custom.sizeScale}) !important;`);
+    }
+    if (custom.weight) {
+      declarations.push(`font-weight: ${custom.weight} !important;`);
+    }
+    if (custom.letterSpacing !== undefined) {
+      declarations.push(`letter-spacing: ${custom.letterSpacing}em !important;`);
+    }
+    if (custom.lineHeight) {
+      declarations.push(`line-height: ${custom.lineHeight} !important;`);
+    }
+    if (custom.textShadow) {
+      declarations.push(`text-shadow: ${custom.textShadow} !important;`);
+    }
+    if (custom.fontFeatureSettings) {
+      declarations.push(`font-feature-settings: ${custom.fontFeatureSettings} !important;`);
+    }
+
+    return declarations;
+  }
+
+  /**
+   * 设置字体排版
+   * 
+   * @description
+   * 合并到 font.custom 中，值为 null 或空字符串表示恢复默认；
+   * 所有值经过 normalizeTypography() 校验
    * 
    * @async
-   * @param {string} tagToDelete - 要删除的标签名
-   * @returns {Promise<boolean>} 是否删除成功
+   * @param {string} fontName - 字体名称
+   * @param {Object} updates - 要修改的排版设置（键见 TYPOGRAPHY_FIELDS）
+   * @returns {Promise<boolean>} 是否设置成功
+   */
+  async setFontTypography(fontName, updates) {
+    const font = this.fonts.get(fontName);
+    if (!font) {
+      logger.warn('[FontManager.setFontTypography] 字体不存在:', fontName);
+      return false;
+    }
+
+    const custom = normalizeTypography({ ...font.custom, ...updates });
+    logger.debug('[FontManager.setFontTypography] 设置排版:', fontName, custom);
+    return this.updateFont(fontName, { custom });
+  }
+
+  /**
+   * 生成字体的 font-family 值
+   * 
+   * @description
+   * 非通用字体族名加单引号，名称中的反斜杠和单引号转义（如 Tom's Hand → 'Tom\'s Hand'）
+   * 
+   * @param {Object} font - 字体数据对象
+   * @returns {string} 如 `'Inter', 'Huiwen-mincho', serif`
+   */
+  getFontFamilyValue(font) {
+    return this.getFontStack(font)
+      .map(family => GENERIC_FAMILIES.has(family.toLowerCase()) ? family : `'${family.replace(/['\\]/g, '\\$&')}'`)
+      .join(', ');
+  }
+
+  /**
+   * 设置字体栈
+   * 
+   * @description
+   * - fallbacks: 有序的后备字体列表，可以是已管理的字体名，也可以是系统字体族名（如 serif、Microsoft YaHei）；
+   *   后备字体会写进样式表，包含双引号、反斜杠、大括号、分号或换行的名称会被忽略
+   * - scripts: 分文字类型字体（{ latin, cjk, emoji } → 已管理的字体名，null 表示不指定）
+   * 
+   * @async
+   * @param {string} fontName - 字体名称
+   * @param {Object} stack - 字体栈设置
+   * @param {string[]} [stack.fallbacks] - 后备字体列表
+   * @param {Object} [stack.scripts] - 分文字类型字体
+   * @returns {Promise<boolean>} 是否设置成功
+   */
+  async setFontStack(fontName, { fallbacks, scripts } = {}) {
+    const font = this.fonts.get(fontName);
+    if (!font) {
+      logger.warn('[FontManager.setFontStack] 字体不存在:', fontName);
+      return false;
+    }
+
+    const updates = {};
+    if (fallbacks !== undefined) {
+      updates.fallbacks = [...new Set(fallbacks
+        .map(entry => String(entry).trim())
+        .filter(entry => entry && entry !== fontName && !/["\\{};<>\r\n]/.test(entry)))];
+    }
+    if (scripts !== undefined) {
+      updates.scripts = {};
+      FONT_SCRIPTS.forEach(script => {
+        const target = scripts[script.id];
+        if (target && target !== fontName && this.fonts.has(target)) {
+          updates.scripts[script.id] = target;
+        }
+      });
+    }
+
+    logger.debug('[FontManager.setFontStack] 设置字体栈:', fontName, updates);
+    return this.updateFont(fontName, updates);
+  }
+
+  /**
+   * 替换字体栈中对某个字体的引用
+   * @param {Object} font - 要修改的字体数据对象
+   * @param {string} oldName - 原字体名
+   * @param {string|null} newName - 新字体名，null 表示移除
+   * @returns {boolean} 是否有修改
+   */
+  replaceStackReference(font, oldName, newName) {
+    let changed = false;
+
+    if (font.fallbacks?.includes(oldName)) {
+      font.fallbacks = font.fallbacks
+        .map(entry => entry === oldName ? newName : entry)
+        .filter(Boolean);
+      changed = true;
+    }
+
+    Object.keys(font.scripts || {}).forEach(scriptId => {
+      if (font.scripts[scriptId] === oldName) {
+        if (newName) {
+          font.scripts[scriptId] = newName;
+        } else {
+          delete font.scripts[scriptId];
+        }
+        changed = true;
+      }
+    });
+
+    return changed;
+  }
+
+  /**
+   * 设置插槽字体
+   * 
+   * @description
+   * 更新单个插槽的字体、字号或字重：
+   * - fontName 为 null 表示跟随全局字体
+   * - size 为字号倍率（相对 SillyTavern 的 --mainFontSize），null 表示不修改
+   * - weight 为 100-900 的字重，null 表示不修改
+   * 
+   * 三项都为空时删除该插槽设置
+   * 
+   * @async
+   * @param {string} slotId - 插槽ID（见 FONT_SLOTS）
+   * @param {{fontName?: string|null, size?: number|null, weight?: number|null}} updates - 要更新的设置
+   * @returns {Promise<boolean>} 是否设置成功
+   */
+  async setSlot(slotId, updates) {
+    if (!FONT_SLOTS.some(slot => slot.id === slotId)) {
+      logger.warn('[FontManager.setSlot] 未知的插槽:', slotId);
+      return false;
+    }
+
+    if (updates.fontName && !this.fonts.has(updates.fontName)) {
+      logger.warn('[FontManager.setSlot] 字体不存在:', updates.fontName);
+      return false;
+    }
+
+    const setting = { fontName: null, size: null, weight: null, ...this.slots[slotId], ...updates };
+    setting.size = normalizeSlotNumber(setting.size, SLOT_SIZE_RANGE);
+    setting.weight = normalizeSlotNumber(setting.weight, SLOT_WEIGHT_RANGE);
+
+    if (!setting.fontName && !setting.size && !setting.weight) {
+      delete this.slots[slotId];
+    } else {
+      this.slots[slotId] = setting;
+    }
+
+    await this.saveFonts();
+    this.refreshAppliedFont();
+    eventSource.emit('pawsFontSlotsChanged', { slotId, setting: this.slots[slotId] || null });
+
+    logger.info('[FontManager.setSlot] 已更新插槽:', slotId, this.slots[slotId] || '（已重置）');
+    return true;
+  }
+
+  /**
+   * 获取插槽设置
+   * @param {string} slotId - 插槽ID
+   * @returns {{fontName: string|null, size: number|null, weight: number|null}} 插槽设置（未设置时各项为 null）
+   */
+  getSlot(slotId) {
+    return { fontName: null, size: null, weight: null, ...this.slots[slotId] };
+  }
+
+  /**
+   * 获取当前聊天上下文
+   * 
+   * @description
+   * 从 SillyTavern 的 getContext() 中提取绑定规则需要的信息：
+   * - 角色：以头像文件名作为唯一标识（角色改名不影响绑定）
+   * - 群组：群组 ID
+   * - 聊天：聊天 ID
+   * 
+   * @returns {{characterAvatar: string|null, characterName: string|null, groupId: string|null, groupName: string|null, chatId: string|null}}
+   */
+  getChatContext() {
+    const context = getContext();
+    const character = context.characterId !== undefined ? context.characters?.[context.characterId] : null;
+    const group = context.groupId ? context.groups?.find(g => g.id === context.groupId) : null;
+
+    return {
+      characterAvatar: character?.avatar || null,
+      characterName: character?.name || null,
+      groupId: context.groupId || null,
+      groupName: group?.name || null,
+      chatId: context.chatId || null
+    };
+  }
+
+  /**
+   * 查找当前上下文命中的绑定规则
+   * 
+   * @description
+   * 按"聊天 > 群组 > 角色"的优先级查找：
+   * 单个聊天的绑定最具体，优先级最高；群聊中不匹配角色规则
+   * 
+   * @param {Object} [chatContext] - 聊天上下文，默认读取当前上下文
+   * @returns {Object|null} 命中的绑定规则，没有命中返回 null
+   */
+  findBinding(chatContext = this.getChatContext()) {
+    const { characterAvatar, groupId, chatId } = chatContext;
+
+    const match = (type, target) => target
+      ? this.bindings.find(rule => rule.type === type && rule.target === target && this.fonts.has(rule.fontName))
+      : null;
+
+    return match('chat', chatId)
+      || match('group', groupId)
+      || (groupId ? null : match('character', characterAvatar))
+      || null;
+  }
+
+  /**
+   * 获取实际应该应用的字体名称
+   * 
+   * @description
+   * 优先级：绑定规则 > 自动切换规则（未暂停时）> 全局字体
+   * 
+   * @returns {string|null} 实际应用的字体名称
+   */
+  getEffectiveFontName() {
+    const binding = this.findBinding();
+    if (binding) {
+      return binding.fontName;
+    }
+
+    const scheduled = this.getScheduledRule();
+    return scheduled ? scheduled.fontName : this.currentFont;
+  }
+
+  /**
+   * 按绑定规则刷新页面字体
+   * 
+   * @description
+   * 统一的字体应用入口：
+   * 1. 功能关闭时不做任何事
+   * 2. 查找绑定规则，没有命中则回退到全局字体
+   * 3. 应用字体和插槽设置（都没有时清除样式）
+   * 4. 实际字体变化时触发 pawsFontActiveChanged 事件
+   */
+  refreshAppliedFont() {
+    if (!this.fontEnabled) {
+      return;
+    }
+
+    const fontName = this.getEffectiveFontName();
+    const font = fontName ? this.fonts.get(fontName) : null;
+
+    // 没有全局字体时，插槽设置仍然生效
+    if (font || Object.keys(this.slots).length > 0) {
+      this.applyFont(font);
+    } else {
+      this.clearAppliedFont();
+    }
+
+    const previous = this.activeFont;
+    this.activeFont = font ? font.name : null;
+
+    if (previous !== this.activeFont) {
+      logger.debug('[FontManager.refreshAppliedFont] 实际字体:', previous, '→', this.activeFont);
+      this.recordFontUsage();
+      eventSource.emit('pawsFontActiveChanged', this.activeFont);
+    }
+  }
+
+  /**
+   * 添加字体绑定规则
+   * 
+   * @description
+   * 将字体绑定到角色、群组或单个聊天：
+   * 1. 未指定目标时，使用当前聊天上下文
+   * 2. 同一目标只保留一条规则（重复绑定会覆盖）
+   * 3. 保存后立即重新匹配并应用字体
+   * 
+   * @async
+   * @param {'character'|'group'|'chat'} type - 绑定类型
+   * @param {string} fontName - 要绑定的字体名称
+   * @param {string} [target] - 绑定目标（角色头像/群组ID/聊天ID），默认当前上下文
+   * @param {string} [label] - 显示名称，默认取角色名/群组名/聊天ID
+   * @returns {Promise<Object|null>} 新的绑定规则，失败返回 null
+   */
+  async addBinding(type, fontName, target = null, label = null) {
+    if (!this.fonts.has(fontName)) {
+      logger.warn('[FontManager.addBinding] 字体不存在:', fontName);
+      return null;
+    }
+
+    const chatContext = this.getChatContext();
+    const defaults = {
+      character: [chatContext.characterAvatar, chatContext.characterName],
+      group: [chatContext.groupId, chatContext.groupName],
+      chat: [chatContext.chatId, chatContext.chatId]
+    }[type];
+
+    if (!defaults) {
+      logger.warn('[FontManager.addBinding] 未知的绑定类型:', type);
+      return null;
+    }
+
+    const bindTarget = target || defaults[0];
+    if (!bindTarget) {
+      logger.warn('[FontManager.addBinding] 当前上下文没有可绑定的目标:', type);
+      return null;
+    }
+
+    // 同一目标只保留一条规则
+    this.bindings = this.bindings.filter(rule => !(rule.type === type && rule.target === bindTarget));
+
+    const binding = {
+      id: `${type}-${Date.now()}`,
+      type,
+      target: bindTarget,
+      label: label || (target ? bindTarget : defaults[1]) || bindTarget,
+      fontName
+    };
+    this.bindings.push(binding);
+
+    await this.saveFonts();
+    this.refreshAppliedFont();
+    eventSource.emit('pawsFontBindingsChanged', { action: 'added', binding });
+
+    logger.info('[FontManager.addBinding] 已绑定字体:', type, binding.label, '→', fontName);
+    return binding;
+  }
+
+  /**
+   * 删除字体绑定规则
+   * 
+   * @async
+   * @param {string} bindingId - 绑定规则 ID
+   * @returns {Promise<boolean>} 是否删除成功
+   */
+  async removeBinding(bindingId) {
+    const binding = this.bindings.find(rule => rule.id === bindingId);
+    if (!binding) {
+      logger.warn('[FontManager.removeBinding] 绑定规则不存在:', bindingId);
+      return false;
+    }
+
+    this.bindings = this.bindings.filter(rule => rule.id !== bindingId);
+
+    await this.saveFonts();
+    this.refreshAppliedFont();
+    eventSource.emit('pawsFontBindingsChanged', { action: 'removed', binding });
+
+    logger.info('[FontManager.removeBinding] 已删除绑定:', binding.type, binding.label);
+    return true;
+  }
+
+  /**
+   * 获取所有绑定规则
+   * @returns {Object[]} 绑定规则数组
+   */
+  getBindings() {
+    return [...this.bindings];
+  }
+
+  /**
+   * 获取当前命中的自动切换规则
+   * @param {Object} [options] - 选项
+   * @param {boolean} [options.ignoreOverride=false] - 是否忽略手动暂停
+   * @returns {Object|null} 命中的规则，暂停中或没有命中时返回 null
+   */
+  getScheduledRule({ ignoreOverride = false } = {}) {
+    if (!ignoreOverride && this.isSchedulePaused()) {
+      return null;
+    }
+    return findScheduledRule(this.schedules, rule => this.fonts.has(rule.fontName));
+  }
+
+  /**
+   * 自动切换是否被手动暂停
+   * 
+   * @description
+   * 到达暂停时记录的下一个时间边界，或主题/明暗模式发生变化后，暂停自动失效
+   * 
+   * @returns {boolean}
+   */
+  isSchedulePaused() {
+    const override = this.scheduleOverride;
+    if (!override) {
+      return false;
+    }
+
+    const expired = (override.until && Date.now() >= override.until)
+      || override.contextKey !== getContextKey(getThemeContext());
+    if (expired) {
+      this.scheduleOverride = null;
+      extension_settings['Acsus-Paws-Puffs'].fontManager.scheduleOverride = null;
+      saveSettingsDebounced();
+      logger.debug('[FontManager.isSchedulePaused] 已到达规则边界，恢复自动切换');
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * 重新匹配自动切换规则并应用字体
+   * 
+   * @description
+   * 初始化、主题变化、到达时间边界时调用：
+   * 1. 检查手动暂停是否到期
+   * 2. 重新应用字体（getEffectiveFontName 会匹配规则）
+   * 3. 设置下一个时间边界的计时器
+   */
+  evaluateSchedule() {
+    this.isSchedulePaused();
+    this.refreshAppliedFont();
+
+    clearTimeout(this.scheduleTimer);
+    this.scheduleTimer = null;
+
+    const next = getNextTimeBoundary(this.schedules);
+    if (next) {
+      // 最多等 1 小时再检查一次（电脑休眠后计时器会不准）
+      const delay = Math.min(next - Date.now() + 1000, 60 * 60 * 1000);
+      this.scheduleTimer = setTimeout(() => this.evaluateSchedule(), delay);
+    }
+
+    eventSource.emit('pawsFontScheduleChanged', this.getScheduleStatus());
+  }
+
+  /**
+   * 获取自动切换状态
+   * @returns {{rule: Object|null, paused: boolean, pausedUntil: number|null}}
+   */
+  getScheduleStatus() {
+    const paused = this.isSchedulePaused();
+    return {
+      rule: this.getScheduledRule(),
+      paused,
+      pausedUntil: paused ? this.scheduleOverride.until : null
+    };
+  }
+
+  /**
+   * 暂停自动切换（到下一个规则边界为止）
+   * 
+   * @description
+   * 手动切换字体时调用：暂停到下一个时间边界，
+   * 或者主题/明暗模式变化时（先到者为准）
+   */
+  pauseSchedule() {
+    this.scheduleOverride = {
+      until: getNextTimeBoundary(this.schedules),
+      contextKey: getContextKey(getThemeContext())
+    };
+    extension_settings['Acsus-Paws-Puffs'].fontManager.scheduleOverride = this.scheduleOverride;
+    saveSettingsDebounced();
+
+    logger.info('[FontManager.pauseSchedule] 已暂停自动切换，直到',
+      this.scheduleOverride.until ? new Date(this.scheduleOverride.until).toLocaleString() : '主题变化');
+  }
+
+  /**
+   * 立即恢复自动切换
+   */
+  resumeSchedule() {
+    this.scheduleOverride = null;
+    extension_settings['Acsus-Paws-Puffs'].fontManager.scheduleOverride = null;
+    saveSettingsDebounced();
+    this.evaluateSchedule();
+  }
+
+  /**
+   * 添加自动切换规则
+   * 
+   * @async
+   * @param {Object} rule - 规则
+   * @param {'time'|'theme'|'scheme'} rule.type - 规则类型
+   * @param {string} rule.fontName - 字体名称
+   * @param {string} [rule.start] - 开始时间 HH:MM（time）
+   * @param {string} [rule.end] - 结束时间 HH:MM（time）
+   * @param {string} [rule.theme] - 主题名称（theme）
+   * @param {'light'|'dark'} [rule.scheme] - 明暗模式（scheme）
+   * @returns {Promise<Object|null>} 添加的规则，参数无效时返回 null
+   */
+  async addScheduleRule(rule) {
+    if (!SCHEDULE_TYPES[rule.type] || !this.fonts.has(rule.fontName)) {
+      logger.warn('[FontManager.addScheduleRule] 无效的规则:', rule);
+      return null;
+    }
+
+    const entry = {
+      id: `schedule-${Date.now()}`,
+      type: rule.type,
+      fontName: rule.fontName,
+      enabled: true
+    };
+
+    if (rule.type === 'time') {
+      if (parseTime(rule.start) === null || parseTime(rule.end) === null || rule.start === rule.end) {
+        logger.warn('[FontManager.addScheduleRule] 时间格式无效:', rule.start, rule.end);
+        return null;
+      }
+      entry.start = rule.start;
+      entry.end = rule.end;
+    } else if (rule.type === 'theme') {
+      if (!rule.theme) return null;
+      entry.theme = rule.theme;
+    } else {
+      entry.scheme = rule.scheme === 'dark' ? 'dark' : 'light';
+    }
+
+    this.schedules.push(entry);
+    await this.saveFonts();
+    this.evaluateSchedule();
+
+    logger.info('[FontManager.addScheduleRule] 已添加规则:', entry);
+    return entry;
+  }
+
+  /**
+   * 更新自动切换规则（启用/停用、调整顺序等）
+   * @async
+   * @param {string} ruleId - 规则ID
+   * @param {Object} updates - 要修改的字段
+   * @returns {Promise<boolean>} 是否更新成功
+   */
+  async updateScheduleRule(ruleId, updates) {
+    const rule = this.schedules.find(item => item.id === ruleId);
+    if (!rule) {
+      logger.warn('[FontManager.updateScheduleRule] 规则不存在:', ruleId);
+      return false;
+    }
+
+    Object.assign(rule, updates, { id: rule.id, type: rule.type });
+    await this.saveFonts();
+    this.evaluateSchedule();
+    return true;
+  }
+
+  /**
+   * 移动自动切换规则（规则按顺序匹配，越靠前优先级越高）
+   * @async
+   * @param {string} ruleId - 规则ID
+   * @param {number} offset - 移动量（-1 上移，1 下移）
+   * @returns {Promise<boolean>} 是否移动成功
+   */
+  async moveScheduleRule(ruleId, offset) {
+    const index = this.schedules.findIndex(item => item.id === ruleId);
+    const target = index + offset;
+    if (index === -1 || target < 0 || target >= this.schedules.length) {
+      return false;
+    }
+
+    const [rule] = this.schedules.splice(index, 1);
+    this.schedules.splice(target, 0, rule);
+    await this.saveFonts();
+    this.evaluateSchedule();
+    return true;
+  }
+
+  /**
+   * 删除自动切换规则
+   * @async
+   * @param {string} ruleId - 规则ID
+   * @returns {Promise<boolean>} 是否删除成功
+   */
+  async removeScheduleRule(ruleId) {
+    const count = this.schedules.length;
+    this.schedules = this.schedules.filter(item => item.id !== ruleId);
+    if (this.schedules.length === count) {
+      logger.warn('[FontManager.removeScheduleRule] 规则不存在:', ruleId);
+      return false;
+    }
+
+    await this.saveFonts();
+    this.evaluateSchedule();
+    return true;
+  }
+
+  /**
+   * 获取所有自动切换规则
+   * @returns {Object[]} 规则列表（副本）
+   */
+  getSchedules() {
+    return [...this.schedules];
+  }
+  /**
+   * 获取合集包含的字体
+   * 
+   * @description
+   * - 按标签建立的合集（source.type 为 'tags'）：包含带有任一标签（或其子标签）的字体，随标签变化
+   * - 手动挑选的合集（source.type 为 'manual'）：包含列表中仍然存在的字体
+   * 
+   * @param {Object|string} collection - 合集或合集ID
+   * @returns {Object[]} 字体数据对象列表
+   */
+  getCollectionFonts(collection) {
+    if (typeof collection === 'string') {
+      collection = this.collections.find(item => item.id === collection);
+    }
+    if (!collection) {
+      return [];
+    }
+
+    if (collection.source?.type === 'tags') {
+      const tags = collection.source.tags || [];
+      return Array.from(this.fonts.values()).filter(font => tags.some(tag => fontHasTag(font, tag)));
+    }
+
+    return (collection.source?.fonts || [])
+      .filter(name => this.fonts.has(name))
+      .map(name => this.fonts.get(name));
+  }
+
+  /**
+   * 创建字体合集
+   * 
+   * @async
+   * @param {Object} data - 合集信息
+   * @param {string} data.name - 名称
+   * @param {string} [data.author] - 作者
+   * @param {string} [data.description] - 简介
+   * @param {string} [data.previewText] - 预览文字
+   * @param {{type: 'tags'|'manual', tags?: string[], fonts?: string[]}} data.source - 字体来源（按标签或手动挑选）
+   * @returns {Promise<Object|null>} 创建的合集，名称为空时返回 null
+   */
+  async createCollection(data) {
+    const name = String(data.name || '').trim();
+    if (!name) {
+      logger.warn('[FontManager.createCollection] 合集名称为空');
+      return null;
+    }
+
+    const collection = {
+      id: `collection-${Date.now()}`,
+      name,
+      author: data.author || '',
+      description: data.description || '',
+      previewText: data.previewText || '',
+      source: this.normalizeCollectionSource(data.source),
+      version: 1,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    this.collections.push(collection);
+    await this.saveFonts();
+    eventSource.emit('pawsFontCollectionsChanged', { action: 'created', collection });
+
+    logger.info('[FontManager.createCollection] 已创建合集:', name);
+    return collection;
+  }
+
+  /**
+   * 校验合集的字体来源
+   * @param {Object} source - 字体来源
+   * @returns {{type: 'tags'|'manual', tags?: string[], fonts?: string[]}}
+   */
+  normalizeCollectionSource(source) {
+    if (source?.type === 'tags') {
+      return { type: 'tags', tags: [...new Set((source.tags || []).filter(Boolean))] };
+    }
+    return { type: 'manual', fonts: [...new Set((source?.fonts || []).filter(Boolean))] };
+  }
+
+  /**
+   * 更新字体合集（每次修改版本号加 1）
+   * @async
+   * @param {string} collectionId - 合集ID
+   * @param {Object} updates - 要修改的字段
+   * @returns {Promise<boolean>} 是否更新成功
+   */
+  async updateCollection(collectionId, updates) {
+    const collection = this.collections.find(item => item.id === collectionId);
+    if (!collection) {
+      logger.warn('[FontManager.updateCollection] 合集不存在:', collectionId);
+      return false;
+    }
+
+    Object.assign(collection, updates, {
+      id: collection.id,
+      version: (collection.version || 1) + 1,
+      updatedAt: new Date().toISOString()
+    });
+    if (updates.source) {
+      collection.source = this.normalizeCollectionSource(updates.source);
+    }
+
+    await this.saveFonts();
+    eventSource.emit('pawsFontCollectionsChanged', { action: 'updated', collection });
+    return true;
+  }
+
+  /**
+   * 删除字体合集（不删除其中的字体）
+   * @async
+   * @param {string} collectionId - 合集ID
+   * @returns {Promise<boolean>} 是否删除成功
+   */
+  async deleteCollection(collectionId) {
+    const count = this.collections.length;
+    this.collections = this.collections.filter(item => item.id !== collectionId);
+    if (this.collections.length === count) {
+      logger.warn('[FontManager.deleteCollection] 合集不存在:', collectionId);
+      return false;
+    }
+
+    await this.saveFonts();
+    eventSource.emit('pawsFontCollectionsChanged', { action: 'deleted', collectionId });
+    return true;
+  }
+
+  /**
+   * 获取所有字体合集
+   * @returns {Object[]} 合集列表（副本）
+   */
+  getCollections() {
+    return [...this.collections];
+  }
+
+  /**
+   * 导出字体合集清单
+   * @async
+   * @param {string} collectionId - 合集ID
+   * @param {Object} [options] - 导出选项
+   * @param {boolean} [options.embedFiles=false] - 是否嵌入本地字体文件
+   * @returns {Promise<string|null>} 清单 JSON 字符串，合集不存在时返回 null
+   */
+  async exportCollection(collectionId, { embedFiles = false } = {}) {
+    const collection = this.collections.find(item => item.id === collectionId);
+    if (!collection) {
+      logger.warn('[FontManager.exportCollection] 合集不存在:', collectionId);
+      return null;
+    }
+
+    const fonts = [];
+    for (const font of this.getCollectionFonts(collection)) {
+      fonts.push(await this.serializeFont(font, embedFiles));
+    }
+
+    return JSON.stringify(buildManifest(collection, fonts), null, 2);
+  }
+
+  /**
+   * 读取合集清单并和本地字体对比（不做任何修改）
+   * 
+   * @async
+   * @param {string} input - 清单 JSON 文本或清单链接
+   * @returns {Promise<{manifest: Object, diff: Object, url: string|null}>} 清单、对比结果和来源链接
+   * @throws {Error} 下载失败或清单无效时
+   */
+  async previewCollectionImport(input) {
+    const text = input.trim();
+    const url = /^https?:\/\//i.test(text) ? text : null;
+
+    const manifest = parseManifest(url ? await fetchManifest(url) : text);
+    const diff = diffManifest(manifest, this.fonts);
+
+    logger.debug('[FontManager.previewCollectionImport]', manifest.name, {
+      added: diff.added.length,
+      changed: diff.changed.length,
+      conflicts: diff.conflicts.length,
+      unchanged: diff.unchanged.length
+    });
+    return { manifest, diff, url };
+  }
+
+  /**
+   * 导入合集清单
+   * 
+   * @description
+   * 只导入用户在对比结果中勾选的字体：
+   * - 新增：添加字体（嵌入的本地字体文件会重新上传）
+   * - 有变化：用清单中的设置更新本地字体（标签、字体栈、排版等）
+   * - 冲突：用清单中的字体替换本地同名字体
+   * 
+   * 导入后在本地创建（或更新同名同作者的）合集
+   * 
+   * @async
+   * @param {Object} manifest - previewCollectionImport() 返回的清单
+   * @param {Object} selection - 用户勾选的字体名称
+   * @param {string[]} [selection.added] - 要添加的新字体
+   * @param {string[]} [selection.changed] - 要更新的字体
+   * @param {string[]} [selection.conflicts] - 要替换的冲突字体
+   * @param {string|null} [sourceUrl=null] - 清单链接（记录在合集上）
+   * @returns {Promise<{added: number, updated: number, skipped: number}>} 导入结果
+   */
+  async importCollection(manifest, selection, sourceUrl = null) {
+    if (!this.historyDepth) return this.recordOperation(`导入合集 ${manifest.name}`, () => this.importCollection(manifest, selection, sourceUrl));
+
+    const diff = diffManifest(manifest, this.fonts);
+    const result = { added: 0, updated: 0, skipped: 0 };
+    const includes = (list, name) => (list || []).includes(name);
+    const now = Date.now();
+
+    for (const [index, font] of diff.added.entries()) {
+      if (!includes(selection.added, font.name) || !await this.restoreFontFile(font)) {
+        result.skipped++;
+        continue;
+      }
+      this.fonts.set(font.name, { ...font, custom: normalizeTypography(font.custom), order: now + index });
+      result.added++;
+    }
+
+    for (const { font, existing, fields } of diff.changed) {
+      if (!includes(selection.changed, font.name)) {
+        result.skipped++;
+        continue;
+      }
+      const updates = {};
+      fields.forEach(field => {
+        updates[field] = field === 'custom' ? normalizeTypography(font.custom) : font[field];
+      });
+      this.fonts.set(font.name, { ...existing, ...updates });
+      result.updated++;
+    }
+
+    for (const { font, existing } of diff.conflicts) {
+      if (!includes(selection.conflicts, font.name) || !await this.restoreFontFile(font)) {
+        result.skipped++;
+        continue;
+      }
+      if (existing.source === 'local' && existing.file?.path) {
+        this.releaseFontFile(existing.file.path);
+      }
+      this.fonts.set(font.name, { ...font, custom: normalizeTypography(font.custom), order: existing.order });
+      result.updated++;
+    }
+
+    // 在本地记录这个合集
+    const skippedConflicts = diff.conflicts
+      .filter(({ font }) => !includes(selection.conflicts, font.name))
+      .map(({ font }) => font.name);
+    const collectionData = {
+      name: manifest.name,
+      author: manifest.author || '',
+      description: manifest.description || '',
+      previewText: manifest.previewText || '',
+      source: {
+        type: 'manual',
+        fonts: manifest.fonts.map(font => font.name).filter(name => this.fonts.has(name) && !skippedConflicts.includes(name))
+      }
+    };
+    const existingCollection = this.collections.find(item => item.name === collectionData.name && item.author === collectionData.author);
+    if (existingCollection) {
+      Object.assign(existingCollection, collectionData, {
+        source: this.normalizeCollectionSource(collectionData.source),
+        version: manifest.version || existingCollection.version,
+        sourceUrl: sourceUrl || existingCollection.sourceUrl || null,
+        updatedAt: new Date().toISOString()
+      });
+    } else {
+      this.collections.push({
+        ...collectionData,
+        id: `collection-${Date.now()}`,
+        source: this.normalizeCollectionSource(collectionData.source),
+        version: manifest.version || 1,
+        sourceUrl,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      });
+    }
+
+    this.updateTagsList();
+    await this.saveFonts();
+    this.refreshAppliedFont();
+
+    eventSource.emit('pawsFontImported', { count: result.added + result.updated, total: manifest.fonts.length });
+    eventSource.emit('pawsFontTagsChanged', { action: 'imported' });
+    eventSource.emit('pawsFontCollectionsChanged', { action: 'imported', name: manifest.name });
+
+    logger.info('[FontManager.importCollection] 导入合集完成:', manifest.name, result);
+    return result;
+  }
+
+  /**
+   * 清除应用的字体
+   * 
+   * @description
+   * 移除页面上由本扩展创建的字体样式标签
+   * 恢复为系统默认字体
+   */
+  clearAppliedFont() {
+    const existingStyle = document.getElementById('paws-puffs-font-style');
+    if (existingStyle) {
+      existingStyle.remove();
+      logger.info('已清除应用的字体');
+    }
+
+    // 同时结束正在进行的聊天预览
+    clearTimeout(this.chatPreviewTimer);
+    this.chatPreviewTimer = null;
+    document.getElementById('paws-puffs-font-chat-preview')?.remove();
+  }
+
+  /**
+   * 在聊天区域临时预览字体
+   * 
+   * @description
+   * 不修改全局字体，只在聊天区域覆盖显示候选字体：
+   * 1. 单独插入 paws-puffs-font-chat-preview 样式标签（放在应用样式之后，覆盖聊天区域）
+   * 2. duration 毫秒后调用 endChatPreview() 恢复
+   * 
+   * 字体功能关闭时也可以预览
+   * 
+   * @param {string} fontName - 字体名称
+   * @param {number} [duration=3000] - 预览时长（毫秒）
+   * @returns {boolean} 是否开始预览
+   */
+  previewFontOnChat(fontName, duration = 3000) {
+    const font = this.fonts.get(fontName);
+    if (!font) {
+      logger.warn('[FontManager.previewFontOnChat] 字体不存在:', fontName);
+      return false;
+    }
+
+    clearTimeout(this.chatPreviewTimer);
+    document.getElementById('paws-puffs-font-chat-preview')?.remove();
+
+    const style = document.createElement('style');
+    style.id = 'paws-puffs-font-chat-preview';
+    style.textContent = `${this.buildLoadCss([font])}
+      :where(#chat, #chat *)${ICON_EXCLUSION} {
+        font-family: ${this.getFontFamilyValue(font)} !important;
+      }
+      :where(#chat .mes_text) {
+        ${this.getTypographyDeclarations(font, true).join('\n        ')}
+      }`;
+    document.head.appendChild(style);
+
+    this.chatPreviewTimer = setTimeout(() => this.endChatPreview(), duration);
+    logger.debug('[FontManager.previewFontOnChat] 预览字体:', fontName, duration, 'ms');
+    return true;
+  }
+
+  /**
+   * 生成只作用于某个容器的字体规则
+   * 
+   * @description
+   * 用 :is() 保留容器选择器的特异性，能盖过全局字体规则（用于预览区域）；
+   * 字体的排版设置只加在容器上，由子元素继承
+   * 
+   * @param {string} selector - 容器选择器
+   * @param {Object} font - 字体数据对象
+   * @returns {string} CSS 规则
+   */
+  buildScopedFontRule(selector, font) {
+    const declarations = this.getTypographyDeclarations(font, true);
+
+    return `
+      :is(${selector}, ${selector} *)${ICON_EXCLUSION} {
+        font-family: ${this.getFontFamilyValue(font)} !important;
+      }${declarations.length > 0 ? `
+      :is(${selector}) {
+        ${declarations.join('\n        ')}
+      }` : ''}`;
+  }
+
+  /**
+   * 结束聊天预览，恢复实际应用的字体
+   * 
+   * @description
+   * 通过 clearAppliedFont() 清除所有字体样式（包括预览），再重新应用当前生效的字体
+   */
+  endChatPreview() {
+    if (!document.getElementById('paws-puffs-font-chat-preview')) {
+      return;
+    }
+
+    this.clearAppliedFont();
+    this.refreshAppliedFont();
+    logger.debug('[FontManager.endChatPreview] 已恢复字体');
+  }
+
+
+  /**
+   * 删除标签
+   * 
+   * @description
+   * 从标签系统中删除指定标签（包括它的子标签），并从所有字体中移除该标签：
+   * 1. 遍历所有字体，移除包含此标签的引用
+   * 2. 从标签集合、标签颜色/图标和按标签建立的合集中删除
+   * 3. 如果当前筛选的是这个标签，重置为"全部"
+   * 
+   * 会触发 pawsFontTagsChanged 事件通知 UI 刷新
+   * 
+   * @async
+   * @param {string} tagToDelete - 要删除的标签名
+   * @returns {Promise<boolean>} 是否删除成功
+   */
+  async deleteTag(tagToDelete) {
+    if (!this.historyDepth) return this.recordOperation(`删除标签 ${tagToDelete}`, () => this.deleteTag(tagToDelete));
+
+    if (!Array.from(this.tags).some(tag => isTagWithin(tag, tagToDelete))) {
+      logger.warn('标签不存在:', tagToDelete);
+      return false;
+    }
+
+    // 从所有字体中移除这个标签和它的子标签
+    this.fonts.forEach((font) => {
+      if (font.tags && font.tags.some(tag => isTagWithin(tag, tagToDelete))) {
+        font.tags = font.tags.filter(tag => !isTagWithin(tag, tagToDelete));
+      }
+    });
+
+    // 从标签集合、颜色/图标设置和合集中删除
+    Array.from(this.tags).forEach(tag => {
+      if (isTagWithin(tag, tagToDelete)) this.tags.delete(tag);
+    });
+    Object.keys(this.tagMeta).forEach(tag => {
+      if (isTagWithin(tag, tagToDelete)) delete this.tagMeta[tag];
+    });
+    this.collections.forEach(collection => {
+      if (collection.source?.type === 'tags') {
+        collection.source.tags = collection.source.tags.filter(tag => !isTagWithin(tag, tagToDelete));
+      }
+    });
+
+    // 如果当前筛选的就是这个标签，重置为"全部"
+    if (this.currentTag && isTagWithin(this.currentTag, tagToDelete)) {
+      this.currentTag = 'all';
+    }
+
+    await this.saveFonts();
+    eventSource.emit('pawsFontTagsChanged', { action: 'deleted', tag: tagToDelete });
+
+    logger.info('已删除标签:', tagToDelete);
+    return true;
+  }
+
+  /**
+   * 重命名标签
+   * 
+   * @description
+   * 改写所有字体上的标签，子标签一起改名（"手写体" → "手写"时，"手写体/可爱" → "手写/可爱"）；
+   * 同时更新按标签建立的合集和标签的颜色/图标。
+   * 新标签已存在时相当于合并两个标签
+   * 
+   * @async
+   * @param {string} oldTag - 原标签
+   * @param {string} newTag - 新标签
+   * @returns {Promise<boolean>} 是否重命名成功
+   */
+  async renameTag(oldTag, newTag) {
+    if (!this.historyDepth) return this.recordOperation(`重命名标签 ${oldTag}`, () => this.renameTag(oldTag, newTag));
+
+    newTag = normalizeTagPath(newTag);
+    if (!newTag || newTag === oldTag) {
+      logger.warn('[FontManager.renameTag] 新标签无效:', newTag);
+      return false;
+    }
+    if (isTagWithin(newTag, oldTag)) {
+      logger.warn('[FontManager.renameTag] 不能把标签移到自己的子标签下:', oldTag, '→', newTag);
+      return false;
+    }
+    if (!Array.from(this.tags).some(tag => isTagWithin(tag, oldTag))) {
+      logger.warn('[FontManager.renameTag] 标签不存在:', oldTag);
+      return false;
+    }
+
+    this.fonts.forEach(font => {
+      if (font.tags?.some(tag => isTagWithin(tag, oldTag))) {
+        font.tags = [...new Set(font.tags.map(tag => replaceTagPrefix(tag, oldTag, newTag)))];
+      }
+    });
+
+    this.collections.forEach(collection => {
+      if (collection.source?.type === 'tags') {
+        collection.source.tags = [...new Set(collection.source.tags.map(tag => replaceTagPrefix(tag, oldTag, newTag)))];
+      }
+    });
+
+    // 颜色/图标跟着标签走，新标签已有设置时保留新标签的
+    Object.keys(this.tagMeta).forEach(tag => {
+      if (!isTagWithin(tag, oldTag)) return;
+      const renamed = replaceTagPrefix(tag, oldTag, newTag);
+      this.tagMeta[renamed] = this.tagMeta[renamed] || this.tagMeta[tag];
+      delete this.tagMeta[tag];
+    });
+
+    if (this.currentTag && isTagWithin(this.currentTag, oldTag)) {
+      this.currentTag = replaceTagPrefix(this.currentTag, oldTag, newTag);
+    }
+
+    this.updateTagsList();
+    await this.saveFonts();
+    eventSource.emit('pawsFontTagsChanged', { action: 'renamed', oldTag, newTag });
+    eventSource.emit('pawsFontCollectionsChanged', { action: 'tagRenamed' });
+
+    logger.info('[FontManager.renameTag] 已重命名标签:', oldTag, '→', newTag);
+    return true;
+  }
+
+  /**
+   * 设置标签的颜色和图标
+   * @async
+   * @param {string} tag - 标签
+   * @param {Object} meta - 要修改的设置
+   * @param {string|null} [meta.color] - 颜色（如 #e91e63），null 表示不设置
+   * @param {string|null} [meta.icon] - 图标（TAG_ICONS 之一），null 表示不设置
+   * @returns {Promise<boolean>} 是否设置成功
+   */
+  async setTagMeta(tag, meta) {
+    if (!this.historyDepth) return this.recordOperation(`修改标签 ${tag}`, () => this.setTagMeta(tag, meta));
+
+    const updated = { ...this.tagMeta[tag], ...meta };
+    if (updated.color && !/^#[0-9a-f]{3,8}$/i.test(updated.color)) {
+      logger.warn('[FontManager.setTagMeta] 无效的颜色:', updated.color);
+      updated.color = null;
+    }
+    if (updated.icon && !TAG_ICONS.includes(updated.icon)) {
+      logger.warn('[FontManager.setTagMeta] 无效的图标:', updated.icon);
+      updated.icon = null;
+    }
+
+    if (updated.color || updated.icon) {
+      this.tagMeta[tag] = { color: updated.color || null, icon: updated.icon || null };
+    } else {
+      delete this.tagMeta[tag];
+    }
+
+    await this.saveFonts();
+    eventSource.emit('pawsFontTagsChanged', { action: 'meta', tag });
+    return true;
+  }
+
+  /**
+   * 修改标签（名称、颜色、图标，作为一次操作记入历史）
+   * @async
+   * @param {string} tag - 标签
+   * @param {Object} updates - 要修改的内容
+   * @param {string} [updates.name] - 新名称
+   * @param {string|null} [updates.color] - 颜色
+   * @param {string|null} [updates.icon] - 图标
+   * @returns {Promise<boolean>} 是否修改成功
+   */
+  async updateTag(tag, updates) {
+    if (!this.historyDepth) return this.recordOperation(`修改标签 ${tag}`, () => this.updateTag(tag, updates));
+
+    let target = tag;
+    const name = normalizeTagPath(updates.name);
+    if (name && name !== tag) {
+      if (!await this.callInOperation(() => this.renameTag(tag, name))) {
+        return false;
+      }
+      target = name;
+    }
+
+    if ('color' in updates || 'icon' in updates) {
+      const meta = {};
+      if ('color' in updates) meta.color = updates.color;
+      if ('icon' in updates) meta.icon = updates.icon;
+      await this.callInOperation(() => this.setTagMeta(target, meta));
+    }
+    return true;
+  }
+
+  /**
+   * 获取标签的颜色和图标
+   * 
+   * @description
+   * 标签自己没有设置时使用最近的父标签的设置
+   * 
+   * @param {string} tag - 标签
+   * @returns {{color: string|null, icon: string|null}}
+   */
+  getTagMeta(tag) {
+    const parts = tag.split(TAG_SEPARATOR);
+    const meta = { color: null, icon: null };
+    for (let depth = parts.length; depth > 0 && (!meta.color || !meta.icon); depth--) {
+      const own = this.tagMeta[parts.slice(0, depth).join(TAG_SEPARATOR)];
+      meta.color = meta.color || own?.color || null;
+      meta.icon = meta.icon || own?.icon || null;
+    }
+    return meta;
+  }
+
+  /**
+   * 获取标签树（包括没有直接使用的父标签）
+   * @returns {import('./font-manager-tags.js').TagNode[]}
+   */
+  getTagTree() {
+    return buildTagTree(this.tags);
+  }
+
+  /**
+   * 解析字体代码（可能包含多个字体族）
+   * 
+   * @description
+   * 使用 font-manager-parser.js 的 CSS 分词器读取用户粘贴的代码，
+   * 为找到的每个字体族生成一个字体数据对象：
+   * - 来自样式表链接（@import / <link> / Google Fonts）的字体：source 为 'url'
+   * - 直接粘贴 @font-face 的字体：source 为 'fontface'，应用时原样输出 faceCss
+   * - 只有链接没有字体族名时，使用 customName 作为字体族名
+   * 
+   * 只找到一个字体族时 customName 作为字体名称；
+   * 找到多个字体族时每个字体使用自己的字体族名
+   * 
+   * @param {string} input - 用户输入的代码（CSS 或 HTML 片段）
+   * @param {string} [customName=null] - 自定义字体名称（可选）
+   * @returns {Object[]} 字体数据对象列表，无法解析时返回空数组
    */
-  async deleteTag(tagToDelete) {
-    if (!this.tags.has(tagToDelete)) {
-      logger.warn('标签不存在:', tagToDelete);
-      return false;
-    }
+  parseFonts(input, customName = null) {
+    logger.debug('[FontManager.parseFonts] 开始解析字体代码');
 
-    // 从所有字体中移除这个标签
-    this.fonts.forEach((font) => {
-      if (font.tags && font.tags.includes(tagToDelete)) {
-        font.tags = font.tags.filter(tag => tag !== tagToDelete);
-      }
-    });
+    const parsed = parseFontSource(input);
 
-    // 从标签集合中删除
-    this.tags.delete(tagToDelete);
+    // 只保留能加载的字体族（有链接或 @font-face）
+    const families = parsed.families.filter(entry => entry.url || entry.faceCss);
 
-    // 如果当前筛选的就是这个标签，重置为"全部"
-    if (this.currentTag === tagToDelete) {
-      this.currentTag = 'all';
+    // 只有链接没有字体族名：使用自定义名称作为字体族
+    if (families.length === 0 && parsed.imports.length > 0 && customName) {
+      families.push({ family: customName, variants: [], faceCss: '', url: parsed.imports[0] });
     }
 
-    await this.saveFonts();
-    eventSource.emit('pawsFontTagsChanged', { action: 'deleted', tag: tagToDelete });
+    if (families.length === 0) {
+      const preview = input.substring(0, 100) + (input.length > 100 ? '...' : '');
+      logger.warn('[FontManager.parseFonts] 未找到字体，输入:', preview);
+      return [];
+    }
 
-    logger.info('已删除标签:', tagToDelete);
-    return true;
+    const now = Date.now();
+    const fonts = families.map((entry, index) => {
+      // 从URL中提取字体ID（zeoseven专用）
+      const idMatch = entry.url ? entry.url.match(/fontsapi\.zeoseven\.com\/(\d+)\//) : null;
+      const name = (families.length === 1 && customName) ? customName : entry.family;
+
+      return {
+        name: name,                     // 唯一标识
+        displayName: name,              // 显示名称（可编辑）
+        url: entry.url,                 // 字体链接（纯 @font-face 时为 null）
+        source: entry.url ? 'url' : 'fontface', // 字体来源
+        faceCss: entry.url ? '' : entry.faceCss, // @font-face 原文
+        variants: entry.variants,       // 字重/样式/字符范围
+        fontFamily: entry.family,       // 字体族名
+        fontId: idMatch ? idMatch[1] : null, // zeoseven ID
+        css: input,                     // 原始CSS代码
+        tags: [],                       // 标签列表
+        order: now + index,             // 排序
+        addedAt: new Date().toISOString(), // 添加时间
+        custom: {}                      // 自定义数据
+      };
+    });
+
+    logger.debug('[FontManager.parseFonts] 解析到字体:', fonts.map(font => font.name));
+    return fonts;
   }
 
   /**
-   * 解析字体代码
+   * 解析字体代码（只取第一个字体族）
    * 
    * @description
-   * 从用户粘贴的 CSS 代码中提取字体信息：
-   * 1. 使用正则匹配 import url(...) 提取字体链接
-   * 2. 使用正则匹配 font-family 提取字体名称
-   * 3. 尝试从 URL 中提取 zeoseven.com 的字体 ID
-   * 4. 生成完整的字体数据对象
-   * 
-   * 支持多种输入格式：
-   * - 完整 CSS（包含 import 和 font-family）
-   * - 仅 import（需要提供 customName）
+   * 兼容旧接口，等同于 parseFonts() 的第一个结果
    * 
    * @param {string} input - 用户输入的 CSS 代码
    * @param {string} [customName=null] - 自定义字体名称（可选）
    * @returns {Object|null} 字体数据对象，解析失败返回 null
    */
   parseFont(input, customName = null) {
-    logger.debug('[FontManager.parseFont] 开始解析字体代码');
+    return this.parseFonts(input, customName)[0] || null;
+  }
 
-    // 匹配 @import url(...) 格式
-    const importMatch = input.match(/@import\s+url\(["']([^"']+)["']\)/);
-    if (!importMatch) {
-      const preview = input.substring(0, 100) + (input.length > 100 ? '...' : '');
-      logger.warn('[FontManager.parseFont] 无法解析字体链接，输入:', preview);
-      return null;
+  /**
+   * 添加本地字体文件
+   * 
+   * @description
+   * 上传 .ttf/.otf/.woff/.woff2 文件并注册为字体：
+   * 1. 检查文件格式
+   * 2. 通过 SillyTavern 的文件上传接口保存到用户数据目录
+   * 3. 生成字体数据（source 为 'local'，应用时生成 @font-face）
+   * 4. 调用 addFont() 添加；添加失败时删除刚上传的文件
+   * 
+   * @async
+   * @param {File} file - 用户选择的字体文件
+   * @param {string} [customName=null] - 自定义字体名称，默认使用文件名
+   * @returns {Promise<Object|null>} 添加成功返回字体数据，失败返回 null
+   * @throws {Error} 文件格式不支持或上传失败时
+   */
+  async addLocalFont(file, customName = null) {
+    const ext = getFontFileExtension(file.name);
+    if (!ext) {
+      throw new Error(`不支持的字体文件格式: ${file.name}`);
     }
 
-    const url = importMatch[1];
-
-    // 匹配 font-family: "字体名"
-    const familyMatch = input.match(/font-family:\s*["']?([^"';]+)["']?/);
-    const fontFamily = familyMatch ? familyMatch[1].trim() : (customName || 'Unknown Font');
-
-    // 从URL中提取字体ID（zeoseven专用）
-    let fontId = null;
-    const idMatch = url.match(/fontsapi\.zeoseven\.com\/(\d+)\//);
-    if (idMatch) {
-      fontId = idMatch[1];
+    const name = customName || file.name.replace(/\.[^.]+$/, '');
+    if (this.fonts.has(name)) {
+      logger.warn('[FontManager.addLocalFont] 字体已存在:', name);
+      return null;
     }
 
-    // 生成字体名称
-    const defaultName = customName || fontFamily || `Font-${Date.now()}`;
-
-    logger.debug('[FontManager.parseFont] 解析成功:', defaultName);
-
-    return {
-      name: defaultName,              // 唯一标识
-      displayName: defaultName,       // 显示名称（可编辑）
-      url: url,                       // 字体链接
-      fontFamily: fontFamily,         // 字体族名
-      fontId: fontId,                 // zeoseven ID
-      css: input,                     // 原始CSS代码
+    const path = await uploadFontFile(file);
+
+    const fontData = {
+      name: name,                     // 唯一标识
+      displayName: name,              // 显示名称（可编辑）
+      url: null,                      // 本地字体没有远程链接
+      source: 'local',                // 字体来源（本地文件）
+      file: {
+        path: path,                   // 服务器上的文件路径
+        format: FONT_FILE_FORMATS[ext], // @font-face 的 format()
+        originalName: file.name,      // 原始文件名
+        size: file.size               // 文件大小（字节）
+      },
+      fontFamily: name,               // 字体族名
+      fontId: null,                   // zeoseven ID
+      css: '',                        // 原始CSS代码
       tags: [],                       // 标签列表
       order: Date.now(),              // 排序
       addedAt: new Date().toISOString(), // 添加时间
       custom: {}                      // 自定义数据
     };
+
+    if (!await this.addFont(fontData)) {
+      await deleteFontFile(path);
+      return null;
+    }
+
+    return fontData;
   }
 
   /**
@@ -329,6 +2093,8 @@ export class FontManager {
    * });
    */
   async addFont(fontData) {
+    if (!this.historyDepth) return this.recordOperation(`添加字体 ${fontData?.name || ''}`.trim(), () => this.addFont(fontData));
+
     // 如果传入的是字符串，先解析
     if (typeof fontData === 'string') {
       fontData = this.parseFont(fontData);
@@ -375,6 +2141,8 @@ export class FontManager {
    * @returns {Promise<boolean>} 是否更新成功
    */
   async updateFont(fontName, updates) {
+    if (!this.historyDepth) return this.recordOperation(`修改字体 ${fontName}`, () => this.updateFont(fontName, updates));
+
     logger.debug('[FontManager.updateFont] 更新字体:', fontName);
 
     const font = this.fonts.get(fontName);
@@ -383,6 +2151,11 @@ export class FontManager {
       return false;
     }
 
+    // 标签统一整理为 "父/子" 格式
+    if (updates.tags) {
+      updates = { ...updates, tags: [...new Set(updates.tags.map(normalizeTagPath).filter(Boolean))] };
+    }
+
     // 如果改了名字，需要更新Map的key
     if (updates.name && updates.name !== fontName) {
       this.fonts.delete(fontName);
@@ -393,6 +2166,43 @@ export class FontManager {
         this.currentFont = updates.name;
         extension_settings['Acsus-Paws-Puffs'].fontManager.currentFont = this.currentFont;
       }
+      if (this.activeFont === fontName) {
+        this.activeFont = updates.name;
+      }
+      if (this.usageSession?.fontName === fontName) {
+        this.usageSession.fontName = updates.name;
+      }
+
+      // 同步更新绑定规则和插槽中的字体名
+      this.bindings.forEach(rule => {
+        if (rule.fontName === fontName) {
+          rule.fontName = updates.name;
+        }
+      });
+      Object.values(this.slots).forEach(setting => {
+        if (setting.fontName === fontName) {
+          setting.fontName = updates.name;
+        }
+      });
+      Object.keys(this.quickSlots).forEach(key => {
+        if (this.quickSlots[key] === fontName) {
+          this.quickSlots[key] = updates.name;
+        }
+      });
+
+      this.schedules.forEach(rule => {
+        if (rule.fontName === fontName) {
+          rule.fontName = updates.name;
+        }
+      });
+      this.collections.forEach(collection => {
+        if (collection.source?.type === 'manual') {
+          collection.source.fonts = collection.source.fonts.map(name => name === fontName ? updates.name : name);
+        }
+      });
+
+      // 同步更新其他字体的字体栈
+      this.fonts.forEach(other => this.replaceStackReference(other, fontName, updates.name));
 
       logger.info('[FontManager.updateFont] 已重命名:', fontName, '→', updates.name);
     } else {
@@ -406,6 +2216,11 @@ export class FontManager {
       eventSource.emit('pawsFontTagsChanged', { action: 'updated', font: fontName });
     }
 
+    // 字体名、字体族或字体栈变了，重新生成样式
+    if (['name', 'fontFamily', 'fallbacks', 'scripts', 'custom'].some(key => key in updates)) {
+      this.refreshAppliedFont();
+    }
+
     await this.saveFonts();
     eventSource.emit('pawsFontUpdated', { oldName: fontName, font: this.fonts.get(updates.name || fontName) });
 
@@ -417,16 +2232,19 @@ export class FontManager {
    * 
    * @description
    * 从管理器中删除指定字体：
-   * 1. 从 fonts Map 中删除
+   * 1. 从 fonts Map 中删除（本地字体文件在撤销历史不再需要时删除，见 releaseFontFile）
    * 2. 如果删除的是当前应用的字体，清空选择并清除页面样式
-   * 3. 刷新标签列表（移除不再使用的标签）
-   * 4. 触发 pawsFontRemoved 和可能的 pawsFontChanged 事件
+   * 3. 删除指向该字体的绑定规则，使用该字体的插槽改为跟随全局，并重新应用页面字体
+   * 4. 刷新标签列表（移除不再使用的标签）
+   * 5. 触发 pawsFontRemoved 和可能的 pawsFontChanged 事件
    * 
    * @async
    * @param {string} fontName - 要删除的字体名称
    * @returns {Promise<boolean>} 是否删除成功
    */
   async removeFont(fontName) {
+    if (!this.historyDepth) return this.recordOperation(`删除字体 ${fontName}`, () => this.removeFont(fontName));
+
     if (!this.fonts.has(fontName)) {
       logger.warn('[FontManager.removeFont] 字体不存在:', fontName);
       return false;
@@ -435,17 +2253,71 @@ export class FontManager {
     const font = this.fonts.get(fontName);
     this.fonts.delete(fontName);
 
+    // 本地字体的文件等撤销历史不再需要时再删除
+    if (font.source === 'local' && font.file?.path) {
+      this.releaseFontFile(font.file.path);
+    }
+
     // 如果删除的是当前字体，清空选择
     if (this.currentFont === fontName) {
       this.currentFont = null;
       extension_settings['Acsus-Paws-Puffs'].fontManager.currentFont = null;
-      this.clearAppliedFont();
       eventSource.emit('pawsFontChanged', null);
       logger.info('[FontManager.removeFont] 已删除当前字体:', fontName);
     } else {
       logger.info('[FontManager.removeFont] 已删除字体:', fontName);
     }
 
+    // 删除指向该字体的绑定规则
+    const bindingCount = this.bindings.length;
+    this.bindings = this.bindings.filter(rule => rule.fontName !== fontName);
+    if (this.bindings.length !== bindingCount) {
+      eventSource.emit('pawsFontBindingsChanged', { action: 'removed', font: fontName });
+    }
+
+    // 使用该字体的插槽改为跟随全局字体
+    let slotUsed = false;
+    Object.values(this.slots).forEach(setting => {
+      if (setting.fontName === fontName) {
+        setting.fontName = null;
+        slotUsed = true;
+      }
+    });
+    if (slotUsed) {
+      eventSource.emit('pawsFontSlotsChanged', { font: fontName });
+    }
+
+    // 清除指向该字体的快捷切换
+    const quickSlotKeys = Object.keys(this.quickSlots).filter(key => this.quickSlots[key] === fontName);
+    if (quickSlotKeys.length > 0) {
+      quickSlotKeys.forEach(key => delete this.quickSlots[key]);
+      eventSource.emit('pawsFontQuickSlotsChanged', { font: fontName });
+    }
+
+    // 删除指向该字体的自动切换规则
+    const scheduleCount = this.schedules.length;
+    this.schedules = this.schedules.filter(rule => rule.fontName !== fontName);
+    if (this.schedules.length !== scheduleCount) {
+      eventSource.emit('pawsFontScheduleChanged', this.getScheduleStatus());
+    }
+
+    // 从手动挑选的合集中移除
+    this.collections.forEach(collection => {
+      if (collection.source?.type === 'manual') {
+        collection.source.fonts = collection.source.fonts.filter(name => name !== fontName);
+      }
+    });
+
+    // 从其他字体的字体栈中移除
+    let stackUsed = false;
+    this.fonts.forEach(other => {
+      stackUsed = this.replaceStackReference(other, fontName, null) || stackUsed;
+    });
+
+    if (this.activeFont === fontName || slotUsed || stackUsed) {
+      this.refreshAppliedFont();
+    }
+
     this.updateTagsList();
     await this.saveFonts();
     eventSource.emit('pawsFontRemoved', font);
@@ -453,13 +2325,114 @@ export class FontManager {
     return true;
   }
 
+  /**
+   * 检查字体能否加载
+   * 
+   * @description
+   * 调用 checkFontLoad() 实际加载一次字体（只加载字体本身，不含字体栈），
+   * 结果记录在 font.health 上：
+   * - status: 'ok' | 'broken'
+   * - error: 失败原因
+   * - duration: 耗时（毫秒）
+   * - checkedAt: 检查时间
+   * 
+   * @async
+   * @param {string} fontName - 字体名称
+   * @param {Object} [options] - 选项
+   * @param {boolean} [options.save=true] - 是否立即保存并通知 UI（批量检查时最后统一保存）
+   * @returns {Promise<Object|null>} 检查结果，字体不存在时返回 null
+   */
+  async checkFont(fontName, { save = true } = {}) {
+    const font = this.fonts.get(fontName);
+    if (!font) {
+      logger.warn('[FontManager.checkFont] 字体不存在:', fontName);
+      return null;
+    }
+
+    const health = await checkFontLoad(font, this.buildLoadCss([{ ...font, fallbacks: [], scripts: {} }]));
+
+    // 检查期间字体可能已被删除或改名
+    const current = this.fonts.get(fontName);
+    if (!current) {
+      return health;
+    }
+    current.health = health;
+
+    if (save) {
+      await this.saveFonts();
+      eventSource.emit('pawsFontHealthChecked', { fonts: [fontName] });
+    }
+
+    if (health.status === 'broken') {
+      logger.warn('[FontManager.checkFont] 字体加载失败:', fontName, health.error);
+    }
+    return health;
+  }
+
+  /**
+   * 检查所有字体
+   * 
+   * @description
+   * 逐个检查（并发检查会互相抢网络，超时判断不准）
+   * 
+   * @async
+   * @param {Function} [onProgress] - 进度回调 (done, total, fontName)
+   * @returns {Promise<{ok: number, broken: number}>} 检查结果统计
+   */
+  async checkAllFonts(onProgress = null) {
+    const names = Array.from(this.fonts.keys());
+    const result = { ok: 0, broken: 0 };
+
+    logger.info('[FontManager.checkAllFonts] 开始检查', names.length, '个字体');
+
+    for (let i = 0; i < names.length; i++) {
+      const health = await this.checkFont(names[i], { save: false });
+      if (health) {
+        result[health.status === 'ok' ? 'ok' : 'broken']++;
+      }
+      if (onProgress) onProgress(i + 1, names.length, names[i]);
+    }
+
+    await this.saveFonts();
+    eventSource.emit('pawsFontHealthChecked', { fonts: names });
+
+    logger.info('[FontManager.checkAllFonts] 检查完成:', result);
+    return result;
+  }
+
+  /**
+   * 获取上次检查失败的字体
+   * @returns {Object[]} 字体数据对象列表
+   */
+  getBrokenFonts() {
+    return Array.from(this.fonts.values()).filter(font => font.health?.status === 'broken');
+  }
+
+  /**
+   * 删除所有上次检查失败的字体
+   * @async
+   * @returns {Promise<number>} 删除的数量
+   */
+  async removeBrokenFonts() {
+    if (!this.historyDepth) return this.recordOperation('移除失效字体', () => this.removeBrokenFonts());
+
+    const broken = this.getBrokenFonts();
+    for (const font of broken) {
+      await this.callInOperation(() => this.removeFont(font.name));
+    }
+
+    logger.info('[FontManager.removeBrokenFonts] 已删除失效字体:', broken.length);
+    return broken.length;
+  }
+
   /**
    * 设置当前字体
    * 
    * @description
    * 切换当前应用的字体：
    * 1. 保存选择到 currentFont 和 extension_settings
-   * 2. 如果字体功能已开启，调用 applyFont() 应用到页面
+   * 2. 如果字体功能已开启，调用 refreshAppliedFont() 应用到页面
+   *    （当前聊天有绑定规则时，页面仍显示绑定的字体）
    * 3. 如果功能已关闭，仅保存选择不应用
    * 4. 触发 pawsFontChanged 事件通知 UI 更新
    * 
@@ -475,6 +2448,12 @@ export class FontManager {
       return false;
     }
 
+    // 自动切换规则生效时，手动切换会暂停自动切换直到下一个规则边界
+    if (this.getScheduledRule({ ignoreOverride: true })) {
+      this.pauseSchedule();
+      eventSource.emit('pawsFontScheduleChanged', this.getScheduleStatus());
+    }
+
     // 保存选择
     this.currentFont = fontName;
     extension_settings['Acsus-Paws-Puffs'].fontManager.currentFont = fontName;
@@ -482,10 +2461,7 @@ export class FontManager {
 
     // 如果功能开启，应用字体
     if (this.fontEnabled) {
-      const font = this.fonts.get(fontName);
-      if (font) {
-        this.applyFont(font);
-      }
+      this.refreshAppliedFont();
       logger.info('[FontManager.setCurrentFont] 已切换字体:', fontName);
     } else {
       logger.debug('[FontManager.setCurrentFont] 字体功能已禁用，已保存选择但不应用');
@@ -513,31 +2489,268 @@ export class FontManager {
   }
 
   /**
-   * 获取所有字体（支持标签筛选）
+   * 获取所有字体（支持标签筛选）
+   * 
+   * @description
+   * 返回字体数组，可选按标签筛选：
+   * - tag = null 或 'all'：返回所有字体
+   * - tag = 'untagged'：返回未分类的字体
+   * - tag = 'favorites'：返回收藏的字体
+   * - tag = 具体标签名：返回包含该标签（或其子标签）的字体
+   * - tag = 多标签筛选条件 { include, exclude, mode }：见 matchesTagFilter
+   * 
+   * @param {string|Object|null} [tag=null] - 筛选标签或多标签筛选条件（可选）
+   * @returns {Object[]} 字体数组
+   */
+  getAllFonts(tag = null) {
+    const fontsArray = Array.from(this.fonts.values());
+
+    // 多标签筛选
+    if (tag && typeof tag === 'object') {
+      return fontsArray.filter(font => matchesTagFilter(font, tag));
+    }
+
+    // 标签筛选
+    if (tag && tag !== 'all') {
+      if (tag === 'untagged') {
+        // 未分类
+        return fontsArray.filter(font => !font.tags || font.tags.length === 0);
+      }
+      if (tag === 'favorites') {
+        return fontsArray.filter(font => font.favorite);
+      }
+      // 指定标签（包括子标签）
+      return fontsArray.filter(font => fontHasTag(font, tag));
+    }
+
+    return fontsArray;
+  }
+
+  /**
+   * 记录字体使用
+   * 
+   * @description
+   * 页面实际使用的字体（activeFont）变化时调用：
+   * 1. 结算上一个字体的使用时长
+   * 2. 新字体的应用次数 +1 并记录使用时间（初始化时恢复字体只开始计时，不算一次应用）
+   * 3. 触发 pawsFontUsageChanged 事件
+   * 
+   * 使用统计直接记在字体对象上，不进撤销历史
+   */
+  recordFontUsage() {
+    const now = Date.now();
+    this.flushUsageTime(now);
+
+    const font = this.activeFont ? this.fonts.get(this.activeFont) : null;
+    this.usageSession = font ? { fontName: font.name, since: now, paused: document.hidden } : null;
+
+    if (!this.usageReady) return;
+
+    if (font) {
+      const usage = getFontUsage(font);
+      font.usage = { ...usage, count: usage.count + 1, lastUsed: now };
+      eventSource.emit('pawsFontUsageChanged', { font: font.name });
+    }
+    this.saveFonts();
+  }
+
+  /**
+   * 结算正在使用的字体的使用时长
+   * 
+   * @description
+   * 从上次结算到现在的时间计入字体的 activeMs；上次结算时页面在后台则不计
+   * 
+   * @param {number} [now=Date.now()] - 结算时间
+   */
+  flushUsageTime(now = Date.now()) {
+    const session = this.usageSession;
+    if (!session) return;
+
+    const font = this.fonts.get(session.fontName);
+    if (font && !session.paused) {
+      const usage = getFontUsage(font);
+      font.usage = { ...usage, activeMs: usage.activeMs + (now - session.since) };
+    }
+
+    session.since = now;
+    session.paused = document.hidden;
+  }
+
+  /**
+   * 开始统计使用时长并监听快捷切换按键
+   * 
+   * @description
+   * - 每分钟结算一次使用时长并保存（刷新页面最多丢失一分钟）
+   * - 页面切到后台或回到前台时结算，后台期间不计时
+   * - Alt+数字键切换到对应编号上的字体
+   * 
+   * @returns {Function} 停止监听的函数
+   */
+  watchUsage() {
+    const flush = () => {
+      if (!this.usageSession) return;
+      this.flushUsageTime();
+      this.saveFonts();
+    };
+
+    const onKeyDown = (event) => {
+      const key = getQuickSlotKey(event);
+      if (!key || !this.quickSlots[key]) return;
+
+      event.preventDefault();
+      this.applyQuickSlot(key);
+    };
+
+    const timer = setInterval(flush, USAGE_FLUSH_INTERVAL);
+    document.addEventListener('visibilitychange', flush);
+    document.addEventListener('keydown', onKeyDown);
+
+    return () => {
+      clearInterval(timer);
+      document.removeEventListener('visibilitychange', flush);
+      document.removeEventListener('keydown', onKeyDown);
+    };
+  }
+
+  /**
+   * 获取字体的使用统计
+   * @param {string} fontName - 字体名称
+   * @returns {{count: number, activeMs: number, lastUsed: number|null}} 应用次数、累计使用时长（毫秒）、上次使用时间
+   */
+  getUsage(fontName) {
+    return getFontUsage(this.fonts.get(fontName));
+  }
+
+  /**
+   * 获取最常用的字体
+   * @param {number} [limit=10] - 最多返回的数量
+   * @returns {Object[]} 按累计使用时长、应用次数排序（没用过的不包括）
+   */
+  getMostUsedFonts(limit = 10) {
+    return Array.from(this.fonts.values())
+      .filter(font => getFontUsage(font).count > 0 || getFontUsage(font).activeMs > 0)
+      .sort(compareByUsage)
+      .slice(0, limit);
+  }
+
+  /**
+   * 获取最近使用的字体
+   * @param {number} [limit] - 最多返回的数量（默认 RECENT_FONT_LIMIT）
+   * @returns {Object[]} 按上次使用时间从新到旧排列
+   */
+  getRecentFonts(limit) {
+    return getRecentFonts(Array.from(this.fonts.values()), limit);
+  }
+
+  /**
+   * 获取收藏的字体
+   * @returns {Object[]} 字体数组
+   */
+  getFavoriteFonts() {
+    return this.getAllFonts('favorites');
+  }
+
+  /**
+   * 收藏或取消收藏字体
+   * @async
+   * @param {string} fontName - 字体名称
+   * @param {boolean} favorite - 是否收藏
+   * @returns {Promise<boolean>} 是否成功
+   */
+  async setFavorite(fontName, favorite) {
+    if (!this.historyDepth) return this.recordOperation(`${favorite ? '收藏' : '取消收藏'} ${fontName}`, () => this.setFavorite(fontName, favorite));
+
+    return this.callInOperation(() => this.updateFont(fontName, { favorite: !!favorite }));
+  }
+
+  /**
+   * 设置快捷切换
+   * 
+   * @description
+   * 把字体放到 Alt+数字键 对应的编号上，一个字体只占一个编号（放到新编号时从旧编号移除）
+   * 
+   * @async
+   * @param {string} key - 编号（'1' ~ '9'）
+   * @param {string|null} fontName - 字体名称，为 null 时清除这个编号
+   * @returns {Promise<boolean>} 是否成功
+   */
+  async setQuickSlot(key, fontName) {
+    if (!this.historyDepth) return this.recordOperation(fontName ? `快捷切换 Alt+${key} → ${fontName}` : `清除快捷切换 Alt+${key}`, () => this.setQuickSlot(key, fontName));
+
+    if (!QUICK_SLOT_KEYS.includes(key) || (fontName && !this.fonts.has(fontName))) {
+      logger.warn('[FontManager.setQuickSlot] 无效的快捷切换:', key, fontName);
+      return false;
+    }
+
+    Object.keys(this.quickSlots).forEach(slotKey => {
+      if (slotKey === key || this.quickSlots[slotKey] === fontName) {
+        delete this.quickSlots[slotKey];
+      }
+    });
+    if (fontName) {
+      this.quickSlots[key] = fontName;
+    }
+
+    await this.saveFonts();
+    eventSource.emit('pawsFontQuickSlotsChanged', { key, fontName });
+
+    logger.info('[FontManager.setQuickSlot] 快捷切换 Alt+' + key + ':', fontName || '（已清除）');
+    return true;
+  }
+
+  /**
+   * 获取所有快捷切换编号
+   * @returns {Array<{key: string, fontName: string|null}>} 按编号排列（没有设置的编号 fontName 为 null）
+   */
+  getQuickSlots() {
+    return QUICK_SLOT_KEYS.map(key => ({ key, fontName: this.quickSlots[key] || null }));
+  }
+
+  /**
+   * 切换到快捷切换编号上的字体
+   * 
+   * @description
+   * 等同于手动切换字体（会暂停自动切换），成功后触发 pawsFontQuickSwitched 事件
+   * 
+   * @async
+   * @param {string} key - 编号（'1' ~ '9'）
+   * @returns {Promise<boolean>} 是否切换成功
+   */
+  async applyQuickSlot(key) {
+    const fontName = this.quickSlots[key];
+    if (!fontName || !await this.setCurrentFont(fontName)) {
+      return false;
+    }
+
+    eventSource.emit('pawsFontQuickSwitched', { key, fontName });
+    return true;
+  }
+
+  /**
+   * 搜索字体
    * 
    * @description
-   * 返回字体数组，可选按标签筛选：
-   * - tag = null 或 'all'：返回所有字体
-   * - tag = 'untagged'：返回未分类的字体
-   * - tag = 具体标签名：返回包含该标签的字体
+   * 支持模糊匹配、中文名称的拼音/首字母，以及 tag:手写 url:zeoseven 这样的字段限定，
+   * 语法见 font-manager-search.js
    * 
-   * @param {string|null} [tag=null] - 筛选标签（可选）
-   * @returns {Object[]} 字体数组
+   * @param {string} query - 搜索语句
+   * @returns {Map<string, number>|null} 匹配的字体名 → 匹配分数（越高越相关）；搜索语句为空时返回 null
    */
-  getAllFonts(tag = null) {
-    const fontsArray = Array.from(this.fonts.values());
-
-    // 标签筛选
-    if (tag && tag !== 'all') {
-      if (tag === 'untagged') {
-        // 未分类
-        return fontsArray.filter(font => !font.tags || font.tags.length === 0);
-      }
-      // 指定标签
-      return fontsArray.filter(font => font.tags && font.tags.includes(tag));
+  searchFonts(query) {
+    if (!this.searchIndex) {
+      this.searchIndex = buildSearchIndex(this.fonts);
     }
+    return searchIndex(this.searchIndex, query);
+  }
 
-    return fontsArray;
+  /**
+   * 记住搜索语句（刷新页面后恢复）
+   * @param {string} query - 搜索语句
+   */
+  setSearchQuery(query) {
+    this.searchQuery = query;
+    extension_settings['Acsus-Paws-Puffs'].fontManager.searchQuery = query;
+    saveSettingsDebounced();
   }
 
   /**
@@ -593,6 +2806,8 @@ export class FontManager {
    * @param {string[]} sortedNames - 排序后的字体名称数组
    */
   async updateOrder(sortedNames) {
+    if (!this.historyDepth) return this.recordOperation('调整字体顺序', () => this.updateOrder(sortedNames));
+
     sortedNames.forEach((name, index) => {
       const font = this.fonts.get(name);
       if (font) {
@@ -608,97 +2823,383 @@ export class FontManager {
    * 导出字体配置为 JSON
    * 
    * @description
-   * 将所有字体、标签、当前字体、功能开关状态导出为 JSON 字符串
+   * 将所有字体、标签、当前字体、绑定规则、插槽设置、功能开关状态导出为 JSON 字符串
    * 用于备份或分享字体配置
    * 
-   * @returns {string} JSON 格式的字体配置字符串
+   * 开启 embedFiles 时，本地字体文件会以 base64 嵌入到 file.data 中，
+   * 对方导入时会自动上传，适合分享给其他用户
+   * 
+   * @async
+   * @param {Object} [options={}] - 导出选项
+   * @param {boolean} [options.embedFiles=false] - 是否嵌入本地字体文件
+   * @returns {Promise<string>} JSON 格式的字体配置字符串
    * 
    * @example
-   * const jsonData = fontManager.exportFonts();
+   * const jsonData = await fontManager.exportFonts({ embedFiles: true });
    * // 保存到文件或分享给其他用户
    */
-  exportFonts() {
+  async exportFonts(options = {}) {
+    const { embedFiles = false } = options;
+    const fonts = [];
+
+    for (const font of this.fonts.values()) {
+      fonts.push(await this.serializeFont(font, embedFiles));
+    }
+
     const exportData = {
       version: '2.0.0',
       exportDate: new Date().toISOString(),
-      fonts: Array.from(this.fonts.values()),
+      fonts: fonts,
       currentFont: this.currentFont,
       fontEnabled: this.fontEnabled,
-      tags: Array.from(this.tags)
+      tags: Array.from(this.tags),
+      tagMeta: this.tagMeta,
+      bindings: this.bindings,
+      slots: this.slots,
+      quickSlots: this.quickSlots,
+      schedules: this.schedules,
+      collections: this.collections
     };
 
     return JSON.stringify(exportData, null, 2);
   }
 
+  /**
+   * 序列化字体（用于导出）
+   * 
+   * @description
+   * 去掉只在本机有意义的字段（加载检查结果）；
+   * embedFiles 为 true 时把本地字体文件以 base64 嵌入 file.data，
+   * 读取失败时只导出字体信息
+   * 
+   * @async
+   * @param {Object} font - 字体数据对象
+   * @param {boolean} [embedFiles=false] - 是否嵌入本地字体文件
+   * @returns {Promise<Object>} 可导出的字体对象
+   */
+  async serializeFont(font, embedFiles = false) {
+    const { health, usage, ...data } = font;
+
+    if (embedFiles && font.source === 'local' && font.file?.path) {
+      try {
+        const fileData = await readFontFileBase64(font.file.path);
+        return { ...data, file: { ...font.file, data: fileData } };
+      } catch (error) {
+        logger.warn('[FontManager.serializeFont] 嵌入字体文件失败:', font.name, error.message || error);
+      }
+    }
+
+    return data;
+  }
+
+  /**
+   * 上传导入数据中嵌入的字体文件
+   * 
+   * @description
+   * 本地字体带有 file.data 时上传到用户数据目录，并把 file.data 换成 file.path
+   * 
+   * @async
+   * @param {Object} font - 导入的字体对象（会被直接修改）
+   * @returns {Promise<boolean>} 是否可以继续导入（上传失败返回 false）
+   */
+  async restoreFontFile(font) {
+    if (font.source !== 'local' || !font.file?.data) {
+      return true;
+    }
+
+    try {
+      const { data: fileData, ...fileInfo } = font.file;
+      const ext = Object.keys(FONT_FILE_FORMATS).find(key => FONT_FILE_FORMATS[key] === fileInfo.format) || 'ttf';
+      const path = await uploadFontData(fileInfo.originalName || `${font.name}.${ext}`, fileData);
+      font.file = { ...fileInfo, path };
+      return true;
+    } catch (error) {
+      logger.warn('[FontManager.restoreFontFile] 上传嵌入的字体文件失败:', font.name, error.message || error);
+      return false;
+    }
+  }
+
+  /**
+   * 读取并校验导入数据（不做任何修改）
+   * 
+   * @description
+   * 逐条校验字体记录，并找出和本地同名的字体，
+   * UI 根据结果让用户为每个冲突选择处理方式
+   * 
+   * @param {string} jsonData - JSON 格式的字体配置字符串
+   * @returns {{data: Object, valid: Array<{index: number, font: Object}>, invalid: Array<{index: number, name: string, reasons: string[]}>, conflicts: Array<{index: number, font: Object, existing: Object}>}}
+   * @throws {Error} JSON 格式错误或没有字体列表时
+   */
+  previewImport(jsonData) {
+    let data;
+    try {
+      data = JSON.parse(jsonData);
+    } catch {
+      throw new Error('导入文件不是有效的 JSON');
+    }
+
+    if (!data || !Array.isArray(data.fonts)) {
+      throw new Error('无效的导入数据格式');
+    }
+
+    const { valid, invalid } = validateFontRecords(data.fonts);
+    const conflicts = valid
+      .filter(({ font }) => this.fonts.has(font.name))
+      .map(({ index, font }) => ({ index, font, existing: this.fonts.get(font.name) }));
+
+    logger.debug('[FontManager.previewImport] 共', data.fonts.length, '个字体，有效', valid.length, '个，无效', invalid.length, '个，冲突', conflicts.length, '个');
+    return { data, valid, invalid, conflicts };
+  }
+
+  /**
+   * @typedef {Object} FontImportResult
+   * @property {number} total - 导入文件中的字体数量
+   * @property {string[]} imported - 新增的字体
+   * @property {string[]} overwritten - 覆盖了本地同名字体的字体
+   * @property {Array<{from: string, to: string}>} renamed - 重命名后导入的字体
+   * @property {string[]} tagsMerged - 只合并了标签的字体
+   * @property {string[]} kept - 保留本地版本、未导入的字体
+   * @property {Array<{index: number, name: string, reasons: string[]}>} invalid - 校验失败的记录
+   * @property {Array<{index: number, name: string, reasons: string[]}>} failed - 校验通过但导入失败的记录（如字体文件上传失败）
+   */
+
   /**
    * 导入字体配置
    * 
    * @description
    * 从 JSON 数据导入字体配置，支持两种模式：
-   * - 合并模式（merge=true）：保留现有字体，只添加新的
-   * - 替换模式（merge=false）：清空现有字体，完全替换
+   * - 合并模式（merge=true）：保留现有字体，同名字体按冲突处理方式导入
+   * - 替换模式（merge=false）：清空现有字体，完全替换（没有有效字体时不清空）
+   * 
+   * 每条字体记录都先经过校验，无效记录不会写入，并在结果中给出原因。
+   * 同名字体的处理方式（见 CONFLICT_ACTIONS）：
+   * - keep: 保留本地字体，跳过导入
+   * - overwrite: 用导入的字体替换本地字体
+   * - rename: 以新名称（如 "名称 (2)"）导入，导入数据中的绑定等引用随之改名
+   * - mergeTags: 保留本地字体，只合并标签
    * 
    * 导入内容包括：
-   * 1. 字体列表和标签
+   * 1. 字体列表和标签（嵌入的本地字体文件会重新上传）
    * 2. 当前字体选择
-   * 3. 功能开关状态
+   * 3. 字体绑定规则（只导入指向已存在字体的规则）
+   * 4. 插槽设置（只导入本地未设置的插槽）
+   * 5. 自动切换规则和字体合集（跳过重复项）
+   * 6. 功能开关状态
    * 
    * @async
    * @param {string} jsonData - JSON 格式的字体配置字符串
-   * @param {boolean} [merge=true] - 导入模式（true=合并，false=替换）
-   * @returns {Promise<number>} 成功导入的字体数量
+   * @param {Object|boolean} [options={}] - 导入选项（兼容旧接口：传布尔值表示 merge）
+   * @param {boolean} [options.merge=true] - 导入模式（true=合并，false=替换）
+   * @param {string} [options.conflictAction='keep'] - 默认的冲突处理方式
+   * @param {Object<string, string>} [options.resolutions={}] - 按字体名称指定的冲突处理方式
+   * @returns {Promise<FontImportResult>} 导入结果
    * @throws {Error} JSON 格式错误或数据无效时
    * 
    * @example
-   * const count = await fontManager.importFonts(jsonData, true);
-   * console.log(`导入了 ${count} 个字体`);
+   * const result = await fontManager.importFonts(jsonData, { resolutions: { '霞鹜文楷': 'rename' } });
+   * console.log(`导入了 ${result.imported.length} 个字体，${result.invalid.length} 条无效`);
    */
-  async importFonts(jsonData, merge = true) {
+  async importFonts(jsonData, options = {}) {
+    if (!this.historyDepth) return this.recordOperation('导入字体', () => this.importFonts(jsonData, options));
+
+    if (typeof options === 'boolean') {
+      options = { merge: options };
+    }
+    const { merge = true, conflictAction = 'keep', resolutions = {} } = options;
+
     logger.info('[FontManager.importFonts] 开始导入，模式:', merge ? '合并' : '替换');
 
     try {
-      const data = JSON.parse(jsonData);
-
-      if (!data.fonts || !Array.isArray(data.fonts)) {
-        throw new Error('无效的导入数据格式');
+      const { data, valid, invalid } = this.previewImport(jsonData);
+
+      const result = {
+        total: data.fonts.length,
+        imported: [],
+        overwritten: [],
+        renamed: [],
+        tagsMerged: [],
+        kept: [],
+        invalid,
+        failed: []
+      };
+
+      // 替换模式下没有任何有效字体时不清空，避免一个坏文件清掉所有数据
+      if (!merge && valid.length === 0 && data.fonts.length > 0) {
+        throw new Error('导入文件中没有有效的字体，已取消替换');
       }
 
-      logger.debug('[FontManager.importFonts] 解析成功，共', data.fonts.length, '个字体');
-
       // 如果是替换模式，先清空
       if (!merge) {
         const oldCount = this.fonts.size;
+        // 被替换掉的本地字体文件等撤销历史和导入的字体都不再引用时再删除
+        for (const font of this.fonts.values()) {
+          if (font.source === 'local' && font.file?.path) {
+            this.releaseFontFile(font.file.path);
+          }
+        }
         this.fonts.clear();
         this.tags.clear();
+        this.bindings = [];
+        this.slots = {};
+        this.quickSlots = {};
+        this.schedules = [];
+        this.collections = [];
+        this.tagMeta = {};
         logger.debug('[FontManager.importFonts] 已清空现有', oldCount, '个字体（替换模式）');
       }
 
       // 导入字体
-      let imported = 0;
-      let skipped = 0;
-      data.fonts.forEach(font => {
-        // 合并模式下，跳过已存在的字体
-        if (merge && this.fonts.has(font.name)) {
-          logger.debug('[FontManager.importFonts] 跳过已存在的字体:', font.name);
-          skipped++;
-          return;
+      const renames = new Map();
+      const now = Date.now();
+      for (const { index, font } of valid) {
+        const existing = this.fonts.get(font.name);
+        const action = existing ? (resolutions[font.name] || conflictAction) : null;
+
+        if (action === 'keep' || (existing && !CONFLICT_ACTIONS[action])) {
+          logger.debug('[FontManager.importFonts] 保留已存在的字体:', font.name);
+          result.kept.push(font.name);
+          continue;
         }
 
-        this.fonts.set(font.name, font);
+        if (action === 'mergeTags') {
+          existing.tags = [...new Set([...(existing.tags || []), ...font.tags])];
+          result.tagsMerged.push(font.name);
+          continue;
+        }
 
-        // 更新标签
-        if (font.tags && font.tags.length > 0) {
-          font.tags.forEach(tag => this.tags.add(tag));
+        // 嵌入了字体文件的本地字体，先上传到用户数据目录
+        if (!await this.restoreFontFile(font)) {
+          result.failed.push({ index, name: font.name, reasons: ['上传嵌入的字体文件失败'] });
+          continue;
         }
 
-        imported++;
-      });
+        // 排版设置会直接写进样式表，导入时需要校验
+        font.custom = normalizeTypography(font.custom);
+
+        if (action === 'rename') {
+          const newName = getUniqueFontName(font.name, name => this.fonts.has(name) || valid.some(item => item.font.name === name));
+          renames.set(font.name, newName);
+          result.renamed.push({ from: font.name, to: newName });
+          const renamed = { ...font, name: newName, displayName: newName, order: font.order ?? now + index };
+          // 本地文件和 @font-face 的字体族名由我们声明，改名避免和本地同名字体的 @font-face 互相覆盖
+          if (font.source === 'local') {
+            renamed.fontFamily = newName;
+          } else if (font.source === 'fontface') {
+            renamed.fontFamily = newName;
+            renamed.faceCss = rewriteFontFaces(font.faceCss, newName, 'U+0-10FFFF');
+          }
+          this.fonts.set(newName, renamed);
+          continue;
+        }
+
+        if (action === 'overwrite') {
+          if (existing.source === 'local' && existing.file?.path && existing.file.path !== font.file?.path) {
+            this.releaseFontFile(existing.file.path);
+          }
+          this.fonts.set(font.name, { ...font, order: existing.order, usage: existing.usage });
+          result.overwritten.push(font.name);
+          continue;
+        }
+
+        this.fonts.set(font.name, { ...font, order: font.order ?? now + index });
+        result.imported.push(font.name);
+      }
+
+      // 导入数据中指向被重命名字体的引用，改成新名称
+      const resolveName = (name) => renames.get(name) || name;
+      if (renames.size > 0) {
+        renames.forEach(newName => {
+          const font = this.fonts.get(newName);
+          font.fallbacks = (font.fallbacks || []).map(resolveName);
+          font.scripts = Object.fromEntries(Object.entries(font.scripts || {}).map(([script, name]) => [script, resolveName(name)]));
+        });
+      }
+
+      this.updateTagsList();
+
+      // 导入标签颜色/图标（本地已设置的保持不变）
+      if (data.tagMeta && typeof data.tagMeta === 'object') {
+        Object.entries(data.tagMeta).forEach(([tag, meta]) => {
+          const path = normalizeTagPath(tag);
+          if (!path || this.tagMeta[path] || !meta || typeof meta !== 'object') return;
+          this.tagMeta[path] = {
+            color: /^#[0-9a-f]{3,8}$/i.test(meta.color) ? meta.color : null,
+            icon: TAG_ICONS.includes(meta.icon) ? meta.icon : null
+          };
+        });
+      }
 
       // 导入当前字体
-      if (data.currentFont && this.fonts.has(data.currentFont)) {
-        this.currentFont = data.currentFont;
+      const currentFont = resolveName(data.currentFont);
+      if (currentFont && this.fonts.has(currentFont)) {
+        this.currentFont = currentFont;
         extension_settings['Acsus-Paws-Puffs'].fontManager.currentFont = this.currentFont;
-        logger.debug('[FontManager.importFonts] 已设置当前字体:', data.currentFont);
+        logger.debug('[FontManager.importFonts] 已设置当前字体:', currentFont);
+      }
+
+      // 导入绑定规则（同一目标已有规则时保留现有规则）
+      if (Array.isArray(data.bindings)) {
+        data.bindings.forEach(rule => {
+          if (!rule || !rule.type || !rule.target || !this.fonts.has(resolveName(rule.fontName))) return;
+          if (this.bindings.some(existing => existing.type === rule.type && existing.target === rule.target)) return;
+          this.bindings.push({ ...rule, fontName: resolveName(rule.fontName), id: rule.id || `${rule.type}-${Date.now()}` });
+        });
+        eventSource.emit('pawsFontBindingsChanged', { action: 'imported' });
+      }
+
+      // 导入插槽设置（本地已设置的插槽保持不变）
+      if (data.slots && typeof data.slots === 'object') {
+        FONT_SLOTS.forEach(slot => {
+          const setting = data.slots[slot.id];
+          if (!setting || this.slots[slot.id]) return;
+          const fontName = resolveName(setting.fontName);
+          this.slots[slot.id] = {
+            fontName: fontName && this.fonts.has(fontName) ? fontName : null,
+            size: normalizeSlotNumber(setting.size, SLOT_SIZE_RANGE),
+            weight: normalizeSlotNumber(setting.weight, SLOT_WEIGHT_RANGE)
+          };
+        });
+        eventSource.emit('pawsFontSlotsChanged', { action: 'imported' });
+      }
+
+      // 导入快捷切换（本地已设置的编号保持不变）
+      if (data.quickSlots && typeof data.quickSlots === 'object') {
+        QUICK_SLOT_KEYS.forEach(key => {
+          const fontName = resolveName(data.quickSlots[key]);
+          if (this.quickSlots[key] || !this.fonts.has(fontName) || Object.values(this.quickSlots).includes(fontName)) return;
+          this.quickSlots[key] = fontName;
+        });
+        eventSource.emit('pawsFontQuickSlotsChanged', { action: 'imported' });
+      }
+
+      // 导入自动切换规则（跳过完全相同的规则）
+      if (Array.isArray(data.schedules)) {
+        const ruleKey = (rule) => [rule.type, rule.start, rule.end, rule.theme, rule.scheme, rule.fontName].join('|');
+        data.schedules.forEach(rule => {
+          if (!rule || !SCHEDULE_TYPES[rule.type]) return;
+          const renamedRule = { ...rule, fontName: resolveName(rule.fontName) };
+          if (!this.fonts.has(renamedRule.fontName)) return;
+          if (this.schedules.some(existing => ruleKey(existing) === ruleKey(renamedRule))) return;
+          this.schedules.push({ ...renamedRule, id: rule.id || `schedule-${Date.now()}` });
+        });
+      }
+
+      // 导入字体合集（跳过同名同作者的合集）
+      if (Array.isArray(data.collections)) {
+        data.collections.forEach(collection => {
+          if (!collection || !collection.name) return;
+          if (this.collections.some(existing => existing.name === collection.name && existing.author === collection.author)) return;
+          const source = this.normalizeCollectionSource(collection.source);
+          if (source.type === 'manual') {
+            source.fonts = source.fonts.map(resolveName);
+          }
+          this.collections.push({
+            ...collection,
+            id: collection.id || `collection-${Date.now()}`,
+            source
+          });
+        });
+        eventSource.emit('pawsFontCollectionsChanged', { action: 'imported' });
       }
 
       // 导入开关状态
@@ -708,11 +3209,15 @@ export class FontManager {
       }
 
       await this.saveFonts();
-      eventSource.emit('pawsFontImported', { count: imported, total: data.fonts.length });
+      this.refreshAppliedFont();
+      this.evaluateSchedule();
+
+      const count = result.imported.length + result.overwritten.length + result.renamed.length;
+      eventSource.emit('pawsFontImported', { count, total: data.fonts.length, result });
       eventSource.emit('pawsFontTagsChanged', { action: 'imported' });
 
-      logger.info(`[FontManager.importFonts] 导入完成: ${imported} 成功, ${skipped} 跳过, ${data.fonts.length - imported - skipped} 失败`);
-      return imported;
+      logger.info(`[FontManager.importFonts] 导入完成: ${result.imported.length} 新增, ${result.overwritten.length} 覆盖, ${result.renamed.length} 重命名, ${result.tagsMerged.length} 合并标签, ${result.kept.length} 保留, ${result.invalid.length} 无效, ${result.failed.length} 失败`);
+      return result;
     } catch (error) {
       logger.error('[FontManager.importFonts] 导入失败:', error.message || error);
       throw error;
@@ -731,13 +3236,15 @@ export class FontManager {
    * @returns {Promise<number>} 成功添加的字体数量
    */
   async addFontsBatch(fontsData) {
+    if (!this.historyDepth) return this.recordOperation(`添加 ${fontsData.length} 个字体`, () => this.addFontsBatch(fontsData));
+
     logger.info('[FontManager.addFontsBatch] 开始批量添加，共', fontsData.length, '个字体');
 
     let added = 0;
     let failed = 0;
 
     for (const fontData of fontsData) {
-      if (await this.addFont(fontData)) {
+      if (await this.callInOperation(() => this.addFont(fontData))) {
         added++;
       } else {
         failed++;
@@ -748,6 +3255,290 @@ export class FontManager {
     return added;
   }
 
+  /**
+   * 批量删除字体（作为一次操作记入历史）
+   * @async
+   * @param {string[]} fontNames - 要删除的字体名称
+   * @returns {Promise<number>} 删除成功的数量
+   */
+  async removeFonts(fontNames) {
+    if (!this.historyDepth) return this.recordOperation(`删除 ${fontNames.length} 个字体`, () => this.removeFonts(fontNames));
+
+    let deleted = 0;
+    for (const fontName of fontNames) {
+      if (await this.callInOperation(() => this.removeFont(fontName))) {
+        deleted++;
+      }
+    }
+    return deleted;
+  }
+
+  /**
+   * 拍摄当前数据的快照（用于操作历史）
+   * @returns {Object} 快照
+   */
+  captureHistoryState() {
+    return captureState({
+      fonts: this.fonts,
+      currentFont: this.currentFont,
+      bindings: this.bindings,
+      slots: this.slots,
+      schedules: this.schedules,
+      collections: this.collections,
+      tagMeta: this.tagMeta,
+      quickSlots: this.quickSlots
+    });
+  }
+
+  /**
+   * 记录一次可撤销的操作
+   * 
+   * @description
+   * 操作前后各拍一次快照，把有变化的条目记入撤销历史并清空重做历史。
+   * 操作内部再调用其他会记录历史的方法时（如批量删除调用 removeFont），
+   * 要通过 callInOperation() 调用，只记录最外层的一次。
+   * 
+   * 记录的操作（和撤销/重做）排队依次执行：导入上传文件等异步操作进行中，
+   * 用户又做了其他操作时，后者等前者结束后单独记录，不会混进前者的记录里
+   * 
+   * 需要记录历史的方法在开头调用：
+   * if (!this.historyDepth) return this.recordOperation(label, () => this.xxx(...));
+   * 
+   * @async
+   * @param {string} label - 操作说明（显示在撤销/重做按钮的提示中）
+   * @param {Function} operation - 要执行的操作
+   * @returns {Promise<*>} 操作的返回值
+   */
+  async recordOperation(label, operation) {
+    if (this.historyDepth > 0) {
+      return operation();
+    }
+
+    return this.queueHistoryTask(async () => {
+      const before = this.captureHistoryState();
+      try {
+        return await this.callInOperation(operation);
+      } finally {
+        const changes = diffStates(before, this.captureHistoryState());
+        if (changes.length > 0) {
+          this.history.undo.push({ id: `history-${Date.now()}`, label, time: new Date().toISOString(), changes });
+          this.dropHistoryEntries([...this.history.redo, ...this.history.undo.slice(0, -HISTORY_LIMIT)]);
+          this.history.undo = this.history.undo.slice(-HISTORY_LIMIT);
+          this.history.redo = [];
+          await this.saveHistory();
+          logger.debug('[FontManager.recordOperation] 已记录操作:', label, changes.length, '处修改');
+        }
+      }
+    });
+  }
+
+  /**
+   * 在当前操作内部调用其他会记录历史的方法
+   * 
+   * @description
+   * 各方法开头的 historyDepth 检查是同步执行的，这里只在调用期间同步地加减层数：
+   * 被调用的方法并入当前操作的记录；当前操作 await 期间触发的其他操作看到的层数为 0，会排队单独记录
+   * 
+   * @param {Function} call - 要调用的方法
+   * @returns {*} 方法的返回值
+   */
+  callInOperation(call) {
+    this.historyDepth++;
+    try {
+      return call();
+    } finally {
+      this.historyDepth--;
+    }
+  }
+
+  /**
+   * 把任务排到历史队列末尾，等前面的操作结束后再执行
+   * @async
+   * @param {Function} task - 要执行的任务
+   * @returns {Promise<*>} 任务的返回值
+   */
+  queueHistoryTask(task) {
+    const result = this.historyQueue.then(task);
+    this.historyQueue = result.catch(() => { });
+    return result;
+  }
+
+  /**
+   * 撤销最近一次操作
+   * @async
+   * @returns {Promise<Object|null>} 撤销的历史记录，没有可撤销的操作时返回 null
+   */
+  async undo() {
+    return this.queueHistoryTask(() => this.stepHistory('undo', 'redo', 'before'));
+  }
+
+  /**
+   * 重做最近一次撤销的操作
+   * @async
+   * @returns {Promise<Object|null>} 重做的历史记录，没有可重做的操作时返回 null
+   */
+  async redo() {
+    return this.queueHistoryTask(() => this.stepHistory('redo', 'undo', 'after'));
+  }
+
+  /**
+   * 撤销/重做的公共流程
+   * 
+   * @description
+   * 从一个历史栈取出记录，把记录中的条目恢复到操作前（撤销）或操作后（重做），
+   * 再把记录放进另一个栈，然后保存并重新应用页面字体
+   * 
+   * @async
+   * @param {'undo'|'redo'} from - 取出记录的栈
+   * @param {'undo'|'redo'} to - 放入记录的栈
+   * @param {'before'|'after'} side - 恢复到操作前还是操作后
+   * @returns {Promise<Object|null>} 应用的历史记录
+   */
+  async stepHistory(from, to, side) {
+    const entry = this.history[from].pop();
+    if (!entry) {
+      return null;
+    }
+
+    entry.changes.forEach(change => {
+      // 历史记录里的对象需要保持不变，恢复时复制一份
+      const value = change[side] === null ? null : structuredClone(change[side]);
+
+      if (change.field === 'fonts') {
+        const current = this.fonts.get(change.key);
+        if (value) {
+          // 加载检查结果和使用统计不在历史记录里，保留现有的
+          ['health', 'usage'].forEach(key => {
+            if (current?.[key]) value[key] = current[key];
+          });
+          this.fonts.set(change.key, value);
+        } else {
+          this.fonts.delete(change.key);
+        }
+      } else if (['slots', 'tagMeta', 'quickSlots'].includes(change.field)) {
+        if (value) {
+          this[change.field][change.key] = value;
+        } else {
+          delete this[change.field][change.key];
+        }
+      } else if (change.field === 'currentFont') {
+        this.currentFont = value && this.fonts.has(value) ? value : null;
+      } else {
+        applyListChange(this[change.field], { ...change, [side]: value }, side);
+      }
+    });
+
+    this.history[to].push(entry);
+    this.dropHistoryEntries(this.history[to].slice(0, -HISTORY_LIMIT));
+    this.history[to] = this.history[to].slice(-HISTORY_LIMIT);
+
+    this.updateTagsList();
+    await this.saveFonts();
+    await this.saveHistory();
+    this.refreshAppliedFont();
+    this.evaluateSchedule();
+
+    eventSource.emit('pawsFontBindingsChanged', { action: from });
+    eventSource.emit('pawsFontSlotsChanged', { action: from });
+    eventSource.emit('pawsFontQuickSlotsChanged', { action: from });
+    eventSource.emit('pawsFontCollectionsChanged', { action: from });
+    eventSource.emit('pawsFontHistoryApplied', { action: from, entry });
+
+    logger.info(`[FontManager.stepHistory] ${from === 'undo' ? '撤销' : '重做'}:`, entry.label);
+    return entry;
+  }
+
+  /**
+   * 获取撤销/重做状态
+   * @returns {{canUndo: boolean, canRedo: boolean, undoLabel: string|null, redoLabel: string|null}}
+   */
+  getHistoryStatus() {
+    return {
+      canUndo: this.history.undo.length > 0,
+      canRedo: this.history.redo.length > 0,
+      undoLabel: this.history.undo.at(-1)?.label || null,
+      redoLabel: this.history.redo.at(-1)?.label || null
+    };
+  }
+
+  /**
+   * 清空操作历史
+   * 
+   * @description
+   * 同时删除只被历史记录引用的本地字体文件
+   * 
+   * @async
+   */
+  async clearHistory() {
+    this.dropHistoryEntries([...this.history.undo, ...this.history.redo]);
+    this.history = { undo: [], redo: [] };
+    await this.saveHistory();
+    logger.info('[FontManager.clearHistory] 已清空操作历史');
+  }
+
+  /**
+   * 标记本地字体文件为待删除
+   * 
+   * @description
+   * 删除字体时不立即删除服务器上的文件（撤销时还要用），
+   * 等到当前字体和操作历史都不再引用时，由 purgeFontFiles() 删除
+   * 
+   * @param {string} path - 文件路径
+   */
+  releaseFontFile(path) {
+    if (path && !this.pendingFileDeletes.includes(path)) {
+      this.pendingFileDeletes.push(path);
+    }
+  }
+
+  /**
+   * 丢弃历史记录时，把其中引用的本地字体文件标记为待删除
+   * @param {Object[]} entries - 被丢弃的历史记录
+   */
+  dropHistoryEntries(entries) {
+    getHistoryFilePaths(entries).forEach(path => this.releaseFontFile(path));
+  }
+
+  /**
+   * 删除不再被引用的本地字体文件
+   * @async
+   */
+  async purgeFontFiles() {
+    if (this.pendingFileDeletes.length === 0) return;
+
+    const referenced = getHistoryFilePaths([...this.history.undo, ...this.history.redo]);
+    this.fonts.forEach(font => {
+      if (font.source === 'local' && font.file?.path) {
+        referenced.add(font.file.path);
+      }
+    });
+
+    const deletable = this.pendingFileDeletes.filter(path => !referenced.has(path));
+    for (const path of deletable) {
+      await deleteFontFile(path);
+    }
+    this.pendingFileDeletes = this.pendingFileDeletes.filter(path => referenced.has(path));
+  }
+
+  /**
+   * 保存操作历史
+   * 
+   * @description
+   * 设置中只保存最近的一部分记录（见 getSavedHistory），刷新页面后仍能撤销最近的操作；
+   * 更早的记录只留在内存中
+   * 
+   * @async
+   */
+  async saveHistory() {
+    await this.purgeFontFiles();
+
+    extension_settings['Acsus-Paws-Puffs'].fontManager.history = getSavedHistory(this.history);
+    extension_settings['Acsus-Paws-Puffs'].fontManager.pendingFileDeletes = this.pendingFileDeletes;
+    saveSettingsDebounced();
+
+    eventSource.emit('pawsFontHistoryChanged', this.getHistoryStatus());
+  }
+
   /**
    * 刷新标签列表
    * 
@@ -771,12 +3562,15 @@ export class FontManager {
    * 保存字体到 extension_settings
    * 
    * @description
-   * 将字体数据、标签、当前字体、功能开关持久化保存
+   * 将字体数据、标签、当前字体、绑定规则、插槽设置、功能开关持久化保存
    * 调用 saveSettingsDebounced() 防抖保存到磁盘
    * 
    * @async
    */
   async saveFonts() {
+    // 字体有变化，搜索索引需要重建
+    this.searchIndex = null;
+
     const data = {
       fonts: Array.from(this.fonts.entries()),
       tags: Array.from(this.tags),
@@ -785,6 +3579,12 @@ export class FontManager {
 
     extension_settings['Acsus-Paws-Puffs'].fontManager.fonts = data;
     extension_settings['Acsus-Paws-Puffs'].fontManager.currentFont = this.currentFont;
+    extension_settings['Acsus-Paws-Puffs'].fontManager.bindings = this.bindings;
+    extension_settings['Acsus-Paws-Puffs'].fontManager.slots = this.slots;
+    extension_settings['Acsus-Paws-Puffs'].fontManager.quickSlots = this.quickSlots;
+    extension_settings['Acsus-Paws-Puffs'].fontManager.schedules = this.schedules;
+    extension_settings['Acsus-Paws-Puffs'].fontManager.collections = this.collections;
+    extension_settings['Acsus-Paws-Puffs'].fontManager.tagMeta = this.tagMeta;
     extension_settings['Acsus-Paws-Puffs'].fontManager.enabled = this.fontEnabled;
     saveSettingsDebounced();
   }
@@ -797,6 +3597,7 @@ export class FontManager {
    * 1. 恢复 fonts Map（字体列表）
    * 2. 恢复 tags Set（标签集合）
    * 3. 恢复 currentFont（当前字体）
+   * 4. 恢复 bindings（字体绑定规则）和 slots（插槽设置）
    * 
    * 兼容旧版本的数据结构
    * 
@@ -804,6 +3605,45 @@ export class FontManager {
    */
   async loadFonts() {
     try {
+      // 绑定规则和插槽设置与 fonts 并列存储，单独恢复
+      const savedBindings = extension_settings['Acsus-Paws-Puffs'].fontManager.bindings;
+      if (Array.isArray(savedBindings)) {
+        this.bindings = savedBindings;
+      }
+
+      const savedSlots = extension_settings['Acsus-Paws-Puffs'].fontManager.slots;
+      if (savedSlots && typeof savedSlots === 'object') {
+        this.slots = savedSlots;
+      }
+
+      const savedQuickSlots = extension_settings['Acsus-Paws-Puffs'].fontManager.quickSlots;
+      if (savedQuickSlots && typeof savedQuickSlots === 'object') {
+        this.quickSlots = savedQuickSlots;
+      }
+
+      const savedSchedules = extension_settings['Acsus-Paws-Puffs'].fontManager.schedules;
+      if (Array.isArray(savedSchedules)) {
+        this.schedules = savedSchedules;
+      }
+      this.scheduleOverride = extension_settings['Acsus-Paws-Puffs'].fontManager.scheduleOverride || null;
+
+      const savedCollections = extension_settings['Acsus-Paws-Puffs'].fontManager.collections;
+      if (Array.isArray(savedCollections)) {
+        this.collections = savedCollections;
+      }
+
+      const savedTagMeta = extension_settings['Acsus-Paws-Puffs'].fontManager.tagMeta;
+      if (savedTagMeta && typeof savedTagMeta === 'object') {
+        this.tagMeta = savedTagMeta;
+      }
+
+      const savedHistory = extension_settings['Acsus-Paws-Puffs'].fontManager.history;
+      if (savedHistory && Array.isArray(savedHistory.undo) && Array.isArray(savedHistory.redo)) {
+        this.history = savedHistory;
+      }
+      this.pendingFileDeletes = extension_settings['Acsus-Paws-Puffs'].fontManager.pendingFileDeletes || [];
+      this.searchQuery = extension_settings['Acsus-Paws-Puffs'].fontManager.searchQuery || '';
+
       const data = extension_settings['Acsus-Paws-Puffs'].fontManager.fonts;
 
       if (!data) {
@@ -860,6 +3700,15 @@ export class FontManager {
   destroy() {
     this.cleanup();
 
+    clearTimeout(this.scheduleTimer);
+    if (this.stopThemeWatch) {
+      this.stopThemeWatch();
+    }
+    if (this.stopUsageWatch) {
+      this.flushUsageTime();
+      this.stopUsageWatch();
+    }
+
     if (this.ui) {
       this.ui.destroy();
     }
@@ -868,13 +3717,23 @@ export class FontManager {
   /**
    * 获取统计信息
    * 
-   * @returns {Object} 统计信息对象包含 fontCount, tagCount, currentFont, enabled
+   * @returns {Object} 统计信息对象包含 fontCount, tagCount, bindingCount, currentFont, activeFont, enabled
    */
   getStats() {
+    const fonts = Array.from(this.fonts.values());
     return {
       fontCount: this.fonts.size,
       tagCount: this.tags.size,
+      bindingCount: this.bindings.length,
+      scheduleCount: this.schedules.length,
+      collectionCount: this.collections.length,
+      favoriteCount: this.getFavoriteFonts().length,
+      quickSlotCount: Object.keys(this.quickSlots).length,
+      totalApplied: fonts.reduce((sum, font) => sum + getFontUsage(font).count, 0),
+      totalActiveMs: fonts.reduce((sum, font) => sum + getFontUsage(font).activeMs, 0),
+      mostUsedFont: this.getMostUsedFonts(1)[0]?.name || null,
       currentFont: this.currentFont,
+      activeFont: this.activeFont,
       enabled: this.fontEnabled
     };
   }
@@ -884,30 +3743,56 @@ export class FontManager {
    * 
    * @description
    * 危险操作！删除所有字体和标签：
-   * 1. 清空 fonts Map 和 tags Set
+   * 1. 清空 fonts Map、tags Set、绑定规则和插槽设置（可以撤销；本地字体文件在撤销历史不再需要时删除）
    * 2. 重置 currentFont 为 null
    * 3. 清除页面应用的字体样式
    * 4. 删除 extension_settings 中的数据
    * 5. 触发 pawsFontAllCleared 事件
    * 
-   * 云端酒馆用户在卸载扩展前应该调用此方法
+   * 云端酒馆用户在卸载扩展前应该调用此方法，再调用 clearHistory() 删除本地字体文件
    * 
    * @async
    */
   async clearAllFonts() {
+    if (!this.historyDepth) return this.recordOperation('清空所有字体', () => this.clearAllFonts());
+
     const fontCount = this.fonts.size;
     const tagCount = this.tags.size;
 
     logger.info('[FontManager.clearAllFonts] 清空所有数据:', fontCount, '个字体,', tagCount, '个标签');
 
+    // 本地字体文件等撤销历史不再需要时再删除
+    for (const font of this.fonts.values()) {
+      if (font.source === 'local' && font.file?.path) {
+        this.releaseFontFile(font.file.path);
+      }
+    }
+
     this.fonts.clear();
+    this.searchIndex = null;
     this.tags.clear();
+    this.bindings = [];
+    this.slots = {};
+    this.quickSlots = {};
+    this.usageSession = null;
+    this.schedules = [];
+    this.scheduleOverride = null;
+    this.collections = [];
+    this.tagMeta = {};
     this.currentFont = null;
+    this.activeFont = null;
 
     this.clearAppliedFont();
 
     extension_settings['Acsus-Paws-Puffs'].fontManager.fonts = null;
     extension_settings['Acsus-Paws-Puffs'].fontManager.currentFont = null;
+    extension_settings['Acsus-Paws-Puffs'].fontManager.bindings = [];
+    extension_settings['Acsus-Paws-Puffs'].fontManager.slots = {};
+    extension_settings['Acsus-Paws-Puffs'].fontManager.quickSlots = {};
+    extension_settings['Acsus-Paws-Puffs'].fontManager.schedules = [];
+    extension_settings['Acsus-Paws-Puffs'].fontManager.scheduleOverride = null;
+    extension_settings['Acsus-Paws-Puffs'].fontManager.collections = [];
+    extension_settings['Acsus-Paws-Puffs'].fontManager.tagMeta = {};
     saveSettingsDebounced();
 
     eventSource.emit('pawsFontAllCleared');
@@ -0,0 +1,139 @@
+/**
+ * Acsus-Paws-Puffs 拼音工具
+ *
+ * @description
+ * 把中文拆成拼音音节，供字体搜索和预设快照面板做拼音匹配。
+ * 不带字典：用浏览器的拼音排序（Intl.Collator）加二分查找得到读音，
+ * 浏览器不支持拼音排序时返回空数组（不做拼音匹配）
+ */
+
+/**
+ * 拼音音节（按拼音排序，ü 写作 v）
+ */
+const PINYIN_SYLLABLES = [
+  'a ai an ang ao ba bai ban bang bao bei ben beng bi bian biao bie bin bing bo bu ca cai can cang',
+  'cao ce cen ceng cha chai chan chang chao che chen cheng chi chong chou chu chuai chuan chuang',
+  'chui chun chuo ci cong cou cu cuan cui cun cuo da dai dan dang dao de deng di dia dian diao die',
+  'ding diu dong dou du duan dui dun duo e ei en er fa fan fang fei fen feng fo fou fu ga gai gan',
+  'gang gao ge gei gen geng gong gou gu gua guai guan guang gui gun guo ha hai han hang hao he hei',
+  'hen heng hong hou hu hua huai huan huang hui hun huo ji jia jian jiang jiao jie jin jing jiong',
+  'jiu ju juan jue jun ka kai kan kang kao ke ken keng kong kou ku kua kuai kuan kuang kui kun kuo',
+  'la lai lan lang lao le lei leng li lia lian liang liao lie lin ling liu long lou lu lv luan lve',
+  'lun luo ma mai man mang mao me mei men meng mi mian miao mie min ming miu mo mou mu na nai nan',
+  'nang nao ne nei nen neng ni nian niang niao nie nin ning niu nong nu nv nuan nve nuo o ou pa pai',
+  'pan pang pao pei pen peng pi pian piao pie pin ping po pou pu qi qia qian qiang qiao qie qin',
+  'qing qiong qiu qu quan que qun ran rang rao re ren reng ri rong rou ru ruan rui run ruo sa sai',
+  'san sang sao se sen seng sha shai shan shang shao she shei shen sheng shi shou shu shua shuai',
+  'shuan shuang shui shun shuo si song sou su suan sui sun suo ta tai tan tang tao te teng ti tian',
+  'tiao tie ting tong tou tu tuan tui tun tuo wa wai wan wang wei wen weng wo wu xi xia xian xiang',
+  'xiao xie xin xing xiong xiu xu xuan xue xun ya yan yang yao ye yi yin ying yo yong you yu yuan',
+  'yue yun za zai zan zang zao ze zei zen zeng zha zhai zhan zhang zhao zhe zhen zheng zhi zhong',
+  'zhou zhu zhua zhuai zhuan zhuang zhui zhun zhuo zi zong zou zu zuan zui zun zuo'
+].join(' ').split(' ');
+
+/**
+ * 每个音节在拼音排序中的第一个汉字（和 PINYIN_SYLLABLES 一一对应）
+ *
+ * @description
+ * 按拼音排序时，排在第 N 个字和第 N+1 个字之间的汉字读第 N 个音节，
+ * 用二分查找就能得到读音，不需要完整的字典。
+ * 多音字只能得到排序时使用的那个读音（如 "长" 得到 zhang）
+ */
+const PINYIN_BOUNDARIES = Array.from(
+  '吖哎安肮凹八挀扳邦勹卑奔伻屄边灬憋汃冫癶峬嚓偲参仓撡冊岑曽叉芆搀伥抄车抻阷吃充抽' +
+  '出揣巛刅吹旾逴呲怱凑粗瘄崔邨搓咑呆丹当刀嘚灯氐嗲敁刁爹丁丟东吺厾耑垖吨多妸诶奀儿' +
+  '发帆匚飞分丰仏缶夫旮侅干冈皋戈给根搄工勾姑瓜乖关鏆归丨鈛哈咍蚶夯茠抲黒拫亨叿齁乎' +
+  '花怀欢巟灰昏吙丌加戋江艽阶巾坕冂丩凥姢噘军咔开刊忼尻匼肎劥空抠扝夸块宽匡亏坤扩垃' +
+  '来唻啷捞仂雷冷离俩奁良撩毟拎伶溜龙嵝噜驴娈掠抡啰妈埋姏邙猫嚒呅闷擝咪眠喵乜民名谬' +
+  '摸哞母拏乃奈乪孬疒娞恁能妮拈娘鸟捏囜宁妞农奴女渜疟郍喔讴妑拍潘乓抛呸喷匉丕囨慓氕' +
+  '姘乒钋剖扑七掐千呛悄苆亲靑卭丘区峑缺宭呥壌娆惹人扔日荣厹邚阮婑闰叒仨毢三桒掻色森' +
+  '僧杀筛山伤弰奢谁敒升尸収书刷衰闩双水吮说思忪捜苏狻夊孙羧他囼坍汤絛忑疼剔天旫帖厅' +
+  '囲偷凸湍推吞托穵歪弯尣危昷翁挝乌西虲仚乡灱些心星兄休湑吅削坃丫恹央幺耶一囙应哟佣' +
+  '优扜囦曰晕帀災兂瓉傮则贼怎増扎捚沾张佋蜇浈争之中州朱抓拽专妆隹宒拙乲宗邹租钻嶊尊' +
+  '昨'
+);
+
+/**
+ * 排在所有有读音的汉字之后的第一个字（之后的字没有拼音）
+ */
+const PINYIN_END = '兙';
+
+/**
+ * 拼音排序器（浏览器不支持拼音排序时为 null，此时不做拼音匹配）
+ *
+ * @description
+ * 拼音是中文的默认排序，resolvedOptions() 不一定报告 pinyin，直接用排序结果判断（按编码 八 在 阿 前面）
+ */
+const pinyinCollator = (() => {
+  try {
+    const collator = new Intl.Collator('zh-Hans-CN-u-co-pinyin');
+    return collator.compare('阿', '八') < 0 && collator.compare('八', '中') < 0 ? collator : null;
+  } catch {
+    return null;
+  }
+})();
+
+/**
+ * 拼音结果缓存（文字 → 音节列表）
+ */
+const pinyinCache = new Map();
+
+/**
+ * 查询单个汉字的拼音
+ * @param {string} char - 汉字
+ * @returns {string|null} 拼音音节（不带声调），查不到时返回 null
+ */
+function getCharPinyin(char) {
+  if (pinyinCollator.compare(char, PINYIN_BOUNDARIES[0]) < 0 || pinyinCollator.compare(char, PINYIN_END) >= 0) {
+    return null;
+  }
+
+  let low = 0;
+  let high = PINYIN_BOUNDARIES.length - 1;
+  while (low < high) {
+    const middle = (low + high + 1) >> 1;
+    if (pinyinCollator.compare(PINYIN_BOUNDARIES[middle], char) <= 0) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return PINYIN_SYLLABLES[low];
+}
+
+/**
+ * 把文字拆成拼音音节
+ *
+ * @description
+ * 汉字转为拼音，连续的字母和数字作为一个音节，其他符号作为分隔
+ *
+ * @param {string} text - 文字，如 "霞鹜文楷 GB"
+ * @returns {string[]} 音节列表，如 ['xia', 'wu', 'wen', 'kai', 'gb']；不含汉字或不支持拼音时返回空数组
+ */
+export function getPinyinSyllables(text) {
+  if (!pinyinCollator || !/[一-龥]/.test(text)) return [];
+  if (pinyinCache.has(text)) return pinyinCache.get(text);
+
+  const syllables = [];
+  let word = '';
+  Array.from(text.toLowerCase()).forEach(char => {
+    if (/[a-z0-9]/.test(char)) {
+      word += char;
+      return;
+    }
+    if (word) {
+      syllables.push(word);
+      word = '';
+    }
+    const pinyin = /[一-龥]/.test(char) ? getCharPinyin(char) : null;
+    if (pinyin) {
+      syllables.push(pinyin);
+    }
+  });
+  if (word) {
+    syllables.push(word);
+  }
+
+  pinyinCache.set(text, syllables);
+  return syllables;
+}
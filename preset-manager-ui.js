@@ -6,9 +6,11 @@
  */
 
 import { eventSource } from "../../../../script.js";
-import { callGenericPopup } from '../../../popup.js';
+import { callGenericPopup, POPUP_TYPE } from '../../../popup.js';
+import { escapeHtml } from '../../../utils.js';
 import logger from './logger.js';
 import * as snapshotData from './preset-snapshot-data.js';
+import { SLOT_MODIFIERS, MAX_SLOT_COUNT, formatHotkey, getEventHotkey, getHotkeyAction, getSlotConflict, isFontQuickSlotHotkey, isUsableHotkey } from './preset-snapshot-palette.js';
 
 export class PresetManagerUI {
   constructor(presetManager) {
@@ -165,11 +167,52 @@ export class PresetManagerUI {
                 </div>
               </div>
 
+              <!-- 快捷键设置（点输入框后按下新的组合键，Backspace 清除） -->
+              <div class="snapshot-menu-settings snapshot-hotkey-settings">
+                <div class="snapshot-setting-row">
+                  <label>命令面板</label>
+                  <input type="text" class="text_pole paws-hotkey-recorder" data-hotkey="palette" readonly>
+                </div>
+                <div class="snapshot-setting-row">
+                  <label>按编号应用</label>
+                  <select id="snapshot-slot-modifier" class="text_pole">
+                    ${SLOT_MODIFIERS.map(modifier => `<option value="${modifier}">${modifier}</option>`).join('')}
+                  </select>
+                  <span>+ 1 ~</span>
+                  <input type="number" id="snapshot-slot-count" class="text_pole" min="0" max="${MAX_SLOT_COUNT}" step="1">
+                </div>
+                <div class="snapshot-setting-row">
+                  <label>下一个快照</label>
+                  <input type="text" class="text_pole paws-hotkey-recorder" data-hotkey="next" readonly>
+                </div>
+                <div class="snapshot-setting-row">
+                  <label>上一个快照</label>
+                  <input type="text" class="text_pole paws-hotkey-recorder" data-hotkey="prev" readonly>
+                </div>
+                <label class="checkbox_label">
+                  <input type="checkbox" id="snapshot-show-indicator">
+                  <span>在页面右上角显示当前快照</span>
+                </label>
+              </div>
+
               <h4 style="color: var(--SmartThemeQuoteColor);">已保存的快照</h4>
               <!-- 搜索框 -->
               <div class="snapshot-search-box">
                 <i class="fa-solid fa-search"></i>
-                <input type="text" id="snapshot-search-input" placeholder="搜索快照..." class="text_pole">
+                <input type="text" id="snapshot-search-input" placeholder="搜索快照名称或备注..." class="text_pole">
+                <button class="snapshot-btn" id="snapshot-stack-btn" title="叠加应用多个快照">
+                  <i class="fa-solid fa-layer-group"></i>
+                </button>
+                <button class="snapshot-btn" id="snapshot-new-folder-btn" title="新建分组">
+                  <i class="fa-solid fa-folder-plus"></i>
+                </button>
+                <button class="snapshot-btn" id="snapshot-export-btn" title="导出快照">
+                  <i class="fa-solid fa-file-export"></i>
+                </button>
+                <button class="snapshot-btn" id="snapshot-import-btn" title="导入快照">
+                  <i class="fa-solid fa-file-import"></i>
+                </button>
+                <input type="file" id="snapshot-import-file" accept=".json" style="display: none;">
               </div>
               <!-- 预设选择下拉框 -->
               <div class="snapshot-preset-selector">
@@ -178,9 +221,24 @@ export class PresetManagerUI {
                   <!-- 选项将动态填充 -->
                 </select>
               </div>
+              <div id="snapshot-revert-bar" class="snapshot-revert-bar">
+                <!-- 撤销上次应用（有备份时显示） -->
+              </div>
               <div id="snapshot-list-container" class="snapshot-list-container">
                 <!-- 快照列表将在这里渲染 -->
               </div>
+
+              <h4 style="color: var(--SmartThemeQuoteColor);">全局快照库</h4>
+              <p class="snapshot-binding-hint">全局库里的快照可以用在任何预设上（点快照的 <i class="fa-solid fa-globe"></i> 按钮加入），应用前会先确认条目的对应关系</p>
+              <div id="snapshot-library-list" class="snapshot-list-container">
+                <!-- 全局库列表将在这里渲染 -->
+              </div>
+
+              <h4 style="color: var(--SmartThemeQuoteColor);">自动应用</h4>
+              <p class="snapshot-binding-hint">切换到绑定的角色、群组或聊天时自动应用快照（点快照的 <i class="fa-solid fa-link"></i> 按钮绑定）</p>
+              <div id="snapshot-binding-list" class="snapshot-binding-list">
+                <!-- 绑定列表将在这里渲染 -->
+              </div>
             </div>
           </div>
         </div>
@@ -263,6 +321,29 @@ export class PresetManagerUI {
       this.refreshPresetSelector();
       this.renderSnapshotList();
     });
+
+    // 快照被应用或撤销时刷新"上次应用"标记（包括切换聊天时自动应用）
+    eventSource.on('pawsSnapshotApplied', () => this.renderSnapshotList());
+    eventSource.on('pawsSnapshotReverted', () => this.renderSnapshotList());
+
+    // 绑定变化时刷新绑定列表
+    eventSource.on('pawsSnapshotBindingsChanged', () => {
+      this.renderSnapshotList();
+    });
+
+    // 分组、排序、置顶、颜色、备注变化时刷新
+    eventSource.on('pawsSnapshotOrganized', () => this.renderSnapshotList());
+
+    // 全局快照库变化时刷新
+    this.renderLibraryList();
+    eventSource.on('pawsSnapshotLibraryChanged', () => this.renderLibraryList());
+
+    // 导入快照后刷新所有列表
+    eventSource.on('pawsSnapshotImported', () => {
+      this.refreshPresetSelector();
+      this.renderSnapshotList();
+      this.renderLibraryList();
+    });
   }
 
   /**
@@ -298,6 +379,10 @@ export class PresetManagerUI {
     const selectedPreset = this.getSelectedPreset();
     const snapshots = snapshotData.getSnapshotList(selectedPreset);
     const lastAppliedId = snapshotData.getLastAppliedId();
+    const isCurrentPreset = selectedPreset === snapshotData.getCurrentPresetName();
+
+    this.renderBindingList(snapshots);
+    this.renderRevertBar(isCurrentPreset);
 
     if (snapshots.length === 0) {
       container.innerHTML = `
@@ -310,13 +395,13 @@ export class PresetManagerUI {
       return;
     }
 
-    // 获取搜索关键词
+    // 获取搜索关键词（同时搜索名称和备注）
     const searchInput = this.container?.querySelector('#snapshot-search-input');
     const searchKeyword = searchInput?.value?.trim().toLowerCase() || '';
 
     // 过滤快照
     const filteredSnapshots = searchKeyword
-      ? snapshots.filter(s => s.name.toLowerCase().includes(searchKeyword))
+      ? snapshots.filter(s => s.name.toLowerCase().includes(searchKeyword) || s.notes.toLowerCase().includes(searchKeyword))
       : snapshots;
 
     if (filteredSnapshots.length === 0 && searchKeyword) {
@@ -329,32 +414,427 @@ export class PresetManagerUI {
       return;
     }
 
-    const listHtml = filteredSnapshots.map(snapshot => {
-      const isLastApplied = snapshot.id === lastAppliedId;
-
-      return `
-        <div class="snapshot-item ${isLastApplied ? 'last-applied' : ''}" data-id="${snapshot.id}">
-          <div class="snapshot-item-info">
-            <span class="snapshot-item-name" title="${snapshot.name}">${snapshot.name}</span>
-            <span class="snapshot-item-meta">${snapshot.stateCount}项</span>
-          </div>
-          <div class="snapshot-item-actions">
-            <button class="snapshot-btn snapshot-apply-btn" title="应用此快照">
-              <i class="fa-solid fa-play"></i>
-            </button>
-            <button class="snapshot-btn snapshot-rename-btn" title="重命名">
+    // 按分组排列：各分组在前，未分组在最后；组内置顶的在前，其余保持保存的顺序
+    const folders = snapshotData.getFolders(selectedPreset);
+    const groups = [
+      ...folders.map(folder => ({ folder, items: filteredSnapshots.filter(s => s.folderId === folder.id) })),
+      { folder: null, items: filteredSnapshots.filter(s => !folders.some(f => f.id === s.folderId)) }
+    ];
+    const options = { lastAppliedId, isCurrentPreset, sortable: !searchKeyword };
+
+    const listHtml = groups
+      // 搜索时隐藏没有匹配的分组；没有分组时不显示"未分组"标题
+      .filter(group => !searchKeyword || group.items.length > 0)
+      .map(group => {
+        const items = [...group.items.filter(s => s.pinned), ...group.items.filter(s => !s.pinned)];
+        const collapsed = group.folder?.collapsed && !searchKeyword;
+        const header = group.folder ? `
+          <div class="snapshot-group-header">
+            <i class="fa-solid fa-chevron-${collapsed ? 'right' : 'down'} snapshot-group-toggle"></i>
+            <i class="fa-solid fa-folder${collapsed ? '' : '-open'}"></i>
+            <span class="snapshot-group-name">${escapeHtml(group.folder.name)}</span>
+            <span class="snapshot-group-count">${group.items.length}</span>
+            <button class="snapshot-btn snapshot-folder-rename-btn" title="重命名分组">
               <i class="fa-solid fa-pen"></i>
             </button>
-            <button class="snapshot-btn snapshot-delete-btn" title="删除">
+            <button class="snapshot-btn snapshot-delete-btn snapshot-folder-delete-btn" title="删除分组（快照会移到未分组）">
               <i class="fa-solid fa-trash"></i>
             </button>
+          </div>` : (folders.length > 0 ? `
+          <div class="snapshot-group-header snapshot-group-header-plain">
+            <span class="snapshot-group-name">未分组</span>
+            <span class="snapshot-group-count">${group.items.length}</span>
+          </div>` : '');
+
+        return `
+          <div class="snapshot-group" data-folder-id="${group.folder?.id || ''}">
+            ${header}
+            <div class="snapshot-group-body" style="${collapsed ? 'display: none;' : ''}">
+              ${items.map(snapshot => this.renderSnapshotItem(snapshot, options)).join('')}
+            </div>
           </div>
-        </div>
-      `;
-    }).join('');
+        `;
+      }).join('');
 
     container.innerHTML = listHtml;
     this.bindSnapshotListEvents();
+    if (options.sortable) {
+      this.bindSnapshotSortable(container);
+    }
+  }
+
+  /**
+   * 渲染单个快照条目
+   * @param {import('./preset-snapshot-data.js').SnapshotListItem} snapshot - 快照
+   * @param {{lastAppliedId: string|null, isCurrentPreset: boolean, sortable: boolean}} options - 渲染选项
+   * @returns {string} HTML
+   */
+  renderSnapshotItem(snapshot, { lastAppliedId, isCurrentPreset, sortable }) {
+    const isLastApplied = snapshot.id === lastAppliedId;
+    // 开关状态总是保存，只列出额外保存的内容
+    const extraScopes = snapshotData.SNAPSHOT_SCOPES
+      .filter(scope => scope.id !== 'toggles' && snapshot.scope.includes(scope.id))
+      .map(scope => scope.label)
+      .join('、');
+    const color = snapshotData.SNAPSHOT_COLORS.find(c => c.id === snapshot.color);
+
+    return `
+      <div class="snapshot-item ${isLastApplied ? 'last-applied' : ''} ${color ? 'has-color' : ''}" data-id="${snapshot.id}"
+        ${color ? `style="--snapshot-color: ${color.color};"` : ''}>
+        ${sortable ? '<span class="snapshot-drag-handle" title="拖动排序">☰</span>' : ''}
+        <div class="snapshot-item-info">
+          <span class="snapshot-item-name" title="${escapeHtml(snapshot.name)}">${snapshot.pinned ? '<i class="fa-solid fa-thumbtack snapshot-pin-icon" title="已置顶"></i>' : ''}${escapeHtml(snapshot.name)}</span>
+          <span class="snapshot-item-meta">${snapshot.partial ? '<span class="snapshot-overlay-badge" title="只包含部分条目，应用时不影响其他条目">叠加</span>' : ''}${snapshot.stateCount}项${extraScopes ? ` · 含${extraScopes}` : ''}</span>
+          ${snapshot.notes ? `<span class="snapshot-item-notes" title="${escapeHtml(snapshot.notes)}">${escapeHtml(snapshot.notes)}</span>` : ''}
+        </div>
+        <div class="snapshot-item-actions">
+          <button class="snapshot-btn snapshot-apply-btn" title="应用此快照">
+            <i class="fa-solid fa-play"></i>
+          </button>
+          ${isCurrentPreset ? `
+          <button class="snapshot-btn snapshot-bind-btn" title="绑定到角色/群组/聊天">
+            <i class="fa-solid fa-link"></i>
+          </button>` : ''}
+          <button class="snapshot-btn snapshot-library-add-btn" title="加入全局快照库">
+            <i class="fa-solid fa-globe"></i>
+          </button>
+          <button class="snapshot-btn snapshot-diff-btn" title="对比差异">
+            <i class="fa-solid fa-code-compare"></i>
+          </button>
+          <button class="snapshot-btn snapshot-edit-btn" title="分组、置顶、颜色和备注">
+            <i class="fa-solid fa-sliders"></i>
+          </button>
+          <button class="snapshot-btn snapshot-rename-btn" title="重命名">
+            <i class="fa-solid fa-pen"></i>
+          </button>
+          <button class="snapshot-btn snapshot-delete-btn" title="删除">
+            <i class="fa-solid fa-trash"></i>
+          </button>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * 启用快照拖拽排序
+   *
+   * @description
+   * 用 jQuery UI sortable（酒馆自带，手机上也能拖），各分组之间可以互相拖动。
+   * 拖完后按新位置（所在分组 + 后面一个快照）保存顺序
+   *
+   * @param {HTMLElement} container - 快照列表容器
+   * @returns {void}
+   */
+  bindSnapshotSortable(container) {
+    if (typeof $.fn.sortable !== 'function') return;
+
+    $(container).find('.snapshot-group-body').sortable({
+      connectWith: $(container).find('.snapshot-group-body'),
+      handle: '.snapshot-drag-handle',
+      items: '> .snapshot-item',
+      placeholder: 'snapshot-sort-placeholder',
+      tolerance: 'pointer',
+      stop: (_event, ui) => {
+        const item = ui.item.get(0);
+        const folderId = item.closest('.snapshot-group')?.dataset.folderId || null;
+        const beforeId = ui.item.nextAll('.snapshot-item').first().data('id') || null;
+        snapshotData.moveSnapshot(item.dataset.id, { folderId, beforeId }, this.getSelectedPreset());
+      }
+    });
+  }
+
+  /**
+   * 显示叠加应用对话框
+   *
+   * @description
+   * 勾选要叠加的快照并拖动调整顺序（从上到下依次应用，下面的覆盖上面的），
+   * 常见用法是一个完整快照打底，再叠加几个只含部分条目的叠加快照。
+   * 上次叠加的快照和顺序会被记住
+   *
+   * @returns {Promise<void>}
+   */
+  async showStackDialog() {
+    const snapshots = snapshotData.getSnapshotList();
+    if (snapshots.length === 0) {
+      this.showMessage('当前预设还没有快照', 'info');
+      return;
+    }
+
+    const lastStack = snapshotData.getOverlayStack();
+    const ordered = [
+      ...lastStack.map(id => snapshots.find(s => s.id === id)),
+      ...snapshots.filter(s => !lastStack.includes(s.id))
+    ];
+
+    const $html = $(`
+      <div class="snapshot-stack-dialog">
+        <h3>叠加应用</h3>
+        <p>勾选要应用的快照，拖动调整顺序：从上到下依次应用，下面的会覆盖上面的。</p>
+        <div class="snapshot-stack-list">
+          ${ordered.map(snapshot => `
+            <div class="snapshot-stack-item" data-id="${snapshot.id}">
+              <span class="snapshot-drag-handle" title="拖动排序">☰</span>
+              <label class="checkbox_label">
+                <input type="checkbox" ${lastStack.includes(snapshot.id) ? 'checked' : ''}>
+                <span>${escapeHtml(snapshot.name)}</span>
+              </label>
+              <small class="snapshot-item-meta">${snapshot.partial ? '<span class="snapshot-overlay-badge">叠加</span>' : ''}${snapshot.stateCount}项</small>
+            </div>
+          `).join('')}
+        </div>
+      </div>
+    `);
+
+    if (typeof $.fn.sortable === 'function') {
+      $html.find('.snapshot-stack-list').sortable({
+        handle: '.snapshot-drag-handle',
+        placeholder: 'snapshot-sort-placeholder',
+        tolerance: 'pointer'
+      });
+    }
+
+    const confirmed = await callGenericPopup($html, POPUP_TYPE.CONFIRM, '', {
+      okButton: '叠加应用',
+      cancelButton: '取消'
+    });
+    if (!confirmed) return;
+
+    const ids = $html.find('.snapshot-stack-item').toArray()
+      .filter(item => $(item).find('input').prop('checked'))
+      .map(item => item.dataset.id);
+
+    if (ids.length === 0) {
+      this.showMessage('没有勾选快照', 'warning');
+      return;
+    }
+
+    if (snapshotData.applySnapshotStack(ids)) {
+      this.showMessage(`已叠加应用 ${ids.length} 个快照`, 'success');
+    } else {
+      this.showMessage('应用快照失败', 'error');
+    }
+  }
+
+  /**
+   * 导出快照（下拉框选中的预设，或全部快照和全局库）
+   * @returns {Promise<void>}
+   */
+  async handleExportSnapshots() {
+    const presetName = this.getSelectedPreset();
+    const hasOthers = snapshotData.getPresetsWithSnapshots().some(name => name !== presetName)
+      || snapshotData.getLibraryList().length > 0;
+
+    let all = false;
+    if (hasOthers) {
+      const $html = $(`
+        <div class="snapshot-transfer-dialog">
+          <h3>导出快照</h3>
+          <label class="checkbox_label">
+            <input type="radio" name="snapshot-export-range" value="preset" checked>
+            <span>只导出「${escapeHtml(presetName)}」的快照</span>
+          </label>
+          <label class="checkbox_label">
+            <input type="radio" name="snapshot-export-range" value="all">
+            <span>导出所有预设的快照和全局快照库</span>
+          </label>
+          <small>导出文件不包括应用前备份和自动应用绑定</small>
+        </div>
+      `);
+      const confirmed = await callGenericPopup($html, POPUP_TYPE.CONFIRM, '', {
+        okButton: '导出',
+        cancelButton: '取消'
+      });
+      if (!confirmed) return;
+      all = $html.find('input[name="snapshot-export-range"]:checked').val() === 'all';
+    } else if (snapshotData.getSnapshotList(presetName).length === 0) {
+      this.showMessage('没有可以导出的快照', 'info');
+      return;
+    }
+
+    const data = snapshotData.exportSnapshots(all ? { all } : { presetName });
+
+    const blob = new Blob([data], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    const filename = `paws-puffs-snapshots-${new Date().toISOString().split('T')[0]}.json`;
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+
+    logger.info('[PresetManagerUI.handleExportSnapshots] 导出成功:', all ? '全部快照' : presetName, '文件名:', filename);
+    this.showMessage('快照已导出', 'success');
+  }
+
+  /**
+   * 导入快照文件
+   * @param {Event} event - 文件选择框的 change 事件
+   * @returns {Promise<void>}
+   */
+  async handleImportSnapshotFile(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    try {
+      const text = await file.text();
+      event.target.value = '';
+
+      const options = await this.showImportSnapshotDialog(text);
+      if (!options) {
+        logger.debug('[PresetManagerUI.handleImportSnapshotFile] 用户取消导入');
+        return;
+      }
+
+      const result = snapshotData.importSnapshots(text, options);
+      const imported = result.presets.reduce((sum, item) => sum + item.imported, 0);
+      const duplicates = result.presets.reduce((sum, item) => sum + item.duplicates, 0) + result.library.duplicates;
+      const invalid = result.presets.reduce((sum, item) => sum + item.invalid, 0) + result.library.invalid;
+      const parts = [
+        `导入 ${imported} 个快照`,
+        result.library.imported > 0 && `全局库 ${result.library.imported} 个`,
+        options.duplicates === 'skip' && duplicates > 0 && `跳过重复 ${duplicates} 个`
+      ].filter(Boolean);
+      logger.info('[PresetManagerUI.handleImportSnapshotFile] 导入完成:', file.name, result);
+      this.showMessage(parts.join('，'), 'success');
+      if (invalid > 0) {
+        this.showMessage(`${invalid} 个快照数据无效，未导入`, 'warning');
+      }
+    } catch (error) {
+      logger.error('[PresetManagerUI.handleImportSnapshotFile] 导入失败:', error.message || error);
+      this.showMessage('导入失败: ' + error.message, 'error');
+      event.target.value = '';
+    }
+  }
+
+  /**
+   * 显示导入确认对话框（预览每个预设导入多少、重复多少，选择导入位置和重复的处理方式）
+   * @param {string} text - 导入文件内容
+   * @returns {Promise<{targetPreset: string|null, duplicates: 'skip'|'copy', includeLibrary: boolean}|null>} 导入选项，取消时返回 null
+   * @throws {Error} 不是有效的快照导出文件时
+   */
+  async showImportSnapshotDialog(text) {
+    const selectedPreset = this.getSelectedPreset();
+    const first = snapshotData.previewSnapshotImport(text);
+    // 文件中只有一个预设、且和选中的预设不同时，可以导入到选中的预设
+    const canRetarget = first.presetNames.length === 1 && first.presetNames[0] !== selectedPreset;
+
+    const $html = $(`
+      <div class="snapshot-transfer-dialog">
+        <h3>导入快照</h3>
+        ${first.exportDate ? `<small>导出时间：${escapeHtml(new Date(first.exportDate).toLocaleString())}</small>` : ''}
+        ${canRetarget ? `
+          <label class="checkbox_label">
+            <input type="checkbox" class="snapshot-import-retarget">
+            <span>导入到「${escapeHtml(selectedPreset)}」（文件中是「${escapeHtml(first.presetNames[0])}」的快照）</span>
+          </label>
+        ` : ''}
+        ${first.hasLibrary ? `
+          <label class="checkbox_label">
+            <input type="checkbox" class="snapshot-import-library" checked>
+            <span>同时导入全局快照库</span>
+          </label>
+        ` : ''}
+        <label class="checkbox_label">
+          <input type="checkbox" class="snapshot-import-copy">
+          <span>重复的快照也导入一份（默认跳过）</span>
+        </label>
+        <div class="snapshot-import-preview"></div>
+      </div>
+    `);
+
+    const readOptions = () => ({
+      targetPreset: $html.find('.snapshot-import-retarget').prop('checked') ? selectedPreset : null,
+      duplicates: $html.find('.snapshot-import-copy').prop('checked') ? 'copy' : 'skip',
+      includeLibrary: $html.find('.snapshot-import-library').length === 0 || $html.find('.snapshot-import-library').prop('checked')
+    });
+
+    const renderPreview = () => {
+      const options = readOptions();
+      const preview = snapshotData.previewSnapshotImport(text, options);
+      const rows = preview.presets.map(item => ({ label: item.presetName, ...item }));
+      if (preview.hasLibrary && options.includeLibrary) {
+        rows.push({ label: '全局快照库', ...preview.library });
+      }
+      $html.find('.snapshot-import-preview').html(rows.length === 0 ? '<p>文件中没有快照</p>' : rows.map(row => `
+        <div class="snapshot-import-row">
+          <span class="snapshot-import-name">${escapeHtml(row.label)}</span>
+          <small>${[
+            `共 ${row.total} 个，导入 ${row.imported} 个`,
+            row.duplicates > 0 && `重复 ${row.duplicates} 个`,
+            row.invalid > 0 && `无效 ${row.invalid} 个`,
+            row.remapped > 0 && `${row.remapped} 个条目按名称或内容对应到当前预设`
+          ].filter(Boolean).join('，')}</small>
+        </div>
+      `).join(''));
+    };
+
+    renderPreview();
+    $html.on('change', 'input', renderPreview);
+
+    const confirmed = await callGenericPopup($html, POPUP_TYPE.CONFIRM, '', {
+      okButton: '导入',
+      cancelButton: '取消'
+    });
+    return confirmed ? readOptions() : null;
+  }
+
+  /**
+   * 显示快照整理对话框（分组、置顶、颜色标签、备注）
+   * @param {string} id - 快照 UUID
+   * @returns {Promise<void>}
+   */
+  async showSnapshotEditDialog(id) {
+    const presetName = this.getSelectedPreset();
+    const snapshot = snapshotData.getSnapshotList(presetName).find(s => s.id === id);
+    if (!snapshot) return;
+
+    const folders = snapshotData.getFolders(presetName);
+    const $html = $(`
+      <div class="snapshot-edit-dialog">
+        <h3>${escapeHtml(snapshot.name)}</h3>
+        <label class="snapshot-edit-row">
+          <span>分组</span>
+          <select class="text_pole snapshot-edit-folder">
+            <option value="">未分组</option>
+            ${folders.map(f => `<option value="${f.id}" ${f.id === snapshot.folderId ? 'selected' : ''}>${escapeHtml(f.name)}</option>`).join('')}
+          </select>
+        </label>
+        <div class="snapshot-edit-row">
+          <span>颜色</span>
+          <div class="snapshot-color-options">
+            <label class="snapshot-color-option" title="无">
+              <input type="radio" name="snapshot-color" value="" ${snapshot.color ? '' : 'checked'}>
+              <span class="snapshot-color-swatch snapshot-color-none"></span>
+            </label>
+            ${snapshotData.SNAPSHOT_COLORS.map(c => `
+              <label class="snapshot-color-option" title="${c.label}">
+                <input type="radio" name="snapshot-color" value="${c.id}" ${c.id === snapshot.color ? 'checked' : ''}>
+                <span class="snapshot-color-swatch" style="background: ${c.color};"></span>
+              </label>
+            `).join('')}
+          </div>
+        </div>
+        <label class="checkbox_label snapshot-edit-row">
+          <input type="checkbox" class="snapshot-edit-pinned" ${snapshot.pinned ? 'checked' : ''}>
+          <span>置顶（在所在分组中排在最前）</span>
+        </label>
+        <textarea class="text_pole snapshot-edit-notes" rows="3" placeholder="备注（比如这套开关适合什么场景）"></textarea>
+      </div>
+    `);
+    $html.find('.snapshot-edit-notes').val(snapshot.notes);
+
+    const confirmed = await callGenericPopup($html, POPUP_TYPE.CONFIRM, '', {
+      okButton: '保存',
+      cancelButton: '取消'
+    });
+    if (!confirmed) return;
+
+    snapshotData.updateSnapshotMeta(id, {
+      folderId: String($html.find('.snapshot-edit-folder').val() || '') || null,
+      color: String($html.find('input[name="snapshot-color"]:checked').val() || '') || null,
+      pinned: $html.find('.snapshot-edit-pinned').prop('checked'),
+      notes: String($html.find('.snapshot-edit-notes').val() || '')
+    }, presetName);
   }
 
   /**
@@ -381,6 +861,81 @@ export class PresetManagerUI {
       });
     });
 
+    // 绑定按钮
+    container.querySelectorAll('.snapshot-bind-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        const id = e.target.closest('.snapshot-item')?.dataset.id;
+        if (id) {
+          this.showBindDialog(id);
+        }
+      });
+    });
+
+    // 加入全局库按钮
+    container.querySelectorAll('.snapshot-library-add-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        const id = e.target.closest('.snapshot-item')?.dataset.id;
+        if (id && snapshotData.addToLibrary(id, this.getSelectedPreset())) {
+          this.showMessage('已加入全局快照库', 'success');
+        }
+      });
+    });
+
+    // 整理按钮（分组、置顶、颜色、备注）
+    container.querySelectorAll('.snapshot-edit-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        const id = e.target.closest('.snapshot-item')?.dataset.id;
+        if (id) {
+          this.showSnapshotEditDialog(id);
+        }
+      });
+    });
+
+    // 分组标题：点击折叠/展开
+    container.querySelectorAll('.snapshot-group-header:not(.snapshot-group-header-plain)').forEach(header => {
+      header.addEventListener('click', (e) => {
+        if (e.target.closest('.snapshot-btn')) return;
+        const folderId = header.closest('.snapshot-group')?.dataset.folderId;
+        const folder = snapshotData.getFolders(this.getSelectedPreset()).find(f => f.id === folderId);
+        if (folder) {
+          snapshotData.updateFolder(folderId, { collapsed: !folder.collapsed }, this.getSelectedPreset());
+        }
+      });
+    });
+
+    // 分组重命名
+    container.querySelectorAll('.snapshot-folder-rename-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        const group = e.target.closest('.snapshot-group');
+        const currentName = group?.querySelector('.snapshot-group-name')?.textContent;
+        const newName = prompt('输入新的分组名称:', currentName);
+        if (group && newName && newName !== currentName) {
+          snapshotData.updateFolder(group.dataset.folderId, { name: newName }, this.getSelectedPreset());
+        }
+      });
+    });
+
+    // 分组删除
+    container.querySelectorAll('.snapshot-folder-delete-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        const group = e.target.closest('.snapshot-group');
+        const name = group?.querySelector('.snapshot-group-name')?.textContent;
+        if (group && confirm(`确定要删除分组"${name}"吗？\n分组里的快照会移到"未分组"，不会被删除。`)) {
+          snapshotData.deleteFolder(group.dataset.folderId, this.getSelectedPreset());
+        }
+      });
+    });
+
+    // 对比按钮
+    container.querySelectorAll('.snapshot-diff-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        const id = e.target.closest('.snapshot-item')?.dataset.id;
+        if (id) {
+          this.showDiffPopup(id);
+        }
+      });
+    });
+
     // 重命名按钮
     container.querySelectorAll('.snapshot-rename-btn').forEach(btn => {
       btn.addEventListener('click', async (e) => {
@@ -422,6 +977,410 @@ export class PresetManagerUI {
     });
   }
 
+  /**
+   * 渲染"撤销上次应用"栏
+   *
+   * @description
+   * 有应用前备份时显示：左边一键撤销最近一次应用，右边按钮查看所有备份。
+   * 备份只属于当前预设，查看其他预设的快照时不显示
+   *
+   * @param {boolean} isCurrentPreset - 是否在查看当前预设
+   * @returns {void}
+   */
+  renderRevertBar(isCurrentPreset) {
+    const bar = this.container?.querySelector('#snapshot-revert-bar');
+    if (!bar) return;
+
+    const backups = isCurrentPreset ? snapshotData.getBackupList() : [];
+    if (backups.length === 0) {
+      bar.innerHTML = '';
+      return;
+    }
+
+    const latest = backups[0];
+    const time = new Date(latest.createdAt).toLocaleTimeString('zh-CN', { hour: '2-digit', minute: '2-digit' });
+    bar.innerHTML = `
+      <button class="menu_button snapshot-revert-btn" title="恢复到应用「${escapeHtml(latest.appliedName)}」之前的状态">
+        <i class="fa-solid fa-rotate-left"></i>
+        <span>撤销应用"${escapeHtml(latest.appliedName)}"（${time}）</span>
+      </button>
+      <button class="snapshot-btn snapshot-backup-list-btn" title="查看所有应用前备份（${backups.length}）">
+        <i class="fa-solid fa-clock-rotate-left"></i>
+      </button>
+    `;
+
+    bar.querySelector('.snapshot-revert-btn').addEventListener('click', () => {
+      this.handleRevertBackup(latest.id);
+    });
+    bar.querySelector('.snapshot-backup-list-btn').addEventListener('click', () => {
+      this.showBackupPopup();
+    });
+  }
+
+  /**
+   * 撤销应用快照（恢复应用前的备份）
+   * @param {string} backupId - 备份 UUID
+   * @returns {boolean} 是否成功
+   */
+  handleRevertBackup(backupId) {
+    if (snapshotData.revertBackup(backupId)) {
+      this.showMessage('已恢复到应用快照之前的状态', 'success');
+      return true;
+    }
+    this.showMessage('撤销失败', 'error');
+    return false;
+  }
+
+  /**
+   * 显示应用前备份列表弹窗
+   * @description 列出最近几次应用快照前的状态，点击"恢复"回到那个时间点（之后的备份会被丢弃）
+   * @returns {Promise<void>}
+   */
+  async showBackupPopup() {
+    const backups = snapshotData.getBackupList();
+    const $html = $(`
+      <div class="snapshot-backup-popup">
+        <h3>应用前备份</h3>
+        <p>每次应用快照前都会自动备份，保留最近 ${snapshotData.BACKUP_LIMIT} 次。恢复到某个时间点后，比它新的备份会被丢弃。</p>
+        ${backups.map(backup => `
+          <div class="snapshot-backup-item" data-id="${backup.id}">
+            <span class="snapshot-backup-time">${new Date(backup.createdAt).toLocaleString('zh-CN')}</span>
+            <span class="snapshot-backup-name">应用"${escapeHtml(backup.appliedName)}"之前</span>
+            <button class="menu_button snapshot-backup-restore-btn">恢复</button>
+          </div>
+        `).join('')}
+      </div>
+    `);
+
+    $html.find('.snapshot-backup-restore-btn').on('click', (e) => {
+      const id = $(e.currentTarget).closest('.snapshot-backup-item').data('id');
+      if (this.handleRevertBackup(String(id))) {
+        // 这一条以及更新的备份已被丢弃
+        $(e.currentTarget).closest('.snapshot-backup-item').prevAll().addBack().remove();
+      }
+    });
+
+    await callGenericPopup($html, POPUP_TYPE.TEXT, '', { okButton: '关闭' });
+  }
+
+  /**
+   * 渲染全局快照库列表
+   * @returns {void}
+   */
+  renderLibraryList() {
+    const container = this.container?.querySelector('#snapshot-library-list');
+    if (!container) return;
+
+    const snapshots = snapshotData.getLibraryList();
+    if (snapshots.length === 0) {
+      container.innerHTML = '<div class="snapshot-binding-empty">全局库还是空的</div>';
+      return;
+    }
+
+    container.innerHTML = snapshots.map(snapshot => `
+      <div class="snapshot-item" data-id="${snapshot.id}">
+        <div class="snapshot-item-info">
+          <span class="snapshot-item-name" title="${escapeHtml(snapshot.name)}">${escapeHtml(snapshot.name)}</span>
+          <span class="snapshot-item-meta">${snapshot.stateCount}项 · 来自 ${escapeHtml(snapshot.sourcePreset || '未知预设')}</span>
+        </div>
+        <div class="snapshot-item-actions">
+          <button class="snapshot-btn snapshot-apply-btn snapshot-library-apply-btn" title="应用到当前预设">
+            <i class="fa-solid fa-play"></i>
+          </button>
+          <button class="snapshot-btn snapshot-delete-btn snapshot-library-delete-btn" title="从全局库删除">
+            <i class="fa-solid fa-trash"></i>
+          </button>
+        </div>
+      </div>
+    `).join('');
+
+    container.querySelectorAll('.snapshot-library-apply-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        const id = e.target.closest('.snapshot-item')?.dataset.id;
+        if (id) {
+          this.showLibraryMappingDialog(id);
+        }
+      });
+    });
+
+    container.querySelectorAll('.snapshot-library-delete-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        const item = e.target.closest('.snapshot-item');
+        const name = item?.querySelector('.snapshot-item-name')?.textContent;
+        if (item && confirm(`确定要从全局库删除快照"${name}"吗？`)) {
+          snapshotData.deleteLibrarySnapshot(item.dataset.id);
+        }
+      });
+    });
+  }
+
+  /**
+   * 显示全局库快照的映射确认对话框
+   *
+   * @description
+   * 列出快照中的每个条目和它在当前预设中的对应条目（按 identifier、名称、内容相似度自动匹配），
+   * 用户可以逐条修改或选择"跳过"，确认后按映射应用
+   *
+   * @param {string} id - 全局库快照 UUID
+   * @returns {Promise<void>}
+   */
+  async showLibraryMappingDialog(id) {
+    const mapping = snapshotData.getLibraryMapping(id);
+    const snapshot = snapshotData.getLibraryList().find(s => s.id === id);
+    if (!mapping || !snapshot) return;
+
+    const targets = snapshotData.getCurrentPrompts();
+    if (targets.length === 0) {
+      this.showMessage('当前预设没有条目', 'warning');
+      return;
+    }
+
+    const methodLabel = (m) => ({
+      identifier: '标识符',
+      name: '名称',
+      content: `内容 ${Math.round(m.score * 100)}%`
+    }[m.method] || '未匹配');
+    const matchedCount = mapping.filter(m => m.target).length;
+
+    const $html = $(`
+      <div class="snapshot-mapping-dialog">
+        <h3>应用"${escapeHtml(snapshot.name)}"</h3>
+        <p>自动对应了 ${matchedCount} / ${mapping.length} 个条目，请检查后应用（"跳过"的条目保持不变）：</p>
+        <div class="snapshot-mapping-list">
+          ${mapping.map((m, index) => `
+            <div class="snapshot-mapping-row" data-index="${index}">
+              <span class="snapshot-mapping-source" title="${escapeHtml(m.source)}">${escapeHtml(m.sourceName)}</span>
+              <span class="snapshot-mapping-method" data-method="${m.method || 'none'}">${methodLabel(m)}</span>
+              <select class="text_pole snapshot-mapping-target">
+                <option value="">跳过</option>
+                ${targets.map(t => `<option value="${escapeHtml(t.identifier)}" ${t.identifier === m.target ? 'selected' : ''}>${escapeHtml(t.name)}</option>`).join('')}
+              </select>
+            </div>
+          `).join('')}
+        </div>
+      </div>
+    `);
+
+    const confirmed = await callGenericPopup($html, POPUP_TYPE.CONFIRM, '', {
+      okButton: '应用',
+      cancelButton: '取消',
+      wide: true
+    });
+    if (!confirmed) return;
+
+    const reviewed = $html.find('.snapshot-mapping-row').toArray().map(row => ({
+      source: mapping[Number(row.dataset.index)].source,
+      target: $(row).find('.snapshot-mapping-target').val() || null
+    }));
+
+    if (snapshotData.applyLibrarySnapshot(id, reviewed)) {
+      this.showMessage(`已应用"${snapshot.name}"`, 'success');
+    } else {
+      this.showMessage('应用快照失败', 'error');
+    }
+  }
+
+  /**
+   * 渲染快照绑定列表
+   * @param {import('./preset-snapshot-data.js').SnapshotListItem[]} snapshots - 选中预设下的快照（用于显示快照名称）
+   * @returns {void}
+   */
+  renderBindingList(snapshots) {
+    const container = this.container?.querySelector('#snapshot-binding-list');
+    if (!container) return;
+
+    const bindings = snapshotData.getSnapshotBindings(this.getSelectedPreset());
+    if (bindings.length === 0) {
+      container.innerHTML = '<div class="snapshot-binding-empty">还没有绑定</div>';
+      return;
+    }
+
+    const typeLabels = { character: '角色', group: '群组', chat: '聊天' };
+    container.innerHTML = bindings.map(binding => {
+      const snapshot = snapshots.find(s => s.id === binding.snapshotId);
+      return `
+        <div class="snapshot-binding-item" data-id="${binding.id}">
+          <span class="snapshot-binding-type">${typeLabels[binding.type]}</span>
+          <span class="snapshot-binding-target" title="${escapeHtml(binding.target)}">${escapeHtml(binding.label)}</span>
+          <i class="fa-solid fa-arrow-right"></i>
+          <span class="snapshot-binding-snapshot">${escapeHtml(snapshot?.name || '（快照已删除）')}</span>
+          <label class="snapshot-binding-ask" title="应用前先询问">
+            <input type="checkbox" class="snapshot-binding-ask-input" ${binding.askFirst ? 'checked' : ''}>
+            <span>先询问</span>
+          </label>
+          <button class="snapshot-btn snapshot-unbind-btn" title="解除绑定">
+            <i class="fa-solid fa-xmark"></i>
+          </button>
+        </div>
+      `;
+    }).join('');
+
+    container.querySelectorAll('.snapshot-binding-ask-input').forEach(checkbox => {
+      checkbox.addEventListener('change', (e) => {
+        const id = e.target.closest('.snapshot-binding-item')?.dataset.id;
+        if (id) {
+          snapshotData.setBindingAskFirst(id, e.target.checked);
+        }
+      });
+    });
+
+    container.querySelectorAll('.snapshot-unbind-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        const id = e.target.closest('.snapshot-binding-item')?.dataset.id;
+        if (id && snapshotData.unbindSnapshot(id)) {
+          this.showMessage('已解除绑定', 'info');
+        }
+      });
+    });
+  }
+
+  /**
+   * 显示快照绑定对话框
+   *
+   * @description
+   * 选择绑定到当前角色、当前群组或当前聊天（当前没有的目标不可选），
+   * 以及应用前是否先询问
+   *
+   * @param {string} id - 快照 UUID
+   * @returns {Promise<void>}
+   */
+  async showBindDialog(id) {
+    const snapshot = snapshotData.getSnapshotById(id);
+    if (!snapshot) return;
+
+    const chatContext = this.presetManager.getChatContext();
+    const targets = [
+      { type: 'character', label: '当前角色', name: chatContext.groupId ? null : chatContext.characterName },
+      { type: 'group', label: '当前群组', name: chatContext.groupName },
+      { type: 'chat', label: '当前聊天', name: chatContext.chatId }
+    ];
+    const firstAvailable = targets.find(target => target.name);
+
+    if (!firstAvailable) {
+      this.showMessage('请先打开一个角色或群组的聊天', 'warning');
+      return;
+    }
+
+    const $html = $(`
+      <div class="snapshot-bind-dialog">
+        <h3>绑定快照"${escapeHtml(snapshot.name)}"</h3>
+        <p>切换到以下目标时自动应用这个快照：</p>
+        ${targets.map(target => `
+          <label class="checkbox_label snapshot-bind-option">
+            <input type="radio" name="snapshot-bind-type" value="${target.type}"
+              ${target === firstAvailable ? 'checked' : ''} ${target.name ? '' : 'disabled'}>
+            <span>${target.label}</span>
+            <small class="hint-inline">${target.name ? escapeHtml(target.name) : '无'}</small>
+          </label>
+        `).join('')}
+        <label class="checkbox_label snapshot-bind-option">
+          <input type="checkbox" class="snapshot-bind-ask">
+          <span>应用前先询问</span>
+        </label>
+      </div>
+    `);
+
+    const confirmed = await callGenericPopup($html, POPUP_TYPE.CONFIRM, '', {
+      okButton: '绑定',
+      cancelButton: '取消'
+    });
+    if (!confirmed) return;
+
+    const type = String($html.find('input[name="snapshot-bind-type"]:checked').val() || '');
+    const askFirst = $html.find('.snapshot-bind-ask').prop('checked');
+    const binding = this.presetManager.bindSnapshotToCurrentChat(type, id, askFirst);
+
+    if (binding) {
+      this.showMessage(`已将快照绑定到"${binding.label}"`, 'success');
+    } else {
+      this.showMessage('绑定失败', 'error');
+    }
+  }
+
+  /**
+   * 显示快照差异弹窗
+   *
+   * @description
+   * 默认预览应用快照会改变哪些条目（和当前预设对比），
+   * 也可以在下拉框里选择另一个快照，对比两个快照之间的差异
+   *
+   * @param {string} id - 快照 UUID
+   * @returns {Promise<void>}
+   */
+  async showDiffPopup(id) {
+    const presetName = this.getSelectedPreset();
+    const snapshots = snapshotData.getSnapshotList(presetName);
+    const snapshot = snapshots.find(s => s.id === id);
+    if (!snapshot) return;
+
+    const $html = $(`
+      <div class="snapshot-diff-popup">
+        <h3>对比快照"${escapeHtml(snapshot.name)}"</h3>
+        <div class="snapshot-diff-target">
+          <label>对比对象：</label>
+          <select class="text_pole">
+            <option value="">当前预设（预览应用后的变化）</option>
+            ${snapshots.filter(s => s.id !== id).map(s => `<option value="${s.id}">快照：${escapeHtml(s.name)}</option>`).join('')}
+          </select>
+        </div>
+        <div class="snapshot-diff-result"></div>
+      </div>
+    `);
+
+    const renderResult = () => {
+      const targetId = String($html.find('select').val() || '');
+      const diff = targetId
+        ? snapshotData.diffSnapshots(id, targetId, presetName)
+        : snapshotData.diffSnapshotWithCurrent(id, presetName);
+      $html.find('.snapshot-diff-result').html(this.renderDiffResult(diff, targetId ? 'snapshot' : 'apply'));
+    };
+
+    $html.find('select').on('change', renderResult);
+    renderResult();
+
+    await callGenericPopup($html, POPUP_TYPE.TEXT, '', { okButton: '关闭' });
+  }
+
+  /**
+   * 渲染差异结果
+   * @param {import('./preset-snapshot-data.js').SnapshotDiff|null} diff - 差异
+   * @param {'apply'|'snapshot'} mode - apply: 应用快照的预览（当前预设 → 快照）；snapshot: 和另一个快照对比
+   * @returns {string} HTML
+   */
+  renderDiffResult(diff, mode) {
+    if (!diff) {
+      return '<p class="snapshot-diff-empty">无法对比：快照不存在</p>';
+    }
+
+    const labels = mode === 'apply'
+      ? { turnedOn: '应用后会开启', turnedOff: '应用后会关闭', missing: '快照里没有（应用时不变）', added: '当前预设中已没有' }
+      : { turnedOn: '另一个快照中开启', turnedOff: '另一个快照中关闭', missing: '另一个快照中没有', added: '另一个快照中新增' };
+    const groups = [
+      { key: 'turnedOn', icon: 'fa-toggle-on' },
+      { key: 'turnedOff', icon: 'fa-toggle-off' },
+      { key: 'missing', icon: 'fa-minus' },
+      { key: 'added', icon: 'fa-plus' }
+    ]
+      .map(group => ({ ...group, label: labels[group.key] }))
+      .filter(group => diff[group.key].length > 0);
+
+    if (groups.length === 0) {
+      return `<p class="snapshot-diff-empty">没有差异，${diff.unchanged} 个条目的开关状态都相同</p>`;
+    }
+
+    return groups.map(group => `
+      <div class="snapshot-diff-group" data-kind="${group.key}">
+        <div class="snapshot-diff-group-title">
+          <i class="fa-solid ${group.icon}"></i>
+          <span>${group.label}（${diff[group.key].length}）</span>
+        </div>
+        <ul>
+          ${diff[group.key].map(entry => `<li title="${escapeHtml(entry.identifier)}">${escapeHtml(entry.name)}</li>`).join('')}
+        </ul>
+      </div>
+    `).join('') + `<p class="snapshot-diff-unchanged">另有 ${diff.unchanged} 个条目没有变化</p>`;
+  }
+
   /**
    * 绑定快照功能开关事件
    */
@@ -448,6 +1407,7 @@ export class PresetManagerUI {
 
     // 绑定弹窗样式滑块
     this.bindMenuStyleSliders();
+    this.bindHotkeySettings();
 
     // 绑定帮助弹窗按钮
     this.bindInfoPopupBtn();
@@ -506,6 +1466,105 @@ export class PresetManagerUI {
     document.documentElement.style.setProperty('--snapshot-menu-font-scale', settings.fontScale || 1);
   }
 
+  /**
+   * 绑定快捷键设置
+   *
+   * @description
+   * 快捷键输入框是只读的，聚焦后按下组合键即录制（必须带 Ctrl、Alt 或 Meta），
+   * Backspace/Delete 清除，Esc 取消。和其他快照快捷键或字体快捷切换（Alt+数字键）重复时不保存，
+   * 修改编号的修饰键和数量时也检查
+   *
+   * @returns {void}
+   */
+  bindHotkeySettings() {
+    const settings = snapshotData.getHotkeySettings();
+
+    this.container?.querySelectorAll('.paws-hotkey-recorder').forEach(input => {
+      const name = input.dataset.hotkey;
+      input.value = formatHotkey(settings[name]);
+      input.placeholder = '按下组合键';
+
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'Tab') return;
+        e.preventDefault();
+        e.stopPropagation();
+
+        if (e.key === 'Escape') {
+          input.blur();
+          return;
+        }
+
+        const plain = !e.ctrlKey && !e.altKey && !e.shiftKey && !e.metaKey;
+        if (plain && (e.key === 'Backspace' || e.key === 'Delete')) {
+          snapshotData.setHotkeySettings({ [name]: '' });
+          input.value = formatHotkey('');
+          return;
+        }
+
+        const hotkey = getEventHotkey(e);
+        if (!hotkey) return;
+        if (!isUsableHotkey(hotkey)) {
+          this.showMessage('快捷键需要带 Ctrl、Alt 或 Meta 键', 'warning');
+          return;
+        }
+
+        if (isFontQuickSlotHotkey(hotkey)) {
+          this.showMessage(`${formatHotkey(hotkey)} 是字体快捷切换的按键`, 'warning');
+          return;
+        }
+
+        const conflict = getHotkeyAction(hotkey, snapshotData.getHotkeySettings());
+        if (conflict && conflict.type !== name) {
+          this.showMessage(`${formatHotkey(hotkey)} 已经用于其他快照快捷键`, 'warning');
+          return;
+        }
+
+        snapshotData.setHotkeySettings({ [name]: hotkey });
+        input.value = formatHotkey(hotkey);
+        input.blur();
+      });
+    });
+
+    // 编号按键和其他快捷键重复时提示并恢复原值
+    const saveSlotSettings = (updates) => {
+      const current = snapshotData.getHotkeySettings();
+      const conflict = getSlotConflict({ ...current, ...updates });
+      if (conflict) {
+        this.showMessage(`${formatHotkey(current[conflict])} 已经用于其他快照快捷键`, 'warning');
+        return false;
+      }
+      snapshotData.setHotkeySettings(updates);
+      return true;
+    };
+
+    const modifierSelect = this.container?.querySelector('#snapshot-slot-modifier');
+    if (modifierSelect) {
+      modifierSelect.value = settings.slotModifier;
+      modifierSelect.addEventListener('change', () => {
+        if (!saveSlotSettings({ slotModifier: modifierSelect.value })) {
+          modifierSelect.value = snapshotData.getHotkeySettings().slotModifier;
+        }
+      });
+    }
+
+    const countInput = this.container?.querySelector('#snapshot-slot-count');
+    if (countInput) {
+      countInput.value = settings.slotCount;
+      countInput.addEventListener('change', () => {
+        const count = Math.max(0, Math.min(MAX_SLOT_COUNT, parseInt(countInput.value, 10) || 0));
+        countInput.value = saveSlotSettings({ slotCount: count }) ? count : snapshotData.getHotkeySettings().slotCount;
+      });
+    }
+
+    const indicatorCheckbox = this.container?.querySelector('#snapshot-show-indicator');
+    if (indicatorCheckbox) {
+      indicatorCheckbox.checked = settings.showIndicator;
+      indicatorCheckbox.addEventListener('change', () => {
+        snapshotData.setHotkeySettings({ showIndicator: indicatorCheckbox.checked });
+      });
+    }
+  }
+
   /**
    * 绑定帮助弹窗按钮（使用说明链接）
    * @returns {void}
@@ -531,6 +1590,27 @@ export class PresetManagerUI {
     searchInput.addEventListener('input', () => {
       this.renderSnapshotList();
     });
+
+    // 叠加应用
+    const stackBtn = this.container?.querySelector('#snapshot-stack-btn');
+    stackBtn?.addEventListener('click', () => this.showStackDialog());
+
+    // 新建分组（在下拉框选中的预设下）
+    const newFolderBtn = this.container?.querySelector('#snapshot-new-folder-btn');
+    newFolderBtn?.addEventListener('click', () => {
+      const name = prompt('输入分组名称:');
+      if (name && snapshotData.createFolder(name, this.getSelectedPreset())) {
+        this.showMessage(`已新建分组"${name.trim()}"`, 'success');
+      }
+    });
+
+    // 导入导出
+    const exportBtn = this.container?.querySelector('#snapshot-export-btn');
+    exportBtn?.addEventListener('click', () => this.handleExportSnapshots());
+
+    const importFile = this.container?.querySelector('#snapshot-import-file');
+    importFile?.addEventListener('change', (e) => this.handleImportSnapshotFile(e));
+    this.container?.querySelector('#snapshot-import-btn')?.addEventListener('click', () => importFile?.click());
   }
 
   /**
@@ -555,10 +1635,25 @@ export class PresetManagerUI {
         <div style="background: color-mix(in srgb, var(--SmartThemeQuoteColor) 10%, transparent 90%); padding: 10px; border-radius: 5px; margin-bottom: 8px;">
           <strong style="color: var(--SmartThemeQuoteColor);">保存快照</strong>
           <p style="margin: 4px 0 0 0;">在预设页面底部点击 <i class="fa-solid fa-camera"></i> 按钮，输入名称保存当前开关状态。</p>
+          <p style="margin: 4px 0 0 0;">还可以勾选同时保存<strong>条目顺序、条目内容、采样参数</strong>，应用时只恢复保存过的部分。</p>
+          <p style="margin: 4px 0 0 0;">只勾选部分条目时保存为<strong>叠加快照</strong>（比如只管几个NSFW条目），应用时不影响其他条目；用 <i class="fa-solid fa-layer-group"></i> 可以把多个快照按顺序叠加应用。</p>
         </div>
         <div style="background: color-mix(in srgb, var(--SmartThemeQuoteColor) 10%, transparent 90%); padding: 10px; border-radius: 5px;">
           <strong style="color: var(--SmartThemeQuoteColor);">快捷切换</strong>
           <p style="margin: 4px 0 0 0;"><strong>长按悬浮按钮（350ms）</strong>弹出快照菜单，点击即可应用。</p>
+          <p style="margin: 4px 0 0 0;">电脑上按 <strong>Ctrl+K</strong> 打开命令面板，输入名称（支持拼音）回车应用；<strong>Alt+Shift+数字键</strong>应用列表里的前几个快照，<strong>Alt+Shift+←/→</strong> 切换上一个/下一个。快捷键可以在上面的设置里修改。</p>
+        </div>
+        <div style="background: color-mix(in srgb, var(--SmartThemeQuoteColor) 10%, transparent 90%); padding: 10px; border-radius: 5px; margin-top: 8px;">
+          <strong style="color: var(--SmartThemeQuoteColor);">应用错了？</strong>
+          <p style="margin: 4px 0 0 0;">每次应用前都会自动备份，点快照列表上方或悬浮按钮快照菜单顶部的 <i class="fa-solid fa-rotate-left"></i> 就能恢复。</p>
+        </div>
+        <div style="background: color-mix(in srgb, var(--SmartThemeQuoteColor) 10%, transparent 90%); padding: 10px; border-radius: 5px; margin-top: 8px;">
+          <strong style="color: var(--SmartThemeQuoteColor);">自动应用</strong>
+          <p style="margin: 4px 0 0 0;">点快照的 <i class="fa-solid fa-link"></i> 按钮绑定到角色、群组或聊天，切换过去时自动应用，提示框里点一下就能撤销。</p>
+        </div>
+        <div style="background: color-mix(in srgb, var(--SmartThemeQuoteColor) 10%, transparent 90%); padding: 10px; border-radius: 5px; margin-top: 8px;">
+          <strong style="color: var(--SmartThemeQuoteColor);">分享快照</strong>
+          <p style="margin: 4px 0 0 0;">用 <i class="fa-solid fa-file-export"></i> 导出成JSON文件发给别人，对方用 <i class="fa-solid fa-file-import"></i> 导入。导入时会跳过已有的重复快照，条目标识不同的也会按条目名称对应上。</p>
         </div>
       </div>
     `;
@@ -5,13 +5,16 @@
  * - 世界书条目集成管理
  * - 条目收纳模式（不干扰ST原生拖拽）
  * - 与SillyTavern原生预设系统无缝集成
+ * - 预设快照：切换角色/群组/聊天时自动应用绑定的快照
+ * - 预设快照：命令面板和快捷键（见 preset-snapshot-palette）
  */
 
 // ========================================
 // ✅ SillyTavern 原生 API 导入（推荐方式）
 // ========================================
 import {
-  extension_settings
+  extension_settings,
+  getContext
 } from '../../../extensions.js';
 
 import {
@@ -20,16 +23,19 @@ import {
   event_types
 } from '../../../../script.js';
 
-import { callGenericPopup } from '../../../popup.js';
+import { callGenericPopup, POPUP_TYPE } from '../../../popup.js';
 
 import { isMobile } from '../../../RossAscends-mods.js';
 
+import { escapeHtml } from '../../../utils.js';
+
 // ========================================
 // 本地模块导入
 // ========================================
 import { PresetManagerUI } from './preset-manager-ui.js';
 import { WorldInfoIntegration } from './preset-manager-worldinfo.js';
 import * as snapshotData from './preset-snapshot-data.js';
+import { initSnapshotShortcuts } from './preset-snapshot-palette.js';
 import logger from './logger.js';
 
 // ========================================
@@ -53,6 +59,15 @@ export class PresetManagerModule {
 
     // DOM观察器
     this.presetObserver = null;
+
+    // 切换聊天时应用绑定快照的监听函数
+    this.onChatChanged = null;
+
+    // 上次应用的绑定快照对应的目标（如 character:xxx.png），同一目标重复触发时不再应用
+    this.lastBoundTarget = null;
+
+    // 停止监听快照快捷键的函数
+    this.stopSnapshotShortcuts = null;
   }
 
   /**
@@ -201,6 +216,13 @@ export class PresetManagerModule {
    */
   observePresetPage() {
     this.presetObserver = new MutationObserver((mutations) => {
+      // 悬浮按钮的快照菜单出现时加入"撤销上次应用"项
+      mutations.forEach(mutation => mutation.addedNodes.forEach(node => {
+        if (node instanceof HTMLElement && node.classList.contains('snapshot-floating-menu')) {
+          this.addQuickMenuRevertItem(node);
+        }
+      }));
+
       const promptList = document.querySelector('#completion_prompt_manager_list, #prompt_manager_list');
       if (!promptList) return;
 
@@ -314,25 +336,242 @@ export class PresetManagerModule {
       }
       logger.debug('[PresetManager] 快照功能状态变化:', enabled ? '启用' : '禁用');
     });
+
+    // 切换角色/群组/聊天时应用绑定的快照
+    this.onChatChanged = () => this.applyBoundSnapshot();
+    eventSource.on(event_types.CHAT_CHANGED, this.onChatChanged);
+
+    // 命令面板、快捷键和当前快照提示
+    this.stopSnapshotShortcuts = initSnapshotShortcuts();
+  }
+
+  /**
+   * 获取当前聊天上下文
+   *
+   * @description
+   * 从 SillyTavern 的 getContext() 中提取快照绑定需要的信息：
+   * - 角色：以头像文件名作为唯一标识（角色改名不影响绑定）
+   * - 群组：群组 ID
+   * - 聊天：聊天 ID
+   *
+   * @returns {{characterAvatar: string|null, characterName: string|null, groupId: string|null, groupName: string|null, chatId: string|null}}
+   */
+  getChatContext() {
+    const context = getContext();
+    const character = context.characterId !== undefined ? context.characters?.[context.characterId] : null;
+    const group = context.groupId ? context.groups?.find(g => g.id === context.groupId) : null;
+
+    return {
+      characterAvatar: character?.avatar || null,
+      characterName: character?.name || null,
+      groupId: context.groupId || null,
+      groupName: group?.name || null,
+      chatId: context.chatId || null
+    };
+  }
+
+  /**
+   * 把快照绑定到当前角色、群组或聊天
+   * @param {'character'|'group'|'chat'} type - 绑定类型
+   * @param {string} snapshotId - 快照 UUID（当前预设下的快照）
+   * @param {boolean} [askFirst=false] - 应用前是否先询问
+   * @returns {Object|null} 新的绑定，当前上下文没有可绑定的目标时返回 null
+   */
+  bindSnapshotToCurrentChat(type, snapshotId, askFirst = false) {
+    const chatContext = this.getChatContext();
+    const [target, label] = {
+      character: [chatContext.characterAvatar, chatContext.characterName],
+      group: [chatContext.groupId, chatContext.groupName],
+      chat: [chatContext.chatId, chatContext.chatId]
+    }[type] || [];
+
+    if (!target) {
+      logger.warn('[PresetManager.bindSnapshotToCurrentChat] 当前上下文没有可绑定的目标:', type);
+      return null;
+    }
+
+    return snapshotData.bindSnapshot({ type, target, label, snapshotId, askFirst });
+  }
+
+  /**
+   * 应用当前聊天绑定的快照
+   *
+   * @description
+   * 在 CHAT_CHANGED 时调用：
+   * 1. 快照功能关闭或没有命中的绑定时不做任何事
+   * 2. 绑定的快照已经是上次应用的快照、目标也没变（如重新加载同一个聊天）时跳过，避免产生重复的备份
+   * 3. 绑定设置了"先询问"时弹窗确认
+   * 4. 应用前会自动备份当前状态，提示框中点击即可撤销
+   *
+   * @async
+   * @returns {Promise<boolean>} 是否应用了快照
+   */
+  async applyBoundSnapshot() {
+    if (!snapshotData.isEnabled()) return false;
+
+    const binding = snapshotData.findSnapshotBinding(this.getChatContext());
+    if (!binding) return false;
+
+    const snapshot = snapshotData.getSnapshotById(binding.snapshotId);
+    if (!snapshot) return false;
+
+    const target = `${binding.type}:${binding.target}`;
+    if (snapshotData.getLastAppliedId() === snapshot.id && this.lastBoundTarget === target) {
+      logger.debug('[PresetManager.applyBoundSnapshot] 绑定的快照已应用，跳过:', snapshot.name);
+      return false;
+    }
+
+    const typeLabel = { character: '角色', group: '群组', chat: '聊天' }[binding.type];
+
+    if (binding.askFirst) {
+      const confirmed = await callGenericPopup(
+        `${typeLabel}"${escapeHtml(binding.label)}"绑定了快照"${escapeHtml(snapshot.name)}"，要应用吗？`,
+        POPUP_TYPE.CONFIRM,
+        '',
+        { okButton: '应用', cancelButton: '不用了' }
+      );
+      if (!confirmed) {
+        logger.debug('[PresetManager.applyBoundSnapshot] 用户取消应用绑定的快照:', snapshot.name);
+        return false;
+      }
+    }
+
+    if (!snapshotData.applySnapshot(snapshot.id)) {
+      this.showMessage(`应用快照"${snapshot.name}"失败`, 'error');
+      return false;
+    }
+
+    this.lastBoundTarget = target;
+    logger.info('[PresetManager.applyBoundSnapshot] 已应用绑定的快照:', snapshot.name, '←', binding.type, binding.label);
+
+    // 撤销对应这次应用的备份（刚应用完，最新的备份就是它）
+    const backupId = snapshotData.getBackupList()[0]?.id;
+    if (typeof toastr !== 'undefined' && backupId) {
+      toastr.info('点击这里撤销', `已应用${typeLabel}绑定的快照"${snapshot.name}"`, {
+        timeOut: 8000,
+        extendedTimeOut: 4000,
+        onclick: () => {
+          if (snapshotData.revertBackup(backupId)) {
+            this.showMessage('已撤销', 'info');
+          } else {
+            this.showMessage('撤销失败：预设已切换或备份已失效', 'warning');
+          }
+        }
+      });
+    }
+
+    return true;
+  }
+
+  /**
+   * 在悬浮按钮的快照菜单顶部加入"撤销上次应用"项
+   *
+   * @description
+   * 快照菜单由美化模块在长按悬浮按钮时创建（.snapshot-floating-menu），菜单出现时由 presetObserver 调用。
+   * 当前预设有应用前备份时插入撤销项，点击恢复最近一次备份并关闭菜单
+   *
+   * @param {HTMLElement} menu - 快照菜单
+   * @returns {void}
+   */
+  addQuickMenuRevertItem(menu) {
+    if (!snapshotData.isEnabled() || menu.querySelector('.snapshot-menu-revert')) return;
+
+    const latest = snapshotData.getBackupList()[0];
+    if (!latest) return;
+
+    const item = document.createElement('div');
+    item.className = 'snapshot-menu-item snapshot-menu-revert';
+    item.title = `恢复到应用"${latest.appliedName}"之前的状态`;
+    item.innerHTML = `<i class="fa-solid fa-rotate-left"></i><span>撤销应用"${escapeHtml(latest.appliedName)}"</span>`;
+    item.addEventListener('click', (e) => {
+      e.stopPropagation();
+      menu.remove();
+      if (snapshotData.revertBackup(latest.id)) {
+        this.showMessage('已恢复到应用快照之前的状态', 'success');
+      } else {
+        this.showMessage('撤销失败：预设已切换或备份已失效', 'warning');
+      }
+    });
+
+    menu.prepend(item);
   }
 
   /**
    * 显示保存快照对话框
+   *
+   * @description
+   * 输入快照名称，勾选快照范围（开关状态总是保存），上次选择的范围会被记住。
+   * 下方列出当前预设的所有条目，默认全选；只勾选部分条目时保存为叠加快照，应用时不影响其他条目
    */
   async showSaveSnapshotDialog() {
     const defaultName = `快照 ${new Date().toLocaleString('zh-CN', {
       month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit'
     })}`;
+    const lastScope = snapshotData.getDefaultScope();
+    const prompts = snapshotData.getCurrentPrompts();
+
+    const $html = $(`
+      <div class="snapshot-save-dialog">
+        <h3>保存快照</h3>
+        <input type="text" class="text_pole snapshot-save-name" placeholder="快照名称">
+        <p>保存哪些内容：</p>
+        ${snapshotData.SNAPSHOT_SCOPES.map(scope => `
+          <label class="checkbox_label snapshot-scope-option">
+            <input type="checkbox" value="${scope.id}"
+              ${scope.id === 'toggles' || lastScope.includes(scope.id) ? 'checked' : ''}
+              ${scope.id === 'toggles' ? 'disabled' : ''}>
+            <span>${scope.label}</span>
+            <small class="hint-inline">${scope.hint}</small>
+          </label>
+        `).join('')}
+        <div class="snapshot-save-entries-header">
+          <span>包含哪些条目（只勾选部分时保存为叠加快照）：</span>
+          <a class="snapshot-save-select-all">全选</a>
+          <a class="snapshot-save-select-none">全不选</a>
+        </div>
+        <div class="snapshot-save-entries">
+          ${prompts.map(prompt => `
+            <label class="checkbox_label snapshot-save-entry">
+              <input type="checkbox" value="${escapeHtml(prompt.identifier)}" checked>
+              <i class="fa-solid ${prompt.enabled ? 'fa-toggle-on' : 'fa-toggle-off'}" title="${prompt.enabled ? '当前开启' : '当前关闭'}"></i>
+              <span>${escapeHtml(prompt.name)}</span>
+            </label>
+          `).join('')}
+        </div>
+      </div>
+    `);
+    $html.find('.snapshot-save-name').val(defaultName);
+    $html.find('.snapshot-save-select-all').on('click', () => $html.find('.snapshot-save-entry input').prop('checked', true));
+    $html.find('.snapshot-save-select-none').on('click', () => $html.find('.snapshot-save-entry input').prop('checked', false));
+
+    const confirmed = await callGenericPopup($html, POPUP_TYPE.CONFIRM, '', {
+      okButton: '保存',
+      cancelButton: '取消'
+    });
 
-    const name = prompt('请输入快照名称:', defaultName);
-
-    if (name === null) {
+    if (!confirmed) {
       // 用户取消
       return;
     }
 
-    const snapshotName = name.trim() || defaultName;
-    const id = snapshotData.saveSnapshot(snapshotName);
+    const snapshotName = String($html.find('.snapshot-save-name').val() || '').trim() || defaultName;
+    const scope = $html.find('.snapshot-scope-option input:checked')
+      .toArray()
+      .map(checkbox => checkbox.value);
+
+    const $entries = $html.find('.snapshot-save-entry input');
+    const identifiers = $entries.filter(':checked').toArray().map(checkbox => checkbox.value);
+    if ($entries.length > 0 && identifiers.length === 0) {
+      this.showMessage('请至少勾选一个条目', 'warning');
+      return;
+    }
+
+    snapshotData.setDefaultScope(scope);
+    // 全部勾选时保存为完整快照
+    const id = snapshotData.saveSnapshot(snapshotName, {
+      scope,
+      identifiers: identifiers.length < $entries.length ? identifiers : undefined
+    });
 
     if (id) {
       this.showMessage(`快照"${snapshotName}"已保存`, 'success');
@@ -432,6 +671,16 @@ export class PresetManagerModule {
       this.presetObserver.disconnect();
     }
 
+    if (this.onChatChanged) {
+      eventSource.removeListener(event_types.CHAT_CHANGED, this.onChatChanged);
+      this.onChatChanged = null;
+    }
+
+    if (this.stopSnapshotShortcuts) {
+      this.stopSnapshotShortcuts();
+      this.stopSnapshotShortcuts = null;
+    }
+
     if (this.ui) {
       this.ui.destroy();
     }
@@ -4,28 +4,50 @@
  * @module preset-snapshot-data
  * @description
  * 提供预设快照的核心数据操作：
- * - 保存当前预设条目的开关状态（按预设隔离）
+ * - 保存当前预设条目的开关状态（按预设隔离），可选同时保存条目顺序、条目内容和采样参数
  * - 加载和验证已保存的快照
  * - 应用快照到当前预设
  * - 重命名和删除快照
+ * - 对比快照与当前预设（或两个快照）的开关差异
+ * - 把快照绑定到角色、群组或聊天（切换聊天时自动应用）
+ * - 应用快照前自动备份当前状态（保留最近几次，可一键撤销）
+ * - 全局快照库：跨预设使用快照（应用前把条目对应到当前预设，见 preset-snapshot-remap）
+ * - 整理快照：分组、排序（数组顺序即显示顺序）、置顶、颜色标签、备注
+ * - 叠加快照：只保存勾选的部分条目，应用时不影响其他条目；多个快照可以按顺序叠加应用
+ * - 导入导出：把某个预设的快照（或全部快照和全局库）导出为 JSON 分享，导入时合并并跳过重复
+ * - 快捷键设置：命令面板、按编号应用、切换上一个/下一个快照（按键处理见 preset-snapshot-palette）
  *
  * 数据存储在 extension_settings['Acsus-Paws-Puffs'].presetSnapshot
  *
  * 数据结构 v2（按预设隔离）：
  * {
  *   enabled: boolean,
+ *   version: number,
  *   presets: {
  *     [presetName]: {
  *       snapshots: Snapshot[],
- *       lastApplied: string | null
+ *       lastApplied: string | null,
+ *       backups: SnapshotBackup[],
+ *       folders: SnapshotFolder[],
+ *       overlayStack: string[]
  *     }
- *   }
+ *   },
+ *   bindings: SnapshotBinding[],
+ *   library: LibrarySnapshot[]
  * }
+ *
+ * 快照范围（snapshot.scope）：
+ * - toggles: 条目开关（总是保存）
+ * - order: 条目顺序
+ * - content: 条目内容（名称、角色、提示词文本、注入位置等）
+ * - sampler: 采样参数（温度、Top P、最大上下文等，来自 oai_settings）
+ * 旧快照没有 scope 字段，视为只保存了开关
  */
 
 import { extension_settings } from '../../../extensions.js';
 import { saveSettingsDebounced, eventSource } from '../../../../script.js';
 import { promptManager, oai_settings } from '../../../openai.js';
+import { buildPromptMapping } from './preset-snapshot-remap.js';
 import logger from './logger.js';
 
 // ========================================
@@ -35,15 +57,116 @@ import logger from './logger.js';
 const EXT_ID = 'Acsus-Paws-Puffs';
 const STORAGE_KEY = 'presetSnapshot';
 
+/**
+ * 当前的存储版本（在 v2 结构上增加字段时递增，getStorage 中补齐旧数据）
+ * - 2: 按预设隔离
+ * - 3: 快照分组、置顶、颜色标签、备注
+ */
+const STORAGE_VERSION = 3;
+
 /**
  * 默认存储结构 v2
  * @type {PresetSnapshotStorageV2}
  */
 const DEFAULT_STORAGE = {
     enabled: false,
-    presets: {}  // { presetName: { snapshots: [], lastApplied: null } }
+    version: STORAGE_VERSION,
+    presets: {},  // { presetName: { snapshots: [], lastApplied: null } }
+    bindings: [],
+    library: []
+};
+
+/**
+ * 快照范围选项（按保存对话框中的显示顺序）
+ * @type {Array<{id: string, label: string, hint: string}>}
+ */
+export const SNAPSHOT_SCOPES = [
+    { id: 'toggles', label: '开关状态', hint: '每个条目是否启用（总是保存）' },
+    { id: 'order', label: '条目顺序', hint: '条目在预设中的排列顺序' },
+    { id: 'content', label: '条目内容', hint: '名称、角色、提示词文本和注入位置' },
+    { id: 'sampler', label: '采样参数', hint: '温度、Top P、最大上下文等' }
+];
+
+/**
+ * 旧快照（没有 scope 字段）的范围
+ */
+const DEFAULT_SCOPE = ['toggles'];
+
+/**
+ * 快照颜色标签
+ * @type {Array<{id: string, label: string, color: string}>}
+ */
+export const SNAPSHOT_COLORS = [
+    { id: 'red', label: '红', color: '#e06c75' },
+    { id: 'orange', label: '橙', color: '#d19a66' },
+    { id: 'yellow', label: '黄', color: '#e5c07b' },
+    { id: 'green', label: '绿', color: '#98c379' },
+    { id: 'blue', label: '蓝', color: '#61afef' },
+    { id: 'purple', label: '紫', color: '#c678dd' }
+];
+
+/**
+ * 每个预设保留的"应用前备份"数量
+ */
+export const BACKUP_LIMIT = 10;
+
+/**
+ * 快捷键默认设置
+ *
+ * @description
+ * - palette: 打开命令面板
+ * - slotModifier + 数字键: 应用列表中第 1 ~ slotCount 个快照（slotCount 为 0 时关闭）
+ * - next / prev: 切换到下一个/上一个快照
+ * - showIndicator: 在页面角落显示当前快照
+ * 按键写法如 'Ctrl+K'、'Alt+Shift+ArrowRight'，空字符串表示不使用。
+ * 默认不用 Alt+数字键，避免和字体快捷切换冲突
+ */
+export const DEFAULT_HOTKEYS = {
+    palette: 'Ctrl+K',
+    slotModifier: 'Alt+Shift',
+    slotCount: 5,
+    next: 'Alt+Shift+ArrowRight',
+    prev: 'Alt+Shift+ArrowLeft',
+    showIndicator: true
 };
 
+/**
+ * 快照导出文件的类型标记和格式版本
+ */
+const BUNDLE_FORMAT = 'paws-puffs-preset-snapshots';
+const BUNDLE_VERSION = 1;
+
+/**
+ * 不能用作预设名的键（写入 storage.presets 时会改到原型链）
+ */
+const RESERVED_PRESET_NAMES = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * 保存"条目内容"时记录的字段（来自 promptManager 的 prompt 对象）
+ */
+const PROMPT_CONTENT_FIELDS = [
+    'name', 'role', 'content', 'system_prompt', 'marker',
+    'injection_position', 'injection_depth', 'injection_order', 'forbid_overrides'
+];
+
+/**
+ * 保存"采样参数"时记录的 oai_settings 字段，以及酒馆界面上对应的输入控件
+ * （应用时通过控件触发 input 事件，让酒馆自己同步计数框和保存设置）
+ */
+const SAMPLER_FIELDS = [
+    { key: 'temp_openai', input: '#temp_openai' },
+    { key: 'freq_pen_openai', input: '#freq_pen_openai' },
+    { key: 'pres_pen_openai', input: '#pres_pen_openai' },
+    { key: 'top_p_openai', input: '#top_p_openai' },
+    { key: 'top_k_openai', input: '#top_k_openai' },
+    { key: 'top_a_openai', input: '#top_a_openai' },
+    { key: 'min_p_openai', input: '#min_p_openai' },
+    { key: 'repetition_penalty_openai', input: '#repetition_penalty_openai' },
+    { key: 'openai_max_context', input: '#openai_max_context' },
+    { key: 'openai_max_tokens', input: '#openai_max_tokens' },
+    { key: 'seed', input: '#seed_openai' }
+];
+
 // ========================================
 // 类型定义（JSDoc）
 // ========================================
@@ -52,6 +175,7 @@ const DEFAULT_STORAGE = {
  * @typedef {Object} PromptState
  * @property {string} identifier - 条目的唯一标识符
  * @property {boolean} enabled - 开关状态
+ * @property {string} [name] - 条目名称（导出和导入的快照带有，用于在别的预设里对应条目）
  */
 
 /**
@@ -59,7 +183,26 @@ const DEFAULT_STORAGE = {
  * @property {string} id - UUID，唯一标识
  * @property {string} name - 用户命名
  * @property {number} createdAt - 创建时间戳（毫秒）
- * @property {PromptState[]} states - 条目状态列表
+ * @property {PromptState[]} states - 条目状态列表（按保存时的条目顺序）
+ * @property {string[]} [scope] - 快照范围（见 SNAPSHOT_SCOPES），缺省为 ['toggles']
+ * @property {Object[]} [prompts] - 条目内容（scope 含 content 时；全局库中的快照总是带有，用于跨预设匹配条目），每项为 { identifier, ...PROMPT_CONTENT_FIELDS }
+ * @property {Object.<string, any>} [sampler] - 采样参数（scope 含 sampler 时），oai_settings 字段名 → 值
+ * @property {string|null} folderId - 所在分组 ID，未分组为 null
+ * @property {boolean} pinned - 是否置顶（在所在分组中排在最前）
+ * @property {string|null} color - 颜色标签（SNAPSHOT_COLORS 的 id）
+ * @property {string} notes - 备注
+ * @property {boolean} [partial] - 是否为叠加快照（只保存了部分条目）
+ */
+
+/**
+ * @typedef {Object} SnapshotFolder
+ * @property {string} id - 分组 ID
+ * @property {string} name - 分组名称
+ * @property {boolean} collapsed - 是否折叠
+ */
+
+/**
+ * @typedef {Snapshot & {sourcePreset: string}} LibrarySnapshot 全局快照库中的快照（sourcePreset 为来源预设名）
  */
 
 /**
@@ -68,18 +211,91 @@ const DEFAULT_STORAGE = {
  * @property {string} name - 用户命名
  * @property {number} createdAt - 创建时间戳
  * @property {number} stateCount - 条目数量
+ * @property {string[]} scope - 快照范围
+ * @property {string|null} folderId - 所在分组 ID
+ * @property {boolean} pinned - 是否置顶
+ * @property {string|null} color - 颜色标签
+ * @property {string} notes - 备注
+ * @property {boolean} partial - 是否为叠加快照
+ */
+
+/**
+ * @typedef {Object} DiffEntry
+ * @property {string} identifier - 条目标识符
+ * @property {string} name - 条目名称（找不到时为 identifier）
+ */
+
+/**
+ * @typedef {Object} SnapshotDiff
+ * @property {DiffEntry[]} turnedOn - 从关闭变为开启的条目
+ * @property {DiffEntry[]} turnedOff - 从开启变为关闭的条目
+ * @property {DiffEntry[]} missing - 原来有、现在没有的条目
+ * @property {DiffEntry[]} added - 原来没有、现在新增的条目
+ * @property {number} unchanged - 开关状态相同的条目数
+ */
+
+/**
+ * @typedef {Object} SnapshotBackup
+ * @property {string} id - UUID
+ * @property {number} createdAt - 备份时间戳（即应用快照的时间）
+ * @property {string} appliedName - 备份之后应用的快照名称
+ * @property {string|null} lastApplied - 备份时"上次应用"的快照ID（撤销时一并恢复）
+ * @property {PromptState[]} states - 条目状态列表
+ * @property {string[]} scope - 备份范围（和被应用的快照相同）
+ * @property {Object[]} [prompts] - 条目内容
+ * @property {Object.<string, any>} [sampler] - 采样参数
+ */
+
+/**
+ * @typedef {Object} BackupListItem
+ * @property {string} id - UUID
+ * @property {number} createdAt - 备份时间戳
+ * @property {string} appliedName - 备份之后应用的快照名称
+ * @property {number} stateCount - 条目数量
  */
 
 /**
  * @typedef {Object} PresetData
  * @property {Snapshot[]} snapshots - 该预设下的快照列表
  * @property {string|null} lastApplied - 该预设下上次应用的快照ID
+ * @property {SnapshotBackup[]} backups - 应用前备份（新的在前，最多 BACKUP_LIMIT 个）
+ * @property {SnapshotFolder[]} folders - 快照分组（按显示顺序）
+ * @property {string[]} overlayStack - 上次叠加应用的快照顺序
+ */
+
+/**
+ * @typedef {Object} SnapshotBinding
+ * @property {string} id - 绑定 ID
+ * @property {'character'|'group'|'chat'} type - 绑定类型
+ * @property {string} target - 绑定目标（角色头像/群组ID/聊天ID）
+ * @property {string} label - 显示名称（角色名/群组名/聊天ID）
+ * @property {string} presetName - 快照所属的预设
+ * @property {string} snapshotId - 快照 UUID
+ * @property {boolean} askFirst - 应用前是否先询问
+ */
+
+/**
+ * @typedef {Object} SnapshotBundle 快照导出文件
+ * @property {string} format - 固定为 BUNDLE_FORMAT
+ * @property {number} version - 格式版本
+ * @property {string} exportDate - 导出时间（ISO 字符串）
+ * @property {Object.<string, {snapshots: Snapshot[], folders: SnapshotFolder[]}>} presets - 按预设名分组的快照
+ * @property {LibrarySnapshot[]} [library] - 全局快照库（导出全部时才有）
+ */
+
+/**
+ * @typedef {Object} SnapshotImportSummary
+ * @property {Array<{presetName: string, total: number, imported: number, duplicates: number, invalid: number, remapped: number}>} presets - 各预设的导入情况
+ * @property {{total: number, imported: number, duplicates: number, invalid: number}} library - 全局库的导入情况
+ * @property {string} exportDate - 文件的导出时间
  */
 
 /**
  * @typedef {Object} PresetSnapshotStorageV2
  * @property {boolean} enabled - 功能开关
  * @property {Object.<string, PresetData>} presets - 按预设名隔离的快照数据
+ * @property {SnapshotBinding[]} bindings - 快照绑定（角色/群组/聊天 → 快照）
+ * @property {LibrarySnapshot[]} library - 全局快照库（不属于任何预设）
  */
 
 // ========================================
@@ -99,14 +315,27 @@ function generateUUID() {
 }
 
 /**
- * 获取存储对象（确保结构完整，支持 v1 到 v2 迁移）
+ * 补齐快照的整理字段（分组、置顶、颜色、备注）
+ * @param {Snapshot} snapshot - 快照对象（原地修改）
+ */
+function ensureSnapshotMeta(snapshot) {
+    if (!snapshot || typeof snapshot !== 'object') return;
+    if (snapshot.folderId === undefined) snapshot.folderId = null;
+    if (snapshot.pinned === undefined) snapshot.pinned = false;
+    if (snapshot.color === undefined) snapshot.color = null;
+    if (snapshot.notes === undefined) snapshot.notes = '';
+}
+
+/**
+ * 获取存储对象（确保结构完整，支持 v1 到 v2 迁移，以及 v2 结构上新增字段的补齐）
  * @returns {PresetSnapshotStorageV2} 存储对象
  */
 function getStorage() {
     extension_settings[EXT_ID] = extension_settings[EXT_ID] || {};
 
     if (!extension_settings[EXT_ID][STORAGE_KEY]) {
-        extension_settings[EXT_ID][STORAGE_KEY] = { ...DEFAULT_STORAGE };
+        // 数组和对象要新建，不能和 DEFAULT_STORAGE 共用
+        extension_settings[EXT_ID][STORAGE_KEY] = { ...DEFAULT_STORAGE, presets: {}, bindings: [], library: [] };
     }
 
     const storage = extension_settings[EXT_ID][STORAGE_KEY];
@@ -134,9 +363,44 @@ function getStorage() {
         storage.presets = {};
     }
 
+    if (!Array.isArray(storage.bindings)) {
+        storage.bindings = [];
+    }
+
+    if (!Array.isArray(storage.library)) {
+        storage.library = [];
+    }
+
+    // v2 → v3：补齐快照分组、置顶、颜色、备注字段
+    if ((storage.version || 2) < 3) {
+        logger.info('[PresetSnapshot] 升级存储结构到 v3（快照分组、置顶、颜色、备注）');
+        for (const presetData of Object.values(storage.presets)) {
+            if (!presetData || typeof presetData !== 'object') continue;
+            if (!Array.isArray(presetData.folders)) presetData.folders = [];
+            (presetData.snapshots || []).forEach(ensureSnapshotMeta);
+        }
+        storage.library.forEach(ensureSnapshotMeta);
+        storage.version = STORAGE_VERSION;
+        saveSettingsDebounced();
+    }
+
     return storage;
 }
 
+/**
+ * 删除符合条件的快照绑定（快照或预设被删除时调用，不负责保存）
+ * @param {function(SnapshotBinding): boolean} predicate - 判断是否删除
+ */
+function removeBindings(predicate) {
+    const storage = getStorage();
+    const count = storage.bindings.length;
+    storage.bindings = storage.bindings.filter(binding => !predicate(binding));
+
+    if (storage.bindings.length !== count) {
+        eventSource.emit('pawsSnapshotBindingsChanged', { action: 'removed' });
+    }
+}
+
 /**
  * 获取当前预设名称
  * @returns {string} 预设名称
@@ -170,10 +434,13 @@ export function getCurrentPresetName() {
 function getPresetData(presetName) {
     const storage = getStorage();
 
-    if (!storage.presets[presetName]) {
+    if (!Object.hasOwn(storage.presets, presetName)) {
         storage.presets[presetName] = {
             snapshots: [],
-            lastApplied: null
+            lastApplied: null,
+            backups: [],
+            folders: [],
+            overlayStack: []
         };
     }
 
@@ -182,6 +449,9 @@ function getPresetData(presetName) {
     // 确保字段完整
     if (!Array.isArray(presetData.snapshots)) presetData.snapshots = [];
     if (presetData.lastApplied === undefined) presetData.lastApplied = null;
+    if (!Array.isArray(presetData.backups)) presetData.backups = [];
+    if (!Array.isArray(presetData.folders)) presetData.folders = [];
+    if (!Array.isArray(presetData.overlayStack)) presetData.overlayStack = [];
 
     return presetData;
 }
@@ -206,12 +476,13 @@ export function getPresetsWithSnapshots() {
 export function deletePresetSnapshots(presetName) {
     const storage = getStorage();
 
-    if (!storage.presets[presetName]) {
+    if (!Object.hasOwn(storage.presets, presetName)) {
         return 0;
     }
 
     const count = storage.presets[presetName].snapshots?.length || 0;
     delete storage.presets[presetName];
+    removeBindings(binding => binding.presetName === presetName);
     saveSettingsDebounced();
 
     logger.info('[PresetSnapshot] 已删除预设的所有快照:', presetName, '共', count, '个');
@@ -237,9 +508,178 @@ function isValidSnapshot(snapshot) {
         if (typeof state.enabled !== 'boolean') return false;
     }
 
+    // 可选字段：快照范围和对应的数据
+    if (snapshot.scope !== undefined) {
+        if (!Array.isArray(snapshot.scope)) return false;
+        if (!snapshot.scope.every(id => SNAPSHOT_SCOPES.some(scope => scope.id === id))) return false;
+    }
+    if (snapshot.prompts !== undefined) {
+        if (!Array.isArray(snapshot.prompts)) return false;
+        if (!snapshot.prompts.every(prompt => prompt && typeof prompt.identifier === 'string' && prompt.identifier)) return false;
+    }
+    if (snapshot.sampler !== undefined) {
+        if (!snapshot.sampler || typeof snapshot.sampler !== 'object' || Array.isArray(snapshot.sampler)) return false;
+    }
+    if (snapshot.folderId !== undefined && snapshot.folderId !== null && typeof snapshot.folderId !== 'string') return false;
+    if (snapshot.pinned !== undefined && typeof snapshot.pinned !== 'boolean') return false;
+    if (snapshot.color !== undefined && snapshot.color !== null && typeof snapshot.color !== 'string') return false;
+    if (snapshot.notes !== undefined && typeof snapshot.notes !== 'string') return false;
+    if (snapshot.partial !== undefined && typeof snapshot.partial !== 'boolean') return false;
+
     return true;
 }
 
+/**
+ * 获取快照的范围（旧快照视为只保存了开关）
+ * @param {Snapshot} snapshot - 快照对象
+ * @returns {string[]} 范围列表
+ */
+export function getSnapshotScope(snapshot) {
+    return Array.isArray(snapshot?.scope) && snapshot.scope.length > 0 ? snapshot.scope : DEFAULT_SCOPE;
+}
+
+/**
+ * 规范化用户选择的范围（去掉未知项，开关状态总是包含在内，按 SNAPSHOT_SCOPES 排序）
+ * @param {string[]} [scope] - 用户选择的范围
+ * @returns {string[]} 规范化后的范围
+ */
+function normalizeScope(scope) {
+    const selected = new Set(Array.isArray(scope) ? scope : DEFAULT_SCOPE);
+    selected.add('toggles');
+    return SNAPSHOT_SCOPES.map(item => item.id).filter(id => selected.has(id));
+}
+
+/**
+ * 读取条目内容（用于保存）
+ * @param {string[]} identifiers - 条目 identifier 列表
+ * @returns {Object[]} 条目内容列表
+ */
+function capturePromptContents(identifiers) {
+    const prompts = [];
+    for (const identifier of identifiers) {
+        const prompt = promptManager?.getPromptById?.(identifier);
+        if (!prompt) continue;
+
+        const captured = { identifier };
+        for (const field of PROMPT_CONTENT_FIELDS) {
+            if (prompt[field] !== undefined) {
+                captured[field] = prompt[field];
+            }
+        }
+        prompts.push(captured);
+    }
+    return prompts;
+}
+
+/**
+ * 读取当前采样参数（用于保存）
+ * @returns {Object.<string, any>} oai_settings 字段名 → 值
+ */
+function captureSamplerSettings() {
+    const sampler = {};
+    for (const { key } of SAMPLER_FIELDS) {
+        if (oai_settings?.[key] !== undefined) {
+            sampler[key] = oai_settings[key];
+        }
+    }
+    return sampler;
+}
+
+/**
+ * 恢复条目内容
+ *
+ * @description
+ * 覆盖已有条目的内容字段；快照里有但预设中已被删除的条目会重新创建，
+ * 并加回 prompt_order 末尾（开关状态由快照决定，顺序范围会再调整位置）
+ *
+ * @param {Object[]} prompts - 快照中的条目内容
+ * @param {Array<{identifier: string, enabled: boolean}>} promptOrder - 当前 prompt_order（会被修改）
+ * @param {Map<string, boolean>} stateMap - identifier → 快照中的开关状态
+ * @returns {number} 重新创建的条目数
+ */
+function restorePromptContents(prompts, promptOrder, stateMap) {
+    let restoredCount = 0;
+
+    for (const captured of prompts) {
+        const { identifier } = captured;
+        // 只恢复内容字段（全局库和导入的快照来自别处，不能带进其他字段）
+        const fields = {};
+        for (const field of PROMPT_CONTENT_FIELDS) {
+            if (captured[field] !== undefined) {
+                fields[field] = captured[field];
+            }
+        }
+        const existing = promptManager.getPromptById(identifier);
+
+        if (existing) {
+            Object.assign(existing, fields);
+        } else {
+            promptManager.addPrompt(fields, identifier);
+            restoredCount++;
+        }
+
+        if (!promptOrder.some(entry => entry.identifier === identifier)) {
+            promptOrder.push({ identifier, enabled: stateMap.get(identifier) ?? false });
+        }
+    }
+
+    return restoredCount;
+}
+
+/**
+ * 按快照恢复条目顺序
+ *
+ * @description
+ * 快照中的条目按快照顺序排列，占用它们当前所在的位置；
+ * 快照之后新增的条目保持原位置不动
+ *
+ * @param {Array<{identifier: string, enabled: boolean}>} promptOrder - 当前 prompt_order（原地修改）
+ * @param {string[]} identifiers - 快照中的条目顺序
+ */
+function restorePromptOrder(promptOrder, identifiers) {
+    const rank = new Map(identifiers.map((identifier, index) => [identifier, index]));
+    const positions = [];
+    const entries = [];
+
+    promptOrder.forEach((entry, index) => {
+        if (rank.has(entry.identifier)) {
+            positions.push(index);
+            entries.push(entry);
+        }
+    });
+
+    entries.sort((a, b) => rank.get(a.identifier) - rank.get(b.identifier));
+    positions.forEach((position, i) => {
+        promptOrder[position] = entries[i];
+    });
+}
+
+/**
+ * 恢复采样参数
+ *
+ * @description
+ * 先写入 oai_settings，再同步酒馆界面上的控件（触发 input 事件，让酒馆更新计数框并保存）
+ *
+ * @param {Object.<string, any>} sampler - 快照中的采样参数
+ * @returns {number} 恢复的参数个数
+ */
+function restoreSamplerSettings(sampler) {
+    let count = 0;
+
+    for (const { key, input } of SAMPLER_FIELDS) {
+        if (sampler[key] === undefined) continue;
+
+        oai_settings[key] = sampler[key];
+        const $input = $(input);
+        if ($input.length > 0) {
+            $input.val(sampler[key]).trigger('input');
+        }
+        count++;
+    }
+
+    return count;
+}
+
 /**
  * 获取当前预设的 prompt_order
  * @returns {Array<{identifier: string, enabled: boolean}>} 条目列表
@@ -260,6 +700,65 @@ function getCurrentPromptOrder() {
     }
 }
 
+/**
+ * 获取条目的显示名称
+ *
+ * @description
+ * 优先用当前预设中的条目名称，找不到时（条目已被删除）用快照里保存的名称，
+ * 都没有时返回 identifier
+ *
+ * @param {string} identifier - 条目标识符
+ * @param {Snapshot[]} snapshots - 可以提供名称的快照
+ * @returns {string} 条目名称
+ */
+function getPromptName(identifier, snapshots) {
+    const prompt = promptManager?.getPromptById?.(identifier);
+    if (prompt?.name) return prompt.name;
+
+    for (const snapshot of snapshots) {
+        const captured = snapshot?.prompts?.find(p => p.identifier === identifier);
+        if (captured?.name) return captured.name;
+        const state = snapshot?.states?.find(s => s.identifier === identifier);
+        if (state?.name) return state.name;
+    }
+    return identifier;
+}
+
+/**
+ * 对比两组条目开关状态
+ * @param {PromptState[]} fromStates - 原来的状态
+ * @param {PromptState[]} toStates - 现在的状态
+ * @param {Snapshot[]} snapshots - 用于查找条目名称的快照
+ * @returns {SnapshotDiff} 差异
+ */
+function diffStates(fromStates, toStates, snapshots) {
+    const fromMap = new Map(fromStates.map(s => [s.identifier, !!s.enabled]));
+    const toMap = new Map(toStates.map(s => [s.identifier, !!s.enabled]));
+    const toEntry = identifier => ({ identifier, name: getPromptName(identifier, snapshots) });
+
+    const diff = { turnedOn: [], turnedOff: [], missing: [], added: [], unchanged: 0 };
+
+    for (const [identifier, enabled] of fromMap) {
+        if (!toMap.has(identifier)) {
+            diff.missing.push(toEntry(identifier));
+        } else if (toMap.get(identifier) === enabled) {
+            diff.unchanged++;
+        } else if (toMap.get(identifier)) {
+            diff.turnedOn.push(toEntry(identifier));
+        } else {
+            diff.turnedOff.push(toEntry(identifier));
+        }
+    }
+
+    for (const identifier of toMap.keys()) {
+        if (!fromMap.has(identifier)) {
+            diff.added.push(toEntry(identifier));
+        }
+    }
+
+    return diff;
+}
+
 // ========================================
 // 公开 API
 // ========================================
@@ -324,92 +823,98 @@ export function getSnapshotList(presetName) {
         id: snapshot.id,
         name: snapshot.name,
         createdAt: snapshot.createdAt,
-        stateCount: snapshot.states.length
+        stateCount: snapshot.states.length,
+        scope: getSnapshotScope(snapshot),
+        folderId: snapshot.folderId || null,
+        pinned: !!snapshot.pinned,
+        color: snapshot.color || null,
+        notes: snapshot.notes || '',
+        partial: !!snapshot.partial
     }));
 }
 
 /**
- * 保存当前预设状态为快照
- * @param {string} name - 快照名称
- * @returns {string} 新快照的 UUID
+ * 读取当前预设状态
+ * @param {string[]} scope - 要读取的范围（已规范化）
+ * @param {string[]} [identifiers] - 只读取这些条目，默认全部
+ * @returns {{states: PromptState[], scope: string[], prompts?: Object[], sampler?: Object}} 状态数据（结构同快照）
  */
-export function saveSnapshot(name) {
-    const currentPreset = getCurrentPresetName();
-    const presetData = getPresetData(currentPreset);
-    const promptOrder = getCurrentPromptOrder();
-
-    // 提取所有条目的 identifier 和 enabled 状态
-    const states = promptOrder.map(entry => ({
-        identifier: entry.identifier,
-        enabled: !!entry.enabled
-    }));
-
-    // 创建新快照
-    const snapshot = {
-        id: generateUUID(),
-        name: name || `快照 ${new Date().toLocaleString('zh-CN')}`,
-        createdAt: Date.now(),
-        states: states
-    };
-
-    presetData.snapshots.push(snapshot);
-    saveSettingsDebounced();
-
-    logger.info('[PresetSnapshot] 已保存快照:', snapshot.name, '包含', states.length, '个条目', '预设:', currentPreset);
-
-    // 触发事件通知 UI 刷新
-    eventSource.emit('pawsSnapshotSaved', { presetName: currentPreset, snapshot });
-
-    return snapshot.id;
+function captureState(scope, identifiers) {
+    const selected = identifiers ? new Set(identifiers) : null;
+
+    // 提取条目的 identifier 和 enabled 状态
+    const states = getCurrentPromptOrder()
+        .filter(entry => !selected || selected.has(entry.identifier))
+        .map(entry => ({
+            identifier: entry.identifier,
+            enabled: !!entry.enabled
+        }));
+
+    const data = { states, scope };
+    if (scope.includes('content')) {
+        data.prompts = capturePromptContents(states.map(state => state.identifier));
+    }
+    if (scope.includes('sampler')) {
+        data.sampler = captureSamplerSettings();
+    }
+    return data;
 }
 
 /**
- * 应用快照到当前预设
- * @param {string} id - 快照 UUID
- * @returns {boolean} 是否成功
+ * 把状态数据恢复到当前预设
+ *
+ * @description
+ * 只恢复数据中包含的范围：开关状态总是恢复，
+ * 条目顺序、条目内容、采样参数只在包含时恢复，其余保持当前状态。
+ * 恢复后保存设置并重新渲染 promptManager
+ *
+ * @param {{states: PromptState[], scope?: string[], prompts?: Object[], sampler?: Object}} data - 快照或 captureState 的结果
+ * @returns {{applied: number, skipped: number, restored: number, sampler: number}|null} 恢复结果，prompt_order 为空时返回 null
  */
-export function applySnapshot(id) {
-    const presetName = getCurrentPresetName();
-    const presetData = getPresetData(presetName);
-    const snapshot = presetData.snapshots.find(s => s.id === id);
-
-    if (!snapshot) {
-        logger.warn('[PresetSnapshot] 未找到快照:', id);
-        return false;
-    }
-
+function restoreState(data) {
     const promptOrder = getCurrentPromptOrder();
 
     if (promptOrder.length === 0) {
         logger.warn('[PresetSnapshot] 当前 prompt_order 为空，无法应用快照');
-        return false;
+        return null;
     }
 
     // 创建 identifier -> enabled 的映射
-    const stateMap = new Map(snapshot.states.map(s => [s.identifier, s.enabled]));
+    const stateMap = new Map(data.states.map(s => [s.identifier, s.enabled]));
+    const scope = getSnapshotScope(data);
+    const result = { applied: 0, skipped: 0, restored: 0, sampler: 0 };
 
-    let appliedCount = 0;
-    let skippedCount = 0;
+    // 条目内容（先恢复，被删除的条目会重新加回 prompt_order）
+    if (scope.includes('content') && Array.isArray(data.prompts)) {
+        result.restored = restorePromptContents(data.prompts, promptOrder, stateMap);
+    }
 
     // 遍历当前 prompt_order，按 identifier 匹配并更新
     for (const entry of promptOrder) {
         if (stateMap.has(entry.identifier)) {
             entry.enabled = stateMap.get(entry.identifier);
-            appliedCount++;
+            result.applied++;
         }
         // 不在快照中的条目保持原状态
     }
 
     // 统计快照中有但当前不存在的条目
-    for (const state of snapshot.states) {
+    for (const state of data.states) {
         const exists = promptOrder.some(e => e.identifier === state.identifier);
         if (!exists) {
-            skippedCount++;
+            result.skipped++;
         }
     }
 
-    // 更新该预设下上次应用的快照
-    presetData.lastApplied = id;
+    // 条目顺序
+    if (scope.includes('order')) {
+        restorePromptOrder(promptOrder, data.states.map(s => s.identifier));
+    }
+
+    // 采样参数
+    if (scope.includes('sampler') && data.sampler) {
+        result.sampler = restoreSamplerSettings(data.sampler);
+    }
 
     // 保存设置并刷新 UI
     saveSettingsDebounced();
@@ -419,52 +924,274 @@ export function applySnapshot(id) {
         promptManager.render(false);
     }
 
-    logger.info('[PresetSnapshot] 已应用快照:', snapshot.name,
-        '- 应用:', appliedCount, '个, 跳过:', skippedCount, '个');
-
-    return true;
+    return result;
 }
 
 /**
- * 重命名快照（在当前预设下查找）
- * @param {string} id - 快照 UUID
- * @param {string} newName - 新名称
- * @returns {boolean} 是否成功
+ * 备份当前状态后恢复状态数据（应用快照的统一入口）
+ *
+ * @description
+ * 备份范围和要恢复的数据相同，撤销时正好恢复被覆盖的部分。
+ * 叠加应用时按顺序依次恢复（后面的覆盖前面的），整个叠加只留一个备份。
+ * 恢复失败时不留下备份
+ *
+ * @param {PresetData} presetData - 当前预设的数据
+ * @param {Object[]} dataList - 要依次恢复的状态数据（快照或重新映射后的快照）
+ * @param {string} appliedName - 快照名称（显示在备份列表中）
+ * @returns {{applied: number, skipped: number, restored: number, sampler: number}|null} 恢复结果（叠加时为合计）
  */
-export function renameSnapshot(id, newName) {
-    const presetName = getCurrentPresetName();
-    const presetData = getPresetData(presetName);
-    const snapshot = presetData.snapshots.find(s => s.id === id);
+function restoreStateWithBackup(presetData, dataList, appliedName) {
+    const backup = {
+        id: generateUUID(),
+        createdAt: Date.now(),
+        appliedName,
+        lastApplied: presetData.lastApplied,
+        ...captureState(normalizeScope(dataList.flatMap(data => getSnapshotScope(data))))
+    };
 
-    if (!snapshot) {
-        logger.warn('[PresetSnapshot] 未找到快照:', id);
-        return false;
+    const result = { applied: 0, skipped: 0, restored: 0, sampler: 0 };
+    for (const data of dataList) {
+        const partResult = restoreState(data);
+        if (!partResult) {
+            return null;
+        }
+        Object.keys(result).forEach(key => { result[key] += partResult[key]; });
     }
 
-    const oldName = snapshot.name;
-    snapshot.name = newName || snapshot.name;
-    saveSettingsDebounced();
-
-    logger.info('[PresetSnapshot] 已重命名快照:', oldName, '->', snapshot.name);
-    return true;
+    presetData.backups.unshift(backup);
+    presetData.backups.splice(BACKUP_LIMIT);
+    return result;
 }
 
 /**
- * 删除快照（在当前预设下查找）
- * @param {string} id - 快照 UUID
- * @returns {boolean} 是否成功
+ * 保存当前预设状态为快照
+ * @param {string} name - 快照名称
+ * @param {Object} [options] - 保存选项
+ * @param {string[]} [options.scope=['toggles']] - 快照范围（见 SNAPSHOT_SCOPES）
+ * @param {string[]} [options.identifiers] - 只保存这些条目（保存为叠加快照），默认保存全部条目
+ * @returns {string|null} 新快照的 UUID，勾选的条目都不存在时返回 null
  */
-export function deleteSnapshot(id) {
-    const presetName = getCurrentPresetName();
-    const presetData = getPresetData(presetName);
-    const index = presetData.snapshots.findIndex(s => s.id === id);
+export function saveSnapshot(name, { scope, identifiers } = {}) {
+    const currentPreset = getCurrentPresetName();
+    const presetData = getPresetData(currentPreset);
+    const snapshotScope = normalizeScope(scope);
+    const { states, ...captured } = captureState(snapshotScope, identifiers);
 
-    if (index === -1) {
+    if (identifiers && states.length === 0) {
+        logger.warn('[PresetSnapshot] 没有勾选任何现有条目，不保存快照');
+        return null;
+    }
+
+    // 创建新快照
+    const snapshot = {
+        id: generateUUID(),
+        name: name || `快照 ${new Date().toLocaleString('zh-CN')}`,
+        createdAt: Date.now(),
+        states: states,
+        ...captured
+    };
+    ensureSnapshotMeta(snapshot);
+
+    // 只勾选了部分条目时保存为叠加快照
+    if (identifiers && states.length < getCurrentPromptOrder().length) {
+        snapshot.partial = true;
+    }
+
+    presetData.snapshots.push(snapshot);
+    saveSettingsDebounced();
+
+    logger.info('[PresetSnapshot] 已保存快照:', snapshot.name, '包含', states.length, '个条目', '范围:', snapshotScope.join(','), '预设:', currentPreset);
+
+    // 触发事件通知 UI 刷新
+    eventSource.emit('pawsSnapshotSaved', { presetName: currentPreset, snapshot });
+
+    return snapshot.id;
+}
+
+/**
+ * 应用快照到当前预设
+ *
+ * @description
+ * 只恢复快照保存时选择的范围：开关状态总是恢复，
+ * 条目顺序、条目内容、采样参数只在快照包含时恢复，其余保持当前状态
+ *
+ * @param {string} id - 快照 UUID
+ * @returns {boolean} 是否成功
+ */
+export function applySnapshot(id) {
+    const presetName = getCurrentPresetName();
+    const presetData = getPresetData(presetName);
+    const snapshot = presetData.snapshots.find(s => s.id === id);
+
+    if (!snapshot) {
+        logger.warn('[PresetSnapshot] 未找到快照:', id);
+        return false;
+    }
+
+    const result = restoreStateWithBackup(presetData, [snapshot], snapshot.name);
+    if (!result) {
+        return false;
+    }
+
+    // 更新该预设下上次应用的快照
+    presetData.lastApplied = id;
+    saveSettingsDebounced();
+
+    logger.info('[PresetSnapshot] 已应用快照:', snapshot.name, '范围:', getSnapshotScope(snapshot).join(','),
+        '- 应用:', result.applied, '个, 跳过:', result.skipped, '个, 重建条目:', result.restored, '个, 采样参数:', result.sampler, '个');
+
+    eventSource.emit('pawsSnapshotApplied', { presetName, snapshot });
+
+    return true;
+}
+
+/**
+ * 按顺序叠加应用多个快照
+ *
+ * @description
+ * 依次应用（后面的快照覆盖前面的），适合"基础快照 + 若干叠加快照"。
+ * 整个叠加只生成一个应用前备份，撤销时一次恢复。
+ * 叠加顺序会被记住，下次打开叠加对话框时沿用
+ *
+ * @param {string[]} ids - 快照 UUID 列表（按应用顺序）
+ * @returns {boolean} 是否成功
+ */
+export function applySnapshotStack(ids) {
+    const presetName = getCurrentPresetName();
+    const presetData = getPresetData(presetName);
+    const snapshots = ids
+        .map(id => presetData.snapshots.find(s => s.id === id))
+        .filter(Boolean);
+
+    if (snapshots.length === 0) {
+        logger.warn('[PresetSnapshot] 没有可叠加的快照:', ids);
+        return false;
+    }
+
+    const result = restoreStateWithBackup(presetData, snapshots, snapshots.map(s => s.name).join(' + '));
+    if (!result) {
+        return false;
+    }
+
+    const last = snapshots[snapshots.length - 1];
+    presetData.lastApplied = last.id;
+    presetData.overlayStack = snapshots.map(s => s.id);
+    saveSettingsDebounced();
+
+    logger.info('[PresetSnapshot] 已叠加应用快照:', snapshots.map(s => s.name).join(' → '),
+        '- 应用:', result.applied, '个, 跳过:', result.skipped, '个');
+
+    eventSource.emit('pawsSnapshotApplied', { presetName, snapshot: last, stack: snapshots });
+    return true;
+}
+
+/**
+ * 获取上次叠加应用的快照顺序（已删除的快照会被去掉）
+ * @returns {string[]} 快照 UUID 列表
+ */
+export function getOverlayStack() {
+    const presetData = getPresetData(getCurrentPresetName());
+    return presetData.overlayStack.filter(id => presetData.snapshots.some(s => s.id === id));
+}
+
+/**
+ * 获取当前预设的应用前备份列表（用于 UI 显示，新的在前）
+ *
+ * @description
+ * 快照列表和悬浮按钮的快照菜单都用它显示"撤销"项，配合 revertBackup 使用
+ *
+ * @returns {BackupListItem[]} 备份列表
+ */
+export function getBackupList() {
+    const presetData = getPresetData(getCurrentPresetName());
+    return presetData.backups.map(backup => ({
+        id: backup.id,
+        createdAt: backup.createdAt,
+        appliedName: backup.appliedName,
+        stateCount: backup.states.length
+    }));
+}
+
+/**
+ * 撤销应用快照：恢复应用前的备份
+ *
+ * @description
+ * 恢复后删除这个备份以及比它更新的备份（它们记录的是之后被覆盖的状态，已经没有意义）。
+ * 注意：撤销不会删除快照应用时重新创建的条目
+ *
+ * @param {string} [backupId] - 备份 UUID，默认最近一次
+ * @returns {boolean} 是否成功
+ */
+export function revertBackup(backupId) {
+    const presetName = getCurrentPresetName();
+    const presetData = getPresetData(presetName);
+    const index = backupId
+        ? presetData.backups.findIndex(b => b.id === backupId)
+        : (presetData.backups.length > 0 ? 0 : -1);
+
+    if (index === -1) {
+        logger.warn('[PresetSnapshot] 没有可撤销的备份:', backupId || '(最近一次)');
+        return false;
+    }
+
+    const backup = presetData.backups[index];
+    if (!restoreState(backup)) {
+        return false;
+    }
+
+    presetData.backups.splice(0, index + 1);
+    presetData.lastApplied = backup.lastApplied;
+    saveSettingsDebounced();
+
+    logger.info('[PresetSnapshot] 已撤销应用快照:', backup.appliedName, '恢复', backup.states.length, '个条目的状态');
+
+    eventSource.emit('pawsSnapshotReverted', { presetName, backup });
+    return true;
+}
+
+/**
+ * 重命名快照（在当前预设下查找）
+ * @param {string} id - 快照 UUID
+ * @param {string} newName - 新名称
+ * @returns {boolean} 是否成功
+ */
+export function renameSnapshot(id, newName) {
+    const presetName = getCurrentPresetName();
+    const presetData = getPresetData(presetName);
+    const snapshot = presetData.snapshots.find(s => s.id === id);
+
+    if (!snapshot) {
+        logger.warn('[PresetSnapshot] 未找到快照:', id);
+        return false;
+    }
+
+    const oldName = snapshot.name;
+    snapshot.name = newName || snapshot.name;
+    saveSettingsDebounced();
+
+    eventSource.emit('pawsSnapshotOrganized', { action: 'renamed', snapshot });
+
+    logger.info('[PresetSnapshot] 已重命名快照:', oldName, '->', snapshot.name);
+    return true;
+}
+
+/**
+ * 删除快照（在当前预设下查找）
+ * @param {string} id - 快照 UUID
+ * @returns {boolean} 是否成功
+ */
+export function deleteSnapshot(id) {
+    const presetName = getCurrentPresetName();
+    const presetData = getPresetData(presetName);
+    const index = presetData.snapshots.findIndex(s => s.id === id);
+
+    if (index === -1) {
         logger.warn('[PresetSnapshot] 未找到快照:', id);
         return false;
     }
 
     const deleted = presetData.snapshots.splice(index, 1)[0];
+    removeBindings(binding => binding.presetName === presetName && binding.snapshotId === id);
 
     // 如果删除的是上次应用的快照，清除记录
     if (presetData.lastApplied === id) {
@@ -473,10 +1200,149 @@ export function deleteSnapshot(id) {
 
     saveSettingsDebounced();
 
+    eventSource.emit('pawsSnapshotOrganized', { action: 'deleted', snapshot: deleted });
     logger.info('[PresetSnapshot] 已删除快照:', deleted.name);
     return true;
 }
 
+/**
+ * 修改快照的整理信息（置顶、颜色标签、备注、分组）
+ * @param {string} id - 快照 UUID
+ * @param {{pinned?: boolean, color?: string|null, notes?: string, folderId?: string|null}} changes - 要修改的字段
+ * @param {string} [presetName] - 快照所属的预设名称，默认当前预设
+ * @returns {boolean} 是否成功
+ */
+export function updateSnapshotMeta(id, changes, presetName) {
+    const presetData = getPresetData(presetName || getCurrentPresetName());
+    const snapshot = presetData.snapshots.find(s => s.id === id);
+    if (!snapshot) {
+        logger.warn('[PresetSnapshot] 未找到快照:', id);
+        return false;
+    }
+
+    if (changes.pinned !== undefined) snapshot.pinned = !!changes.pinned;
+    if (changes.color !== undefined) {
+        snapshot.color = SNAPSHOT_COLORS.some(c => c.id === changes.color) ? changes.color : null;
+    }
+    if (changes.notes !== undefined) snapshot.notes = String(changes.notes ?? '').trim();
+    if (changes.folderId !== undefined) {
+        snapshot.folderId = presetData.folders.some(f => f.id === changes.folderId) ? changes.folderId : null;
+    }
+    saveSettingsDebounced();
+
+    eventSource.emit('pawsSnapshotOrganized', { action: 'updated', snapshot });
+    return true;
+}
+
+/**
+ * 移动快照（拖拽排序）
+ *
+ * @description
+ * 快照在数组中的顺序就是显示顺序（置顶的快照在所在分组中排在最前）。
+ * 把快照移到 beforeId 之前（beforeId 为空时移到最后），并放入指定分组
+ *
+ * @param {string} id - 快照 UUID
+ * @param {{folderId?: string|null, beforeId?: string|null}} position - 目标位置
+ * @param {string} [presetName] - 快照所属的预设名称，默认当前预设
+ * @returns {boolean} 是否成功
+ */
+export function moveSnapshot(id, { folderId = null, beforeId = null }, presetName) {
+    const presetData = getPresetData(presetName || getCurrentPresetName());
+    const index = presetData.snapshots.findIndex(s => s.id === id);
+    if (index === -1 || id === beforeId) {
+        return false;
+    }
+
+    const [snapshot] = presetData.snapshots.splice(index, 1);
+    snapshot.folderId = presetData.folders.some(f => f.id === folderId) ? folderId : null;
+
+    const beforeIndex = beforeId ? presetData.snapshots.findIndex(s => s.id === beforeId) : -1;
+    if (beforeIndex === -1) {
+        presetData.snapshots.push(snapshot);
+    } else {
+        presetData.snapshots.splice(beforeIndex, 0, snapshot);
+    }
+    saveSettingsDebounced();
+
+    eventSource.emit('pawsSnapshotOrganized', { action: 'moved', snapshot });
+    return true;
+}
+
+/**
+ * 获取快照分组列表
+ * @param {string} [presetName] - 预设名称，默认当前预设
+ * @returns {SnapshotFolder[]} 分组列表（按显示顺序）
+ */
+export function getFolders(presetName) {
+    return getPresetData(presetName || getCurrentPresetName()).folders.map(folder => ({ ...folder }));
+}
+
+/**
+ * 新建快照分组
+ * @param {string} name - 分组名称
+ * @param {string} [presetName] - 预设名称，默认当前预设
+ * @returns {string|null} 新分组的 ID，名称为空时返回 null
+ */
+export function createFolder(name, presetName) {
+    const folderName = String(name ?? '').trim();
+    if (!folderName) return null;
+
+    const folder = { id: generateUUID(), name: folderName, collapsed: false };
+    getPresetData(presetName || getCurrentPresetName()).folders.push(folder);
+    saveSettingsDebounced();
+
+    eventSource.emit('pawsSnapshotOrganized', { action: 'folderCreated', folder });
+    logger.info('[PresetSnapshot] 已新建分组:', folderName);
+    return folder.id;
+}
+
+/**
+ * 修改快照分组（重命名、折叠）
+ * @param {string} folderId - 分组 ID
+ * @param {{name?: string, collapsed?: boolean}} changes - 要修改的字段
+ * @param {string} [presetName] - 预设名称，默认当前预设
+ * @returns {boolean} 是否成功
+ */
+export function updateFolder(folderId, changes, presetName) {
+    const folder = getPresetData(presetName || getCurrentPresetName()).folders.find(f => f.id === folderId);
+    if (!folder) {
+        logger.warn('[PresetSnapshot] 未找到分组:', folderId);
+        return false;
+    }
+
+    if (changes.name !== undefined && String(changes.name).trim()) folder.name = String(changes.name).trim();
+    if (changes.collapsed !== undefined) folder.collapsed = !!changes.collapsed;
+    saveSettingsDebounced();
+
+    eventSource.emit('pawsSnapshotOrganized', { action: 'folderUpdated', folder });
+    return true;
+}
+
+/**
+ * 删除快照分组（分组里的快照移到"未分组"，不会被删除）
+ * @param {string} folderId - 分组 ID
+ * @param {string} [presetName] - 预设名称，默认当前预设
+ * @returns {boolean} 是否成功
+ */
+export function deleteFolder(folderId, presetName) {
+    const presetData = getPresetData(presetName || getCurrentPresetName());
+    const folder = presetData.folders.find(f => f.id === folderId);
+    if (!folder) {
+        logger.warn('[PresetSnapshot] 未找到分组:', folderId);
+        return false;
+    }
+
+    presetData.folders = presetData.folders.filter(f => f.id !== folderId);
+    presetData.snapshots.forEach(snapshot => {
+        if (snapshot.folderId === folderId) snapshot.folderId = null;
+    });
+    saveSettingsDebounced();
+
+    eventSource.emit('pawsSnapshotOrganized', { action: 'folderDeleted', folder });
+    logger.info('[PresetSnapshot] 已删除分组:', folder.name);
+    return true;
+}
+
 /**
  * 根据 ID 获取快照
  * @param {string} id - 快照 UUID
@@ -487,6 +1353,56 @@ export function getSnapshotById(id) {
     return snapshots.find(s => s.id === id) || null;
 }
 
+/**
+ * 预览应用快照会改变哪些条目（对比当前预设和快照的开关状态）
+ *
+ * @description
+ * 以当前预设为"原来"、快照为"现在"：
+ * turnedOn/turnedOff 是应用快照后会被开启/关闭的条目，
+ * missing 是当前预设有但快照里没有的条目（应用时保持不变），
+ * added 是快照里有但当前预设中已删除的条目
+ *
+ * @param {string} id - 快照 UUID
+ * @param {string} [presetName] - 快照所属的预设名称，默认当前预设
+ * @returns {SnapshotDiff|null} 差异，找不到快照时返回 null
+ */
+export function diffSnapshotWithCurrent(id, presetName) {
+    const snapshot = loadSnapshots(presetName).find(s => s.id === id);
+    if (!snapshot) {
+        logger.warn('[PresetSnapshot] 未找到快照:', id);
+        return null;
+    }
+
+    // 叠加快照只管自己的条目，其他条目不算"新增"
+    const own = snapshot.partial ? new Set(snapshot.states.map(s => s.identifier)) : null;
+    const current = getCurrentPromptOrder()
+        .filter(entry => !own || own.has(entry.identifier))
+        .map(entry => ({
+            identifier: entry.identifier,
+            enabled: !!entry.enabled
+        }));
+    return diffStates(current, snapshot.states, [snapshot]);
+}
+
+/**
+ * 对比两个快照的开关状态（以 fromId 为"原来"、toId 为"现在"）
+ * @param {string} fromId - 原来的快照 UUID
+ * @param {string} toId - 现在的快照 UUID
+ * @param {string} [presetName] - 快照所属的预设名称，默认当前预设
+ * @returns {SnapshotDiff|null} 差异，找不到快照时返回 null
+ */
+export function diffSnapshots(fromId, toId, presetName) {
+    const snapshots = loadSnapshots(presetName);
+    const from = snapshots.find(s => s.id === fromId);
+    const to = snapshots.find(s => s.id === toId);
+    if (!from || !to) {
+        logger.warn('[PresetSnapshot] 未找到快照:', !from ? fromId : toId);
+        return null;
+    }
+
+    return diffStates(from.states, to.states, [to, from]);
+}
+
 /**
  * 获取当前预设下上次应用的快照 ID
  * @returns {string|null} 快照 ID 或 null
@@ -497,6 +1413,613 @@ export function getLastAppliedId() {
     return presetData.lastApplied;
 }
 
+/**
+ * 获取快照绑定列表
+ * @param {string} [presetName] - 只返回该预设下快照的绑定，不填返回全部
+ * @returns {SnapshotBinding[]} 绑定列表
+ */
+export function getSnapshotBindings(presetName) {
+    const bindings = getStorage().bindings;
+    return presetName ? bindings.filter(binding => binding.presetName === presetName) : [...bindings];
+}
+
+/**
+ * 把快照绑定到角色、群组或聊天
+ *
+ * @description
+ * 同一预设下同一目标只保留一条绑定（重复绑定会覆盖）；
+ * 不同预设可以给同一目标绑定各自的快照，切换聊天时只应用当前预设的绑定
+ *
+ * @param {Object} options - 绑定选项
+ * @param {'character'|'group'|'chat'} options.type - 绑定类型
+ * @param {string} options.target - 绑定目标（角色头像/群组ID/聊天ID）
+ * @param {string} [options.label] - 显示名称
+ * @param {string} options.snapshotId - 快照 UUID（当前预设下的快照）
+ * @param {boolean} [options.askFirst=false] - 应用前是否先询问
+ * @returns {SnapshotBinding|null} 新的绑定，快照不存在或参数无效时返回 null
+ */
+export function bindSnapshot({ type, target, label, snapshotId, askFirst = false }) {
+    const presetName = getCurrentPresetName();
+
+    if (!['character', 'group', 'chat'].includes(type) || !target) {
+        logger.warn('[PresetSnapshot] 无效的绑定目标:', type, target);
+        return null;
+    }
+    if (!getPresetData(presetName).snapshots.some(s => s.id === snapshotId)) {
+        logger.warn('[PresetSnapshot] 未找到快照:', snapshotId);
+        return null;
+    }
+
+    const storage = getStorage();
+    storage.bindings = storage.bindings.filter(binding =>
+        !(binding.presetName === presetName && binding.type === type && binding.target === target));
+
+    const binding = {
+        id: generateUUID(),
+        type,
+        target,
+        label: label || target,
+        presetName,
+        snapshotId,
+        askFirst: !!askFirst
+    };
+    storage.bindings.push(binding);
+    saveSettingsDebounced();
+
+    eventSource.emit('pawsSnapshotBindingsChanged', { action: 'added', binding });
+    logger.info('[PresetSnapshot] 已绑定快照:', type, binding.label, '→', snapshotId, '预设:', presetName);
+    return binding;
+}
+
+/**
+ * 删除快照绑定
+ * @param {string} bindingId - 绑定 ID
+ * @returns {boolean} 是否成功
+ */
+export function unbindSnapshot(bindingId) {
+    const storage = getStorage();
+    const binding = storage.bindings.find(b => b.id === bindingId);
+    if (!binding) {
+        logger.warn('[PresetSnapshot] 未找到绑定:', bindingId);
+        return false;
+    }
+
+    storage.bindings = storage.bindings.filter(b => b.id !== bindingId);
+    saveSettingsDebounced();
+
+    eventSource.emit('pawsSnapshotBindingsChanged', { action: 'removed', binding });
+    logger.info('[PresetSnapshot] 已删除绑定:', binding.type, binding.label);
+    return true;
+}
+
+/**
+ * 设置绑定的"应用前先询问"选项
+ * @param {string} bindingId - 绑定 ID
+ * @param {boolean} askFirst - 是否先询问
+ * @returns {boolean} 是否成功
+ */
+export function setBindingAskFirst(bindingId, askFirst) {
+    const binding = getStorage().bindings.find(b => b.id === bindingId);
+    if (!binding) {
+        logger.warn('[PresetSnapshot] 未找到绑定:', bindingId);
+        return false;
+    }
+
+    binding.askFirst = !!askFirst;
+    saveSettingsDebounced();
+
+    eventSource.emit('pawsSnapshotBindingsChanged', { action: 'updated', binding });
+    return true;
+}
+
+/**
+ * 查找当前聊天命中的快照绑定
+ *
+ * @description
+ * 只匹配当前预设下、快照仍然存在的绑定。
+ * 按"聊天 > 群组 > 角色"的优先级查找，群聊中不匹配角色绑定
+ *
+ * @param {{characterAvatar: string|null, groupId: string|null, chatId: string|null}} chatContext - 聊天上下文
+ * @returns {SnapshotBinding|null} 命中的绑定
+ */
+export function findSnapshotBinding({ characterAvatar, groupId, chatId }) {
+    const presetName = getCurrentPresetName();
+    const snapshots = getPresetData(presetName).snapshots;
+    const bindings = getStorage().bindings.filter(binding =>
+        binding.presetName === presetName && snapshots.some(s => s.id === binding.snapshotId));
+
+    const match = (type, target) => target
+        ? bindings.find(binding => binding.type === type && binding.target === target)
+        : null;
+
+    return match('chat', chatId)
+        || match('group', groupId)
+        || (groupId ? null : match('character', characterAvatar))
+        || null;
+}
+
+/**
+ * 获取当前预设的条目（用于跨预设映射、映射确认界面和保存对话框的条目勾选）
+ * @returns {Array<{identifier: string, name: string, content: string, enabled: boolean}>} 条目列表（按 prompt_order 顺序）
+ */
+export function getCurrentPrompts() {
+    return getCurrentPromptOrder().map(entry => {
+        const prompt = promptManager?.getPromptById?.(entry.identifier);
+        return {
+            identifier: entry.identifier,
+            name: prompt?.name || entry.identifier,
+            content: prompt?.content || '',
+            enabled: !!entry.enabled
+        };
+    });
+}
+
+/**
+ * 获取全局快照库列表（用于 UI 显示）
+ * @returns {Array<SnapshotListItem & {sourcePreset: string}>} 快照列表项
+ */
+export function getLibraryList() {
+    return getStorage().library.filter(isValidSnapshot).map(snapshot => ({
+        id: snapshot.id,
+        name: snapshot.name,
+        createdAt: snapshot.createdAt,
+        stateCount: snapshot.states.length,
+        scope: getSnapshotScope(snapshot),
+        sourcePreset: snapshot.sourcePreset || ''
+    }));
+}
+
+/**
+ * 把预设快照复制到全局快照库
+ *
+ * @description
+ * 复制一份（之后互不影响）。全局库中的快照需要条目名称和内容来跨预设匹配：
+ * 快照本身没有保存条目内容时，如果它属于当前预设，从当前预设读取
+ *
+ * @param {string} id - 快照 UUID
+ * @param {string} [presetName] - 快照所属的预设名称，默认当前预设
+ * @returns {string|null} 全局库中新快照的 UUID，找不到快照时返回 null
+ */
+export function addToLibrary(id, presetName) {
+    const sourcePreset = presetName || getCurrentPresetName();
+    const snapshot = loadSnapshots(sourcePreset).find(s => s.id === id);
+    if (!snapshot) {
+        logger.warn('[PresetSnapshot] 未找到快照:', id);
+        return null;
+    }
+
+    const copy = JSON.parse(JSON.stringify(snapshot));
+    copy.id = generateUUID();
+    copy.sourcePreset = sourcePreset;
+    copy.folderId = null;
+    if (!Array.isArray(copy.prompts) && sourcePreset === getCurrentPresetName()) {
+        copy.prompts = capturePromptContents(copy.states.map(state => state.identifier));
+    }
+
+    getStorage().library.push(copy);
+    saveSettingsDebounced();
+
+    eventSource.emit('pawsSnapshotLibraryChanged', { action: 'added', snapshot: copy });
+    logger.info('[PresetSnapshot] 已加入全局快照库:', copy.name, '来源预设:', sourcePreset);
+    return copy.id;
+}
+
+/**
+ * 从全局快照库删除快照
+ * @param {string} id - 全局库快照 UUID
+ * @returns {boolean} 是否成功
+ */
+export function deleteLibrarySnapshot(id) {
+    const storage = getStorage();
+    const snapshot = storage.library.find(s => s.id === id);
+    if (!snapshot) {
+        logger.warn('[PresetSnapshot] 全局库中未找到快照:', id);
+        return false;
+    }
+
+    storage.library = storage.library.filter(s => s.id !== id);
+    saveSettingsDebounced();
+
+    eventSource.emit('pawsSnapshotLibraryChanged', { action: 'removed', snapshot });
+    logger.info('[PresetSnapshot] 已从全局快照库删除:', snapshot.name);
+    return true;
+}
+
+/**
+ * 生成全局库快照到当前预设的条目映射建议
+ * @param {string} id - 全局库快照 UUID
+ * @returns {import('./preset-snapshot-remap.js').PromptMapping[]|null} 映射建议，找不到快照时返回 null
+ */
+export function getLibraryMapping(id) {
+    const snapshot = getStorage().library.find(s => s.id === id);
+    if (!snapshot) {
+        logger.warn('[PresetSnapshot] 全局库中未找到快照:', id);
+        return null;
+    }
+
+    const sources = snapshot.states.map(state => {
+        const prompt = snapshot.prompts?.find(p => p.identifier === state.identifier);
+        return { identifier: state.identifier, name: prompt?.name || state.name, content: prompt?.content };
+    });
+    return buildPromptMapping(sources, getCurrentPrompts());
+}
+
+/**
+ * 按确认后的映射把全局库快照应用到当前预设
+ *
+ * @description
+ * 快照条目按映射换成当前预设的 identifier 后再应用（范围和普通快照一样），
+ * 没有对应的条目（target 为 null）直接跳过，多个条目对应到同一个当前条目时只用第一个。
+ * 应用前同样会自动备份
+ *
+ * @param {string} id - 全局库快照 UUID
+ * @param {Array<{source: string, target: string|null}>} mapping - 映射（通常来自 getLibraryMapping，经用户确认）
+ * @returns {boolean} 是否成功
+ */
+export function applyLibrarySnapshot(id, mapping) {
+    const snapshot = getStorage().library.find(s => s.id === id);
+    if (!snapshot) {
+        logger.warn('[PresetSnapshot] 全局库中未找到快照:', id);
+        return false;
+    }
+
+    // 每个当前条目只对应一个快照条目（用户手动改出重复时以先出现的为准）
+    const targetOf = new Map();
+    const usedTargets = new Set();
+    for (const { source, target } of mapping) {
+        if (!target || usedTargets.has(target)) continue;
+        targetOf.set(source, target);
+        usedTargets.add(target);
+    }
+    const remapped = {
+        scope: getSnapshotScope(snapshot),
+        states: snapshot.states
+            .filter(state => targetOf.has(state.identifier))
+            .map(state => ({ ...state, identifier: targetOf.get(state.identifier) }))
+    };
+    if (Array.isArray(snapshot.prompts)) {
+        remapped.prompts = snapshot.prompts
+            .filter(prompt => targetOf.has(prompt.identifier))
+            .map(prompt => ({ ...prompt, identifier: targetOf.get(prompt.identifier) }));
+    }
+    if (snapshot.sampler) {
+        remapped.sampler = snapshot.sampler;
+    }
+
+    const presetName = getCurrentPresetName();
+    const presetData = getPresetData(presetName);
+    const result = restoreStateWithBackup(presetData, [remapped], snapshot.name);
+    if (!result) {
+        return false;
+    }
+
+    // 全局库快照不属于当前预设，不记为"上次应用"
+    presetData.lastApplied = null;
+    saveSettingsDebounced();
+
+    logger.info('[PresetSnapshot] 已应用全局库快照:', snapshot.name, '来源预设:', snapshot.sourcePreset,
+        '- 映射:', remapped.states.length, '/', snapshot.states.length, '个, 应用:', result.applied, '个');
+
+    eventSource.emit('pawsSnapshotApplied', { presetName, snapshot, fromLibrary: true });
+    return true;
+}
+
+/**
+ * 生成导出用的快照副本（条目状态带上条目名称，方便在别的预设里对应条目）
+ * @param {Snapshot} snapshot - 快照对象
+ * @param {boolean} isCurrentPreset - 快照是否属于当前预设（可以从当前预设读取条目名称）
+ * @returns {Snapshot} 快照副本
+ */
+function toExportSnapshot(snapshot, isCurrentPreset) {
+    const copy = JSON.parse(JSON.stringify(snapshot));
+    copy.states = copy.states.map(state => {
+        const captured = copy.prompts?.find(p => p.identifier === state.identifier);
+        const current = isCurrentPreset ? promptManager?.getPromptById?.(state.identifier) : null;
+        const name = state.name || captured?.name || current?.name;
+        return name ? { ...state, name } : state;
+    });
+    return copy;
+}
+
+/**
+ * 生成快照的内容签名（用于判断导入的快照是否和已有快照重复）
+ * @param {Snapshot} snapshot - 快照对象
+ * @returns {string} 签名
+ */
+function getSnapshotSignature(snapshot) {
+    return JSON.stringify({
+        name: snapshot.name,
+        scope: [...getSnapshotScope(snapshot)].sort(),
+        states: snapshot.states.map(state => [state.identifier, state.enabled]),
+        prompts: snapshot.prompts || null,
+        sampler: snapshot.sampler || null
+    });
+}
+
+/**
+ * 解析快照导出文件
+ * @param {string} text - 文件内容
+ * @returns {SnapshotBundle} 导出数据
+ * @throws {Error} 不是有效的快照导出文件时
+ */
+function parseSnapshotBundle(text) {
+    let bundle;
+    try {
+        bundle = JSON.parse(text);
+    } catch {
+        throw new Error('导入文件不是有效的 JSON');
+    }
+
+    if (!bundle || bundle.format !== BUNDLE_FORMAT) {
+        throw new Error('不是预设快照的导出文件');
+    }
+    if (typeof bundle.version !== 'number' || bundle.version > BUNDLE_VERSION) {
+        throw new Error(`导入文件的格式版本（${bundle.version}）比当前插件新，请先更新插件`);
+    }
+    if (!bundle.presets || typeof bundle.presets !== 'object' || Array.isArray(bundle.presets)) {
+        throw new Error('无效的导入数据格式');
+    }
+    // 预设名会用作存储对象的键，不能是会改到原型链的名字
+    const reserved = Object.keys(bundle.presets).find(name => RESERVED_PRESET_NAMES.includes(name));
+    if (reserved) {
+        throw new Error(`导入文件中的预设名无效：${reserved}`);
+    }
+    return bundle;
+}
+
+/**
+ * 把导入的快照条目对应到当前预设（identifier 不同的自定义条目按名称或内容对应）
+ * @param {Snapshot} snapshot - 导入的快照（原地修改）
+ * @param {Array} currentPrompts - 当前预设的条目（getCurrentPrompts 的结果）
+ * @returns {number} 换了 identifier 的条目数
+ */
+function remapImportedSnapshot(snapshot, currentPrompts) {
+    const sources = snapshot.states.map(state => {
+        const prompt = snapshot.prompts?.find(p => p.identifier === state.identifier);
+        return { identifier: state.identifier, name: prompt?.name || state.name, content: prompt?.content };
+    });
+    const targetOf = new Map(buildPromptMapping(sources, currentPrompts)
+        .filter(({ method }) => method && method !== 'identifier')
+        .map(({ source, target }) => [source, target]));
+    if (targetOf.size === 0) return 0;
+
+    // 没有对应上的条目保留原 identifier（对比时会显示为"当前预设中没有"）
+    const remap = item => targetOf.has(item.identifier) ? { ...item, identifier: targetOf.get(item.identifier) } : item;
+    snapshot.states = snapshot.states.map(remap);
+    if (Array.isArray(snapshot.prompts)) {
+        snapshot.prompts = snapshot.prompts.map(remap);
+    }
+    return targetOf.size;
+}
+
+/**
+ * 按导入选项整理导入文件中的快照（不写入存储）
+ *
+ * @description
+ * 每个快照都先经过 isValidSnapshot 校验，无效的跳过。
+ * 和目标位置已有快照 ID 相同、或名称和内容都相同的视为重复；
+ * duplicates 为 'skip' 时跳过，为 'copy' 时换一个新 ID 照样导入。
+ * ID 和已有快照冲突但内容不同的总是换新 ID 导入
+ *
+ * @param {SnapshotBundle} bundle - 导出数据
+ * @param {{targetPreset?: string|null, duplicates?: 'skip'|'copy', includeLibrary?: boolean}} options - 导入选项
+ * @returns {{summary: SnapshotImportSummary, presets: Array<{presetName: string, snapshots: Snapshot[], folders: SnapshotFolder[]}>, library: LibrarySnapshot[]}}
+ */
+function planSnapshotImport(bundle, { targetPreset = null, duplicates = 'skip', includeLibrary = true } = {}) {
+    const storage = getStorage();
+    const currentPreset = getCurrentPresetName();
+    const currentPrompts = getCurrentPrompts();
+
+    /**
+     * 整理一组快照：校验 → 去重 → 分配 ID
+     * @param {any[]} incoming - 导入文件中的快照
+     * @param {Snapshot[]} existing - 目标位置已有的快照（含本次已经整理好的）
+     * @param {(snapshot: Snapshot) => void} [prepare] - 去重前的处理（如对应条目）
+     */
+    const planGroup = (incoming, existing, prepare) => {
+        const stats = { total: 0, duplicates: 0, invalid: 0, remapped: 0 };
+        const accepted = [];
+        const ids = new Set(existing.map(s => s.id));
+        const signatures = new Set(existing.filter(isValidSnapshot).map(getSnapshotSignature));
+
+        for (const raw of Array.isArray(incoming) ? incoming : []) {
+            stats.total++;
+            if (!isValidSnapshot(raw)) {
+                stats.invalid++;
+                continue;
+            }
+
+            const snapshot = JSON.parse(JSON.stringify(raw));
+            if (prepare) stats.remapped += prepare(snapshot) || 0;
+
+            const signature = getSnapshotSignature(snapshot);
+            const isDuplicate = signatures.has(signature);
+            if (isDuplicate && duplicates !== 'copy') {
+                stats.duplicates++;
+                continue;
+            }
+            if (isDuplicate) stats.duplicates++;
+
+            if (ids.has(snapshot.id)) snapshot.id = generateUUID();
+            ensureSnapshotMeta(snapshot);
+            ids.add(snapshot.id);
+            signatures.add(signature);
+            accepted.push(snapshot);
+        }
+        return { stats, accepted };
+    };
+
+    const summary = {
+        presets: [],
+        library: { total: 0, imported: 0, duplicates: 0, invalid: 0 },
+        exportDate: bundle.exportDate || ''
+    };
+    const presets = [];
+    const planned = new Map();
+
+    for (const [sourcePreset, data] of Object.entries(bundle.presets)) {
+        const presetName = targetPreset || sourcePreset;
+        if (!planned.has(presetName)) {
+            const presetData = Object.hasOwn(storage.presets, presetName) ? storage.presets[presetName] : null;
+            planned.set(presetName, [...(presetData?.snapshots || [])]);
+        }
+        const existing = planned.get(presetName);
+        const prepare = presetName === currentPreset
+            ? snapshot => remapImportedSnapshot(snapshot, currentPrompts)
+            : null;
+
+        const { stats, accepted } = planGroup(data?.snapshots, existing, prepare);
+        existing.push(...accepted);
+        presets.push({
+            presetName,
+            snapshots: accepted,
+            folders: Array.isArray(data?.folders) ? data.folders.filter(f => f && typeof f.id === 'string' && typeof f.name === 'string') : []
+        });
+        summary.presets.push({ presetName, ...stats, imported: accepted.length });
+    }
+
+    let library = [];
+    if (includeLibrary && Array.isArray(bundle.library)) {
+        const { stats, accepted } = planGroup(bundle.library, storage.library);
+        library = accepted.map(snapshot => ({ ...snapshot, folderId: null, sourcePreset: snapshot.sourcePreset || '' }));
+        summary.library = { total: stats.total, imported: accepted.length, duplicates: stats.duplicates, invalid: stats.invalid };
+    }
+
+    return { summary, presets, library };
+}
+
+/**
+ * 导出快照
+ *
+ * @description
+ * 导出的 JSON 可以分享给别人导入。条目状态里带上条目名称，导入到 identifier 不同的预设时按名称对应。
+ * 应用前备份、"上次应用"和聊天绑定属于本机使用记录，不导出
+ *
+ * @param {{presetName?: string, all?: boolean}} [options] - presetName: 导出哪个预设的快照（默认当前预设）；
+ *   all: 导出所有预设的快照和全局快照库
+ * @returns {string} JSON 字符串
+ */
+export function exportSnapshots({ presetName, all = false } = {}) {
+    const storage = getStorage();
+    const currentPreset = getCurrentPresetName();
+    const presetNames = all ? getPresetsWithSnapshots() : [presetName || currentPreset];
+
+    const presets = {};
+    for (const name of presetNames) {
+        const presetData = storage.presets[name];
+        const snapshots = (presetData?.snapshots || []).filter(isValidSnapshot);
+        if (snapshots.length === 0) continue;
+
+        presets[name] = {
+            snapshots: snapshots.map(snapshot => toExportSnapshot(snapshot, name === currentPreset)),
+            folders: (presetData.folders || []).map(folder => ({ ...folder }))
+        };
+    }
+
+    const bundle = {
+        format: BUNDLE_FORMAT,
+        version: BUNDLE_VERSION,
+        exportDate: new Date().toISOString(),
+        presets
+    };
+    if (all) {
+        bundle.library = storage.library.filter(isValidSnapshot).map(snapshot => toExportSnapshot(snapshot, false));
+    }
+
+    logger.info('[PresetSnapshot] 已导出快照:', Object.keys(presets).length, '个预设',
+        all ? `，全局库 ${bundle.library.length} 个` : '');
+    return JSON.stringify(bundle, null, 2);
+}
+
+/**
+ * 预览导入结果（不写入）
+ * @param {string} text - 导入文件内容
+ * @param {{targetPreset?: string|null, duplicates?: 'skip'|'copy', includeLibrary?: boolean}} [options] - 导入选项（同 importSnapshots）
+ * @returns {SnapshotImportSummary & {presetNames: string[], hasLibrary: boolean}} 预览结果（presetNames 为文件中的预设名）
+ * @throws {Error} 不是有效的快照导出文件时
+ */
+export function previewSnapshotImport(text, options = {}) {
+    const bundle = parseSnapshotBundle(text);
+    const { summary } = planSnapshotImport(bundle, options);
+    return {
+        ...summary,
+        presetNames: Object.keys(bundle.presets),
+        hasLibrary: Array.isArray(bundle.library) && bundle.library.length > 0
+    };
+}
+
+/**
+ * 导入快照（合并到已有快照中）
+ *
+ * @description
+ * 快照按文件中的预设名导入到对应预设，也可以用 targetPreset 全部导入到指定预设。
+ * 导入到当前预设时，identifier 对不上的条目按名称或内容对应到当前预设的条目。
+ * 文件中的分组按名称合并到已有分组（没有同名分组时新建），导入的快照排在原有快照之后。
+ * 去重规则见 planSnapshotImport
+ *
+ * @param {string} text - 导入文件内容
+ * @param {Object} [options] - 导入选项
+ * @param {string|null} [options.targetPreset=null] - 导入到哪个预设，默认按文件中的预设名
+ * @param {'skip'|'copy'} [options.duplicates='skip'] - 重复快照的处理方式
+ * @param {boolean} [options.includeLibrary=true] - 是否导入文件中的全局快照库
+ * @returns {SnapshotImportSummary} 导入结果
+ * @throws {Error} 不是有效的快照导出文件时
+ */
+export function importSnapshots(text, options = {}) {
+    const bundle = parseSnapshotBundle(text);
+    const { summary, presets, library } = planSnapshotImport(bundle, options);
+
+    for (const { presetName, snapshots, folders } of presets) {
+        if (snapshots.length === 0) continue;
+
+        const presetData = getPresetData(presetName);
+        const folderIds = new Map();
+        for (const folder of folders) {
+            if (!snapshots.some(snapshot => snapshot.folderId === folder.id)) continue;
+            let target = presetData.folders.find(f => f.name === folder.name);
+            if (!target) {
+                target = { id: generateUUID(), name: folder.name, collapsed: false };
+                presetData.folders.push(target);
+            }
+            folderIds.set(folder.id, target.id);
+        }
+
+        for (const snapshot of snapshots) {
+            snapshot.folderId = folderIds.get(snapshot.folderId) || null;
+            presetData.snapshots.push(snapshot);
+        }
+    }
+
+    if (library.length > 0) {
+        getStorage().library.push(...library);
+    }
+    saveSettingsDebounced();
+
+    const imported = summary.presets.reduce((sum, item) => sum + item.imported, 0);
+    logger.info('[PresetSnapshot] 已导入快照:', imported, '个，全局库:', summary.library.imported, '个');
+
+    eventSource.emit('pawsSnapshotImported', { summary });
+    return summary;
+}
+
+/**
+ * 获取保存对话框默认勾选的快照范围（上次保存时的选择）
+ * @returns {string[]} 范围列表
+ */
+export function getDefaultScope() {
+    return normalizeScope(getStorage().defaultScope);
+}
+
+/**
+ * 记住保存对话框的范围选择
+ * @param {string[]} scope - 范围列表
+ */
+export function setDefaultScope(scope) {
+    const storage = getStorage();
+    storage.defaultScope = normalizeScope(scope);
+    saveSettingsDebounced();
+}
+
 /**
  * 获取弹窗菜单样式设置
  * @returns {{menuScale: number, fontScale: number}} 样式设置
@@ -524,3 +2047,30 @@ export function setMenuSettings(settings) {
     saveSettingsDebounced();
     logger.debug('[PresetSnapshot] 菜单样式已更新:', settings);
 }
+
+/**
+ * 获取快捷键设置
+ * @returns {typeof DEFAULT_HOTKEYS} 快捷键设置（没有设置过的项为默认值）
+ */
+export function getHotkeySettings() {
+    return { ...DEFAULT_HOTKEYS, ...getStorage().hotkeys };
+}
+
+/**
+ * 修改快捷键设置
+ * @param {Partial<typeof DEFAULT_HOTKEYS>} settings - 要修改的项
+ */
+export function setHotkeySettings(settings) {
+    const storage = getStorage();
+    const hotkeys = { ...storage.hotkeys };
+    for (const key of Object.keys(DEFAULT_HOTKEYS)) {
+        if (settings[key] !== undefined) {
+            hotkeys[key] = settings[key];
+        }
+    }
+    storage.hotkeys = hotkeys;
+    saveSettingsDebounced();
+
+    eventSource.emit('pawsSnapshotHotkeysChanged', getHotkeySettings());
+    logger.debug('[PresetSnapshot] 快捷键设置已更新:', settings);
+}
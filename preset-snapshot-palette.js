@@ -0,0 +1,498 @@
+/**
+ * 预设快照 - 命令面板和快捷键
+ *
+ * @module preset-snapshot-palette
+ * @description
+ * 不打开扩展面板或悬浮菜单也能应用快照：
+ * - 命令面板（默认 Ctrl+K）：搜索当前预设的快照（名称和备注，中文名称可以用拼音），回车应用
+ * - 按编号应用：修饰键 + 数字键应用列表中的第 1 ~ N 个快照（默认 Alt+Shift+1 ~ 5）
+ * - 切换快照：应用列表中的下一个/上一个快照（默认 Alt+Shift+→ / ←），从"上次应用"的快照开始数
+ * - 页面右上角显示当前快照（上次应用的快照），点击打开命令面板
+ *
+ * 列表顺序和扩展面板中的快照列表一致：各分组在前、未分组在后，组内置顶的在前。
+ * 快捷键设置保存在数据层（getHotkeySettings），按键写法如 'Ctrl+K'、'Alt+Shift+ArrowRight'
+ */
+
+import { eventSource, event_types } from '../../../../script.js';
+import { escapeHtml } from '../../../utils.js';
+import { getPinyinSyllables } from './pinyin.js';
+import * as snapshotData from './preset-snapshot-data.js';
+import logger from './logger.js';
+
+/**
+ * 按编号应用快照时可选的修饰键
+ *
+ * @description
+ * 没有单独的 Alt：Alt+数字键是字体管理的快捷切换
+ */
+export const SLOT_MODIFIERS = ['Alt+Shift', 'Ctrl+Alt', 'Ctrl+Shift'];
+
+/**
+ * 按编号应用的最大数量（对应数字键 1 ~ 9）
+ */
+export const MAX_SLOT_COUNT = 9;
+
+/**
+ * 按键名称的显示文字
+ */
+const KEY_LABELS = {
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    BracketLeft: '[',
+    BracketRight: ']',
+    Comma: ',',
+    Period: '.',
+    Slash: '/',
+    Space: '空格'
+};
+
+let paletteElement = null;
+let indicatorElement = null;
+
+// ========================================
+// 按键处理
+// ========================================
+
+/**
+ * 从键盘事件中读取按键组合
+ *
+ * @description
+ * 字母和数字按 event.code 判断（不受键盘布局、Shift 和 macOS Option 键输入的特殊字符影响），
+ * 其他键用 event.code 原名（如 ArrowRight、BracketLeft、F2）
+ *
+ * @param {KeyboardEvent} event - 键盘事件
+ * @returns {string|null} 按键组合（如 'Ctrl+Alt+K'），只按了修饰键时返回 null
+ */
+export function getEventHotkey(event) {
+    const code = event.code || '';
+    if (!code || /^(Control|Alt|Shift|Meta|OS)/.test(code)) return null;
+
+    const match = /^Key([A-Z])$/.exec(code) || /^(?:Digit|Numpad)([0-9])$/.exec(code);
+    const key = match ? match[1] : code;
+    const modifiers = [
+        event.ctrlKey && 'Ctrl',
+        event.altKey && 'Alt',
+        event.shiftKey && 'Shift',
+        event.metaKey && 'Meta'
+    ].filter(Boolean);
+    return [...modifiers, key].join('+');
+}
+
+/**
+ * 判断按键组合能不能用作全局快捷键
+ *
+ * @description
+ * 必须带 Ctrl、Alt 或 Meta（或者是 F1 ~ F12），否则在输入框里打字时会误触发
+ *
+ * @param {string} hotkey - 按键组合
+ * @returns {boolean}
+ */
+export function isUsableHotkey(hotkey) {
+    const parts = String(hotkey ?? '').split('+');
+    return parts.some(part => ['Ctrl', 'Alt', 'Meta'].includes(part)) || /^F([1-9]|1[0-2])$/.test(parts[parts.length - 1]);
+}
+
+/**
+ * 判断按键组合是不是字体管理的快捷切换（Alt+1 ~ 9）
+ *
+ * @description
+ * 快照快捷键在捕获阶段处理并阻止传播，用了这些按键会让字体快捷切换失效
+ *
+ * @param {string} hotkey - 按键组合
+ * @returns {boolean}
+ */
+export function isFontQuickSlotHotkey(hotkey) {
+    return /^Alt\+[1-9]$/.test(String(hotkey ?? ''));
+}
+
+/**
+ * 格式化按键组合（用于显示）
+ * @param {string} hotkey - 按键组合
+ * @returns {string} 如 "Alt+Shift+→"，没有设置时为 "未设置"
+ */
+export function formatHotkey(hotkey) {
+    if (!hotkey) return '未设置';
+    return hotkey.split('+').map(part => KEY_LABELS[part] || part).join('+');
+}
+
+/**
+ * 查找按键组合对应的快照快捷键
+ * @param {string} hotkey - 按键组合
+ * @param {typeof snapshotData.DEFAULT_HOTKEYS} settings - 快捷键设置
+ * @returns {{type: 'palette'|'next'|'prev'|'slot', index?: number}|null} 对应的操作（slot 带快照在列表中的位置，从 0 开始），没有对应时返回 null
+ */
+export function getHotkeyAction(hotkey, settings) {
+    if (!hotkey) return null;
+    const type = ['palette', 'next', 'prev'].find(name => settings[name] === hotkey);
+    if (type) return { type };
+
+    const match = /^(.+)\+([1-9])$/.exec(hotkey);
+    if (!match || match[1] !== settings.slotModifier) return null;
+
+    const index = Number(match[2]) - 1;
+    return index < Math.min(settings.slotCount, MAX_SLOT_COUNT) ? { type: 'slot', index } : null;
+}
+
+/**
+ * 查找和按编号应用重复的快捷键
+ *
+ * @description
+ * 修改编号的修饰键或数量后，命令面板、下一个、上一个的快捷键可能和某个编号按键相同
+ *
+ * @param {typeof snapshotData.DEFAULT_HOTKEYS} settings - 快捷键设置
+ * @returns {'palette'|'next'|'prev'|null} 重复的快捷键，没有重复时返回 null
+ */
+export function getSlotConflict(settings) {
+    const slotsOnly = { ...settings, palette: '', next: '', prev: '' };
+    return ['palette', 'next', 'prev'].find(name => getHotkeyAction(settings[name], slotsOnly)) || null;
+}
+
+// ========================================
+// 快照列表和搜索
+// ========================================
+
+/**
+ * 获取快照列表（和扩展面板中的显示顺序一致）
+ * @param {string} [presetName] - 预设名称，默认当前预设
+ * @returns {import('./preset-snapshot-data.js').SnapshotListItem[]} 快照列表
+ */
+export function getOrderedSnapshots(presetName) {
+    const snapshots = snapshotData.getSnapshotList(presetName);
+    const folders = snapshotData.getFolders(presetName);
+    const groups = [
+        ...folders.map(folder => snapshots.filter(s => s.folderId === folder.id)),
+        snapshots.filter(s => !folders.some(f => f.id === s.folderId))
+    ];
+    return groups.flatMap(items => [...items.filter(s => s.pinned), ...items.filter(s => !s.pinned)]);
+}
+
+/**
+ * 判断 term 的字符是否按顺序出现在 text 中（可以不连续）
+ * @param {string} text - 文字（小写）
+ * @param {string} term - 关键词（小写）
+ * @returns {boolean}
+ */
+function isSubsequence(text, term) {
+    let offset = 0;
+    for (const char of text) {
+        if (char === term[offset]) offset++;
+        if (offset === term.length) return true;
+    }
+    return false;
+}
+
+/**
+ * 计算关键词和快照名称的匹配程度
+ * @param {string} name - 快照名称
+ * @param {string} term - 关键词（小写）
+ * @returns {number} 开头相同 4 > 包含 3 > 拼音（全拼或首字母）2 > 字符按顺序出现 1 > 不匹配 0
+ */
+function matchName(name, term) {
+    const lower = name.toLowerCase();
+    const index = lower.indexOf(term);
+    if (index === 0) return 4;
+    if (index > 0) return 3;
+
+    const syllables = getPinyinSyllables(name);
+    if (syllables.length > 0) {
+        const initials = syllables.map(syllable => syllable[0]).join('');
+        if (initials.includes(term) || syllables.join('').includes(term)) return 2;
+    }
+    return isSubsequence(lower, term) ? 1 : 0;
+}
+
+/**
+ * 搜索快照
+ *
+ * @description
+ * 多个关键词（空格分隔）都要匹配。名称可以模糊匹配（见 matchName），备注只按包含匹配。
+ * 结果按匹配程度排序，程度相同时保持列表顺序
+ *
+ * @param {import('./preset-snapshot-data.js').SnapshotListItem[]} snapshots - 快照列表
+ * @param {string} query - 搜索语句
+ * @returns {import('./preset-snapshot-data.js').SnapshotListItem[]} 匹配的快照
+ */
+export function searchSnapshots(snapshots, query) {
+    const terms = String(query ?? '').trim().toLowerCase().split(/\s+/).filter(Boolean);
+    if (terms.length === 0) return snapshots;
+
+    return snapshots
+        .map((snapshot, index) => {
+            let score = 0;
+            for (const term of terms) {
+                const termScore = Math.max(matchName(snapshot.name, term) * 2, snapshot.notes.toLowerCase().includes(term) ? 1 : 0);
+                if (termScore === 0) return null;
+                score += termScore;
+            }
+            return { snapshot, score, index };
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.score - a.score || a.index - b.index)
+        .map(result => result.snapshot);
+}
+
+// ========================================
+// 应用快照
+// ========================================
+
+/**
+ * 应用快照并提示结果
+ * @param {{id: string, name: string}} snapshot - 快照
+ * @returns {boolean} 是否成功
+ */
+function applyWithToast(snapshot) {
+    if (!snapshotData.applySnapshot(snapshot.id)) {
+        toastr.error('应用快照失败');
+        return false;
+    }
+    toastr.success(`已应用快照「${snapshot.name}」`);
+    return true;
+}
+
+/**
+ * 应用列表中第 index 个快照
+ * @param {number} index - 位置（从 0 开始）
+ * @returns {boolean} 是否成功
+ */
+export function applySnapshotSlot(index) {
+    const snapshot = getOrderedSnapshots()[index];
+    if (!snapshot) {
+        toastr.info(`当前预设没有第 ${index + 1} 个快照`);
+        return false;
+    }
+    return applyWithToast(snapshot);
+}
+
+/**
+ * 切换到列表中的下一个（或上一个）快照
+ *
+ * @description
+ * 从"上次应用"的快照开始数，到末尾后回到开头；还没有应用过时从第一个（或最后一个）开始
+ *
+ * @param {number} offset - 1 为下一个，-1 为上一个
+ * @returns {boolean} 是否成功
+ */
+export function cycleSnapshot(offset) {
+    const snapshots = getOrderedSnapshots();
+    if (snapshots.length === 0) {
+        toastr.info('当前预设还没有快照');
+        return false;
+    }
+
+    const current = snapshots.findIndex(s => s.id === snapshotData.getLastAppliedId());
+    const next = current === -1
+        ? (offset > 0 ? 0 : snapshots.length - 1)
+        : (current + offset + snapshots.length) % snapshots.length;
+    return applyWithToast(snapshots[next]);
+}
+
+// ========================================
+// 命令面板
+// ========================================
+
+/**
+ * 关闭命令面板
+ */
+export function closeSnapshotPalette() {
+    paletteElement?.remove();
+    paletteElement = null;
+}
+
+/**
+ * 打开命令面板
+ *
+ * @description
+ * 输入时实时搜索，↑↓ 选择，回车或点击应用，Esc 或点击面板外关闭。
+ * 列表中带编号快捷键的快照会显示对应的按键
+ */
+export function openSnapshotPalette() {
+    if (!snapshotData.isEnabled()) {
+        toastr.info('预设快照功能未启用');
+        return;
+    }
+    closeSnapshotPalette();
+
+    const presetName = snapshotData.getCurrentPresetName();
+    const snapshots = getOrderedSnapshots();
+    const settings = snapshotData.getHotkeySettings();
+    const lastAppliedId = snapshotData.getLastAppliedId();
+    const slotLabels = new Map(snapshots
+        .slice(0, Math.min(settings.slotCount, MAX_SLOT_COUNT))
+        .map((snapshot, index) => [snapshot.id, formatHotkey(`${settings.slotModifier}+${index + 1}`)]));
+
+    const palette = document.createElement('div');
+    palette.className = 'paws-snapshot-palette';
+    palette.innerHTML = `
+        <div class="paws-snapshot-palette-box" role="dialog" aria-label="应用快照">
+            <input type="text" class="text_pole paws-snapshot-palette-input" placeholder="搜索「${escapeHtml(presetName)}」的快照（支持拼音）">
+            <div class="paws-snapshot-palette-list"></div>
+            <div class="paws-snapshot-palette-hint">↑↓ 选择 · Enter 应用 · Esc 关闭</div>
+        </div>
+    `;
+    const input = palette.querySelector('.paws-snapshot-palette-input');
+    const list = palette.querySelector('.paws-snapshot-palette-list');
+
+    let results = snapshots;
+    let selected = 0;
+
+    const render = () => {
+        if (results.length === 0) {
+            list.innerHTML = `<div class="paws-snapshot-palette-empty">${snapshots.length === 0 ? '当前预设还没有快照' : '没有找到匹配的快照'}</div>`;
+            return;
+        }
+        list.innerHTML = results.map((snapshot, index) => `
+            <div class="paws-snapshot-palette-item${index === selected ? ' selected' : ''}" data-index="${index}">
+                <span class="paws-snapshot-palette-name">${escapeHtml(snapshot.name)}</span>
+                ${snapshot.partial ? '<span class="snapshot-overlay-badge">叠加</span>' : ''}
+                ${snapshot.id === lastAppliedId ? '<span class="paws-snapshot-palette-current">当前</span>' : ''}
+                ${slotLabels.has(snapshot.id) ? `<kbd>${escapeHtml(slotLabels.get(snapshot.id))}</kbd>` : ''}
+                ${snapshot.notes ? `<small class="paws-snapshot-palette-notes">${escapeHtml(snapshot.notes)}</small>` : ''}
+            </div>
+        `).join('');
+        list.querySelector('.selected')?.scrollIntoView({ block: 'nearest' });
+    };
+
+    const applySelected = () => {
+        const snapshot = results[selected];
+        if (!snapshot) return;
+        closeSnapshotPalette();
+        applyWithToast(snapshot);
+    };
+
+    input.addEventListener('input', () => {
+        results = searchSnapshots(snapshots, input.value);
+        selected = 0;
+        render();
+    });
+
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (results.length === 0) return;
+            selected = (selected + (e.key === 'ArrowDown' ? 1 : -1) + results.length) % results.length;
+            render();
+        } else if (e.key === 'Enter' && !e.isComposing) {
+            e.preventDefault();
+            applySelected();
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            e.stopPropagation();
+            closeSnapshotPalette();
+        }
+    });
+
+    list.addEventListener('click', (e) => {
+        const item = e.target.closest('.paws-snapshot-palette-item');
+        if (!item) return;
+        selected = Number(item.dataset.index);
+        applySelected();
+    });
+
+    // 点击面板外关闭
+    palette.addEventListener('mousedown', (e) => {
+        if (e.target === palette) closeSnapshotPalette();
+    });
+
+    render();
+    document.body.appendChild(palette);
+    paletteElement = palette;
+    input.focus();
+
+    logger.debug('[SnapshotPalette] 已打开命令面板，共', snapshots.length, '个快照');
+}
+
+// ========================================
+// 当前快照提示
+// ========================================
+
+/**
+ * 刷新页面角落的当前快照提示
+ *
+ * @description
+ * 显示当前预设上次应用的快照；功能未启用、关闭了提示或还没有应用过快照时隐藏
+ */
+export function updateSnapshotIndicator() {
+    const settings = snapshotData.getHotkeySettings();
+    const snapshot = snapshotData.isEnabled() && settings.showIndicator
+        ? snapshotData.getSnapshotById(snapshotData.getLastAppliedId())
+        : null;
+
+    if (!snapshot) {
+        indicatorElement?.remove();
+        indicatorElement = null;
+        return;
+    }
+
+    if (!indicatorElement) {
+        indicatorElement = document.createElement('div');
+        indicatorElement.className = 'paws-snapshot-indicator';
+        indicatorElement.addEventListener('click', () => openSnapshotPalette());
+        document.body.appendChild(indicatorElement);
+    }
+
+    const hint = settings.palette ? `（${formatHotkey(settings.palette)} 或点击切换）` : '（点击切换）';
+    indicatorElement.title = `当前快照：${snapshot.name}${hint}`;
+    indicatorElement.innerHTML = `<i class="fa-solid fa-camera"></i><span>${escapeHtml(snapshot.name)}</span>`;
+}
+
+// ========================================
+// 初始化
+// ========================================
+
+/**
+ * 开始监听快照快捷键，并显示当前快照提示
+ *
+ * @description
+ * 按键在捕获阶段处理，匹配到快照快捷键时阻止酒馆和浏览器的默认行为。
+ * 正在录制快捷键的输入框（.paws-hotkey-recorder）里不触发
+ *
+ * @returns {Function} 停止监听的函数
+ */
+export function initSnapshotShortcuts() {
+    const onKeyDown = (event) => {
+        if (!snapshotData.isEnabled() || event.repeat || event.target?.closest?.('.paws-hotkey-recorder')) return;
+
+        const action = getHotkeyAction(getEventHotkey(event), snapshotData.getHotkeySettings());
+        if (!action) return;
+
+        event.preventDefault();
+        event.stopPropagation();
+        switch (action.type) {
+            case 'palette':
+                if (paletteElement) closeSnapshotPalette();
+                else openSnapshotPalette();
+                break;
+            case 'next': cycleSnapshot(1); break;
+            case 'prev': cycleSnapshot(-1); break;
+            case 'slot': applySnapshotSlot(action.index); break;
+        }
+    };
+
+    // 上次应用的快照可能变化的时机
+    const refreshEvents = [
+        'pawsSnapshotApplied',
+        'pawsSnapshotReverted',
+        'pawsSnapshotOrganized',
+        'pawsSnapshotImported',
+        'pawsSnapshotEnabledChanged',
+        'pawsSnapshotHotkeysChanged',
+        event_types.CHAT_CHANGED,
+        event_types.OAI_PRESET_CHANGED_AFTER
+    ].filter(Boolean);
+
+    document.addEventListener('keydown', onKeyDown, true);
+    refreshEvents.forEach(name => eventSource.on(name, updateSnapshotIndicator));
+    updateSnapshotIndicator();
+
+    logger.debug('[SnapshotPalette] 已开始监听快照快捷键');
+
+    return () => {
+        document.removeEventListener('keydown', onKeyDown, true);
+        refreshEvents.forEach(name => eventSource.removeListener(name, updateSnapshotIndicator));
+        closeSnapshotPalette();
+        indicatorElement?.remove();
+        indicatorElement = null;
+    };
+}
@@ -0,0 +1,142 @@
+/**
+ * 预设快照 - 跨预设条目映射
+ *
+ * @module preset-snapshot-remap
+ * @description
+ * 全局快照库里的快照可能来自另一个预设（比如同一预设的分支版本），
+ * 自定义条目的 identifier 往往已经不同。应用前需要把快照里的条目对应到当前预设的条目：
+ * 1. identifier 相同（酒馆内置条目如 main、nsfw、jailbreak 在各预设中都一样）
+ * 2. 条目名称相同（忽略大小写和首尾空白）
+ * 3. 条目内容相似（字符二元组的 Dice 系数，不低于 CONTENT_SIMILARITY_THRESHOLD）
+ *
+ * 每个当前条目最多被对应一次；按上面的顺序匹配，同一步里相似度高的优先。
+ * 结果只是建议，用户在应用前可以逐条修改。
+ */
+
+/**
+ * 按内容匹配时的最低相似度（0~1）
+ */
+export const CONTENT_SIMILARITY_THRESHOLD = 0.6;
+
+/**
+ * @typedef {Object} PromptRef
+ * @property {string} identifier - 条目标识符
+ * @property {string} [name] - 条目名称
+ * @property {string} [content] - 提示词文本
+ */
+
+/**
+ * @typedef {Object} PromptMapping
+ * @property {string} source - 快照中的条目 identifier
+ * @property {string} sourceName - 快照中的条目名称
+ * @property {string|null} target - 对应的当前条目 identifier，没有对应时为 null
+ * @property {'identifier'|'name'|'content'|null} method - 匹配方式
+ * @property {number} score - 匹配度（0~1，identifier 和名称匹配为 1）
+ */
+
+/**
+ * 规范化条目名称（用于比较）
+ * @param {string} [name] - 条目名称
+ * @returns {string} 规范化后的名称
+ */
+function normalizeName(name) {
+    return String(name ?? '').trim().toLowerCase();
+}
+
+/**
+ * 统计文本的字符二元组（忽略空白，中文按字切分也适用）
+ * @param {string} text - 文本
+ * @returns {Map<string, number>} 二元组 → 出现次数
+ */
+function getBigrams(text) {
+    const compact = String(text ?? '').replace(/\s+/g, ' ').trim().toLowerCase();
+    const bigrams = new Map();
+    for (let i = 0; i < compact.length - 1; i++) {
+        const bigram = compact.slice(i, i + 2);
+        bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+    }
+    return bigrams;
+}
+
+/**
+ * 计算两段文本的相似度（字符二元组的 Dice 系数）
+ *
+ * @description
+ * 参数是 getBigrams() 的结果，批量比较时每段文本只统计一次
+ *
+ * @param {Map<string, number>} bigramsA - 文本 A 的二元组
+ * @param {Map<string, number>} bigramsB - 文本 B 的二元组
+ * @returns {number} 0~1，任意一段为空（或只有一个字符）时为 0
+ */
+function getContentSimilarity(bigramsA, bigramsB) {
+    if (bigramsA.size === 0 || bigramsB.size === 0) return 0;
+
+    let total = 0;
+    let shared = 0;
+    for (const count of bigramsA.values()) total += count;
+    for (const [bigram, count] of bigramsB) {
+        total += count;
+        shared += Math.min(count, bigramsA.get(bigram) || 0);
+    }
+    return (2 * shared) / total;
+}
+
+/**
+ * 把快照中的条目对应到当前预设的条目
+ * @param {PromptRef[]} sources - 快照中的条目（按快照顺序）
+ * @param {PromptRef[]} targets - 当前预设的条目
+ * @returns {PromptMapping[]} 每个快照条目的对应结果（顺序同 sources）
+ */
+export function buildPromptMapping(sources, targets) {
+    const result = new Map(sources.map(source => [source.identifier, {
+        source: source.identifier,
+        sourceName: source.name || source.identifier,
+        target: null,
+        method: null,
+        score: 0
+    }]));
+    const used = new Set();
+
+    const assign = (source, target, method, score) => {
+        const mapping = result.get(source.identifier);
+        if (mapping.target || used.has(target.identifier)) return;
+        Object.assign(mapping, { target: target.identifier, method, score });
+        used.add(target.identifier);
+    };
+
+    // 1. identifier 相同
+    const targetIds = new Map(targets.map(target => [target.identifier, target]));
+    for (const source of sources) {
+        const target = targetIds.get(source.identifier);
+        if (target) assign(source, target, 'identifier', 1);
+    }
+
+    // 2. 名称相同
+    for (const source of sources) {
+        const name = normalizeName(source.name);
+        if (!name || result.get(source.identifier).target) continue;
+        const target = targets.find(t => !used.has(t.identifier) && normalizeName(t.name) === name);
+        if (target) assign(source, target, 'name', 1);
+    }
+
+    // 3. 内容相似（先算出所有候选，相似度高的优先）
+    const candidates = [];
+    const targetBigrams = new Map(targets
+        .filter(target => !used.has(target.identifier) && target.content)
+        .map(target => [target, getBigrams(target.content)]));
+    for (const source of sources) {
+        if (result.get(source.identifier).target || !source.content) continue;
+        const sourceBigrams = getBigrams(source.content);
+        for (const [target, bigrams] of targetBigrams) {
+            const score = getContentSimilarity(sourceBigrams, bigrams);
+            if (score >= CONTENT_SIMILARITY_THRESHOLD) {
+                candidates.push({ source, target, score });
+            }
+        }
+    }
+    candidates
+        .sort((a, b) => b.score - a.score)
+        .forEach(({ source, target, score }) => assign(source, target, 'content', score));
+
+    return Array.from(result.values());
+}